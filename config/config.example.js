@@ -54,6 +54,19 @@ const config = {
         return Math.max(0, Math.min(minutes, 1440))
       })()
     },
+    // 🔁 跨账户故障转移：上游返回 429/529/5xx 时切换到其他官方账户重试
+    failover: {
+      enabled: process.env.CLAUDE_FAILOVER_ENABLED === 'true',
+      maxRetries: (() => {
+        const retries = parseInt(process.env.CLAUDE_FAILOVER_MAX_RETRIES)
+        // 默认重试2次，限制在0-5次内
+        return Number.isNaN(retries) ? 2 : Math.max(0, Math.min(retries, 5))
+      })()
+    },
+    // 📦 Message Batches：检查批处理是否结束并计费的轮询间隔（分钟）
+    batch: {
+      pollIntervalMinutes: parseInt(process.env.CLAUDE_BATCH_POLL_INTERVAL_MINUTES) || 5
+    },
     heartbeat: {
       enabled: process.env.CLAUDE_HEARTBEAT_ENABLED === 'true',
       model: process.env.CLAUDE_HEARTBEAT_MODEL || '',
@@ -86,6 +99,38 @@ const config = {
     enablePromptCaching: process.env.DISABLE_PROMPT_CACHING !== '1'
   },
 
+  // ☁️ Vertex AI (Anthropic on GCP) 配置
+  vertex: {
+    // 账户未指定区域时使用的默认区域（global 表示全球端点）
+    defaultRegion: process.env.VERTEX_DEFAULT_REGION || 'us-east5'
+  },
+
+  // 🔀 Claude Messages → OpenAI Responses 桥接（由 OpenAI-Responses / Codex 账户处理 Claude 格式请求）
+  claudeOpenAIBridge: {
+    // 模型别名映射，格式 alias=target，逗号分隔；命中的模型会路由到 OpenAI 账户
+    modelMapping: (process.env.CLAUDE_OPENAI_MODEL_MAPPING || '')
+      .split(',')
+      .map((pair) => pair.split('=').map((part) => part.trim()))
+      .filter(([alias, target]) => alias && target)
+      .reduce((mapping, [alias, target]) => ({ ...mapping, [alias]: target }), {}),
+    // API Key 设置为 OpenAI 后端且模型未命中映射时使用的上游模型
+    defaultModel: process.env.CLAUDE_OPENAI_DEFAULT_MODEL || 'gpt-5'
+  },
+
+  // 🔀 Claude Messages → Gemini 桥接（由 Gemini 账户处理 Claude 格式请求）
+  claudeGeminiBridge: {
+    // 模型别名映射，格式 alias=target，逗号分隔；命中的模型会路由到 Gemini 账户
+    modelMapping: (process.env.CLAUDE_GEMINI_MODEL_MAPPING || '')
+      .split(',')
+      .map((pair) => pair.split('=').map((part) => part.trim()))
+      .filter(([alias, target]) => alias && target)
+      .reduce((mapping, [alias, target]) => ({ ...mapping, [alias]: target }), {}),
+    // API Key 设置为 Gemini 后端、未命中映射或回退时使用的上游模型
+    defaultModel: process.env.CLAUDE_GEMINI_DEFAULT_MODEL || 'gemini-2.5-pro',
+    // 所有 Claude 账户都不可用（限流/不可调度）时回退到 Gemini 账户，默认关闭
+    fallbackEnabled: process.env.CLAUDE_GEMINI_FALLBACK_ENABLED === 'true'
+  },
+
   // 🌐 代理配置
   proxy: {
     timeout: parseInt(process.env.DEFAULT_PROXY_TIMEOUT) || 600000, // 10分钟
@@ -94,6 +139,18 @@ const config = {
     useIPv4: process.env.PROXY_USE_IPV4 !== 'false' // 默认 true，只有明确设置为 'false' 才使用 IPv6
   },
 
+  // 🌐 代理池配置（账户引用代理池后按健康检查结果自动选择可用代理）
+  proxyPool: {
+    healthCheckEnabled: process.env.PROXY_POOL_HEALTH_CHECK_ENABLED !== 'false', // 默认启用
+    healthCheckIntervalSeconds: parseInt(process.env.PROXY_POOL_HEALTH_CHECK_INTERVAL) || 60,
+    healthCheckTimeoutMs: parseInt(process.env.PROXY_POOL_HEALTH_CHECK_TIMEOUT) || 10000,
+    // 通过代理访问该地址，收到任意 HTTP 响应即视为连通
+    healthCheckUrl: process.env.PROXY_POOL_HEALTH_CHECK_URL || 'https://api.anthropic.com',
+    failureThreshold: parseInt(process.env.PROXY_POOL_FAILURE_THRESHOLD) || 2, // 连续失败次数达到后切换
+    // 从 Redis 同步代理池的间隔（秒），不受健康检查开关影响
+    reloadIntervalSeconds: parseInt(process.env.PROXY_POOL_RELOAD_INTERVAL) || 30
+  },
+
   // ⏱️ 请求超时配置
   requestTimeout: parseInt(process.env.REQUEST_TIMEOUT) || 600000, // 默认 10 分钟
 
@@ -216,6 +273,80 @@ const config = {
     retries: parseInt(process.env.WEBHOOK_RETRIES) || 3 // 重试3次
   },
 
+  // 📈 指标配置：/metrics 默认返回 JSON 系统统计，?format=prometheus 返回 Prometheus 文本格式
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false', // Prometheus 格式，默认启用
+    format: process.env.METRICS_FORMAT || 'json', // /metrics 未指定 format 参数时的默认格式：json 或 prometheus
+    token: process.env.METRICS_TOKEN || '' // 设置后访问 /metrics 需要携带 Bearer Token
+  },
+
+  // 🧾 请求审计日志配置
+  requestLog: {
+    enabled: process.env.REQUEST_LOG_ENABLED !== 'false', // 默认启用
+    retentionDays: parseInt(process.env.REQUEST_LOG_RETENTION_DAYS) || 7 // 保留7天
+  },
+
+  // 📝 管理操作审计日志配置（只追加，记录管理端与用户端的变更操作）
+  auditLog: {
+    enabled: process.env.AUDIT_LOG_ENABLED !== 'false', // 默认启用
+    retentionDays: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 180 // 保留180天
+  },
+
+  // 📈 定时用量报表（按日/周/月汇总费用，通过 Webhook 平台发送，任务在通知设置中管理）
+  usageReports: {
+    enabled: process.env.USAGE_REPORTS_ENABLED !== 'false', // 默认启用
+    checkIntervalMinutes: parseInt(process.env.USAGE_REPORTS_CHECK_INTERVAL_MINUTES) || 5, // 调度检查间隔
+    historyRetentionDays: parseInt(process.env.USAGE_REPORTS_HISTORY_RETENTION_DAYS) || 30 // 报表历史保留天数
+  },
+
+  // 📊 API Key 预算告警配置（费用达到限制的百分比时发送 quotaWarning 通知）
+  budgetAlerts: {
+    enabled: process.env.BUDGET_ALERTS_ENABLED !== 'false', // 默认启用
+    // 全局默认阈值（百分比），API Key 未单独配置时使用
+    defaultThresholds: process.env.BUDGET_ALERT_THRESHOLDS || '50,80,95'
+  },
+
+  // 🗄️ 响应缓存（完全相同的非流式、temperature=0 请求直接返回缓存结果，需在 API Key 上单独开启）
+  responseCache: {
+    enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false', // 全局开关，默认启用
+    ttlSeconds: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS) || 3600, // 缓存有效期
+    maxEntrySizeKB: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRY_KB) || 512 // 超过该大小的响应不缓存
+  },
+
+  // 🩺 账户健康度调度（按账户最近的首字节延迟、总耗时和错误率的 EWMA 选择账户）
+  accountHealth: {
+    // 全局调度策略：priority（优先级，默认）、fastest-healthy（最快的健康账户）、weighted-random（按健康分加权随机）
+    // 账户分组可单独配置策略覆盖此项
+    strategy: process.env.ACCOUNT_SCHEDULING_STRATEGY || 'priority',
+    ewmaAlpha: parseFloat(process.env.ACCOUNT_HEALTH_EWMA_ALPHA) || 0.2, // 新样本权重（0-1）
+    minSamples: parseInt(process.env.ACCOUNT_HEALTH_MIN_SAMPLES) || 5, // 样本数不足时视为未知账户
+    maxErrorRate: parseFloat(process.env.ACCOUNT_HEALTH_MAX_ERROR_RATE) || 0.5, // 超过该错误率视为不健康
+    referenceLatencyMs: parseInt(process.env.ACCOUNT_HEALTH_REFERENCE_LATENCY_MS) || 3000, // 健康分为 50 时的首字节延迟
+    statsTtlHours: parseInt(process.env.ACCOUNT_HEALTH_STATS_TTL_HOURS) || 24 // 账户无请求时统计的保留时间
+  },
+
+  // 🔌 账户熔断器（连续 5xx 后暂停调度该账户，冷却后放行少量探测请求）
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false', // 默认启用
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5, // 连续失败多少次后打开
+    cooldownSeconds: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS) || 60, // 打开后多久进入半开状态
+    halfOpenMaxProbes: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_MAX_PROBES) || 1, // 半开状态同时放行的探测请求数
+    successThreshold: parseInt(process.env.CIRCUIT_BREAKER_SUCCESS_THRESHOLD) || 1 // 半开状态探测成功多少次后关闭
+  },
+
+  // 🚥 API Key 并发排队配置（仅对开启排队模式的 API Key 生效）
+  concurrencyQueue: {
+    enabled: process.env.CONCURRENCY_QUEUE_ENABLED !== 'false', // 全局开关，关闭后所有 Key 超出并发时直接返回 429
+    defaultMaxSize: parseInt(process.env.CONCURRENCY_QUEUE_DEFAULT_MAX_SIZE) || 20, // Key 未单独配置时的最大排队长度
+    defaultTimeoutSeconds: parseInt(process.env.CONCURRENCY_QUEUE_DEFAULT_TIMEOUT_SECONDS) || 60, // Key 未单独配置时的最长等待时间
+    pollIntervalMs: parseInt(process.env.CONCURRENCY_QUEUE_POLL_INTERVAL_MS) || 1000 // 未收到释放通知时的重试间隔
+  },
+
+  // 🚦 API Key 限流规则（按请求数/输入 Token/输出 Token/费用，可按模型或模型族过滤）
+  rateLimitRules: {
+    enabled: process.env.RATE_LIMIT_RULES_ENABLED !== 'false' // 全局开关，关闭后只保留原有的时间窗口限流
+  },
+
   // 🛠️ 开发配置
   development: {
     debug: process.env.DEBUG === 'true',
@@ -12,6 +12,7 @@ const redis = require('./models/redis')
 const pricingService = require('./services/pricingService')
 const claudeHeartbeatService = require('./services/claudeHeartbeatService')
 const cacheMonitor = require('./utils/cacheMonitor')
+const metricsService = require('./services/metricsService')
 
 // Import routes
 const apiRoutes = require('./routes/api')
@@ -28,6 +29,7 @@ const droidRoutes = require('./routes/droidRoutes')
 const userRoutes = require('./routes/userRoutes')
 const azureOpenaiRoutes = require('./routes/azureOpenaiRoutes')
 const webhookRoutes = require('./routes/webhook')
+const adminAccountRoutes = require('./routes/adminAccounts')
 
 // Import middleware
 const {
@@ -36,7 +38,8 @@ const {
   securityMiddleware,
   errorHandler,
   globalRateLimit,
-  requestSizeLimit
+  requestSizeLimit,
+  authenticateMetrics
 } = require('./middleware/auth')
 const { browserFallbackMiddleware } = require('./middleware/browserFallback')
 
@@ -86,6 +89,11 @@ class Application {
       const claudeAccountService = require('./services/claudeAccountService')
       await claudeAccountService.initializeSessionWindows()
 
+      // 🌐 加载代理池
+      logger.info('🌐 Loading proxy pools...')
+      const proxyPoolService = require('./services/proxyPoolService')
+      await proxyPoolService.initialize()
+
       // 超早期拦截 /admin-next/ 请求 - 在所有中间件之前
       this.app.use((req, res, next) => {
         if (req.path === '/admin-next/' && req.method === 'GET') {
@@ -276,6 +284,7 @@ class Application {
       this.app.use('/droid', droidRoutes) // Droid (Factory.ai) API 转发
       this.app.use('/azure', azureOpenaiRoutes)
       this.app.use('/admin/webhook', webhookRoutes)
+      this.app.use('/admin/admin-accounts', adminAccountRoutes)
 
       // 🏠 根路径重定向到新版管理界面
       this.app.get('/', (req, res) => {
@@ -346,21 +355,30 @@ class Application {
         }
       })
 
-      // 📊 指标端点
-      this.app.get('/metrics', async (req, res) => {
+      // 📊 指标端点：默认返回 JSON 系统统计，?format=prometheus 返回 Prometheus 文本格式
+      this.app.get('/metrics', authenticateMetrics, async (req, res) => {
         try {
-          const stats = await redis.getSystemStats()
-          const metrics = {
-            ...stats,
-            uptime: process.uptime(),
-            memory: process.memoryUsage(),
-            timestamp: new Date().toISOString()
+          const format = req.query.format || config.metrics?.format || 'json'
+          if (format !== 'prometheus') {
+            const stats = await redis.getSystemStats()
+            return res.json({
+              ...stats,
+              uptime: process.uptime(),
+              memory: process.memoryUsage(),
+              timestamp: new Date().toISOString()
+            })
+          }
+
+          if (config.metrics?.enabled === false) {
+            return res.status(404).json({ error: 'Prometheus metrics disabled' })
           }
 
-          res.json(metrics)
+          const body = await metricsService.render()
+          res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+          return res.send(body)
         } catch (error) {
           logger.error('❌ Metrics collection failed:', error)
-          res.status(500).json({ error: 'Failed to collect metrics' })
+          return res.status(500).json({ error: 'Failed to collect metrics' })
         }
       })
 
@@ -503,7 +521,8 @@ class Application {
       const services = [
         { name: 'claudeAccount', service: require('./services/claudeAccountService') },
         { name: 'claudeConsole', service: require('./services/claudeConsoleAccountService') },
-        { name: 'bedrockAccount', service: require('./services/bedrockAccountService') }
+        { name: 'bedrockAccount', service: require('./services/bedrockAccountService') },
+        { name: 'vertexAccount', service: require('./services/vertexAccountService') }
       ]
 
       // 注册已加载的服务缓存
@@ -636,6 +655,30 @@ class Application {
     } catch (error) {
       logger.error('❌ Failed to start Claude heartbeat service:', error)
     }
+
+    // 📦 启动 Message Batches 计费轮询
+    try {
+      const claudeBatchService = require('./services/claudeBatchService')
+      claudeBatchService.start()
+    } catch (error) {
+      logger.error('❌ Failed to start Claude batch billing poller:', error)
+    }
+
+    // 📈 启动定时用量报表调度
+    try {
+      const usageReportService = require('./services/usageReportService')
+      usageReportService.start()
+    } catch (error) {
+      logger.error('❌ Failed to start usage report scheduler:', error)
+    }
+
+    // 🩺 启动代理池健康检查
+    try {
+      const proxyPoolService = require('./services/proxyPoolService')
+      proxyPoolService.start()
+    } catch (error) {
+      logger.error('❌ Failed to start proxy pool health check:', error)
+    }
   }
 
   setupGracefulShutdown() {
@@ -672,6 +715,42 @@ class Application {
             logger.error('❌ Error stopping rate limit cleanup service:', error)
           }
 
+          // 停止 Message Batches 计费轮询
+          try {
+            const claudeBatchService = require('./services/claudeBatchService')
+            claudeBatchService.stop()
+            logger.info('📦 Claude batch billing poller stopped')
+          } catch (error) {
+            logger.error('❌ Error stopping Claude batch billing poller:', error)
+          }
+
+          // 停止定时用量报表调度
+          try {
+            const usageReportService = require('./services/usageReportService')
+            usageReportService.stop()
+            logger.info('📈 Usage report scheduler stopped')
+          } catch (error) {
+            logger.error('❌ Error stopping usage report scheduler:', error)
+          }
+
+          // 停止代理池健康检查
+          try {
+            const proxyPoolService = require('./services/proxyPoolService')
+            proxyPoolService.stop()
+            logger.info('🩺 Proxy pool health check stopped')
+          } catch (error) {
+            logger.error('❌ Error stopping proxy pool health check:', error)
+          }
+
+          // 关闭并发排队的释放通知订阅
+          try {
+            const concurrencyQueueService = require('./services/concurrencyQueueService')
+            concurrencyQueueService.stop()
+            logger.info('🚥 Concurrency queue subscriber stopped')
+          } catch (error) {
+            logger.error('❌ Error stopping concurrency queue subscriber:', error)
+          }
+
           // 停止 Droid Key 恢复任务
           try {
             const droidApiKeyRecoveryService = require('./services/droidApiKeyRecoveryService')
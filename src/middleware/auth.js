@@ -1,9 +1,18 @@
+const crypto = require('crypto')
 const { v4: uuidv4 } = require('uuid')
 const config = require('../../config/config')
 const apiKeyService = require('../services/apiKeyService')
 const userService = require('../services/userService')
 const logger = require('../utils/logger')
 const redis = require('../models/redis')
+const metricsService = require('../services/metricsService')
+const requestLogService = require('../services/requestLogService')
+const budgetAlertService = require('../services/budgetAlertService')
+const rateLimitRuleService = require('../services/rateLimitRuleService')
+const accountHealthService = require('../services/accountHealthService')
+const concurrencyQueueService = require('../services/concurrencyQueueService')
+const adminAccountService = require('../services/adminAccountService')
+const auditLogService = require('../services/auditLogService')
 // const { RateLimiterRedis } = require('rate-limiter-flexible') // 暂时未使用
 const ClientValidator = require('../validators/clientValidator')
 
@@ -126,6 +135,249 @@ function isTokenCountRequest(req) {
   return false
 }
 
+// 👤 占用用户级并发槽位（同一用户名下所有 API Key 共享），请求结束时自动释放
+// 返回的 release 可用于提前归还（如拆分请求额外占用名额失败时回滚）
+async function acquireUserConcurrencySlot(req, res, keyData, concurrencyLimit) {
+  const { leaseSeconds: configLeaseSeconds, renewIntervalSeconds } = resolveConcurrencyConfig()
+  const leaseSeconds = Math.max(Number(configLeaseSeconds) || 300, 30)
+  const concurrencyKey = `user:${keyData.userId}`
+  const requestId = uuidv4()
+
+  const currentConcurrency = await redis.incrConcurrency(concurrencyKey, requestId, leaseSeconds)
+  if (currentConcurrency > concurrencyLimit) {
+    await redis.decrConcurrency(concurrencyKey, requestId)
+    return { acquired: false, currentConcurrency: currentConcurrency - 1 }
+  }
+
+  let leaseRenewInterval = null
+  if (renewIntervalSeconds > 0) {
+    const renewIntervalMs = Math.max(Math.min(renewIntervalSeconds, leaseSeconds - 5) * 1000, 15000)
+    leaseRenewInterval = setInterval(() => {
+      redis.refreshConcurrencyLease(concurrencyKey, requestId, leaseSeconds).catch((error) => {
+        logger.error(`Failed to refresh user concurrency lease for ${keyData.userId}:`, error)
+      })
+    }, renewIntervalMs)
+    if (typeof leaseRenewInterval.unref === 'function') {
+      leaseRenewInterval.unref()
+    }
+  }
+
+  let released = false
+  const release = () => {
+    if (released) {
+      return
+    }
+    released = true
+    if (leaseRenewInterval) {
+      clearInterval(leaseRenewInterval)
+    }
+    redis.decrConcurrency(concurrencyKey, requestId).catch((error) => {
+      logger.error(`Failed to decrement user concurrency for ${keyData.userId}:`, error)
+    })
+  }
+
+  res.once('close', release)
+  res.once('finish', release)
+  res.once('error', release)
+  req.once('aborted', release)
+
+  return { acquired: true, currentConcurrency, release }
+}
+
+/**
+ * 为同一请求拆分出的额外上游调用（如 OpenAI n > 1）占用并发名额与请求次数
+ * API Key 名额与主请求走同一获取路径（开启排队时按 FIFO 排队），同时计入用户级并发；
+ * 额外占用的并发名额在响应结束时释放
+ * @param {Object} req - 已通过 authenticateApiKey 的请求
+ * @param {Object} res - 响应对象
+ * @param {number} count - 额外的上游调用数量
+ * @returns {Promise<Object>} { allowed: true } 或 { allowed: false, reason: 'concurrency' | 'rate_limit', message }
+ */
+async function reserveAdditionalRequests(req, res, count) {
+  if (!count || count <= 0) {
+    return { allowed: true }
+  }
+
+  const releases = []
+  const releaseAll = () => {
+    for (const release of releases.splice(0)) {
+      release()
+    }
+  }
+  const rejectConcurrency = (message) => {
+    releaseAll()
+    return { allowed: false, reason: 'concurrency', message }
+  }
+
+  const concurrencyLimit = req.apiKey?.concurrencyLimit || 0
+  if (req.concurrencyInfo && concurrencyLimit > 0) {
+    const { apiKeyId, requestId, leaseSeconds, queueOptions } = req.concurrencyInfo
+    const rejectExceeded = () => {
+      logger.security(
+        `🚦 Concurrency limit exceeded for key: ${apiKeyId}, ${count + 1} upstream requests need ${count + 1} slots (limit: ${concurrencyLimit})`
+      )
+      return rejectConcurrency(
+        `This request needs ${count + 1} concurrent slots, exceeding the concurrency limit (${concurrencyLimit})`
+      )
+    }
+    // 名额总数不足时排队也无法满足，直接拒绝
+    if (count + 1 > concurrencyLimit) {
+      return rejectExceeded()
+    }
+
+    for (let i = 1; i <= count; i++) {
+      const extraRequestId = `${requestId}:${i}`
+      let acquired
+      if (queueOptions) {
+        const queueResult = await concurrencyQueueService.acquire(apiKeyId, extraRequestId, {
+          limit: concurrencyLimit,
+          leaseSeconds,
+          res,
+          ...queueOptions
+        })
+        acquired = queueResult.status === 'acquired'
+      } else {
+        const currentConcurrency = await redis.incrConcurrency(
+          apiKeyId,
+          extraRequestId,
+          leaseSeconds
+        )
+        acquired = currentConcurrency <= concurrencyLimit
+        if (!acquired) {
+          await redis.decrConcurrency(apiKeyId, extraRequestId)
+        }
+      }
+
+      if (!acquired) {
+        return rejectExceeded()
+      }
+      releases.push(() => {
+        redis.decrConcurrency(apiKeyId, extraRequestId).catch((error) => {
+          logger.error(`Failed to decrement concurrency for key ${apiKeyId}:`, error)
+        })
+      })
+    }
+  }
+
+  if (req.userConcurrencyInfo) {
+    const { keyData, concurrencyLimit: userConcurrencyLimit } = req.userConcurrencyInfo
+    for (let i = 1; i <= count; i++) {
+      const slot = await acquireUserConcurrencySlot(req, res, keyData, userConcurrencyLimit)
+      if (!slot.acquired) {
+        logger.security(
+          `🚦 User concurrency limit exceeded for user: ${keyData.userId}, ${count + 1} upstream requests need ${count + 1} slots (limit: ${userConcurrencyLimit})`
+        )
+        return rejectConcurrency(
+          `This request needs ${count + 1} concurrent slots, exceeding the user concurrency limit (${userConcurrencyLimit})`
+        )
+      }
+      releases.push(slot.release)
+    }
+  }
+
+  if (releases.length > 0) {
+    // 排队期间客户端可能已断开，此时 close 事件不会再触发
+    if (res.destroyed || res.writableEnded) {
+      releaseAll()
+      return { allowed: false, reason: 'concurrency', message: 'Client disconnected' }
+    }
+    res.once('close', releaseAll)
+    res.once('finish', releaseAll)
+  }
+
+  const { rateLimitInfo } = req
+  if (rateLimitInfo?.rateLimitRequests > 0) {
+    const client = redis.getClientSafe()
+    const currentRequests = await client.incrby(rateLimitInfo.requestCountKey, count)
+    if (currentRequests > rateLimitInfo.rateLimitRequests) {
+      await client.decrby(rateLimitInfo.requestCountKey, count)
+      logger.security(
+        `🚦 Rate limit exceeded (requests) for key: ${req.apiKey.id}, ${count + 1} upstream requests exceed the limit (${rateLimitInfo.rateLimitRequests})`
+      )
+      return {
+        allowed: false,
+        reason: 'rate_limit',
+        message: `This request needs ${count + 1} requests, exceeding the remaining request limit`
+      }
+    }
+    rateLimitInfo.currentRequests = currentRequests
+  }
+
+  const ruleResult = await rateLimitRuleService.checkRequest(
+    req.apiKey.id,
+    req.apiKey.rateLimitRules,
+    req.body?.model || '',
+    count
+  )
+  if (!ruleResult.allowed) {
+    if (rateLimitInfo?.rateLimitRequests > 0) {
+      await redis.getClientSafe().decrby(rateLimitInfo.requestCountKey, count)
+      rateLimitInfo.currentRequests -= count
+    }
+    return {
+      allowed: false,
+      reason: 'rate_limit',
+      message: rateLimitRuleService.formatExceededMessage(ruleResult)
+    }
+  }
+
+  return { allowed: true }
+}
+
+// 👮 根据管理员会话构建 req.admin；具名管理员账户被删除或禁用时返回 null
+async function resolveAdminIdentity(adminSession, token) {
+  if (adminSession.adminId) {
+    const account = await adminAccountService.getAccount(adminSession.adminId)
+    if (!account || !account.isActive) {
+      return null
+    }
+    return {
+      id: account.id,
+      username: account.username,
+      role: account.role,
+      sessionId: token,
+      loginTime: adminSession.loginTime
+    }
+  }
+
+  // init.json 中的默认管理员视为 owner
+  return {
+    id: 'admin',
+    username: adminSession.username,
+    role: adminAccountService.legacyRole,
+    sessionId: token,
+    loginTime: adminSession.loginTime
+  }
+}
+
+// 🛡️ 按管理员角色校验当前路由所需权限，并记录变更操作的执行人
+function authorizeAdminRequest(req, res) {
+  const permission = adminAccountService.getRequiredPermission(req.method, req.originalUrl)
+  if (!adminAccountService.hasPermission(req.admin.role, permission)) {
+    logger.security(
+      `🚫 Admin ${req.admin.username} (role: ${req.admin.role}) denied ${req.method} ${req.originalUrl}, requires: ${permission}`
+    )
+    res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `Your admin role (${req.admin.role}) does not have the "${permission}" permission`
+    })
+    return false
+  }
+
+  // 普通只读路由（API Key、账户列表等）同样附带用量与费用，没有 usage:read 权限时移除
+  if (permission === 'read' && !adminAccountService.hasPermission(req.admin.role, 'usage:read')) {
+    const originalJson = res.json.bind(res)
+    res.json = (body) => originalJson(adminAccountService.stripUsageFields(body))
+  }
+
+  if (permission !== 'read' && permission !== 'usage:read' && permission !== 'credentials:read') {
+    logger.security(
+      `📝 Admin action by ${req.admin.username} (${req.admin.id}, role: ${req.admin.role}): ${req.method} ${req.originalUrl} from ${req.ip || 'unknown'}`
+    )
+  }
+  return true
+}
+
 // 🔑 API Key验证中间件（优化版）
 const authenticateApiKey = async (req, res, next) => {
   const startTime = Date.now()
@@ -170,6 +422,25 @@ const authenticateApiKey = async (req, res, next) => {
 
     const skipKeyRestrictions = isTokenCountRequest(req)
 
+    // 👤 用户级权限：API Key 的权限不能超出所属用户被允许的服务范围
+    const { userLimits } = validation.keyData
+    if (userLimits) {
+      const effectivePermissions = userService.resolveKeyPermissions(
+        validation.keyData.permissions,
+        userLimits.permissions
+      )
+      if (!effectivePermissions) {
+        logger.security(
+          `🚫 User permission denied for key: ${validation.keyData.id} (${validation.keyData.name}), key: ${validation.keyData.permissions}, user: ${userLimits.permissions}`
+        )
+        return res.status(403).json({
+          error: 'Permission denied',
+          message: `The owner of this API key is only allowed to access ${userLimits.permissions} services`
+        })
+      }
+      validation.keyData.permissions = effectivePermissions
+    }
+
     // 🔒 检查客户端限制（使用新的验证器）
     if (
       !skipKeyRestrictions &&
@@ -216,11 +487,49 @@ const authenticateApiKey = async (req, res, next) => {
       }
       const requestId = uuidv4()
 
-      const currentConcurrency = await redis.incrConcurrency(
-        validation.keyData.id,
-        requestId,
-        leaseSeconds
-      )
+      // 🚥 排队模式：并发已满时进入 FIFO 队列等待名额释放，而不是立即返回 429
+      const queueOptions = concurrencyQueueService.resolveOptions(validation.keyData)
+      let currentConcurrency
+      if (queueOptions) {
+        const queueResult = await concurrencyQueueService.acquire(
+          validation.keyData.id,
+          requestId,
+          {
+            limit: concurrencyLimit,
+            leaseSeconds,
+            res,
+            ...queueOptions
+          }
+        )
+
+        if (queueResult.status === 'aborted') {
+          logger.api(
+            `🔌 Client disconnected while queued for key: ${validation.keyData.id} (${validation.keyData.name})`
+          )
+          return
+        }
+        if (queueResult.status !== 'acquired') {
+          const isFull = queueResult.status === 'full'
+          logger.security(
+            `🚦 Concurrency queue ${isFull ? 'full' : 'wait timed out'} for key: ${validation.keyData.id} (${validation.keyData.name}), limit: ${concurrencyLimit}`
+          )
+          return res.status(429).json({
+            error: 'Concurrency limit exceeded',
+            message: isFull
+              ? `Too many concurrent requests and the wait queue is full. Limit: ${concurrencyLimit} concurrent requests, ${queueOptions.maxSize} queued`
+              : `Timed out after ${Math.round(queueResult.waitedMs / 1000)}s waiting for a concurrency slot. Limit: ${concurrencyLimit} concurrent requests`,
+            concurrencyLimit,
+            queueLength: isFull ? queueResult.count : undefined
+          })
+        }
+        currentConcurrency = queueResult.count
+      } else {
+        currentConcurrency = await redis.incrConcurrency(
+          validation.keyData.id,
+          requestId,
+          leaseSeconds
+        )
+      }
       logger.api(
         `📈 Incremented concurrency for key: ${validation.keyData.id} (${validation.keyData.name}), current: ${currentConcurrency}, limit: ${concurrencyLimit}`
       )
@@ -336,6 +645,8 @@ const authenticateApiKey = async (req, res, next) => {
         apiKeyId: validation.keyData.id,
         apiKeyName: validation.keyData.name,
         requestId,
+        leaseSeconds,
+        queueOptions,
         decrementConcurrency
       }
     }
@@ -570,6 +881,101 @@ const authenticateApiKey = async (req, res, next) => {
       }
     }
 
+    // 👤 检查用户级配额（同一用户名下所有 API Key 的费用与并发合并计算）
+    if (userLimits && !skipKeyRestrictions) {
+      const { dailyCostLimit: userDailyLimit, totalCostLimit: userTotalLimit } = userLimits
+      if (userDailyLimit > 0 || userTotalLimit > 0) {
+        const userCost = await userService.getUserCostSummary(validation.keyData.userId)
+
+        if (userDailyLimit > 0 && userCost.dailyCost >= userDailyLimit) {
+          logger.security(
+            `💰 User daily cost limit exceeded for user: ${validation.keyData.userId} (key: ${
+              validation.keyData.name
+            }), cost: $${userCost.dailyCost.toFixed(2)}/$${userDailyLimit}`
+          )
+          return res.status(429).json({
+            error: 'User daily cost limit exceeded',
+            message: `已达到用户每日费用限制 ($${userDailyLimit})`,
+            currentCost: userCost.dailyCost,
+            costLimit: userDailyLimit,
+            resetAt: new Date(new Date().setHours(24, 0, 0, 0)).toISOString()
+          })
+        }
+
+        if (userTotalLimit > 0 && userCost.totalCost >= userTotalLimit) {
+          logger.security(
+            `💰 User total cost limit exceeded for user: ${validation.keyData.userId} (key: ${
+              validation.keyData.name
+            }), cost: $${userCost.totalCost.toFixed(2)}/$${userTotalLimit}`
+          )
+          return res.status(429).json({
+            error: 'User total cost limit exceeded',
+            message: `已达到用户总费用限制 ($${userTotalLimit})`,
+            currentCost: userCost.totalCost,
+            costLimit: userTotalLimit
+          })
+        }
+      }
+    }
+
+    // 检查按指标/模型配置的限流规则（放在费用检查之后，避免被费用限制拒绝的请求计入规则计数）
+    const requestModel = req.body?.model || req.params?.modelName || ''
+    const ruleResult = await rateLimitRuleService.checkRequest(
+      validation.keyData.id,
+      validation.keyData.rateLimitRules,
+      requestModel
+    )
+    if (!ruleResult.allowed) {
+      const { rule } = ruleResult
+      logger.security(
+        `🚦 Rate limit rule exceeded (${rule.metric}/${rule.windowMinutes}m${
+          rule.model ? `/${rule.model}` : ''
+        }) for key: ${validation.keyData.id} (${validation.keyData.name}), current: ${
+          ruleResult.current
+        }/${rule.limit}`
+      )
+
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: rateLimitRuleService.formatExceededMessage(ruleResult),
+        rule,
+        current: ruleResult.current,
+        resetAt: ruleResult.resetAt,
+        remainingSeconds: ruleResult.remainingSeconds
+      })
+    }
+
+    if (userLimits && !skipKeyRestrictions) {
+      if (userLimits.concurrencyLimit > 0) {
+        const slot = await acquireUserConcurrencySlot(
+          req,
+          res,
+          validation.keyData,
+          userLimits.concurrencyLimit
+        )
+        if (!slot.acquired) {
+          logger.security(
+            `🚦 User concurrency limit exceeded for user: ${validation.keyData.userId} (key: ${validation.keyData.name}), current: ${slot.currentConcurrency}, limit: ${userLimits.concurrencyLimit}`
+          )
+          return res.status(429).json({
+            error: 'User concurrency limit exceeded',
+            message: `Too many concurrent requests for this user. Limit: ${userLimits.concurrencyLimit} concurrent requests`,
+            currentConcurrency: slot.currentConcurrency,
+            concurrencyLimit: userLimits.concurrencyLimit
+          })
+        }
+        req.userConcurrencyInfo = {
+          keyData: validation.keyData,
+          concurrencyLimit: userLimits.concurrencyLimit
+        }
+      }
+    }
+
+    // 📊 预算告警：费用达到限制的配置百分比时发送通知（异步执行，不阻塞请求）
+    budgetAlertService.checkApiKey(validation.keyData, req.body?.model).catch((error) => {
+      logger.error('❌ Budget alert check failed:', error)
+    })
+
     // 将验证信息添加到请求对象（只包含必要信息）
     req.apiKey = {
       id: validation.keyData.id,
@@ -586,6 +992,7 @@ const authenticateApiKey = async (req, res, next) => {
       rateLimitWindow: validation.keyData.rateLimitWindow,
       rateLimitRequests: validation.keyData.rateLimitRequests,
       rateLimitCost: validation.keyData.rateLimitCost, // 新增：费用限制
+      rateLimitRules: validation.keyData.rateLimitRules,
       enableModelRestriction: validation.keyData.enableModelRestriction,
       restrictedModels: validation.keyData.restrictedModels,
       enableClientRestriction: validation.keyData.enableClientRestriction,
@@ -594,6 +1001,12 @@ const authenticateApiKey = async (req, res, next) => {
       dailyCost: validation.keyData.dailyCost,
       totalCostLimit: validation.keyData.totalCostLimit,
       totalCost: validation.keyData.totalCost,
+      weeklyOpusCostLimit: validation.keyData.weeklyOpusCostLimit, // 批处理按请求中的模型检查
+      weeklyOpusCost: validation.keyData.weeklyOpusCost,
+      tags: validation.keyData.tags,
+      responseCacheEnabled: validation.keyData.responseCacheEnabled,
+      responseCacheScope: validation.keyData.responseCacheScope,
+      responseCacheTag: validation.keyData.responseCacheTag,
       usage: validation.keyData.usage
     }
     req.usage = validation.keyData.usage
@@ -623,6 +1036,21 @@ const authenticateApiKey = async (req, res, next) => {
   }
 }
 
+// 🧾 管理操作审计（由管理员/用户认证中间件在认证通过后调用，在路由处理前读取变更目标的快照）
+const auditLogger = async (req, res, next) => {
+  if (req.auditCaptured || !(req.admin || req.user) || !auditLogService.shouldAudit(req)) {
+    return next()
+  }
+  req.auditCaptured = true
+
+  try {
+    await auditLogService.capture(req, res)
+  } catch (error) {
+    logger.error('❌ Failed to prepare audit log:', error)
+  }
+  return next()
+}
+
 // 🛡️ 管理员验证中间件（优化版）
 const authenticateAdmin = async (req, res, next) => {
   const startTime = Date.now()
@@ -699,17 +1127,26 @@ const authenticateAdmin = async (req, res, next) => {
       })
 
     // 设置管理员信息（只包含必要信息）
-    req.admin = {
-      id: adminSession.adminId || 'admin',
-      username: adminSession.username,
-      sessionId: token,
-      loginTime: adminSession.loginTime
+    const adminIdentity = await resolveAdminIdentity(adminSession, token)
+    if (!adminIdentity) {
+      logger.security(`🔒 Disabled admin account session: ${adminSession.username}`)
+      await redis.deleteSession(token)
+      return res.status(401).json({
+        error: 'Invalid admin token',
+        message: 'Admin account has been disabled or removed'
+      })
     }
+    req.admin = adminIdentity
 
     const authDuration = Date.now() - startTime
-    logger.security(`🔐 Admin authenticated: ${adminSession.username} in ${authDuration}ms`)
+    logger.security(
+      `🔐 Admin authenticated: ${adminSession.username} (${req.admin.role}) in ${authDuration}ms`
+    )
 
-    return next()
+    if (!authorizeAdminRequest(req, res)) {
+      return undefined
+    }
+    return auditLogger(req, res, next)
   } catch (error) {
     const authDuration = Date.now() - startTime
     logger.error(`❌ Admin authentication error (${authDuration}ms):`, {
@@ -794,7 +1231,7 @@ const authenticateUser = async (req, res, next) => {
     const authDuration = Date.now() - startTime
     logger.info(`👤 User authenticated: ${user.username} (${user.id}) in ${authDuration}ms`)
 
-    return next()
+    return auditLogger(req, res, next)
   } catch (error) {
     const authDuration = Date.now() - startTime
     logger.error(`❌ User authentication error (${authDuration}ms):`, {
@@ -832,18 +1269,17 @@ const authenticateUserOrAdmin = async (req, res, next) => {
     if (adminToken) {
       try {
         const adminSession = await redis.getSession(adminToken)
-        if (adminSession && Object.keys(adminSession).length > 0) {
-          req.admin = {
-            id: adminSession.adminId || 'admin',
-            username: adminSession.username,
-            sessionId: adminToken,
-            loginTime: adminSession.loginTime
-          }
+        const adminIdentity =
+          adminSession && Object.keys(adminSession).length > 0
+            ? await resolveAdminIdentity(adminSession, adminToken)
+            : null
+        if (adminIdentity) {
+          req.admin = adminIdentity
           req.userType = 'admin'
 
           const authDuration = Date.now() - startTime
           logger.security(`🔐 Admin authenticated: ${adminSession.username} in ${authDuration}ms`)
-          return next()
+          return auditLogger(req, res, next)
         }
       } catch (error) {
         logger.debug('Admin authentication failed, trying user authentication:', error.message)
@@ -873,7 +1309,7 @@ const authenticateUserOrAdmin = async (req, res, next) => {
 
             const authDuration = Date.now() - startTime
             logger.info(`👤 User authenticated: ${user.username} (${user.id}) in ${authDuration}ms`)
-            return next()
+            return auditLogger(req, res, next)
           }
         }
       } catch (error) {
@@ -905,9 +1341,9 @@ const authenticateUserOrAdmin = async (req, res, next) => {
 
 // 🛡️ 权限检查中间件
 const requireRole = (allowedRoles) => (req, res, next) => {
-  // 管理员始终有权限
+  // 管理员按其角色对应的路由权限校验
   if (req.admin) {
-    return next()
+    return authorizeAdminRequest(req, res) ? next() : undefined
   }
 
   // 检查用户角色
@@ -937,7 +1373,7 @@ const requireRole = (allowedRoles) => (req, res, next) => {
 // 🔒 管理员权限检查中间件
 const requireAdmin = (req, res, next) => {
   if (req.admin) {
-    return next()
+    return authorizeAdminRequest(req, res) ? next() : undefined
   }
 
   // 检查是否是admin角色的用户
@@ -954,6 +1390,34 @@ const requireAdmin = (req, res, next) => {
   })
 }
 
+// 📈 Prometheus 指标抓取认证（未配置 METRICS_TOKEN 时不校验）
+const authenticateMetrics = (req, res, next) => {
+  const expectedToken = config.metrics?.token
+  if (!expectedToken) {
+    return next()
+  }
+
+  const authHeader = req.headers['authorization'] || ''
+  const providedToken = authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7).trim()
+    : req.query.token
+
+  // 比较两侧的 SHA-256 摘要：长度固定，多字节字符也不会让 timingSafeEqual 抛出异常
+  const digest = (value) => crypto.createHash('sha256').update(value).digest()
+  if (
+    typeof providedToken === 'string' &&
+    crypto.timingSafeEqual(digest(providedToken), digest(expectedToken))
+  ) {
+    return next()
+  }
+
+  logger.security(`🔒 Unauthorized metrics scrape from ${req.ip || 'unknown'}`)
+  return res.status(401).json({
+    error: 'Unauthorized',
+    message: 'Valid metrics token required'
+  })
+}
+
 // 注意：使用统计现在直接在/api/v1/messages路由中处理，
 // 以便从Claude API响应中提取真实的usage数据
 
@@ -1072,6 +1536,17 @@ const requestLogger = (req, res, next) => {
         `🐌 [${requestId}] Slow request detected: ${duration}ms for ${req.method} ${req.originalUrl}`
       )
     }
+
+    // 📈 Prometheus 指标（跳过抓取请求本身）
+    if (!req.originalUrl.startsWith('/metrics')) {
+      metricsService.recordHttpRequest(req, res.statusCode, duration)
+    }
+
+    // 🧾 请求审计日志（仅记录经过 API Key 认证的请求）
+    requestLogService.finalize(req, res.statusCode, duration)
+
+    // 🩺 账户健康度统计（首字节延迟、总耗时、错误率）
+    accountHealthService.recordRequest(req.requestLogContext, res.statusCode, duration)
   })
 
   res.on('error', (error) => {
@@ -1079,7 +1554,7 @@ const requestLogger = (req, res, next) => {
     logger.error(`💥 [${requestId}] Response error after ${duration}ms:`, error)
   })
 
-  next()
+  return requestLogService.runWithContext(req, res, next)
 }
 
 // 🛡️ 安全中间件（增强版）
@@ -1315,11 +1790,13 @@ const requestSizeLimit = (req, res, next) => {
 
 module.exports = {
   authenticateApiKey,
+  reserveAdditionalRequests,
   authenticateAdmin,
   authenticateUser,
   authenticateUserOrAdmin,
   requireRole,
   requireAdmin,
+  authenticateMetrics,
   corsMiddleware,
   requestLogger,
   securityMiddleware,
@@ -0,0 +1,71 @@
+const logger = require('../utils/logger')
+const apiKeyService = require('../services/apiKeyService')
+const requestLogService = require('../services/requestLogService')
+const responseCacheService = require('../services/responseCacheService')
+
+// 检查 API Key 是否拥有缓存条目生成时所需的服务权限
+function hasPermission(apiKey, permission) {
+  const permissions = apiKey?.permissions || 'all'
+  return !permission || permissions === 'all' || permissions === permission
+}
+
+/**
+ * 响应缓存中间件（需放在 authenticateApiKey 和权限/模型限制检查之后）
+ * 命中时直接返回缓存响应并记录零费用用量；未命中时在处理器返回 2xx JSON 后写入缓存
+ * - 前置中间件可设置 req.skipResponseCache 跳过缓存（无法提前判断权限时交给处理器拒绝）
+ * - 处理器可设置 req.responseCachePermission，命中时要求当前 Key 也拥有该权限
+ * @param {string} endpoint - 端点标识，不同响应格式的端点互不共享缓存
+ */
+const responseCache = (endpoint) => async (req, res, next) => {
+  const scope = responseCacheService.resolveScope(req.apiKey)
+  if (!scope || req.skipResponseCache || !responseCacheService.isDeterministicRequest(req.body)) {
+    return next()
+  }
+
+  const model = req.body.model || req.params.modelName || 'unknown'
+  const cacheKey = responseCacheService.buildCacheKey(
+    scope,
+    endpoint,
+    model,
+    req.body,
+    req.headers['anthropic-beta']
+  )
+
+  try {
+    let cached = await responseCacheService.get(cacheKey)
+    if (cached && !hasPermission(req.apiKey, cached.permission)) {
+      logger.security(
+        `🚫 Response cache entry requires ${cached.permission} permission, key ${req.apiKey.id} skipped cache`
+      )
+      cached = null
+    }
+    await responseCacheService.recordLookup(!!cached)
+
+    if (cached) {
+      logger.info(`🗄️ Response cache hit for key ${req.apiKey.id} (${endpoint}, ${model})`)
+      requestLogService.markCached()
+      await apiKeyService.recordUsage(req.apiKey.id, 0, 0, 0, 0, cached.model || model, null)
+      res.setHeader('X-Response-Cache', 'HIT')
+      return res.status(200).json(cached.body)
+    }
+  } catch (error) {
+    logger.warn('⚠️ Response cache lookup failed, continuing without cache:', error.message)
+    return next()
+  }
+
+  res.setHeader('X-Response-Cache', 'MISS')
+  const originalJson = res.json.bind(res)
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300 && body && typeof body === 'object') {
+      const permission = req.responseCachePermission || null
+      responseCacheService.set(cacheKey, body, model, permission).catch((error) => {
+        logger.warn('⚠️ Failed to store response cache entry:', error.message)
+      })
+    }
+    return originalJson(body)
+  }
+
+  return next()
+}
+
+module.exports = { responseCache }
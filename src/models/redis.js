@@ -2,6 +2,9 @@ const Redis = require('ioredis')
 const config = require('../../config/config')
 const logger = require('../utils/logger')
 
+// 并发名额释放通知频道（API Key 有请求排队时，decrConcurrency 会发布该 Key 的 ID）
+const CONCURRENCY_RELEASED_CHANNEL = 'concurrency_released'
+
 // 时区辅助函数
 // 注意：这个函数的目的是获取某个时间点在目标时区的"本地"表示
 // 例如：UTC时间 2025-07-30 01:00:00 在 UTC+8 时区表示为 2025-07-30 09:00:00
@@ -54,6 +57,7 @@ class RedisClient {
   constructor() {
     this.client = null
     this.isConnected = false
+    this.userApiKeyIndexReady = false
   }
 
   async connect() {
@@ -129,6 +133,11 @@ class RedisClient {
 
     await client.hset(key, keyData)
     await client.expire(key, 86400 * 365) // 1年过期
+
+    // 维护用户 -> API Key 索引（所有者变更后旧用户的索引在读取时清理）
+    if (keyData.userId) {
+      await client.sadd(`user_api_keys:${keyData.userId}`, keyId)
+    }
   }
 
   async getApiKey(keyId) {
@@ -145,10 +154,65 @@ class RedisClient {
       // keyData.apiKey现在存储的是哈希值，直接从映射表删除
       await this.client.hdel('apikey:hash_map', keyData.apiKey)
     }
+    if (keyData && keyData.userId) {
+      await this.client.srem(`user_api_keys:${keyData.userId}`, keyId)
+    }
 
     return await this.client.del(key)
   }
 
+  // 👤 获取用户的所有 API Key（含已删除），通过用户 -> API Key 索引避免扫描全部 API Key
+  async getApiKeysByUser(userId) {
+    const client = this.getClientSafe()
+    await this._ensureUserApiKeyIndex()
+
+    const indexKey = `user_api_keys:${userId}`
+    const keyIds = await client.smembers(indexKey)
+    if (keyIds.length === 0) {
+      return []
+    }
+
+    const pipeline = client.pipeline()
+    keyIds.forEach((keyId) => pipeline.hgetall(`apikey:${keyId}`))
+    const results = await pipeline.exec()
+
+    const apiKeys = []
+    const staleIds = []
+    results.forEach(([error, keyData], index) => {
+      if (!error && keyData && keyData.userId === userId) {
+        apiKeys.push({ id: keyIds[index], ...keyData })
+      } else if (!error) {
+        staleIds.push(keyIds[index])
+      }
+    })
+
+    // 清理已过期或已转给其他用户的 API Key
+    if (staleIds.length > 0) {
+      await client.srem(indexKey, ...staleIds)
+    }
+    return apiKeys
+  }
+
+  // 首次使用时为已有的 API Key 建立用户索引（之后由 setApiKey 维护）
+  async _ensureUserApiKeyIndex() {
+    if (this.userApiKeyIndexReady) {
+      return
+    }
+
+    const client = this.getClientSafe()
+    if (!(await client.exists('user_api_keys:indexed'))) {
+      const apiKeys = await this.getAllApiKeys()
+      for (const apiKey of apiKeys) {
+        if (apiKey.userId) {
+          await client.sadd(`user_api_keys:${apiKey.userId}`, apiKey.id)
+        }
+      }
+      await client.set('user_api_keys:indexed', new Date().toISOString())
+      logger.info(`👤 Built user API key index for ${apiKeys.length} API keys`)
+    }
+    this.userApiKeyIndexReady = true
+  }
+
   async getAllApiKeys() {
     const keys = await this.client.keys('apikey:*')
     const apiKeys = []
@@ -1733,6 +1797,11 @@ class RedisClient {
 
         redis.call('ZREMRANGEBYSCORE', key, '-inf', now)
 
+        -- 有请求在排队时通知所有实例有名额释放
+        if redis.call('EXISTS', KEYS[2]) == 1 then
+          redis.call('PUBLISH', ARGV[3], ARGV[4])
+        end
+
         local count = redis.call('ZCARD', key)
         if count <= 0 then
           redis.call('DEL', key)
@@ -1742,7 +1811,16 @@ class RedisClient {
         return count
       `
 
-      const count = await this.client.eval(luaScript, 1, key, requestId || '', now)
+      const count = await this.client.eval(
+        luaScript,
+        2,
+        key,
+        `concurrency_queue:${apiKeyId}`,
+        requestId || '',
+        now,
+        CONCURRENCY_RELEASED_CHANNEL,
+        apiKeyId
+      )
       logger.database(
         `🔢 Decremented concurrency for key ${apiKeyId}: ${count} (request ${requestId || 'n/a'})`
       )
@@ -1775,6 +1853,137 @@ class RedisClient {
     }
   }
 
+  // 🚥 API Key 并发排队（有序集合，score 为入队时间，按 FIFO 顺序获取并发名额）
+  // 有空闲名额且无人排队时直接占用名额，否则入队
+  // 返回 { status: 'acquired' | 'queued' | 'full', count }（count 为当前并发数或排队长度）
+  async acquireConcurrencyOrEnqueue(apiKeyId, requestId, limit, maxQueueSize, options = {}) {
+    const { leaseSeconds: defaultLeaseSeconds, cleanupGraceSeconds } = this._getConcurrencyConfig()
+    const lease = options.leaseSeconds || defaultLeaseSeconds
+    const now = Date.now()
+    const ttl = Math.max((lease + cleanupGraceSeconds) * 1000, 60000)
+
+    const luaScript = `
+      local concurrencyKey = KEYS[1]
+      local queueKey = KEYS[2]
+      local member = ARGV[1]
+      local limit = tonumber(ARGV[2])
+      local maxQueueSize = tonumber(ARGV[3])
+      local now = tonumber(ARGV[4])
+      local expireAt = tonumber(ARGV[5])
+      local ttl = tonumber(ARGV[6])
+      local staleBefore = tonumber(ARGV[7])
+      local queueTtl = tonumber(ARGV[8])
+
+      redis.call('ZREMRANGEBYSCORE', concurrencyKey, '-inf', now)
+      redis.call('ZREMRANGEBYSCORE', queueKey, '-inf', staleBefore)
+
+      local active = redis.call('ZCARD', concurrencyKey)
+      local waiting = redis.call('ZCARD', queueKey)
+
+      if waiting == 0 and active < limit then
+        redis.call('ZADD', concurrencyKey, expireAt, member)
+        redis.call('PEXPIRE', concurrencyKey, ttl)
+        return {1, active + 1}
+      end
+
+      if waiting >= maxQueueSize then
+        return {-1, waiting}
+      end
+
+      redis.call('ZADD', queueKey, now, member)
+      redis.call('PEXPIRE', queueKey, queueTtl)
+      return {0, waiting + 1}
+    `
+
+    const [status, count] = await this.client.eval(
+      luaScript,
+      2,
+      `concurrency:${apiKeyId}`,
+      `concurrency_queue:${apiKeyId}`,
+      requestId,
+      limit,
+      maxQueueSize,
+      now,
+      now + lease * 1000,
+      ttl,
+      options.staleBefore || 0,
+      options.queueTtlMs || 600000
+    )
+    return { status: status === 1 ? 'acquired' : status === 0 ? 'queued' : 'full', count }
+  }
+
+  // 排队中的请求尝试获取并发名额：只有排在前面的请求数小于空闲名额时才能获取，保证 FIFO
+  // 返回 { status: 'acquired' | 'waiting' | 'missing', count }（missing 表示已不在队列中）
+  async tryAcquireQueuedConcurrency(apiKeyId, requestId, limit, options = {}) {
+    const { leaseSeconds: defaultLeaseSeconds, cleanupGraceSeconds } = this._getConcurrencyConfig()
+    const lease = options.leaseSeconds || defaultLeaseSeconds
+    const now = Date.now()
+    const ttl = Math.max((lease + cleanupGraceSeconds) * 1000, 60000)
+
+    const luaScript = `
+      local concurrencyKey = KEYS[1]
+      local queueKey = KEYS[2]
+      local member = ARGV[1]
+      local limit = tonumber(ARGV[2])
+      local now = tonumber(ARGV[3])
+      local expireAt = tonumber(ARGV[4])
+      local ttl = tonumber(ARGV[5])
+      local staleBefore = tonumber(ARGV[6])
+
+      redis.call('ZREMRANGEBYSCORE', concurrencyKey, '-inf', now)
+      redis.call('ZREMRANGEBYSCORE', queueKey, '-inf', staleBefore)
+
+      local rank = redis.call('ZRANK', queueKey, member)
+      if not rank then
+        return {-1, 0}
+      end
+
+      local active = redis.call('ZCARD', concurrencyKey)
+      if active + rank < limit then
+        redis.call('ZREM', queueKey, member)
+        redis.call('ZADD', concurrencyKey, expireAt, member)
+        redis.call('PEXPIRE', concurrencyKey, ttl)
+        return {1, active + 1}
+      end
+
+      return {0, rank + 1}
+    `
+
+    const [status, count] = await this.client.eval(
+      luaScript,
+      2,
+      `concurrency:${apiKeyId}`,
+      `concurrency_queue:${apiKeyId}`,
+      requestId,
+      limit,
+      now,
+      now + lease * 1000,
+      ttl,
+      options.staleBefore || 0
+    )
+    return { status: status === 1 ? 'acquired' : status === 0 ? 'waiting' : 'missing', count }
+  }
+
+  // 移出并发队列（超时或客户端断开）
+  async removeConcurrencyWaiter(apiKeyId, requestId) {
+    try {
+      return await this.client.zrem(`concurrency_queue:${apiKeyId}`, requestId)
+    } catch (error) {
+      logger.error('❌ Failed to remove concurrency queue waiter:', error)
+      return 0
+    }
+  }
+
+  // 获取并发队列长度
+  async getConcurrencyQueueLength(apiKeyId) {
+    try {
+      return await this.client.zcard(`concurrency_queue:${apiKeyId}`)
+    } catch (error) {
+      logger.error('❌ Failed to get concurrency queue length:', error)
+      return 0
+    }
+  }
+
   // 🏢 Claude Console 账户并发控制（复用现有并发机制）
   // 增加 Console 账户并发计数
   async incrConsoleAccountConcurrency(accountId, requestId, leaseSeconds = null) {
@@ -2021,6 +2230,8 @@ redisClient.releaseAccountLock = async function (lockKey, lockValue) {
   }
 }
 
+redisClient.CONCURRENCY_RELEASED_CHANNEL = CONCURRENCY_RELEASED_CHANNEL
+
 // 导出时区辅助函数
 redisClient.getDateInTimezone = getDateInTimezone
 redisClient.getDateStringInTimezone = getDateStringInTimezone
@@ -3,13 +3,24 @@ const apiKeyService = require('../services/apiKeyService')
 const claudeAccountService = require('../services/claudeAccountService')
 const claudeConsoleAccountService = require('../services/claudeConsoleAccountService')
 const bedrockAccountService = require('../services/bedrockAccountService')
+const vertexAccountService = require('../services/vertexAccountService')
 const ccrAccountService = require('../services/ccrAccountService')
 const geminiAccountService = require('../services/geminiAccountService')
+const geminiApiAccountService = require('../services/geminiApiAccountService')
 const droidAccountService = require('../services/droidAccountService')
 const openaiAccountService = require('../services/openaiAccountService')
 const openaiResponsesAccountService = require('../services/openaiResponsesAccountService')
+const openaiCompatibleAccountService = require('../services/openaiCompatibleAccountService')
 const azureOpenaiAccountService = require('../services/azureOpenaiAccountService')
 const accountGroupService = require('../services/accountGroupService')
+const proxyPoolService = require('../services/proxyPoolService')
+const accountHealthService = require('../services/accountHealthService')
+const circuitBreakerService = require('../services/circuitBreakerService')
+const requestLogService = require('../services/requestLogService')
+const auditLogService = require('../services/auditLogService')
+const budgetAlertService = require('../services/budgetAlertService')
+const rateLimitRuleService = require('../services/rateLimitRuleService')
+const responseCacheService = require('../services/responseCacheService')
 const redis = require('../models/redis')
 const { authenticateAdmin } = require('../middleware/auth')
 const logger = require('../utils/logger')
@@ -589,6 +600,36 @@ router.get('/api-keys/tags', authenticateAdmin, async (req, res) => {
   }
 })
 
+// 校验响应缓存范围配置，返回错误信息或 null
+function validateResponseCacheOptions(scope, tag) {
+  if (scope !== undefined && scope !== null && !['private', 'tag'].includes(scope)) {
+    return 'Invalid responseCacheScope value. Must be private or tag'
+  }
+  if (scope === 'tag' && (typeof tag !== 'string' || tag.trim().length === 0)) {
+    return 'responseCacheTag is required when responseCacheScope is tag'
+  }
+  return null
+}
+
+// 校验并发排队配置，返回错误信息或 null
+function validateConcurrencyQueueOptions(enabled, maxSize, timeoutSeconds) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'Concurrency queue enabled must be a boolean'
+  }
+  const isNonNegativeInteger = (value) =>
+    value === undefined ||
+    value === null ||
+    value === '' ||
+    (Number.isInteger(Number(value)) && Number(value) >= 0)
+  if (!isNonNegativeInteger(maxSize)) {
+    return 'Concurrency queue max size must be a non-negative integer'
+  }
+  if (!isNonNegativeInteger(timeoutSeconds)) {
+    return 'Concurrency queue timeout must be a non-negative integer (seconds)'
+  }
+  return null
+}
+
 // 创建新的API Key
 router.post('/api-keys', authenticateAdmin, async (req, res) => {
   try {
@@ -604,10 +645,15 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       bedrockAccountId,
       droidAccountId,
       permissions,
+      claudeBackend,
       concurrencyLimit,
+      concurrencyQueueEnabled,
+      concurrencyQueueMaxSize,
+      concurrencyQueueTimeoutSeconds,
       rateLimitWindow,
       rateLimitRequests,
       rateLimitCost,
+      rateLimitRules,
       enableModelRestriction,
       restrictedModels,
       enableClientRestriction,
@@ -615,6 +661,9 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       dailyCostLimit,
       totalCostLimit,
       weeklyOpusCostLimit,
+      responseCacheEnabled,
+      responseCacheScope,
+      responseCacheTag,
       tags,
       activationDays, // 新增：激活后有效天数
       activationUnit, // 新增：激活时间单位 (hours/days)
@@ -752,6 +801,32 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       })
     }
 
+    if (claudeBackend && !['claude', 'openai', 'gemini'].includes(claudeBackend)) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid claudeBackend value. Must be claude, openai or gemini' })
+    }
+
+    const responseCacheError = validateResponseCacheOptions(responseCacheScope, responseCacheTag)
+    if (responseCacheError) {
+      return res.status(400).json({ error: responseCacheError })
+    }
+
+    const concurrencyQueueError = validateConcurrencyQueueOptions(
+      concurrencyQueueEnabled,
+      concurrencyQueueMaxSize,
+      concurrencyQueueTimeoutSeconds
+    )
+    if (concurrencyQueueError) {
+      return res.status(400).json({ error: concurrencyQueueError })
+    }
+
+    const rateLimitRulesError =
+      rateLimitRules !== undefined ? rateLimitRuleService.validateRules(rateLimitRules) : null
+    if (rateLimitRulesError) {
+      return res.status(400).json({ error: rateLimitRulesError })
+    }
+
     const newKey = await apiKeyService.generateApiKey({
       name,
       description,
@@ -764,10 +839,15 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       bedrockAccountId,
       droidAccountId,
       permissions,
+      claudeBackend,
       concurrencyLimit,
+      concurrencyQueueEnabled,
+      concurrencyQueueMaxSize,
+      concurrencyQueueTimeoutSeconds,
       rateLimitWindow,
       rateLimitRequests,
       rateLimitCost,
+      rateLimitRules,
       enableModelRestriction,
       restrictedModels,
       enableClientRestriction,
@@ -775,6 +855,9 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       dailyCostLimit,
       totalCostLimit,
       weeklyOpusCostLimit,
+      responseCacheEnabled,
+      responseCacheScope,
+      responseCacheTag,
       tags,
       activationDays,
       activationUnit,
@@ -806,10 +889,15 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
       bedrockAccountId,
       droidAccountId,
       permissions,
+      claudeBackend,
       concurrencyLimit,
+      concurrencyQueueEnabled,
+      concurrencyQueueMaxSize,
+      concurrencyQueueTimeoutSeconds,
       rateLimitWindow,
       rateLimitRequests,
       rateLimitCost,
+      rateLimitRules,
       enableModelRestriction,
       restrictedModels,
       enableClientRestriction,
@@ -817,6 +905,9 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
       dailyCostLimit,
       totalCostLimit,
       weeklyOpusCostLimit,
+      responseCacheEnabled,
+      responseCacheScope,
+      responseCacheTag,
       tags,
       activationDays,
       activationUnit,
@@ -850,6 +941,32 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
       })
     }
 
+    if (claudeBackend && !['claude', 'openai', 'gemini'].includes(claudeBackend)) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid claudeBackend value. Must be claude, openai or gemini' })
+    }
+
+    const responseCacheError = validateResponseCacheOptions(responseCacheScope, responseCacheTag)
+    if (responseCacheError) {
+      return res.status(400).json({ error: responseCacheError })
+    }
+
+    const concurrencyQueueError = validateConcurrencyQueueOptions(
+      concurrencyQueueEnabled,
+      concurrencyQueueMaxSize,
+      concurrencyQueueTimeoutSeconds
+    )
+    if (concurrencyQueueError) {
+      return res.status(400).json({ error: concurrencyQueueError })
+    }
+
+    const rateLimitRulesError =
+      rateLimitRules !== undefined ? rateLimitRuleService.validateRules(rateLimitRules) : null
+    if (rateLimitRulesError) {
+      return res.status(400).json({ error: rateLimitRulesError })
+    }
+
     // 生成批量API Keys
     const createdKeys = []
     const errors = []
@@ -869,10 +986,15 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
           bedrockAccountId,
           droidAccountId,
           permissions,
+          claudeBackend,
           concurrencyLimit,
+          concurrencyQueueEnabled,
+          concurrencyQueueMaxSize,
+          concurrencyQueueTimeoutSeconds,
           rateLimitWindow,
           rateLimitRequests,
           rateLimitCost,
+          rateLimitRules,
           enableModelRestriction,
           restrictedModels,
           enableClientRestriction,
@@ -880,6 +1002,9 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
           dailyCostLimit,
           totalCostLimit,
           weeklyOpusCostLimit,
+          responseCacheEnabled,
+          responseCacheScope,
+          responseCacheTag,
           tags,
           activationDays,
           activationUnit,
@@ -959,6 +1084,13 @@ router.put('/api-keys/batch', authenticateAdmin, async (req, res) => {
       })
     }
 
+    if (updates.rateLimitRules !== undefined) {
+      const rateLimitRulesError = rateLimitRuleService.validateRules(updates.rateLimitRules)
+      if (rateLimitRulesError) {
+        return res.status(400).json({ error: rateLimitRulesError })
+      }
+    }
+
     logger.info(
       `🔄 Admin batch editing ${keyIds.length} API keys with updates: ${JSON.stringify(updates)}`
     )
@@ -994,9 +1126,15 @@ router.put('/api-keys/batch', authenticateAdmin, async (req, res) => {
         if (updates.rateLimitCost !== undefined) {
           finalUpdates.rateLimitCost = updates.rateLimitCost
         }
+        if (updates.rateLimitRules !== undefined) {
+          finalUpdates.rateLimitRules = updates.rateLimitRules || []
+        }
         if (updates.concurrencyLimit !== undefined) {
           finalUpdates.concurrencyLimit = updates.concurrencyLimit
         }
+        if (updates.concurrencyQueueEnabled !== undefined) {
+          finalUpdates.concurrencyQueueEnabled = updates.concurrencyQueueEnabled
+        }
         if (updates.rateLimitWindow !== undefined) {
           finalUpdates.rateLimitWindow = updates.rateLimitWindow
         }
@@ -1124,9 +1262,13 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       name, // 添加名称字段
       tokenLimit,
       concurrencyLimit,
+      concurrencyQueueEnabled,
+      concurrencyQueueMaxSize,
+      concurrencyQueueTimeoutSeconds,
       rateLimitWindow,
       rateLimitRequests,
       rateLimitCost,
+      rateLimitRules,
       isActive,
       claudeAccountId,
       claudeConsoleAccountId,
@@ -1135,6 +1277,7 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       bedrockAccountId,
       droidAccountId,
       permissions,
+      claudeBackend,
       enableModelRestriction,
       restrictedModels,
       enableClientRestriction,
@@ -1143,6 +1286,10 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       dailyCostLimit,
       totalCostLimit,
       weeklyOpusCostLimit,
+      budgetAlertThresholds,
+      responseCacheEnabled,
+      responseCacheScope,
+      responseCacheTag,
       tags,
       ownerId // 新增：所有者ID字段
     } = req.body
@@ -1176,6 +1323,25 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       updates.concurrencyLimit = Number(concurrencyLimit)
     }
 
+    // 处理并发排队配置
+    const concurrencyQueueError = validateConcurrencyQueueOptions(
+      concurrencyQueueEnabled,
+      concurrencyQueueMaxSize,
+      concurrencyQueueTimeoutSeconds
+    )
+    if (concurrencyQueueError) {
+      return res.status(400).json({ error: concurrencyQueueError })
+    }
+    if (concurrencyQueueEnabled !== undefined) {
+      updates.concurrencyQueueEnabled = concurrencyQueueEnabled
+    }
+    if (concurrencyQueueMaxSize !== undefined && concurrencyQueueMaxSize !== null) {
+      updates.concurrencyQueueMaxSize = Number(concurrencyQueueMaxSize) || 0
+    }
+    if (concurrencyQueueTimeoutSeconds !== undefined && concurrencyQueueTimeoutSeconds !== null) {
+      updates.concurrencyQueueTimeoutSeconds = Number(concurrencyQueueTimeoutSeconds) || 0
+    }
+
     if (rateLimitWindow !== undefined && rateLimitWindow !== null && rateLimitWindow !== '') {
       if (!Number.isInteger(Number(rateLimitWindow)) || Number(rateLimitWindow) < 0) {
         return res
@@ -1200,6 +1366,15 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       updates.rateLimitCost = cost
     }
 
+    // 处理按指标/模型的限流规则（null 表示清空）
+    if (rateLimitRules !== undefined) {
+      const rateLimitRulesError = rateLimitRuleService.validateRules(rateLimitRules)
+      if (rateLimitRulesError) {
+        return res.status(400).json({ error: rateLimitRulesError })
+      }
+      updates.rateLimitRules = rateLimitRules || []
+    }
+
     if (claudeAccountId !== undefined) {
       // 空字符串表示解绑，null或空字符串都设置为空字符串
       updates.claudeAccountId = claudeAccountId || ''
@@ -1240,6 +1415,15 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       updates.permissions = permissions
     }
 
+    if (claudeBackend !== undefined) {
+      if (!['claude', 'openai', 'gemini'].includes(claudeBackend)) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid claudeBackend value. Must be claude, openai or gemini' })
+      }
+      updates.claudeBackend = claudeBackend
+    }
+
     // 处理模型限制字段
     if (enableModelRestriction !== undefined) {
       if (typeof enableModelRestriction !== 'boolean') {
@@ -1320,6 +1504,50 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       updates.weeklyOpusCostLimit = costLimit
     }
 
+    // 处理预算告警阈值（null 表示使用全局默认值）
+    if (budgetAlertThresholds !== undefined) {
+      if (budgetAlertThresholds === null) {
+        updates.budgetAlertThresholds = null
+      } else {
+        if (
+          !Array.isArray(budgetAlertThresholds) ||
+          budgetAlertThresholds.some(
+            (threshold) =>
+              !Number.isFinite(Number(threshold)) ||
+              Number(threshold) <= 0 ||
+              Number(threshold) > 100
+          )
+        ) {
+          return res
+            .status(400)
+            .json({ error: 'Budget alert thresholds must be an array of percentages (1-100)' })
+        }
+        updates.budgetAlertThresholds =
+          budgetAlertService.normalizeThresholds(budgetAlertThresholds)
+      }
+    }
+
+    // 处理响应缓存配置
+    if (responseCacheEnabled !== undefined) {
+      if (typeof responseCacheEnabled !== 'boolean') {
+        return res.status(400).json({ error: 'Response cache enabled must be a boolean' })
+      }
+      updates.responseCacheEnabled = responseCacheEnabled
+    }
+
+    if (responseCacheScope !== undefined || responseCacheTag !== undefined) {
+      const responseCacheError = validateResponseCacheOptions(responseCacheScope, responseCacheTag)
+      if (responseCacheError) {
+        return res.status(400).json({ error: responseCacheError })
+      }
+      if (responseCacheScope !== undefined) {
+        updates.responseCacheScope = responseCacheScope
+      }
+      if (responseCacheTag !== undefined) {
+        updates.responseCacheTag = (responseCacheTag || '').trim()
+      }
+    }
+
     // 处理标签
     if (tags !== undefined) {
       if (!Array.isArray(tags)) {
@@ -1734,12 +1962,13 @@ router.delete('/api-keys/deleted/clear-all', authenticateAdmin, async (req, res)
 // 创建账户分组
 router.post('/account-groups', authenticateAdmin, async (req, res) => {
   try {
-    const { name, platform, description } = req.body
+    const { name, platform, description, schedulingStrategy } = req.body
 
     const group = await accountGroupService.createGroup({
       name,
       platform,
-      description
+      description,
+      schedulingStrategy
     })
 
     return res.json({ success: true, data: group })
@@ -1827,6 +2056,10 @@ router.get('/account-groups/:groupId/members', authenticateAdmin, async (req, re
           break
         case 'gemini':
           account = await geminiAccountService.getAccount(memberId)
+          if (!account) {
+            const apiAccount = await geminiApiAccountService.getAccount(memberId)
+            account = apiAccount ? { ...apiAccount, apiKey: '***' } : null
+          }
           break
         case 'openai':
           account = await openaiAccountService.getAccount(memberId)
@@ -1857,8 +2090,21 @@ router.get('/account-groups/:groupId/members', authenticateAdmin, async (req, re
         account = await droidAccountService.getAccount(memberId)
       }
 
+      // 各平台 getAccount 返回解密后的凭据，这里只返回展示所需的非敏感字段
       if (account) {
-        members.push(account)
+        members.push({
+          id: account.id,
+          name: account.name,
+          description: account.description,
+          platform: account.platform || group.platform,
+          accountType: account.accountType,
+          isActive: account.isActive,
+          status: account.status,
+          schedulable: account.schedulable,
+          priority: account.priority,
+          createdAt: account.createdAt,
+          lastUsedAt: account.lastUsedAt
+        })
       }
     }
 
@@ -1869,6 +2115,119 @@ router.get('/account-groups/:groupId/members', authenticateAdmin, async (req, re
   }
 })
 
+// 🌐 代理池管理
+
+// 获取所有代理池（含健康状态和依赖账户）
+router.get('/proxy-pools', authenticateAdmin, async (req, res) => {
+  try {
+    const pools = await proxyPoolService.getAllPools()
+    return res.json({ success: true, data: pools })
+  } catch (error) {
+    logger.error('❌ Failed to get proxy pools:', error)
+    return res.status(500).json({ error: error.message })
+  }
+})
+
+// 创建代理池
+router.post('/proxy-pools', authenticateAdmin, async (req, res) => {
+  try {
+    const { name, description, proxies } = req.body
+    const pool = await proxyPoolService.createPool({ name, description, proxies })
+    return res.json({ success: true, data: pool })
+  } catch (error) {
+    logger.error('❌ Failed to create proxy pool:', error)
+    return res.status(400).json({ error: error.message })
+  }
+})
+
+// 更新代理池
+router.put('/proxy-pools/:poolId', authenticateAdmin, async (req, res) => {
+  try {
+    const { poolId } = req.params
+    const { name, description, proxies } = req.body
+    const pool = await proxyPoolService.updatePool(poolId, { name, description, proxies })
+    return res.json({ success: true, data: pool })
+  } catch (error) {
+    logger.error('❌ Failed to update proxy pool:', error)
+    return res.status(400).json({ error: error.message })
+  }
+})
+
+// 删除代理池（仍被账户引用时拒绝）
+router.delete('/proxy-pools/:poolId', authenticateAdmin, async (req, res) => {
+  try {
+    const { poolId } = req.params
+    await proxyPoolService.deletePool(poolId)
+    return res.json({ success: true, message: '代理池删除成功' })
+  } catch (error) {
+    logger.error('❌ Failed to delete proxy pool:', error)
+    return res.status(400).json({ error: error.message })
+  }
+})
+
+// 立即检查代理池连通性
+router.post('/proxy-pools/:poolId/check', authenticateAdmin, async (req, res) => {
+  try {
+    const { poolId } = req.params
+    const health = await proxyPoolService.checkPool(poolId)
+    return res.json({ success: true, data: health })
+  } catch (error) {
+    logger.error('❌ Failed to check proxy pool:', error)
+    return res.status(400).json({ error: error.message })
+  }
+})
+
+// 🩺 账户健康度
+
+// 获取所有账户的健康统计（首字节延迟、总耗时、错误率的 EWMA 与健康分）
+router.get('/account-health', authenticateAdmin, async (req, res) => {
+  try {
+    const stats = await accountHealthService.getAllStats()
+    return res.json({
+      success: true,
+      data: { strategy: accountHealthService.getStrategy(), accounts: stats }
+    })
+  } catch (error) {
+    logger.error('❌ Failed to get account health:', error)
+    return res.status(500).json({ error: error.message })
+  }
+})
+
+// 🔌 账户熔断器
+
+// 获取所有有失败记录或已熔断的账户熔断器状态
+router.get('/circuit-breakers', authenticateAdmin, async (req, res) => {
+  try {
+    const states = await circuitBreakerService.getAllStates()
+    return res.json({ success: true, data: states })
+  } catch (error) {
+    logger.error('❌ Failed to get circuit breakers:', error)
+    return res.status(500).json({ error: error.message })
+  }
+})
+
+// 获取单个账户的熔断器状态
+router.get('/circuit-breakers/:accountId', authenticateAdmin, async (req, res) => {
+  try {
+    const state = await circuitBreakerService.getState(req.params.accountId)
+    return res.json({ success: true, data: state })
+  } catch (error) {
+    logger.error('❌ Failed to get circuit breaker:', error)
+    return res.status(500).json({ error: error.message })
+  }
+})
+
+// 手动重置账户熔断器为关闭状态
+router.post('/circuit-breakers/:accountId/reset', authenticateAdmin, async (req, res) => {
+  try {
+    const state = await circuitBreakerService.reset(req.params.accountId)
+    return res.json({ success: true, data: state, message: '熔断器已重置' })
+  } catch (error) {
+    logger.error('❌ Failed to reset circuit breaker:', error)
+    return res.status(500).json({ error: error.message })
+  }
+})
+
 // 🏢 Claude 账户管理
 
 // 生成OAuth授权URL
@@ -3611,7 +3970,8 @@ router.post('/bedrock-accounts', authenticateAdmin, async (req, res) => {
       defaultModel,
       priority,
       accountType,
-      credentialType
+      credentialType,
+      converseModels
     } = req.body
 
     if (!name) {
@@ -3645,7 +4005,8 @@ router.post('/bedrock-accounts', authenticateAdmin, async (req, res) => {
       defaultModel,
       priority: priority || 50,
       accountType: accountType || 'shared',
-      credentialType: credentialType || 'default'
+      credentialType: credentialType || 'default',
+      converseModels: converseModels || {}
     })
 
     if (!result.success) {
@@ -3858,6 +4219,296 @@ router.post('/bedrock-accounts/:accountId/test', authenticateAdmin, async (req,
   }
 })
 
+// ☁️ Vertex AI 账户管理
+
+// 获取所有Vertex账户
+router.get('/vertex-accounts', authenticateAdmin, async (req, res) => {
+  try {
+    const { platform, groupId } = req.query
+    const result = await vertexAccountService.getAllAccounts()
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to get Vertex accounts', message: result.error })
+    }
+
+    let accounts = result.data
+
+    // 根据查询参数进行筛选
+    if (platform && platform !== 'all' && platform !== 'vertex') {
+      accounts = []
+    }
+
+    if (groupId && groupId !== 'all') {
+      const groupMembers = await accountGroupService.getGroupMembers(groupId)
+      accounts = accounts.filter((account) => groupMembers.includes(account.id))
+    }
+
+    const accountsWithStats = await Promise.all(
+      accounts.map(async (account) => {
+        const groupInfos = await accountGroupService.getAccountGroups(account.id)
+        let usageStats
+        try {
+          usageStats = await redis.getAccountUsageStats(account.id)
+        } catch (statsError) {
+          logger.warn(
+            `⚠️ Failed to get usage stats for Vertex account ${account.id}:`,
+            statsError.message
+          )
+          usageStats = {
+            daily: { tokens: 0, requests: 0, allTokens: 0 },
+            total: { tokens: 0, requests: 0, allTokens: 0 },
+            averages: { rpm: 0, tpm: 0 }
+          }
+        }
+
+        return {
+          ...formatAccountExpiry(account),
+          groupInfos,
+          usage: {
+            daily: usageStats.daily,
+            total: usageStats.total,
+            averages: usageStats.averages
+          }
+        }
+      })
+    )
+
+    return res.json({ success: true, data: accountsWithStats })
+  } catch (error) {
+    logger.error('❌ Failed to get Vertex accounts:', error)
+    return res.status(500).json({ error: 'Failed to get Vertex accounts', message: error.message })
+  }
+})
+
+// 创建新的Vertex账户
+router.post('/vertex-accounts', authenticateAdmin, async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      serviceAccountJson,
+      projectId,
+      region,
+      modelMapping,
+      proxy,
+      priority,
+      accountType,
+      groupId,
+      groupIds,
+      rateLimitDuration
+    } = req.body
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' })
+    }
+
+    if (!serviceAccountJson) {
+      return res.status(400).json({ error: 'Service account JSON is required' })
+    }
+
+    // 验证priority的有效性（1-100）
+    if (priority !== undefined && (priority < 1 || priority > 100)) {
+      return res.status(400).json({ error: 'Priority must be between 1 and 100' })
+    }
+
+    // 验证accountType的有效性
+    if (accountType && !['shared', 'group'].includes(accountType)) {
+      return res.status(400).json({ error: 'Invalid account type. Must be "shared" or "group"' })
+    }
+
+    if (accountType === 'group' && !groupId && (!groupIds || groupIds.length === 0)) {
+      return res.status(400).json({ error: 'Group ID is required for group type accounts' })
+    }
+
+    const result = await vertexAccountService.createAccount({
+      name,
+      description: description || '',
+      serviceAccountJson,
+      projectId,
+      region,
+      modelMapping,
+      proxy,
+      priority: priority || 50,
+      accountType: accountType || 'shared',
+      rateLimitDuration: rateLimitDuration ? parseInt(rateLimitDuration) : 60
+    })
+
+    // 分组类型账户加入 Claude 分组
+    if (accountType === 'group') {
+      if (groupIds && groupIds.length > 0) {
+        await accountGroupService.setAccountGroups(result.data.id, groupIds, 'vertex')
+      } else {
+        await accountGroupService.addAccountToGroup(result.data.id, groupId, 'vertex')
+      }
+    }
+
+    logger.success(`☁️ Admin created Vertex account: ${name}`)
+    return res.json({ success: true, data: formatAccountExpiry(result.data) })
+  } catch (error) {
+    if (error.httpStatus) {
+      return res.status(error.httpStatus).json({ error: error.message })
+    }
+    logger.error('❌ Failed to create Vertex account:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to create Vertex account', message: error.message })
+  }
+})
+
+// 更新Vertex账户
+router.put('/vertex-accounts/:accountId', authenticateAdmin, async (req, res) => {
+  try {
+    const { accountId } = req.params
+
+    // 映射字段名：前端的 expiresAt -> 后端的 subscriptionExpiresAt
+    const mappedUpdates = mapExpiryField(req.body, 'Vertex', accountId)
+
+    // 验证priority的有效性（1-100）
+    if (
+      mappedUpdates.priority !== undefined &&
+      (mappedUpdates.priority < 1 || mappedUpdates.priority > 100)
+    ) {
+      return res.status(400).json({ error: 'Priority must be between 1 and 100' })
+    }
+
+    // 验证accountType的有效性
+    if (mappedUpdates.accountType && !['shared', 'group'].includes(mappedUpdates.accountType)) {
+      return res.status(400).json({ error: 'Invalid account type. Must be "shared" or "group"' })
+    }
+
+    // 分组变更：切换为共享账户时移出所有分组
+    if (mappedUpdates.accountType === 'shared') {
+      await accountGroupService.removeAccountFromAllGroups(accountId)
+    } else if (mappedUpdates.accountType === 'group' && Array.isArray(mappedUpdates.groupIds)) {
+      await accountGroupService.setAccountGroups(accountId, mappedUpdates.groupIds, 'vertex')
+    }
+
+    const result = await vertexAccountService.updateAccount(accountId, mappedUpdates)
+    if (!result.success) {
+      return res
+        .status(500)
+        .json({ error: 'Failed to update Vertex account', message: result.error })
+    }
+
+    logger.success(`📝 Admin updated Vertex account: ${accountId}`)
+    return res.json({ success: true, message: 'Vertex account updated successfully' })
+  } catch (error) {
+    if (error.httpStatus) {
+      return res.status(error.httpStatus).json({ error: error.message })
+    }
+    logger.error('❌ Failed to update Vertex account:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to update Vertex account', message: error.message })
+  }
+})
+
+// 删除Vertex账户
+router.delete('/vertex-accounts/:accountId', authenticateAdmin, async (req, res) => {
+  try {
+    const { accountId } = req.params
+
+    await accountGroupService.removeAccountFromAllGroups(accountId)
+    const result = await vertexAccountService.deleteAccount(accountId)
+
+    if (!result.success) {
+      return res
+        .status(500)
+        .json({ error: 'Failed to delete Vertex account', message: result.error })
+    }
+
+    logger.success(`🗑️ Admin deleted Vertex account: ${accountId}`)
+    return res.json({ success: true, message: 'Vertex账号已成功删除' })
+  } catch (error) {
+    logger.error('❌ Failed to delete Vertex account:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to delete Vertex account', message: error.message })
+  }
+})
+
+// 切换Vertex账户状态
+router.put('/vertex-accounts/:accountId/toggle', authenticateAdmin, async (req, res) => {
+  try {
+    const { accountId } = req.params
+
+    const accountResult = await vertexAccountService.getAccount(accountId)
+    if (!accountResult.success) {
+      return res.status(404).json({ error: 'Account not found' })
+    }
+
+    const newStatus = !accountResult.data.isActive
+    await vertexAccountService.updateAccount(accountId, { isActive: newStatus })
+
+    logger.success(
+      `🔄 Admin toggled Vertex account status: ${accountId} -> ${newStatus ? 'active' : 'inactive'}`
+    )
+    return res.json({ success: true, isActive: newStatus })
+  } catch (error) {
+    logger.error('❌ Failed to toggle Vertex account status:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to toggle account status', message: error.message })
+  }
+})
+
+// 切换Vertex账户调度状态
+router.put(
+  '/vertex-accounts/:accountId/toggle-schedulable',
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
+
+      const accountResult = await vertexAccountService.getAccount(accountId)
+      if (!accountResult.success) {
+        return res.status(404).json({ error: 'Account not found' })
+      }
+
+      const newSchedulable = accountResult.data.schedulable === false
+      await vertexAccountService.updateAccount(accountId, { schedulable: newSchedulable })
+
+      // 如果账号被禁用，发送webhook通知
+      if (!newSchedulable) {
+        await webhookNotifier.sendAccountAnomalyNotification({
+          accountId: accountResult.data.id,
+          accountName: accountResult.data.name || 'Vertex Account',
+          platform: 'vertex',
+          status: 'disabled',
+          errorCode: 'VERTEX_MANUALLY_DISABLED',
+          reason: '账号已被管理员手动禁用调度',
+          timestamp: new Date().toISOString()
+        })
+      }
+
+      logger.success(
+        `🔄 Admin toggled Vertex account schedulable status: ${accountId} -> ${
+          newSchedulable ? 'schedulable' : 'not schedulable'
+        }`
+      )
+      return res.json({ success: true, schedulable: newSchedulable })
+    } catch (error) {
+      logger.error('❌ Failed to toggle Vertex account schedulable status:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to toggle schedulable status', message: error.message })
+    }
+  }
+)
+
+// 重置Vertex账户状态（清除限流与未授权状态）
+router.post('/vertex-accounts/:accountId/reset-status', authenticateAdmin, async (req, res) => {
+  try {
+    const { accountId } = req.params
+    const result = await vertexAccountService.resetAccountStatus(accountId)
+
+    logger.success(`✅ Admin reset status for Vertex account: ${accountId}`)
+    return res.json({ success: true, data: result })
+  } catch (error) {
+    logger.error('❌ Failed to reset Vertex account status:', error)
+    return res.status(500).json({ error: 'Failed to reset account status', message: error.message })
+  }
+})
+
 // 🤖 Gemini 账户管理
 
 // 生成 Gemini OAuth 授权 URL
@@ -4232,57 +4883,323 @@ router.post('/gemini-accounts/:accountId/refresh', authenticateAdmin, async (req
   }
 })
 
-// 切换 Gemini 账户调度状态
-router.put(
-  '/gemini-accounts/:accountId/toggle-schedulable',
-  authenticateAdmin,
-  async (req, res) => {
-    try {
-      const { accountId } = req.params
+// 切换 Gemini 账户调度状态
+router.put(
+  '/gemini-accounts/:accountId/toggle-schedulable',
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
+
+      const account = await geminiAccountService.getAccount(accountId)
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' })
+      }
+
+      // 现在 account.schedulable 已经是布尔值了，直接取反即可
+      const newSchedulable = !account.schedulable
+
+      await geminiAccountService.updateAccount(accountId, { schedulable: String(newSchedulable) })
+
+      // 验证更新是否成功，重新获取账户信息
+      const updatedAccount = await geminiAccountService.getAccount(accountId)
+      const actualSchedulable = updatedAccount ? updatedAccount.schedulable : newSchedulable
+
+      // 如果账号被禁用，发送webhook通知
+      if (!actualSchedulable) {
+        await webhookNotifier.sendAccountAnomalyNotification({
+          accountId: account.id,
+          accountName: account.accountName || 'Gemini Account',
+          platform: 'gemini',
+          status: 'disabled',
+          errorCode: 'GEMINI_MANUALLY_DISABLED',
+          reason: '账号已被管理员手动禁用调度',
+          timestamp: new Date().toISOString()
+        })
+      }
+
+      logger.success(
+        `🔄 Admin toggled Gemini account schedulable status: ${accountId} -> ${
+          actualSchedulable ? 'schedulable' : 'not schedulable'
+        }`
+      )
+
+      // 返回实际的数据库值，确保前端状态与后端一致
+      return res.json({ success: true, schedulable: actualSchedulable })
+    } catch (error) {
+      logger.error('❌ Failed to toggle Gemini account schedulable status:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to toggle schedulable status', message: error.message })
+    }
+  }
+)
+
+// 🔑 Gemini API Key 账户管理（AI Studio）
+
+// 统一处理 Gemini API Key 账户服务层错误（校验失败带有 httpStatus）
+const handleGeminiApiError = (res, error, fallbackMessage) => {
+  if (error.httpStatus) {
+    return res.status(error.httpStatus).json({ success: false, message: error.message })
+  }
+  logger.error(`❌ ${fallbackMessage}:`, error)
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message })
+}
+
+// 校验 RPM/RPD 配额：非负整数，0 表示不限制
+const validateGeminiApiQuota = (body) => {
+  for (const field of ['rpmLimit', 'rpdLimit']) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== '') {
+      const value = Number(body[field])
+      if (!Number.isInteger(value) || value < 0) {
+        return `${field} must be a non-negative integer`
+      }
+    }
+  }
+  return null
+}
+
+// 获取所有 Gemini API Key 账户
+router.get('/gemini-api-accounts', authenticateAdmin, async (req, res) => {
+  try {
+    const { platform, groupId } = req.query
+    let accounts = await geminiApiAccountService.getAllAccounts(true)
+
+    if (platform && platform !== 'all' && platform !== 'gemini-api') {
+      accounts = []
+    }
+
+    if (groupId && groupId !== 'all') {
+      const groupMembers = await accountGroupService.getGroupMembers(groupId)
+      accounts = accounts.filter((account) => groupMembers.includes(account.id))
+    }
+
+    const accountsWithStats = await Promise.all(
+      accounts.map(async (account) => {
+        const groupInfos = await accountGroupService.getAccountGroups(account.id)
+        let usageStats
+        try {
+          usageStats = await redis.getAccountUsageStats(account.id, 'gemini-api')
+        } catch (error) {
+          logger.debug(`Failed to get usage stats for Gemini-API account ${account.id}:`, error)
+          usageStats = {
+            daily: { requests: 0, tokens: 0, allTokens: 0 },
+            total: { requests: 0, tokens: 0, allTokens: 0 },
+            averages: { rpm: 0, tpm: 0 }
+          }
+        }
+        return {
+          ...account,
+          groupInfos,
+          usage: {
+            daily: usageStats.daily,
+            total: usageStats.total,
+            averages: usageStats.averages
+          }
+        }
+      })
+    )
+
+    return res.json({ success: true, data: accountsWithStats })
+  } catch (error) {
+    return handleGeminiApiError(res, error, 'Failed to fetch Gemini-API accounts')
+  }
+})
+
+// 创建 Gemini API Key 账户
+router.post('/gemini-api-accounts', authenticateAdmin, async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      apiKey,
+      baseUrl,
+      supportedModels,
+      proxy,
+      priority,
+      accountType,
+      groupId,
+      groupIds,
+      schedulable,
+      rpmLimit,
+      rpdLimit,
+      rateLimitDuration
+    } = req.body || {}
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Account name is required' })
+    }
+
+    if (priority !== undefined) {
+      const parsedPriority = parseInt(priority)
+      if (isNaN(parsedPriority) || parsedPriority < 1 || parsedPriority > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Priority must be a number between 1 and 100'
+        })
+      }
+    }
+
+    if (accountType && !['shared', 'group'].includes(accountType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'Account type must be shared or group' })
+    }
+
+    const quotaError = validateGeminiApiQuota(req.body)
+    if (quotaError) {
+      return res.status(400).json({ success: false, message: quotaError })
+    }
+
+    const account = await geminiApiAccountService.createAccount({
+      name,
+      description,
+      apiKey,
+      baseUrl,
+      supportedModels,
+      proxy,
+      priority: priority ? parseInt(priority) : 50,
+      accountType: accountType || 'shared',
+      schedulable: schedulable !== false,
+      rpmLimit: rpmLimit ? parseInt(rpmLimit) : 0,
+      rpdLimit: rpdLimit ? parseInt(rpdLimit) : 0,
+      rateLimitDuration: rateLimitDuration ? parseInt(rateLimitDuration) : 1
+    })
+
+    // 分组类型账户加入 Gemini 分组
+    if (accountType === 'group') {
+      if (groupIds && groupIds.length > 0) {
+        await accountGroupService.setAccountGroups(account.id, groupIds, 'gemini-api')
+      } else if (groupId) {
+        await accountGroupService.addAccountToGroup(account.id, groupId, 'gemini-api')
+      }
+    }
+
+    logger.success(`🔑 Admin created Gemini-API account: ${account.name}`)
+    return res.json({ success: true, data: account })
+  } catch (error) {
+    return handleGeminiApiError(res, error, 'Failed to create Gemini-API account')
+  }
+})
+
+// 更新 Gemini API Key 账户
+router.put('/gemini-api-accounts/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const updates = { ...(req.body || {}) }
+
+    if (updates.priority !== undefined) {
+      const priority = parseInt(updates.priority)
+      if (isNaN(priority) || priority < 1 || priority > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Priority must be a number between 1 and 100'
+        })
+      }
+      updates.priority = priority
+    }
+
+    if (updates.accountType && !['shared', 'group'].includes(updates.accountType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'Account type must be shared or group' })
+    }
+
+    const quotaError = validateGeminiApiQuota(updates)
+    if (quotaError) {
+      return res.status(400).json({ success: false, message: quotaError })
+    }
+
+    // 分组变更：切换为共享账户时移出所有分组
+    if (updates.accountType === 'shared') {
+      await accountGroupService.removeAccountFromAllGroups(id)
+    } else if (updates.accountType === 'group' && Array.isArray(updates.groupIds)) {
+      await accountGroupService.setAccountGroups(id, updates.groupIds, 'gemini-api')
+    }
+
+    await geminiApiAccountService.updateAccount(id, updates)
+
+    logger.success(`📝 Admin updated Gemini-API account: ${id}`)
+    return res.json({ success: true, message: 'Gemini-API account updated successfully' })
+  } catch (error) {
+    return handleGeminiApiError(res, error, 'Failed to update Gemini-API account')
+  }
+})
+
+// 删除 Gemini API Key 账户
+router.delete('/gemini-api-accounts/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const account = await geminiApiAccountService.getAccount(id)
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Account not found' })
+    }
+
+    await accountGroupService.removeAccountFromAllGroups(id)
+    await geminiApiAccountService.deleteAccount(id)
+
+    logger.success(`🗑️ Admin deleted Gemini-API account: ${account.name} (${id})`)
+    return res.json({ success: true, message: 'Gemini API Key 账号已成功删除' })
+  } catch (error) {
+    return handleGeminiApiError(res, error, 'Failed to delete Gemini-API account')
+  }
+})
+
+// 切换 Gemini API Key 账户激活状态
+router.put('/gemini-api-accounts/:id/toggle', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
 
-      const account = await geminiAccountService.getAccount(accountId)
-      if (!account) {
-        return res.status(404).json({ error: 'Account not found' })
-      }
+    const account = await geminiApiAccountService.getAccount(id)
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Account not found' })
+    }
 
-      // 现在 account.schedulable 已经是布尔值了，直接取反即可
-      const newSchedulable = !account.schedulable
+    const isActive = account.isActive !== 'true'
+    await geminiApiAccountService.updateAccount(id, { isActive })
 
-      await geminiAccountService.updateAccount(accountId, { schedulable: String(newSchedulable) })
+    return res.json({ success: true, isActive })
+  } catch (error) {
+    return handleGeminiApiError(res, error, 'Failed to toggle account status')
+  }
+})
 
-      // 验证更新是否成功，重新获取账户信息
-      const updatedAccount = await geminiAccountService.getAccount(accountId)
-      const actualSchedulable = updatedAccount ? updatedAccount.schedulable : newSchedulable
+// 切换 Gemini API Key 账户调度状态
+router.put('/gemini-api-accounts/:id/toggle-schedulable', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const result = await geminiApiAccountService.toggleSchedulable(id)
 
-      // 如果账号被禁用，发送webhook通知
-      if (!actualSchedulable) {
-        await webhookNotifier.sendAccountAnomalyNotification({
-          accountId: account.id,
-          accountName: account.accountName || 'Gemini Account',
-          platform: 'gemini',
-          status: 'disabled',
-          errorCode: 'GEMINI_MANUALLY_DISABLED',
-          reason: '账号已被管理员手动禁用调度',
-          timestamp: new Date().toISOString()
-        })
-      }
+    // 仅在停止调度时发送通知
+    if (!result.schedulable) {
+      await webhookNotifier.sendAccountEvent('account.status_changed', {
+        accountId: id,
+        platform: 'gemini-api',
+        schedulable: result.schedulable,
+        changedBy: 'admin',
+        action: 'stopped_scheduling'
+      })
+    }
 
-      logger.success(
-        `🔄 Admin toggled Gemini account schedulable status: ${accountId} -> ${
-          actualSchedulable ? 'schedulable' : 'not schedulable'
-        }`
-      )
+    return res.json(result)
+  } catch (error) {
+    return handleGeminiApiError(res, error, 'Failed to toggle schedulable status')
+  }
+})
 
-      // 返回实际的数据库值，确保前端状态与后端一致
-      return res.json({ success: true, schedulable: actualSchedulable })
-    } catch (error) {
-      logger.error('❌ Failed to toggle Gemini account schedulable status:', error)
-      return res
-        .status(500)
-        .json({ error: 'Failed to toggle schedulable status', message: error.message })
-    }
+// 重置 Gemini API Key 账户状态（清除限流与未授权状态）
+router.post('/gemini-api-accounts/:id/reset-status', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const result = await geminiApiAccountService.resetAccountStatus(id)
+
+    logger.success(`✅ Admin reset status for Gemini-API account: ${id}`)
+    return res.json({ success: true, data: result })
+  } catch (error) {
+    return handleGeminiApiError(res, error, 'Failed to reset account status')
   }
-)
+})
 
 // 📊 账户使用统计
 
@@ -4411,6 +5328,9 @@ router.get('/accounts/:accountId/usage-history', authenticateAdmin, async (req,
         case 'openai-responses':
           accountData = await openaiResponsesAccountService.getAccount(accountId)
           break
+        case 'openai-compatible':
+          accountData = await openaiCompatibleAccountService.getAccount(accountId)
+          break
         case 'gemini':
           accountData = await geminiAccountService.getAccount(accountId)
           break
@@ -4624,7 +5544,8 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
       droidAccounts,
       todayStats,
       systemAverages,
-      realtimeMetrics
+      realtimeMetrics,
+      responseCacheStats
     ] = await Promise.all([
       redis.getSystemStats(),
       apiKeyService.getAllApiKeys(),
@@ -4638,7 +5559,8 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
       droidAccountService.getAllAccounts(),
       redis.getTodayStats(),
       redis.getSystemAverages(),
-      redis.getRealtimeSystemMetrics()
+      redis.getRealtimeSystemMetrics(),
+      responseCacheService.getStats()
     ])
 
     // 处理Bedrock账户数据
@@ -5048,6 +5970,7 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
         windowMinutes: realtimeMetrics.windowMinutes,
         isHistorical: realtimeMetrics.windowMinutes === 0 // 标识是否使用了历史数据
       },
+      responseCache: responseCacheStats,
       systemHealth: {
         redisConnected: redis.isConnected,
         claudeAccountsHealthy: normalClaudeAccounts + normalClaudeConsoleAccounts > 0,
@@ -8675,6 +9598,252 @@ router.post('/openai-responses-accounts/:id/reset-usage', authenticateAdmin, asy
   }
 })
 
+// ==================== OpenAI 兼容账户管理 API ====================
+
+// 统一处理 OpenAI 兼容账户服务层错误（校验失败带有 httpStatus）
+const handleOpenAICompatibleError = (res, error, fallbackMessage) => {
+  if (error.httpStatus) {
+    return res.status(error.httpStatus).json({ success: false, message: error.message })
+  }
+  logger.error(`❌ ${fallbackMessage}:`, error)
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message })
+}
+
+// 获取所有 OpenAI 兼容账户
+router.get('/openai-compatible-accounts', authenticateAdmin, async (req, res) => {
+  try {
+    const { platform, groupId } = req.query
+    let accounts = await openaiCompatibleAccountService.getAllAccounts(true)
+
+    if (platform && platform !== 'all' && platform !== 'openai-compatible') {
+      accounts = []
+    }
+
+    if (groupId && groupId !== 'all') {
+      const groupMembers = await accountGroupService.getGroupMembers(groupId)
+      accounts = accounts.filter((account) => groupMembers.includes(account.id))
+    }
+
+    const accountsWithStats = await Promise.all(
+      accounts.map(async (account) => {
+        const groupInfos = await accountGroupService.getAccountGroups(account.id)
+        let usageStats
+        try {
+          usageStats = await redis.getAccountUsageStats(account.id, 'openai-compatible')
+        } catch (error) {
+          logger.debug(
+            `Failed to get usage stats for OpenAI-Compatible account ${account.id}:`,
+            error
+          )
+          usageStats = {
+            daily: { requests: 0, tokens: 0, allTokens: 0 },
+            total: { requests: 0, tokens: 0, allTokens: 0 },
+            averages: { rpm: 0, tpm: 0 }
+          }
+        }
+        return {
+          ...account,
+          groupInfos,
+          usage: {
+            daily: usageStats.daily,
+            total: usageStats.total,
+            averages: usageStats.averages
+          }
+        }
+      })
+    )
+
+    return res.json({ success: true, data: accountsWithStats })
+  } catch (error) {
+    return handleOpenAICompatibleError(res, error, 'Failed to fetch OpenAI-Compatible accounts')
+  }
+})
+
+// 创建 OpenAI 兼容账户
+router.post('/openai-compatible-accounts', authenticateAdmin, async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      baseApi,
+      apiKey,
+      supportedModels,
+      proxy,
+      priority,
+      accountType,
+      groupId,
+      groupIds,
+      schedulable,
+      rateLimitDuration
+    } = req.body || {}
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Account name is required' })
+    }
+
+    if (priority !== undefined) {
+      const parsedPriority = parseInt(priority)
+      if (isNaN(parsedPriority) || parsedPriority < 1 || parsedPriority > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Priority must be a number between 1 and 100'
+        })
+      }
+    }
+
+    if (accountType && !['shared', 'group'].includes(accountType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'Account type must be shared or group' })
+    }
+
+    const account = await openaiCompatibleAccountService.createAccount({
+      name,
+      description,
+      baseApi,
+      apiKey,
+      supportedModels,
+      proxy,
+      priority: priority ? parseInt(priority) : 50,
+      accountType: accountType || 'shared',
+      schedulable: schedulable !== false,
+      rateLimitDuration: rateLimitDuration ? parseInt(rateLimitDuration) : 60
+    })
+
+    // 分组类型账户加入 OpenAI 分组
+    if (accountType === 'group') {
+      if (groupIds && groupIds.length > 0) {
+        await accountGroupService.setAccountGroups(account.id, groupIds, 'openai-compatible')
+      } else if (groupId) {
+        await accountGroupService.addAccountToGroup(account.id, groupId, 'openai-compatible')
+      }
+    }
+
+    logger.success(`🔌 Admin created OpenAI-Compatible account: ${account.name}`)
+    return res.json({ success: true, data: account })
+  } catch (error) {
+    return handleOpenAICompatibleError(res, error, 'Failed to create OpenAI-Compatible account')
+  }
+})
+
+// 更新 OpenAI 兼容账户
+router.put('/openai-compatible-accounts/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const updates = { ...(req.body || {}) }
+
+    if (updates.priority !== undefined) {
+      const priority = parseInt(updates.priority)
+      if (isNaN(priority) || priority < 1 || priority > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Priority must be a number between 1 and 100'
+        })
+      }
+      updates.priority = priority
+    }
+
+    if (updates.accountType && !['shared', 'group'].includes(updates.accountType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: 'Account type must be shared or group' })
+    }
+
+    // 分组变更：切换为共享账户时移出所有分组
+    if (updates.accountType === 'shared') {
+      await accountGroupService.removeAccountFromAllGroups(id)
+    } else if (updates.accountType === 'group' && Array.isArray(updates.groupIds)) {
+      await accountGroupService.setAccountGroups(id, updates.groupIds, 'openai-compatible')
+    }
+
+    await openaiCompatibleAccountService.updateAccount(id, updates)
+
+    logger.success(`📝 Admin updated OpenAI-Compatible account: ${id}`)
+    return res.json({ success: true, message: 'OpenAI-Compatible account updated successfully' })
+  } catch (error) {
+    return handleOpenAICompatibleError(res, error, 'Failed to update OpenAI-Compatible account')
+  }
+})
+
+// 删除 OpenAI 兼容账户
+router.delete('/openai-compatible-accounts/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const account = await openaiCompatibleAccountService.getAccount(id)
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Account not found' })
+    }
+
+    await accountGroupService.removeAccountFromAllGroups(id)
+    await openaiCompatibleAccountService.deleteAccount(id)
+
+    logger.success(`🗑️ Admin deleted OpenAI-Compatible account: ${account.name} (${id})`)
+    return res.json({ success: true, message: 'OpenAI兼容账号已成功删除' })
+  } catch (error) {
+    return handleOpenAICompatibleError(res, error, 'Failed to delete OpenAI-Compatible account')
+  }
+})
+
+// 切换 OpenAI 兼容账户激活状态
+router.put('/openai-compatible-accounts/:id/toggle', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const account = await openaiCompatibleAccountService.getAccount(id)
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Account not found' })
+    }
+
+    const isActive = account.isActive !== 'true'
+    await openaiCompatibleAccountService.updateAccount(id, { isActive })
+
+    return res.json({ success: true, isActive })
+  } catch (error) {
+    return handleOpenAICompatibleError(res, error, 'Failed to toggle account status')
+  }
+})
+
+// 切换 OpenAI 兼容账户调度状态
+router.put(
+  '/openai-compatible-accounts/:id/toggle-schedulable',
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params
+      const result = await openaiCompatibleAccountService.toggleSchedulable(id)
+
+      // 仅在停止调度时发送通知
+      if (!result.schedulable) {
+        await webhookNotifier.sendAccountEvent('account.status_changed', {
+          accountId: id,
+          platform: 'openai-compatible',
+          schedulable: result.schedulable,
+          changedBy: 'admin',
+          action: 'stopped_scheduling'
+        })
+      }
+
+      return res.json(result)
+    } catch (error) {
+      return handleOpenAICompatibleError(res, error, 'Failed to toggle schedulable status')
+    }
+  }
+)
+
+// 重置 OpenAI 兼容账户状态（清除限流与未授权状态）
+router.post('/openai-compatible-accounts/:id/reset-status', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const result = await openaiCompatibleAccountService.resetAccountStatus(id)
+
+    logger.success(`✅ Admin reset status for OpenAI-Compatible account: ${id}`)
+    return res.json({ success: true, data: result })
+  } catch (error) {
+    return handleOpenAICompatibleError(res, error, 'Failed to reset account status')
+  }
+})
+
 // 🤖 Droid 账户管理
 
 // 生成 Droid OAuth 授权链接
@@ -9184,4 +10353,111 @@ router.post('/droid-accounts/:id/refresh-token', authenticateAdmin, async (req,
   }
 })
 
+// 🧾 请求审计日志
+
+// 查询请求日志（支持按 Key、账户、模型、状态和时间范围过滤）
+router.get('/request-logs', authenticateAdmin, async (req, res) => {
+  try {
+    const { keyId, accountId, model, status, startTime, endTime, page, pageSize } = req.query
+    const result = await requestLogService.queryLogs({
+      keyId,
+      accountId,
+      model,
+      status,
+      startTime,
+      endTime,
+      page,
+      pageSize
+    })
+
+    return res.json({
+      success: true,
+      data: {
+        ...result,
+        enabled: requestLogService.isEnabled(),
+        retentionDays: requestLogService.getRetentionSeconds() / 86400
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Failed to query request logs:', error)
+    return res.status(500).json({ error: 'Failed to query request logs', message: error.message })
+  }
+})
+
+// 查询管理操作审计日志
+router.get('/audit-logs', authenticateAdmin, async (req, res) => {
+  try {
+    const { actor, targetType, targetId, method, route, startTime, endTime, page, pageSize } =
+      req.query
+    const result = await auditLogService.queryLogs({
+      actor,
+      targetType,
+      targetId,
+      method,
+      route,
+      startTime,
+      endTime,
+      page,
+      pageSize: Math.min(parseInt(pageSize) || 50, 200)
+    })
+
+    return res.json({
+      success: true,
+      data: {
+        ...result,
+        enabled: auditLogService.isEnabled(),
+        retentionDays: auditLogService.getRetentionSeconds() / 86400
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Failed to query audit logs:', error)
+    return res.status(500).json({ error: 'Failed to query audit logs', message: error.message })
+  }
+})
+
+// 导出管理操作审计日志（JSON 或 CSV）
+router.get('/audit-logs/export', authenticateAdmin, async (req, res) => {
+  try {
+    const { actor, targetType, targetId, method, route, startTime, endTime, format } = req.query
+    const { logs, truncated } = await auditLogService.queryLogs({
+      actor,
+      targetType,
+      targetId,
+      method,
+      route,
+      startTime,
+      endTime,
+      page: 1,
+      pageSize: 10000
+    })
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+      res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${timestamp}.csv"`)
+      return res.send(auditLogService.toCsv(logs))
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${timestamp}.json"`)
+    return res.json({ success: true, truncated, logs })
+  } catch (error) {
+    logger.error('❌ Failed to export audit logs:', error)
+    return res.status(500).json({ error: 'Failed to export audit logs', message: error.message })
+  }
+})
+
+// 获取单条请求日志
+router.get('/request-logs/:requestId', authenticateAdmin, async (req, res) => {
+  try {
+    const log = await requestLogService.getLog(req.params.requestId)
+    if (!log) {
+      return res.status(404).json({ error: 'Request log not found' })
+    }
+    return res.json({ success: true, data: log })
+  } catch (error) {
+    logger.error(`❌ Failed to get request log ${req.params.requestId}:`, error)
+    return res.status(500).json({ error: 'Failed to get request log', message: error.message })
+  }
+})
+
 module.exports = router
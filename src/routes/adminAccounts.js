@@ -0,0 +1,100 @@
+const express = require('express')
+const router = express.Router()
+const logger = require('../utils/logger')
+const adminAccountService = require('../services/adminAccountService')
+const { authenticateAdmin } = require('../middleware/auth')
+
+// 统一处理服务层错误（校验失败带有 httpStatus）
+const handleAccountError = (res, error, fallbackMessage) => {
+  if (error.httpStatus) {
+    return res.status(error.httpStatus).json({ error: 'Request failed', message: error.message })
+  }
+  logger.error(`❌ ${fallbackMessage}:`, error)
+  return res.status(500).json({ error: 'Internal server error', message: fallbackMessage })
+}
+
+// 获取管理员账户列表及可用角色
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const accounts = await adminAccountService.listAccounts()
+    return res.json({
+      success: true,
+      data: accounts,
+      roles: Object.entries(adminAccountService.roles).map(([value, role]) => ({
+        value,
+        label: role.label,
+        description: role.description
+      }))
+    })
+  } catch (error) {
+    return handleAccountError(res, error, 'Failed to list admin accounts')
+  }
+})
+
+// 创建管理员账户
+router.post('/', authenticateAdmin, async (req, res) => {
+  try {
+    const { username, password, role, description } = req.body || {}
+    const account = await adminAccountService.createAccount({
+      username,
+      password,
+      role,
+      description
+    })
+
+    logger.info(`👮 Admin ${req.admin.username} created admin account: ${account.username}`)
+    return res.json({ success: true, data: account })
+  } catch (error) {
+    return handleAccountError(res, error, 'Failed to create admin account')
+  }
+})
+
+// 更新管理员账户（角色、密码、状态、描述）
+router.put('/:accountId', authenticateAdmin, async (req, res) => {
+  try {
+    const { accountId } = req.params
+    const { role, password, isActive, description } = req.body || {}
+
+    if (accountId === req.admin.id && (role !== undefined || isActive === false)) {
+      return res.status(400).json({
+        error: 'Invalid operation',
+        message: 'You cannot change the role or status of your own account'
+      })
+    }
+
+    const account = await adminAccountService.updateAccount(accountId, {
+      role,
+      password,
+      isActive,
+      description
+    })
+
+    logger.info(`👮 Admin ${req.admin.username} updated admin account: ${account.username}`)
+    return res.json({ success: true, data: account })
+  } catch (error) {
+    return handleAccountError(res, error, 'Failed to update admin account')
+  }
+})
+
+// 删除管理员账户
+router.delete('/:accountId', authenticateAdmin, async (req, res) => {
+  try {
+    const { accountId } = req.params
+
+    if (accountId === req.admin.id) {
+      return res.status(400).json({
+        error: 'Invalid operation',
+        message: 'You cannot delete your own account'
+      })
+    }
+
+    const account = await adminAccountService.deleteAccount(accountId)
+
+    logger.info(`👮 Admin ${req.admin.username} deleted admin account: ${account.username}`)
+    return res.json({ success: true, data: account })
+  } catch (error) {
+    return handleAccountError(res, error, 'Failed to delete admin account')
+  }
+})
+
+module.exports = router
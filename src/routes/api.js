@@ -3,10 +3,16 @@ const claudeRelayService = require('../services/claudeRelayService')
 const claudeConsoleRelayService = require('../services/claudeConsoleRelayService')
 const bedrockRelayService = require('../services/bedrockRelayService')
 const ccrRelayService = require('../services/ccrRelayService')
+const vertexRelayService = require('../services/vertexRelayService')
 const bedrockAccountService = require('../services/bedrockAccountService')
 const unifiedClaudeScheduler = require('../services/unifiedClaudeScheduler')
 const apiKeyService = require('../services/apiKeyService')
+const claudeBatchService = require('../services/claudeBatchService')
+const claudeOpenAIBridgeService = require('../services/claudeOpenAIBridgeService')
+const claudeGeminiBridgeService = require('../services/claudeGeminiBridgeService')
+const rateLimitRuleService = require('../services/rateLimitRuleService')
 const { authenticateApiKey } = require('../middleware/auth')
+const { responseCache } = require('../middleware/responseCache')
 const logger = require('../utils/logger')
 const { getEffectiveModel, parseVendorPrefixedModel } = require('../utils/modelHelper')
 const sessionHelper = require('../utils/sessionHelper')
@@ -37,24 +43,103 @@ function queueRateLimitUpdate(rateLimitInfo, usageSummary, model, context = '')
     })
 }
 
-// 🔧 共享的消息处理函数
-async function handleMessagesRequest(req, res) {
-  try {
-    const startTime = Date.now()
+// 🔀 Claude 请求桥接到其他平台账户（OpenAI-Responses / Codex、Gemini）
+async function handleBridgeRequest(req, res, bridgeService, targetModel, isStream) {
+  if (isStream) {
+    res.setHeader('Content-Type', 'text/event-stream')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('Connection', 'keep-alive')
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('X-Accel-Buffering', 'no')
+  }
 
-    // Claude 服务权限校验，阻止未授权的 Key
-    if (
-      req.apiKey.permissions &&
-      req.apiKey.permissions !== 'all' &&
-      req.apiKey.permissions !== 'claude'
-    ) {
+  await bridgeService.relayRequest(req, res, {
+    targetModel,
+    sessionHash: sessionHelper.generateSessionHash(req.body),
+    isStream,
+    usageCallback: async (usageData) => {
+      const {
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        cache_read_input_tokens: cacheReadTokens,
+        model,
+        accountId,
+        accountType
+      } = usageData
+
+      const usageObject = {
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: cacheReadTokens
+      }
+
+      await apiKeyService.recordUsageWithDetails(
+        req.apiKey.id,
+        usageObject,
+        model,
+        accountId,
+        accountType
+      )
+
+      queueRateLimitUpdate(
+        req.rateLimitInfo,
+        {
+          inputTokens,
+          outputTokens,
+          cacheCreateTokens: 0,
+          cacheReadTokens
+        },
+        model,
+        `${accountType}-bridge`
+      )
+
+      logger.api(
+        `📊 Bridge usage recorded (${accountType}) - Model: ${model}, Input: ${inputTokens}, Output: ${outputTokens}, Cache Read: ${cacheReadTokens}`
+      )
+    }
+  })
+}
+
+// 🔒 Claude 服务权限与模型限制校验（放在响应缓存之前，避免越权命中其他 Key 的缓存）
+function ensureClaudeAccess(req, res, next) {
+  if (
+    req.apiKey.permissions &&
+    req.apiKey.permissions !== 'all' &&
+    req.apiKey.permissions !== 'claude'
+  ) {
+    return res.status(403).json({
+      error: {
+        type: 'permission_error',
+        message: '此 API Key 无权访问 Claude 服务'
+      }
+    })
+  }
+
+  // 模型限制（黑名单）校验：统一在此处处理（去除供应商前缀）
+  if (
+    req.apiKey.enableModelRestriction &&
+    Array.isArray(req.apiKey.restrictedModels) &&
+    req.apiKey.restrictedModels.length > 0
+  ) {
+    const effectiveModel = getEffectiveModel(req.body?.model || '')
+    if (req.apiKey.restrictedModels.includes(effectiveModel)) {
       return res.status(403).json({
         error: {
-          type: 'permission_error',
-          message: '此 API Key 无权访问 Claude 服务'
+          type: 'forbidden',
+          message: '暂无该模型访问权限'
         }
       })
     }
+  }
+
+  return next()
+}
+
+// 🔧 共享的消息处理函数
+async function handleMessagesRequest(req, res) {
+  try {
+    const startTime = Date.now()
 
     // 🔄 并发满额重试标志：最多重试一次（使用req对象存储状态）
     if (req._concurrencyRetryAttempted === undefined) {
@@ -83,23 +168,6 @@ async function handleMessagesRequest(req, res) {
       })
     }
 
-    // 模型限制（黑名单）校验：统一在此处处理（去除供应商前缀）
-    if (
-      req.apiKey.enableModelRestriction &&
-      Array.isArray(req.apiKey.restrictedModels) &&
-      req.apiKey.restrictedModels.length > 0
-    ) {
-      const effectiveModel = getEffectiveModel(req.body.model || '')
-      if (req.apiKey.restrictedModels.includes(effectiveModel)) {
-        return res.status(403).json({
-          error: {
-            type: 'forbidden',
-            message: '暂无该模型访问权限'
-          }
-        })
-      }
-    }
-
     // 检查是否为流式请求
     const isStream = req.body.stream === true
 
@@ -107,6 +175,14 @@ async function handleMessagesRequest(req, res) {
       `🚀 Processing ${isStream ? 'stream' : 'non-stream'} request for key: ${req.apiKey.name}`
     )
 
+    // 按 API Key 设置或模型别名映射，交给 Gemini / OpenAI 账户处理
+    for (const bridgeService of [claudeGeminiBridgeService, claudeOpenAIBridgeService]) {
+      const bridgeTargetModel = bridgeService.resolveTargetModel(req.apiKey, req.body.model)
+      if (bridgeTargetModel) {
+        return await handleBridgeRequest(req, res, bridgeService, bridgeTargetModel, isStream)
+      }
+    }
+
     if (isStream) {
       // 流式响应 - 只使用官方真实usage数据
       res.setHeader('Content-Type', 'text/event-stream')
@@ -383,6 +459,54 @@ async function handleMessagesRequest(req, res) {
           }
           return undefined
         }
+      } else if (accountType === 'vertex') {
+        // Vertex账号使用Vertex转发服务（streamRawPredict 返回标准 Claude SSE）
+        await vertexRelayService.relayStreamRequestWithUsageCapture(
+          req.body,
+          req.apiKey,
+          res,
+          req.headers,
+          (usageData) => {
+            const inputTokens = usageData.input_tokens || 0
+            const outputTokens = usageData.output_tokens || 0
+            const cacheCreateTokens = usageData.cache_creation_input_tokens || 0
+            const cacheReadTokens = usageData.cache_read_input_tokens || 0
+            const usageObject = {
+              input_tokens: inputTokens,
+              output_tokens: outputTokens,
+              cache_creation_input_tokens: cacheCreateTokens,
+              cache_read_input_tokens: cacheReadTokens
+            }
+            if (usageData.cache_creation) {
+              usageObject.cache_creation = usageData.cache_creation
+            }
+
+            apiKeyService
+              .recordUsageWithDetails(
+                req.apiKey.id,
+                usageObject,
+                usageData.model,
+                usageData.accountId,
+                'vertex'
+              )
+              .catch((error) => {
+                logger.error('❌ Failed to record Vertex stream usage:', error)
+              })
+
+            queueRateLimitUpdate(
+              req.rateLimitInfo,
+              { inputTokens, outputTokens, cacheCreateTokens, cacheReadTokens },
+              usageData.model,
+              'vertex-stream'
+            )
+
+            usageDataCaptured = true
+            logger.api(
+              `📊 Vertex stream usage recorded - Model: ${usageData.model}, Input: ${inputTokens}, Output: ${outputTokens}, Cache Create: ${cacheCreateTokens}, Cache Read: ${cacheReadTokens}`
+            )
+          },
+          accountId
+        )
       } else if (accountType === 'ccr') {
         // CCR账号使用CCR转发服务（需要传递accountId）
         await ccrRelayService.relayStreamRequestWithUsageCapture(
@@ -578,6 +702,16 @@ async function handleMessagesRequest(req, res) {
             accountId
           }
         }
+      } else if (accountType === 'vertex') {
+        // Vertex账号使用Vertex转发服务（rawPredict 返回标准 Claude 响应）
+        response = await vertexRelayService.relayRequest(
+          req.body,
+          req.apiKey,
+          req,
+          res,
+          req.headers,
+          accountId
+        )
       } else if (accountType === 'ccr') {
         // CCR账号使用CCR转发服务
         logger.debug(`[DEBUG] Calling ccrRelayService.relayRequest with accountId: ${accountId}`)
@@ -639,7 +773,8 @@ async function handleMessagesRequest(req, res) {
             cacheCreateTokens,
             cacheReadTokens,
             model,
-            responseAccountId
+            responseAccountId,
+            accountType
           )
 
           await queueRateLimitUpdate(
@@ -683,6 +818,19 @@ async function handleMessagesRequest(req, res) {
   } catch (error) {
     let handledError = error
 
+    // 🔀 Claude 账户全部不可用时回退到 Gemini 账户（需启用回退且响应尚未开始）
+    const fallbackModel = claudeGeminiBridgeService.resolveFallbackModel(error, req.apiKey)
+    if (fallbackModel && !res.headersSent) {
+      logger.warn(`⚠️ No Claude account available (${error.message}), falling back to Gemini`)
+      return await handleBridgeRequest(
+        req,
+        res,
+        claudeGeminiBridgeService,
+        fallbackModel,
+        req.body.stream === true
+      )
+    }
+
     // 🔄 并发满额降级处理：捕获CONSOLE_ACCOUNT_CONCURRENCY_FULL错误
     if (
       handledError.code === 'CONSOLE_ACCOUNT_CONCURRENCY_FULL' &&
@@ -794,10 +942,22 @@ async function handleMessagesRequest(req, res) {
 }
 
 // 🚀 Claude API messages 端点 - /api/v1/messages
-router.post('/v1/messages', authenticateApiKey, handleMessagesRequest)
+router.post(
+  '/v1/messages',
+  authenticateApiKey,
+  ensureClaudeAccess,
+  responseCache('claude-messages'),
+  handleMessagesRequest
+)
 
 // 🚀 Claude API messages 端点 - /claude/v1/messages (别名)
-router.post('/claude/v1/messages', authenticateApiKey, handleMessagesRequest)
+router.post(
+  '/claude/v1/messages',
+  authenticateApiKey,
+  ensureClaudeAccess,
+  responseCache('claude-messages'),
+  handleMessagesRequest
+)
 
 // 📋 模型列表端点 - 支持 Claude, OpenAI, Gemini
 router.get('/v1/models', authenticateApiKey, async (req, res) => {
@@ -852,12 +1012,17 @@ router.get('/health', async (req, res) => {
 router.get('/v1/key-info', authenticateApiKey, async (req, res) => {
   try {
     const usage = await apiKeyService.getUsageStats(req.apiKey.id)
+    const rateLimitRules = await rateLimitRuleService.getStatus(
+      req.apiKey.id,
+      req.apiKey.rateLimitRules
+    )
 
     res.json({
       keyInfo: {
         id: req.apiKey.id,
         name: req.apiKey.name,
         tokenLimit: req.apiKey.tokenLimit,
+        rateLimitRules,
         usage
       },
       timestamp: new Date().toISOString()
@@ -953,6 +1118,12 @@ router.post('/v1/messages/count_tokens', authenticateApiKey, async (req, res) =>
 
   logger.info(`🔢 Processing token count request for key: ${req.apiKey.name}`)
 
+  // Gemini 桥接的请求使用 Gemini countTokens 计数
+  const geminiTargetModel = claudeGeminiBridgeService.resolveTargetModel(req.apiKey, req.body.model)
+  if (geminiTargetModel) {
+    return await claudeGeminiBridgeService.countTokens(req, res, geminiTargetModel)
+  }
+
   const sessionHash = sessionHelper.generateSessionHash(req.body)
   const requestedModel = req.body.model
   const maxAttempts = 2
@@ -977,16 +1148,20 @@ router.post('/v1/messages/count_tokens', authenticateApiKey, async (req, res) =>
       })
     }
 
-    if (accountType === 'bedrock') {
-      throw Object.assign(new Error('Token counting is not supported for Bedrock accounts'), {
-        httpStatus: 501,
-        errorPayload: {
-          error: {
-            type: 'not_supported',
-            message: 'Token counting is not supported for Bedrock accounts'
+    if (accountType === 'bedrock' || accountType === 'vertex') {
+      const platformName = accountType === 'bedrock' ? 'Bedrock' : 'Vertex'
+      throw Object.assign(
+        new Error(`Token counting is not supported for ${platformName} accounts`),
+        {
+          httpStatus: 501,
+          errorPayload: {
+            error: {
+              type: 'not_supported',
+              message: `Token counting is not supported for ${platformName} accounts`
+            }
           }
         }
-      })
+      )
     }
 
     const relayOptions = {
@@ -1103,5 +1278,120 @@ router.post('/v1/messages/count_tokens', authenticateApiKey, async (req, res) =>
   }
 })
 
+// 📦 Message Batches API（每个请求的模型限制在 claudeBatchService.createBatch 中校验）
+const sendBatchResponse = (res, response) => {
+  if (response.status < 200 || response.status >= 300) {
+    return res.status(response.status).json(sanitizeUpstreamError(response.data))
+  }
+  return res.status(response.status).json(response.data)
+}
+
+const handleBatchError = (res, error, action) => {
+  if (error.httpStatus) {
+    return res.status(error.httpStatus).json(error.errorPayload)
+  }
+
+  logger.error(`❌ Claude batch ${action} error:`, error)
+  if (!res.headersSent) {
+    return res.status(500).json({
+      error: {
+        type: 'server_error',
+        message: `Failed to ${action} message batch`
+      }
+    })
+  }
+  if (!res.destroyed && !res.finished) {
+    res.end()
+  }
+  return undefined
+}
+
+router.post('/v1/messages/batches', authenticateApiKey, ensureClaudeAccess, async (req, res) => {
+  try {
+    const response = await claudeBatchService.createBatch(req.apiKey, req.body)
+    return sendBatchResponse(res, response)
+  } catch (error) {
+    return handleBatchError(res, error, 'create')
+  }
+})
+
+router.get('/v1/messages/batches', authenticateApiKey, ensureClaudeAccess, async (req, res) => {
+  try {
+    const result = await claudeBatchService.listBatches(req.apiKey, req.query)
+    return res.json(result)
+  } catch (error) {
+    return handleBatchError(res, error, 'list')
+  }
+})
+
+router.get(
+  '/v1/messages/batches/:batchId',
+  authenticateApiKey,
+  ensureClaudeAccess,
+  async (req, res) => {
+    try {
+      const response = await claudeBatchService.retrieveBatch(req.apiKey, req.params.batchId)
+      return sendBatchResponse(res, response)
+    } catch (error) {
+      return handleBatchError(res, error, 'retrieve')
+    }
+  }
+)
+
+router.post(
+  '/v1/messages/batches/:batchId/cancel',
+  authenticateApiKey,
+  ensureClaudeAccess,
+  async (req, res) => {
+    try {
+      const response = await claudeBatchService.cancelBatch(req.apiKey, req.params.batchId)
+      return sendBatchResponse(res, response)
+    } catch (error) {
+      return handleBatchError(res, error, 'cancel')
+    }
+  }
+)
+
+router.get(
+  '/v1/messages/batches/:batchId/results',
+  authenticateApiKey,
+  ensureClaudeAccess,
+  async (req, res) => {
+    try {
+      const response = await claudeBatchService.getResultsStream(req.apiKey, req.params.batchId)
+
+      if (response.status !== 200) {
+        // 错误响应需要完整读取后再清理返回
+        let errorBody = ''
+        response.data.on('data', (chunk) => {
+          errorBody += chunk.toString()
+        })
+        response.data.on('end', () => {
+          let errorData = errorBody
+          try {
+            errorData = sanitizeUpstreamError(JSON.parse(errorBody))
+          } catch (parseError) {
+            errorData = { error: { type: 'api_error', message: 'Upstream error' } }
+          }
+          res.status(response.status).json(errorData)
+        })
+        return undefined
+      }
+
+      res.status(200)
+      res.setHeader('Content-Type', response.headers['content-type'] || 'application/x-jsonl')
+      response.data.on('error', (streamError) => {
+        logger.error('❌ Claude batch results stream error:', streamError)
+        res.destroy(streamError)
+      })
+      res.on('close', () => response.data.destroy())
+      response.data.pipe(res)
+      return undefined
+    } catch (error) {
+      return handleBatchError(res, error, 'download results of')
+    }
+  }
+)
+
 module.exports = router
 module.exports.handleMessagesRequest = handleMessagesRequest
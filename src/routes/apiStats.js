@@ -140,6 +140,7 @@ router.post('/api/user-stats', async (req, res) => {
         ...keyData,
         tokenLimit: parseInt(keyData.tokenLimit) || 0,
         concurrencyLimit: parseInt(keyData.concurrencyLimit) || 0,
+        concurrencyQueueEnabled: keyData.concurrencyQueueEnabled === 'true',
         rateLimitWindow: parseInt(keyData.rateLimitWindow) || 0,
         rateLimitRequests: parseInt(keyData.rateLimitRequests) || 0,
         dailyCostLimit: parseFloat(keyData.dailyCostLimit) || 0,
@@ -417,6 +418,8 @@ router.post('/api/user-stats', async (req, res) => {
       limits: {
         tokenLimit: fullKeyData.tokenLimit || 0,
         concurrencyLimit: fullKeyData.concurrencyLimit || 0,
+        concurrencyQueueEnabled: fullKeyData.concurrencyQueueEnabled === true,
+        currentQueueLength: await redis.getConcurrencyQueueLength(keyId),
         rateLimitWindow: fullKeyData.rateLimitWindow || 0,
         rateLimitRequests: fullKeyData.rateLimitRequests || 0,
         rateLimitCost: parseFloat(fullKeyData.rateLimitCost) || 0, // 新增：费用限制
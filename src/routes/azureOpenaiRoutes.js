@@ -86,7 +86,8 @@ class AtomicUsageReporter {
         cacheCreateTokens,
         cacheReadTokens,
         modelToRecord,
-        accountId
+        accountId,
+        'azure-openai'
       )
 
       // 同步更新 Azure 账户的 lastUsedAt 和累计使用量
@@ -331,7 +332,9 @@ router.post('/responses', authenticateApiKey, async (req, res) => {
 })
 
 // 处理嵌入请求
-router.post('/embeddings', authenticateApiKey, async (req, res) => {
+// options.matchModel: 只使用 supportedModels 包含请求模型的账户（统一 embeddings 路由按模型分发时使用）
+async function handleEmbeddings(req, res, options = {}) {
+  const requestedModel = options.matchModel ? req.body.model : null
   const requestId = `azure_embed_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`
   const sessionId = req.sessionId || req.headers['x-session-id'] || null
 
@@ -353,8 +356,12 @@ router.post('/embeddings', authenticateApiKey, async (req, res) => {
     }
 
     // 如果没有绑定账户或账户不可用，选择一个可用账户
-    if (!account || account.isActive !== 'true') {
-      account = await azureOpenaiAccountService.selectAvailableAccount(sessionId)
+    if (
+      !account ||
+      account.isActive !== 'true' ||
+      !azureOpenaiAccountService.isModelSupported(account, requestedModel)
+    ) {
+      account = await azureOpenaiAccountService.selectAvailableAccount(sessionId, requestedModel)
     }
 
     // 发送请求到 Azure OpenAI
@@ -393,7 +400,9 @@ router.post('/embeddings', authenticateApiKey, async (req, res) => {
       })
     }
   }
-})
+}
+
+router.post('/embeddings', authenticateApiKey, (req, res) => handleEmbeddings(req, res))
 
 // 获取使用统计
 router.get('/usage', authenticateApiKey, async (req, res) => {
@@ -412,3 +421,4 @@ router.get('/usage', authenticateApiKey, async (req, res) => {
 })
 
 module.exports = router
+module.exports.handleEmbeddings = handleEmbeddings
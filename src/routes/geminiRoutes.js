@@ -683,7 +683,8 @@ async function handleGenerateContent(req, res) {
       user_prompt_id,
       effectiveProjectId, // 使用智能决策的项目ID
       req.apiKey?.id, // 使用 API Key ID 作为 session ID
-      proxyConfig // 传递代理配置
+      proxyConfig, // 传递代理配置
+      accountId
     )
 
     // 记录使用统计
@@ -697,7 +698,8 @@ async function handleGenerateContent(req, res) {
           0, // cacheCreateTokens
           0, // cacheReadTokens
           model,
-          account.id
+          account.id,
+          'gemini'
         )
         logger.info(
           `📊 Recorded Gemini usage - Input: ${usage.promptTokenCount}, Output: ${usage.candidatesTokenCount}, Total: ${usage.totalTokenCount}`
@@ -849,7 +851,8 @@ async function handleStreamGenerateContent(req, res) {
       effectiveProjectId, // 使用智能决策的项目ID
       req.apiKey?.id, // 使用 API Key ID 作为 session ID
       abortController.signal, // 传递中止信号
-      proxyConfig // 传递代理配置
+      proxyConfig, // 传递代理配置
+      accountId
     )
 
     // 设置 SSE 响应头
@@ -965,7 +968,8 @@ async function handleStreamGenerateContent(req, res) {
             0, // cacheCreateTokens
             0, // cacheReadTokens
             model,
-            account.id
+            account.id,
+            'gemini'
           )
           logger.info(
             `📊 Recorded Gemini stream usage - Input: ${totalUsage.promptTokenCount}, Output: ${totalUsage.candidatesTokenCount}, Total: ${totalUsage.totalTokenCount}`
@@ -6,7 +6,8 @@
 const express = require('express')
 const router = express.Router()
 const logger = require('../utils/logger')
-const { authenticateApiKey } = require('../middleware/auth')
+const { authenticateApiKey, reserveAdditionalRequests } = require('../middleware/auth')
+const { responseCache } = require('../middleware/responseCache')
 const claudeRelayService = require('../services/claudeRelayService')
 const openaiToClaude = require('../services/openaiToClaude')
 const apiKeyService = require('../services/apiKeyService')
@@ -22,6 +23,36 @@ function checkPermissions(apiKeyData, requiredPermission = 'claude') {
   return permissions === 'all' || permissions === requiredPermission
 }
 
+// 检查 API Key 的 Claude 权限与模型限制（白名单），返回 403 错误体或 null
+function getChatAccessError(apiKeyData, model) {
+  if (!checkPermissions(apiKeyData, 'claude')) {
+    return {
+      message: 'This API key does not have permission to access Claude',
+      type: 'permission_denied',
+      code: 'permission_denied'
+    }
+  }
+  if (apiKeyData.enableModelRestriction && apiKeyData.restrictedModels?.length > 0) {
+    if (!apiKeyData.restrictedModels.includes(model)) {
+      return {
+        message: `Model ${model} is not allowed for this API key`,
+        type: 'invalid_request_error',
+        code: 'model_not_allowed'
+      }
+    }
+  }
+  return null
+}
+
+// 在响应缓存之前执行权限与模型限制检查，避免越权命中其他 Key 的缓存
+function ensureChatAccess(req, res, next) {
+  const accessError = getChatAccessError(req.apiKey, req.body?.model)
+  if (accessError) {
+    return res.status(403).json({ error: accessError })
+  }
+  return next()
+}
+
 function queueRateLimitUpdate(rateLimitInfo, usageSummary, model, context = '') {
   if (!rateLimitInfo) {
     return
@@ -177,15 +208,10 @@ async function handleChatCompletion(req, res, apiKeyData) {
   let abortController = null
 
   try {
-    // 检查权限
-    if (!checkPermissions(apiKeyData, 'claude')) {
-      return res.status(403).json({
-        error: {
-          message: 'This API key does not have permission to access Claude',
-          type: 'permission_denied',
-          code: 'permission_denied'
-        }
-      })
+    // 检查权限与模型限制（OpenAI 请求的模型名直接透传给 Claude，不做映射）
+    const accessError = getChatAccessError(apiKeyData, req.body.model)
+    if (accessError) {
+      return res.status(403).json({ error: accessError })
     }
 
     // 记录原始请求
@@ -196,21 +222,9 @@ async function handleChatCompletion(req, res, apiKeyData) {
       maxTokens: req.body.max_tokens
     })
 
-    // 转换 OpenAI 请求为 Claude 格式
-    const claudeRequest = openaiToClaude.convertRequest(req.body)
-
-    // 检查模型限制
-    if (apiKeyData.enableModelRestriction && apiKeyData.restrictedModels?.length > 0) {
-      if (!apiKeyData.restrictedModels.includes(claudeRequest.model)) {
-        return res.status(403).json({
-          error: {
-            message: `Model ${req.body.model} is not allowed for this API key`,
-            type: 'invalid_request_error',
-            code: 'model_not_allowed'
-          }
-        })
-      }
-    }
+    // 转换 OpenAI 请求为 Claude 格式（不支持的参数会抛出 400 错误）
+    const conversionContext = openaiToClaude.createConversionContext(req.body)
+    const claudeRequest = openaiToClaude.convertRequest(req.body, conversionContext)
 
     // 生成会话哈希用于sticky会话
     const sessionHash = sessionHelper.generateSessionHash(claudeRequest)
@@ -309,7 +323,8 @@ async function handleChatCompletion(req, res, apiKeyData) {
         (() => {
           // 为每个请求创建独立的会话ID
           const sessionId = `chatcmpl-${Math.random().toString(36).substring(2, 15)}${Math.random().toString(36).substring(2, 15)}`
-          return (chunk) => openaiToClaude.convertStreamChunk(chunk, req.body.model, sessionId)
+          return (chunk) =>
+            openaiToClaude.convertStreamChunk(chunk, req.body.model, sessionId, conversionContext)
         })(),
         {
           betaHeader:
@@ -320,47 +335,84 @@ async function handleChatCompletion(req, res, apiKeyData) {
       // 非流式请求
       logger.info(`📄 Processing OpenAI non-stream request for model: ${req.body.model}`)
 
-      // 发送请求到 Claude (使用 OAuth-only beta header，添加 Claude Code 必需的 headers)
-      const claudeResponse = await claudeRelayService.relayRequest(
-        claudeRequest,
-        apiKeyData,
+      // n > 1 时拆分为多个并行的上游请求，每个请求生成一个 choice，并各自占用并发名额与请求次数
+      const reservation = await reserveAdditionalRequests(
         req,
         res,
-        claudeCodeHeaders,
-        { betaHeader: 'oauth-2025-04-20' }
+        conversionContext.choiceCount - 1
       )
-
-      // 解析 Claude 响应
-      let claudeData
-      try {
-        claudeData = JSON.parse(claudeResponse.body)
-      } catch (error) {
-        logger.error('❌ Failed to parse Claude response:', error)
-        return res.status(502).json({
+      if (!reservation.allowed) {
+        return res.status(429).json({
           error: {
-            message: 'Invalid response from Claude API',
-            type: 'api_error',
-            code: 'invalid_response'
+            message: reservation.message,
+            type: 'rate_limit_error',
+            code:
+              reservation.reason === 'concurrency'
+                ? 'concurrency_limit_exceeded'
+                : 'rate_limit_exceeded'
           }
         })
       }
 
-      // 处理错误响应
-      if (claudeResponse.statusCode >= 400) {
-        return res.status(claudeResponse.statusCode).json({
-          error: {
-            message: claudeData.error?.message || 'Claude API error',
-            type: claudeData.error?.type || 'api_error',
-            code: claudeData.error?.code || 'unknown_error'
+      // 发送请求到 Claude (使用 OAuth-only beta header，添加 Claude Code 必需的 headers)
+      const settledResponses = await Promise.allSettled(
+        Array.from({ length: conversionContext.choiceCount }, () =>
+          claudeRelayService.relayRequest(claudeRequest, apiKeyData, req, res, claudeCodeHeaders, {
+            betaHeader: 'oauth-2025-04-20'
+          })
+        )
+      )
+
+      // 解析 Claude 响应：成功的上游请求都要计费，失败的留到记录用量之后再返回
+      const claudeDataList = []
+      let failure = null
+      for (const settled of settledResponses) {
+        if (settled.status === 'rejected') {
+          failure = failure || { error: settled.reason }
+          continue
+        }
+
+        const claudeResponse = settled.value
+        let claudeData
+        try {
+          claudeData = JSON.parse(claudeResponse.body)
+        } catch (error) {
+          logger.error('❌ Failed to parse Claude response:', error)
+          failure = failure || {
+            status: 502,
+            body: {
+              error: {
+                message: 'Invalid response from Claude API',
+                type: 'api_error',
+                code: 'invalid_response'
+              }
+            }
           }
-        })
-      }
+          continue
+        }
 
-      // 转换为 OpenAI 格式
-      const openaiResponse = openaiToClaude.convertResponse(claudeData, req.body.model)
+        // 处理错误响应
+        if (claudeResponse.statusCode >= 400) {
+          failure = failure || {
+            status: claudeResponse.statusCode,
+            body: {
+              error: {
+                message: claudeData.error?.message || 'Claude API error',
+                type: claudeData.error?.type || 'api_error',
+                code: claudeData.error?.code || 'unknown_error'
+              }
+            }
+          }
+          continue
+        }
+        claudeDataList.push({ claudeData, accountId: claudeResponse.accountId || accountId })
+      }
 
-      // 记录使用统计
-      if (claudeData.usage) {
+      // 记录使用统计（每个上游请求分别记录）
+      for (const { claudeData, accountId: usageAccountId } of claudeDataList) {
+        if (!claudeData.usage) {
+          continue
+        }
         const { usage } = claudeData
         const cacheCreateTokens =
           (usage.cache_creation && typeof usage.cache_creation === 'object'
@@ -374,7 +426,7 @@ async function handleChatCompletion(req, res, apiKeyData) {
             apiKeyData.id,
             usage, // 直接传递整个 usage 对象，包含可能的 cache_creation 详细数据
             claudeRequest.model,
-            accountId
+            usageAccountId
           )
           .catch((error) => {
             logger.error('❌ Failed to record usage:', error)
@@ -393,6 +445,22 @@ async function handleChatCompletion(req, res, apiKeyData) {
         )
       }
 
+      if (failure) {
+        if (failure.error) {
+          throw failure.error
+        }
+        return res.status(failure.status).json(failure.body)
+      }
+
+      // 转换为 OpenAI 格式
+      const openaiResponses = claudeDataList.map(({ claudeData }) =>
+        openaiToClaude.convertResponse(claudeData, req.body.model, conversionContext)
+      )
+      const openaiResponse =
+        openaiResponses.length > 1
+          ? openaiToClaude.mergeResponses(openaiResponses)
+          : openaiResponses[0]
+
       // 返回 OpenAI 格式响应
       res.json(openaiResponse)
     }
@@ -400,14 +468,21 @@ async function handleChatCompletion(req, res, apiKeyData) {
     const duration = Date.now() - startTime
     logger.info(`✅ OpenAI-Claude request completed in ${duration}ms`)
   } catch (error) {
-    logger.error('❌ OpenAI-Claude request error:', error)
+    // 参数错误属于客户端问题，不记录为服务端错误
+    const isInvalidRequest = error.type === 'invalid_request_error'
+    if (isInvalidRequest) {
+      logger.warn(`⚠️ Invalid OpenAI-Claude request: ${error.message}`)
+    } else {
+      logger.error('❌ OpenAI-Claude request error:', error)
+    }
 
     const status = error.status || 500
     res.status(status).json({
       error: {
         message: error.message || 'Internal server error',
-        type: 'server_error',
-        code: 'internal_error'
+        type: isInvalidRequest ? error.type : 'server_error',
+        param: isInvalidRequest ? error.param : null,
+        code: isInvalidRequest ? error.code : 'internal_error'
       }
     })
   } finally {
@@ -420,9 +495,15 @@ async function handleChatCompletion(req, res, apiKeyData) {
 }
 
 // 🚀 OpenAI 兼容的聊天完成端点
-router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
-  await handleChatCompletion(req, res, req.apiKey)
-})
+router.post(
+  '/v1/chat/completions',
+  authenticateApiKey,
+  ensureChatAccess,
+  responseCache('openai-claude-chat'),
+  async (req, res) => {
+    await handleChatCompletion(req, res, req.apiKey)
+  }
+)
 
 // 🔧 OpenAI 兼容的 completions 端点（传统格式，转换为 chat 格式）
 router.post('/v1/completions', authenticateApiKey, async (req, res) => {
@@ -479,3 +560,4 @@ router.post('/v1/completions', authenticateApiKey, async (req, res) => {
 
 module.exports = router
 module.exports.handleChatCompletion = handleChatCompletion
+module.exports.getChatAccessError = getChatAccessError
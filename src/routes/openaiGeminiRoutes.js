@@ -2,9 +2,13 @@ const express = require('express')
 const router = express.Router()
 const logger = require('../utils/logger')
 const { authenticateApiKey } = require('../middleware/auth')
+const { responseCache } = require('../middleware/responseCache')
 const geminiAccountService = require('../services/geminiAccountService')
 const unifiedGeminiScheduler = require('../services/unifiedGeminiScheduler')
+const geminiApiAccountService = require('../services/geminiApiAccountService')
+const geminiApiRelayService = require('../services/geminiApiRelayService')
 const { getAvailableModels } = require('../services/geminiRelayService')
+const { sanitizeSchemaForGemini } = require('../utils/geminiSchema')
 const crypto = require('crypto')
 
 // 生成会话哈希
@@ -25,6 +29,46 @@ function checkPermissions(apiKeyData, requiredPermission = 'gemini') {
   return permissions === 'all' || permissions === requiredPermission
 }
 
+// 从 URL 路径中提取模型信息（如果存在）
+function extractModelFromUrl(req) {
+  const urlPath = req.body?.config?.url || req.originalUrl || req.url
+  const modelMatch = urlPath.match(/\/([^/]+):(?:stream)?[Gg]enerateContent/)
+  return modelMatch ? modelMatch[1] : null
+}
+
+// 聊天接口的权限与模型限制检查（放在响应缓存之前，避免越权命中其他 Key 的缓存）
+function ensureChatAccess(req, res, next) {
+  const apiKeyData = req.apiKey
+
+  if (!checkPermissions(apiKeyData, 'gemini')) {
+    return res.status(403).json({
+      error: {
+        message: 'This API key does not have permission to access Gemini',
+        type: 'permission_denied',
+        code: 'permission_denied'
+      }
+    })
+  }
+
+  // 优先使用 URL 中的模型，其次是请求体（可能被包装在 body 字段中）中的模型
+  const requestBody =
+    req.body?.body && typeof req.body.body === 'object' ? req.body.body : req.body || {}
+  const model = extractModelFromUrl(req) || requestBody.model || 'gemini-2.0-flash-exp'
+  if (apiKeyData.enableModelRestriction && apiKeyData.restrictedModels.length > 0) {
+    if (!apiKeyData.restrictedModels.includes(model)) {
+      return res.status(403).json({
+        error: {
+          message: `Model ${model} is not allowed for this API key`,
+          type: 'invalid_request_error',
+          code: 'model_not_allowed'
+        }
+      })
+    }
+  }
+
+  return next()
+}
+
 // 转换 OpenAI 消息格式到 Gemini 格式
 function convertMessagesToGemini(messages) {
   const contents = []
@@ -107,6 +151,9 @@ function convertMessagesToGemini(messages) {
     return ''
   }
 
+  // tool_call_id → 函数名，用于把工具结果还原为 functionResponse
+  const toolCallNames = new Map()
+
   for (const message of messages) {
     const textContent = extractTextContent(message.content)
 
@@ -118,16 +165,167 @@ function convertMessagesToGemini(messages) {
         parts: [{ text: textContent }]
       })
     } else if (message.role === 'assistant') {
+      const parts = []
+      if (textContent) {
+        parts.push({ text: textContent })
+      }
+
+      // OpenAI tool_calls（以及旧版 function_call）→ Gemini functionCall
+      const toolCalls = Array.isArray(message.tool_calls) ? [...message.tool_calls] : []
+      if (message.function_call) {
+        toolCalls.push({ function: message.function_call })
+      }
+      for (const toolCall of toolCalls) {
+        const name = toolCall.function?.name
+        if (!name) {
+          continue
+        }
+        if (toolCall.id) {
+          toolCallNames.set(toolCall.id, name)
+        }
+        parts.push({
+          functionCall: { name, args: parseToolArguments(toolCall.function.arguments) }
+        })
+      }
+
       contents.push({
         role: 'model',
-        parts: [{ text: textContent }]
+        parts: parts.length > 0 ? parts : [{ text: '' }]
       })
+    } else if (message.role === 'tool' || message.role === 'function') {
+      // 工具结果 → functionResponse，连续的工具结果合并到同一轮 user 内容中
+      const name = toolCallNames.get(message.tool_call_id) || message.name || 'unknown_function'
+      const part = {
+        functionResponse: { name, response: parseToolResult(textContent) }
+      }
+
+      const lastContent = contents[contents.length - 1]
+      if (lastContent?.role === 'user' && lastContent.parts.every((p) => p.functionResponse)) {
+        lastContent.parts.push(part)
+      } else {
+        contents.push({ role: 'user', parts: [part] })
+      }
     }
   }
 
   return { contents, systemInstruction }
 }
 
+// 解析 OpenAI tool_call 的 arguments（JSON 字符串）
+function parseToolArguments(args) {
+  if (!args) {
+    return {}
+  }
+  if (typeof args === 'object') {
+    return args
+  }
+  try {
+    const parsed = JSON.parse(args)
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? parsed
+      : { value: parsed }
+  } catch (error) {
+    return { value: args }
+  }
+}
+
+// 解析工具结果，Gemini 要求 functionResponse.response 为对象
+function parseToolResult(content) {
+  try {
+    const parsed = JSON.parse(content)
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed
+    }
+  } catch (error) {
+    // 非 JSON 内容按文本返回
+  }
+  return { content }
+}
+
+// 转换 OpenAI tools（以及旧版 functions）到 Gemini functionDeclarations
+function convertToolsToGemini(tools, functions) {
+  const definitions = [
+    ...(Array.isArray(tools) ? tools : [])
+      .filter((tool) => tool?.type === 'function' && tool.function?.name)
+      .map((tool) => tool.function),
+    ...(Array.isArray(functions) ? functions : []).filter((fn) => fn?.name)
+  ]
+
+  if (definitions.length === 0) {
+    return null
+  }
+
+  return [
+    {
+      functionDeclarations: definitions.map((definition) => {
+        const declaration = { name: definition.name }
+        if (definition.description) {
+          declaration.description = definition.description
+        }
+        // Gemini 不接受没有属性的空 object schema
+        const parameters = sanitizeSchemaForGemini(definition.parameters)
+        if (parameters && Object.keys(parameters.properties || {}).length > 0) {
+          declaration.parameters = parameters
+        }
+        return declaration
+      })
+    }
+  ]
+}
+
+// 转换 OpenAI tool_choice / function_call 到 Gemini functionCallingConfig
+function convertToolChoiceToGemini(toolChoice) {
+  if (!toolChoice) {
+    return null
+  }
+  if (toolChoice === 'none') {
+    return { functionCallingConfig: { mode: 'NONE' } }
+  }
+  if (toolChoice === 'auto') {
+    return { functionCallingConfig: { mode: 'AUTO' } }
+  }
+  if (toolChoice === 'required') {
+    return { functionCallingConfig: { mode: 'ANY' } }
+  }
+
+  const name = toolChoice.function?.name || toolChoice.name
+  if (name) {
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [name] } }
+  }
+  return null
+}
+
+// Gemini functionCall → OpenAI tool_call
+function convertFunctionCallToOpenAI(functionCall) {
+  return {
+    id: functionCall.id || `call_${crypto.randomBytes(12).toString('hex')}`,
+    type: 'function',
+    function: {
+      name: functionCall.name,
+      arguments: JSON.stringify(functionCall.args || {})
+    }
+  }
+}
+
+// Gemini finishReason → OpenAI finish_reason
+function mapFinishReason(finishReason, hasToolCalls) {
+  if (hasToolCalls) {
+    return 'tool_calls'
+  }
+  switch (finishReason) {
+    case 'MAX_TOKENS':
+      return 'length'
+    case 'SAFETY':
+    case 'RECITATION':
+    case 'BLOCKLIST':
+    case 'PROHIBITED_CONTENT':
+    case 'SPII':
+      return 'content_filter'
+    default:
+      return 'stop'
+  }
+}
+
 // 转换 Gemini 响应到 OpenAI 格式
 function convertGeminiResponseToOpenAI(geminiResponse, model, stream = false) {
   if (stream) {
@@ -140,8 +338,15 @@ function convertGeminiResponseToOpenAI(geminiResponse, model, stream = false) {
 
     if (actualResponse.candidates && actualResponse.candidates.length > 0) {
       const candidate = actualResponse.candidates[0]
-      const content = candidate.content?.parts?.[0]?.text || ''
-      const finishReason = candidate.finishReason?.toLowerCase() || 'stop'
+      const parts = candidate.content?.parts || []
+      const content = parts
+        .filter((part) => part.text && !part.thought)
+        .map((part) => part.text)
+        .join('')
+      const toolCalls = parts
+        .filter((part) => part.functionCall)
+        .map((part) => convertFunctionCallToOpenAI(part.functionCall))
+      const finishReason = mapFinishReason(candidate.finishReason, toolCalls.length > 0)
 
       // 计算 token 使用量
       const usage = actualResponse.usageMetadata || {
@@ -160,7 +365,8 @@ function convertGeminiResponseToOpenAI(geminiResponse, model, stream = false) {
             index: 0,
             message: {
               role: 'assistant',
-              content
+              content: toolCalls.length > 0 && !content ? null : content,
+              ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
             },
             finish_reason: finishReason
           }
@@ -178,7 +384,9 @@ function convertGeminiResponseToOpenAI(geminiResponse, model, stream = false) {
 }
 
 // OpenAI 兼容的聊天完成端点
-router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
+// 权限与模型限制检查必须先于响应缓存执行
+const chatMiddlewares = [authenticateApiKey, ensureChatAccess, responseCache('openai-gemini-chat')]
+router.post('/v1/chat/completions', chatMiddlewares, async (req, res) => {
   const startTime = Date.now()
   let abortController = null
   let account = null // Declare account outside try block for error handling
@@ -188,16 +396,6 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
   try {
     const apiKeyData = req.apiKey
 
-    // 检查权限
-    if (!checkPermissions(apiKeyData, 'gemini')) {
-      return res.status(403).json({
-        error: {
-          message: 'This API key does not have permission to access Gemini',
-          type: 'permission_denied',
-          code: 'permission_denied'
-        }
-      })
-    }
     // 处理请求体结构 - 支持多种格式
     let requestBody = req.body
 
@@ -207,11 +405,9 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
     }
 
     // 从 URL 路径中提取模型信息（如果存在）
-    let urlModel = null
     const urlPath = req.body?.config?.url || req.originalUrl || req.url
-    const modelMatch = urlPath.match(/\/([^/]+):(?:stream)?[Gg]enerateContent/)
-    if (modelMatch) {
-      urlModel = modelMatch[1]
+    const urlModel = extractModelFromUrl(req)
+    if (urlModel) {
       logger.debug(`Extracted model from URL: ${urlModel}`)
     }
 
@@ -222,7 +418,11 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
       model: bodyModel = 'gemini-2.0-flash-exp',
       temperature = 0.7,
       max_tokens = 4096,
-      stream = false
+      stream = false,
+      tools,
+      tool_choice: toolChoice,
+      functions,
+      function_call: functionCall
     } = requestBody
 
     // 检查URL中是否包含stream标识
@@ -249,19 +449,6 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
       })
     }
 
-    // 检查模型限制
-    if (apiKeyData.enableModelRestriction && apiKeyData.restrictedModels.length > 0) {
-      if (!apiKeyData.restrictedModels.includes(model)) {
-        return res.status(403).json({
-          error: {
-            message: `Model ${model} is not allowed for this API key`,
-            type: 'invalid_request_error',
-            code: 'model_not_allowed'
-          }
-        })
-      }
-    }
-
     // 转换消息格式
     const { contents: geminiContents, systemInstruction } = convertMessagesToGemini(messages)
 
@@ -279,6 +466,16 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
       geminiRequestBody.systemInstruction = { parts: [{ text: systemInstruction }] }
     }
 
+    // 工具定义与调用策略
+    const geminiTools = convertToolsToGemini(tools, functions)
+    if (geminiTools) {
+      geminiRequestBody.tools = geminiTools
+      const toolConfig = convertToolChoiceToGemini(toolChoice || functionCall)
+      if (toolConfig) {
+        geminiRequestBody.toolConfig = toolConfig
+      }
+    }
+
     // 生成会话哈希用于粘性会话
     sessionHash = generateSessionHash(req)
 
@@ -287,9 +484,13 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
       accountSelection = await unifiedGeminiScheduler.selectAccountForApiKey(
         apiKeyData,
         sessionHash,
-        model
+        model,
+        { allowApiAccounts: true }
       )
-      account = await geminiAccountService.getAccount(accountSelection.accountId)
+      account =
+        accountSelection.accountType === 'gemini-api'
+          ? await geminiApiAccountService.getAccount(accountSelection.accountId)
+          : await geminiAccountService.getAccount(accountSelection.accountId)
     } catch (error) {
       logger.error('Failed to select Gemini account:', error)
       account = null
@@ -307,12 +508,17 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
 
     logger.info(`Using Gemini account: ${account.id} for API key: ${apiKeyData.id}`)
 
-    // 标记账户被使用
-    await geminiAccountService.markAccountUsed(account.id)
+    // AI Studio API Key 账户直接调用 generativelanguage API，无需 OAuth 客户端
+    const isApiAccount = accountSelection.accountType === 'gemini-api'
+
+    // 标记账户被使用（API Key 账户由调度器和中继服务更新）
+    if (!isApiAccount) {
+      await geminiAccountService.markAccountUsed(account.id)
+    }
 
     // 解析账户的代理配置
     let proxyConfig = null
-    if (account.proxy) {
+    if (account.proxy && !isApiAccount) {
       try {
         proxyConfig = typeof account.proxy === 'string' ? JSON.parse(account.proxy) : account.proxy
       } catch (e) {
@@ -332,11 +538,13 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
     })
 
     // 获取OAuth客户端
-    const client = await geminiAccountService.getOauthClient(
-      account.accessToken,
-      account.refreshToken,
-      proxyConfig
-    )
+    const client = isApiAccount
+      ? null
+      : await geminiAccountService.getOauthClient(
+          account.accessToken,
+          account.refreshToken,
+          proxyConfig
+        )
     if (actualStream) {
       // 流式响应
       logger.info('StreamGenerateContent request', {
@@ -345,15 +553,23 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
         apiKeyId: apiKeyData.id
       })
 
-      const streamResponse = await geminiAccountService.generateContentStream(
-        client,
-        { model, request: geminiRequestBody },
-        null, // user_prompt_id
-        account.projectId, // 使用有权限的项目ID
-        apiKeyData.id, // 使用 API Key ID 作为 session ID
-        abortController.signal, // 传递中止信号
-        proxyConfig // 传递代理配置
-      )
+      const streamResponse = isApiAccount
+        ? await geminiApiRelayService.sendRequest(account, {
+            model,
+            request: geminiRequestBody,
+            stream: true,
+            signal: abortController.signal
+          })
+        : await geminiAccountService.generateContentStream(
+            client,
+            { model, request: geminiRequestBody },
+            null, // user_prompt_id
+            account.projectId, // 使用有权限的项目ID
+            apiKeyData.id, // 使用 API Key ID 作为 session ID
+            abortController.signal, // 传递中止信号
+            proxyConfig, // 传递代理配置
+            account.id
+          )
 
       // 设置流式响应头
       res.setHeader('Content-Type', 'text/event-stream')
@@ -363,22 +579,31 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
 
       // 处理流式响应，转换为 OpenAI 格式
       let buffer = ''
+      const completionId = `chatcmpl-${Date.now()}`
+      let toolCallCount = 0
 
-      // 发送初始的空消息，符合 OpenAI 流式格式
-      const initialChunk = {
-        id: `chatcmpl-${Date.now()}`,
-        object: 'chat.completion.chunk',
-        created: Math.floor(Date.now() / 1000),
-        model,
-        choices: [
-          {
-            index: 0,
-            delta: { role: 'assistant' },
-            finish_reason: null
-          }
-        ]
+      const writeChunk = (delta, finishReason = null, usage = null) => {
+        const openaiChunk = {
+          id: completionId,
+          object: 'chat.completion.chunk',
+          created: Math.floor(Date.now() / 1000),
+          model,
+          choices: [
+            {
+              index: 0,
+              delta,
+              finish_reason: finishReason
+            }
+          ]
+        }
+        if (usage) {
+          openaiChunk.usage = usage
+        }
+        res.write(`data: ${JSON.stringify(openaiChunk)}\n\n`)
       }
-      res.write(`data: ${JSON.stringify(initialChunk)}\n\n`)
+
+      // 发送初始的空消息，符合 OpenAI 流式格式
+      writeChunk({ role: 'assistant' })
 
       // 用于收集usage数据
       let totalUsage = {
@@ -416,7 +641,9 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
             }
 
             try {
-              const data = JSON.parse(jsonData)
+              const parsed = JSON.parse(jsonData)
+              // API Key 账户返回标准 Gemini 格式，统一为内部 API 的 { response } 结构
+              const data = parsed.response ? parsed : { response: parsed }
 
               // 捕获usage数据
               if (data.response?.usageMetadata) {
@@ -427,53 +654,46 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
               // 转换为 OpenAI 流式格式
               if (data.response?.candidates && data.response.candidates.length > 0) {
                 const candidate = data.response.candidates[0]
-                const content = candidate.content?.parts?.[0]?.text || ''
                 const { finishReason } = candidate
 
-                // 只有当有内容或者是结束标记时才发送数据
-                if (content || finishReason === 'STOP') {
-                  const openaiChunk = {
-                    id: `chatcmpl-${Date.now()}`,
-                    object: 'chat.completion.chunk',
-                    created: Math.floor(Date.now() / 1000),
-                    model,
-                    choices: [
-                      {
-                        index: 0,
-                        delta: content ? { content } : {},
-                        finish_reason: finishReason === 'STOP' ? 'stop' : null
-                      }
-                    ]
+                for (const part of candidate.content?.parts || []) {
+                  if (part.text && !part.thought) {
+                    writeChunk({ content: part.text })
+                  } else if (part.functionCall) {
+                    // 先发送调用 ID 与函数名，再发送参数增量
+                    const toolCall = convertFunctionCallToOpenAI(part.functionCall)
+                    const index = toolCallCount++
+                    writeChunk({
+                      tool_calls: [
+                        {
+                          index,
+                          id: toolCall.id,
+                          type: 'function',
+                          function: { name: toolCall.function.name, arguments: '' }
+                        }
+                      ]
+                    })
+                    writeChunk({
+                      tool_calls: [{ index, function: { arguments: toolCall.function.arguments } }]
+                    })
                   }
+                }
 
-                  res.write(`data: ${JSON.stringify(openaiChunk)}\n\n`)
-
-                  // 如果结束了，添加 usage 信息并发送最终的 [DONE]
-                  if (finishReason === 'STOP') {
-                    // 如果有 usage 数据，添加到最后一个 chunk
-                    if (data.response.usageMetadata) {
-                      const usageChunk = {
-                        id: `chatcmpl-${Date.now()}`,
-                        object: 'chat.completion.chunk',
-                        created: Math.floor(Date.now() / 1000),
-                        model,
-                        choices: [
-                          {
-                            index: 0,
-                            delta: {},
-                            finish_reason: 'stop'
-                          }
-                        ],
-                        usage: {
-                          prompt_tokens: data.response.usageMetadata.promptTokenCount || 0,
-                          completion_tokens: data.response.usageMetadata.candidatesTokenCount || 0,
-                          total_tokens: data.response.usageMetadata.totalTokenCount || 0
+                // 结束时发送 finish_reason 与 usage 信息，并发送最终的 [DONE]
+                if (finishReason) {
+                  const { usageMetadata } = data.response
+                  writeChunk(
+                    {},
+                    mapFinishReason(finishReason, toolCallCount > 0),
+                    usageMetadata
+                      ? {
+                          prompt_tokens: usageMetadata.promptTokenCount || 0,
+                          completion_tokens: usageMetadata.candidatesTokenCount || 0,
+                          total_tokens: usageMetadata.totalTokenCount || 0
                         }
-                      }
-                      res.write(`data: ${JSON.stringify(usageChunk)}\n\n`)
-                    }
-                    res.write('data: [DONE]\n\n')
-                  }
+                      : null
+                  )
+                  res.write('data: [DONE]\n\n')
                 }
               }
             } catch (e) {
@@ -507,7 +727,8 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
               0, // cacheCreateTokens
               0, // cacheReadTokens
               model,
-              account.id
+              account.id,
+              accountSelection.accountType
             )
             logger.info(
               `📊 Recorded Gemini stream usage - Input: ${totalUsage.promptTokenCount}, Output: ${totalUsage.candidatesTokenCount}, Total: ${totalUsage.totalTokenCount}`
@@ -547,14 +768,21 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
         apiKeyId: apiKeyData.id
       })
 
-      const response = await geminiAccountService.generateContent(
-        client,
-        { model, request: geminiRequestBody },
-        null, // user_prompt_id
-        account.projectId, // 使用有权限的项目ID
-        apiKeyData.id, // 使用 API Key ID 作为 session ID
-        proxyConfig // 传递代理配置
-      )
+      const response = isApiAccount
+        ? await geminiApiRelayService.sendRequest(account, {
+            model,
+            request: geminiRequestBody,
+            signal: abortController.signal
+          })
+        : await geminiAccountService.generateContent(
+            client,
+            { model, request: geminiRequestBody },
+            null, // user_prompt_id
+            account.projectId, // 使用有权限的项目ID
+            apiKeyData.id, // 使用 API Key ID 作为 session ID
+            proxyConfig, // 传递代理配置
+            account.id
+          )
 
       // 转换为 OpenAI 格式并返回
       const openaiResponse = convertGeminiResponseToOpenAI(response, model, false)
@@ -570,7 +798,8 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
             0, // cacheCreateTokens
             0, // cacheReadTokens
             model,
-            account.id
+            account.id,
+            accountSelection.accountType
           )
           logger.info(
             `📊 Recorded Gemini usage - Input: ${openaiResponse.usage.prompt_tokens}, Output: ${openaiResponse.usage.completion_tokens}, Total: ${openaiResponse.usage.total_tokens}`
@@ -588,9 +817,9 @@ router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
   } catch (error) {
     logger.error('OpenAI-Gemini request error:', error)
 
-    // 处理速率限制
+    // 处理速率限制（API Key 账户已由 geminiApiRelayService 按上游重试时间标记）
     if (error.status === 429) {
-      if (req.apiKey && account && accountSelection) {
+      if (req.apiKey && account && accountSelection?.accountType === 'gemini') {
         await unifiedGeminiScheduler.markAccountRateLimited(account.id, 'gemini', sessionHash)
       }
     }
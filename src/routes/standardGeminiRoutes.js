@@ -1,9 +1,12 @@
 const express = require('express')
 const router = express.Router()
 const { authenticateApiKey } = require('../middleware/auth')
+const { responseCache } = require('../middleware/responseCache')
 const logger = require('../utils/logger')
 const geminiAccountService = require('../services/geminiAccountService')
 const unifiedGeminiScheduler = require('../services/unifiedGeminiScheduler')
+const geminiApiAccountService = require('../services/geminiApiAccountService')
+const geminiApiRelayService = require('../services/geminiApiRelayService')
 const apiKeyService = require('../services/apiKeyService')
 const sessionHelper = require('../utils/sessionHelper')
 
@@ -197,11 +200,22 @@ async function handleStandardGenerateContent(req, res) {
     }
 
     // 使用统一调度选择账号
-    const { accountId } = await unifiedGeminiScheduler.selectAccountForApiKey(
+    const { accountId, accountType } = await unifiedGeminiScheduler.selectAccountForApiKey(
       req.apiKey,
       sessionHash,
-      model
+      model,
+      { allowApiAccounts: true }
     )
+
+    // AI Studio API Key 账户直接透传标准 Gemini 请求体
+    if (accountType === 'gemini-api') {
+      const apiAccount = await geminiApiAccountService.getAccount(accountId)
+      return await geminiApiRelayService.handleStandardRequest(req, res, apiAccount, {
+        model,
+        stream: false
+      })
+    }
+
     const account = await geminiAccountService.getAccount(accountId)
     const { accessToken, refreshToken } = account
 
@@ -276,7 +290,8 @@ async function handleStandardGenerateContent(req, res) {
       userPromptId, // 使用生成的 user_prompt_id
       effectiveProjectId, // 使用处理后的项目ID
       req.apiKey?.id, // 使用 API Key ID 作为 session ID
-      proxyConfig
+      proxyConfig,
+      accountId
     )
 
     // 记录使用统计
@@ -290,7 +305,8 @@ async function handleStandardGenerateContent(req, res) {
           0, // cacheCreateTokens
           0, // cacheReadTokens
           model,
-          account.id
+          account.id,
+          'gemini'
         )
         logger.info(
           `📊 Recorded Gemini usage - Input: ${usage.promptTokenCount}, Output: ${usage.candidatesTokenCount}, Total: ${usage.totalTokenCount}`
@@ -342,6 +358,55 @@ async function handleStandardGenerateContent(req, res) {
   }
 }
 
+// 处理标准 Gemini API 格式的 embedContent / batchEmbedContents
+// Code Assist 不提供 embeddings 接口，只能由 AI Studio API Key 账户处理
+function createEmbeddingHandler(action) {
+  return async (req, res) => {
+    try {
+      if (!ensureGeminiPermission(req, res)) {
+        return undefined
+      }
+
+      const model = req.params.modelName
+      const hasContent =
+        action === 'batchEmbedContents'
+          ? Array.isArray(req.body.requests) && req.body.requests.length > 0
+          : !!req.body.content
+      if (!hasContent) {
+        return res.status(400).json({
+          error: {
+            message:
+              action === 'batchEmbedContents'
+                ? 'Requests array is required'
+                : 'Content is required',
+            type: 'invalid_request_error'
+          }
+        })
+      }
+
+      const { accountId } = await unifiedGeminiScheduler.selectAccountForApiKey(
+        req.apiKey,
+        null,
+        model,
+        { apiAccountsOnly: true }
+      )
+      const apiAccount = await geminiApiAccountService.getAccount(accountId)
+      return await geminiApiRelayService.handleStandardRequest(req, res, apiAccount, {
+        model,
+        action
+      })
+    } catch (error) {
+      logger.error(`Error in standard ${action} endpoint:`, error.message)
+      return res.status(503).json({
+        error: {
+          message: error.message || 'No available Gemini API accounts',
+          type: 'api_error'
+        }
+      })
+    }
+  }
+}
+
 // 专门处理标准 Gemini API 格式的 streamGenerateContent
 async function handleStandardStreamGenerateContent(req, res) {
   let abortController = null
@@ -409,11 +474,22 @@ async function handleStandardStreamGenerateContent(req, res) {
     }
 
     // 使用统一调度选择账号
-    const { accountId } = await unifiedGeminiScheduler.selectAccountForApiKey(
+    const { accountId, accountType } = await unifiedGeminiScheduler.selectAccountForApiKey(
       req.apiKey,
       sessionHash,
-      model
+      model,
+      { allowApiAccounts: true }
     )
+
+    // AI Studio API Key 账户直接透传标准 Gemini 请求体
+    if (accountType === 'gemini-api') {
+      const apiAccount = await geminiApiAccountService.getAccount(accountId)
+      return await geminiApiRelayService.handleStandardRequest(req, res, apiAccount, {
+        model,
+        stream: true
+      })
+    }
+
     const account = await geminiAccountService.getAccount(accountId)
     const { accessToken, refreshToken } = account
 
@@ -500,7 +576,8 @@ async function handleStandardStreamGenerateContent(req, res) {
       effectiveProjectId, // 使用处理后的项目ID
       req.apiKey?.id, // 使用 API Key ID 作为 session ID
       abortController.signal,
-      proxyConfig
+      proxyConfig,
+      accountId
     )
 
     // 设置 SSE 响应头
@@ -609,7 +686,8 @@ async function handleStandardStreamGenerateContent(req, res) {
             0, // cacheCreateTokens
             0, // cacheReadTokens
             model,
-            account.id
+            account.id,
+            'gemini'
           )
           logger.info(
             `📊 Recorded Gemini stream usage - Input: ${totalUsage.promptTokenCount}, Output: ${totalUsage.candidatesTokenCount}, Total: ${totalUsage.totalTokenCount}`
@@ -713,6 +791,7 @@ router.post(
   '/v1beta/models/:modelName\\:generateContent',
   authenticateApiKey,
   ensureGeminiPermissionMiddleware,
+  responseCache('gemini-generate'),
   handleStandardGenerateContent
 )
 
@@ -723,11 +802,26 @@ router.post(
   handleStandardStreamGenerateContent
 )
 
+router.post(
+  '/v1beta/models/:modelName\\:embedContent',
+  authenticateApiKey,
+  ensureGeminiPermissionMiddleware,
+  createEmbeddingHandler('embedContent')
+)
+
+router.post(
+  '/v1beta/models/:modelName\\:batchEmbedContents',
+  authenticateApiKey,
+  ensureGeminiPermissionMiddleware,
+  createEmbeddingHandler('batchEmbedContents')
+)
+
 // v1 版本的标准路由（为了完整性，虽然 Gemini 主要使用 v1beta）
 router.post(
   '/v1/models/:modelName\\:generateContent',
   authenticateApiKey,
   ensureGeminiPermissionMiddleware,
+  responseCache('gemini-generate'),
   handleStandardGenerateContent
 )
 
@@ -738,6 +832,20 @@ router.post(
   handleStandardStreamGenerateContent
 )
 
+router.post(
+  '/v1/models/:modelName\\:embedContent',
+  authenticateApiKey,
+  ensureGeminiPermissionMiddleware,
+  createEmbeddingHandler('embedContent')
+)
+
+router.post(
+  '/v1/models/:modelName\\:batchEmbedContents',
+  authenticateApiKey,
+  ensureGeminiPermissionMiddleware,
+  createEmbeddingHandler('batchEmbedContents')
+)
+
 router.post(
   '/v1/models/:modelName\\:countTokens',
   authenticateApiKey,
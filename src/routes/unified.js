@@ -1,12 +1,21 @@
 const express = require('express')
 const { authenticateApiKey } = require('../middleware/auth')
+const { responseCache } = require('../middleware/responseCache')
 const logger = require('../utils/logger')
-const { handleChatCompletion } = require('./openaiClaudeRoutes')
+const { handleChatCompletion, getChatAccessError } = require('./openaiClaudeRoutes')
 const {
   handleGenerateContent: geminiHandleGenerateContent,
   handleStreamGenerateContent: geminiHandleStreamGenerateContent
 } = require('./geminiRoutes')
 const openaiRoutes = require('./openaiRoutes')
+const openaiCompatibleScheduler = require('../services/openaiCompatibleScheduler')
+const openaiCompatibleRelayService = require('../services/openaiCompatibleRelayService')
+const bedrockAccountService = require('../services/bedrockAccountService')
+const bedrockRelayService = require('../services/bedrockRelayService')
+const unifiedGeminiScheduler = require('../services/unifiedGeminiScheduler')
+const geminiApiAccountService = require('../services/geminiApiAccountService')
+const geminiApiRelayService = require('../services/geminiApiRelayService')
+const { handleEmbeddings: azureHandleEmbeddings } = require('./azureOpenaiRoutes')
 
 const router = express.Router()
 
@@ -63,13 +72,79 @@ function detectBackendFromModel(modelName) {
 
 // 🚀 智能后端路由处理器
 async function routeToBackend(req, res, requestedModel) {
+  // 检查权限
+  const permissions = req.apiKey.permissions || 'all'
+
+  // OpenAI 兼容账户按模型列表认领请求，优先于按模型名推断的后端
+  let compatibleAccount = null
+  try {
+    compatibleAccount = await openaiCompatibleScheduler.selectAccount(req.apiKey, requestedModel)
+  } catch (error) {
+    return res.status(error.statusCode || 503).json({
+      error: {
+        message: error.message,
+        type: 'server_error',
+        code: 'no_available_accounts'
+      }
+    })
+  }
+
+  if (compatibleAccount) {
+    logger.info(`🔀 Routing request - Model: ${requestedModel}, Backend: openai-compatible`)
+    if (permissions !== 'all' && permissions !== 'openai') {
+      return res.status(403).json({
+        error: {
+          message: 'This API key does not have permission to access OpenAI',
+          type: 'permission_denied',
+          code: 'permission_denied'
+        }
+      })
+    }
+    req.responseCachePermission = 'openai'
+    return await openaiCompatibleRelayService.handleChatCompletion(req, res, compatibleAccount)
+  }
+
+  // Bedrock 账户的 Converse 模型列表（Nova、Llama、Mistral 等）同样按模型认领请求
+  let converseSelection = null
+  try {
+    converseSelection = await bedrockAccountService.selectConverseAccount(
+      req.apiKey,
+      requestedModel
+    )
+  } catch (error) {
+    return res.status(error.statusCode || 503).json({
+      error: {
+        message: error.message,
+        type: 'server_error',
+        code: 'no_available_accounts'
+      }
+    })
+  }
+
+  if (converseSelection) {
+    logger.info(`🔀 Routing request - Model: ${requestedModel}, Backend: bedrock-converse`)
+    if (permissions !== 'all' && permissions !== 'claude') {
+      return res.status(403).json({
+        error: {
+          message: 'This API key does not have permission to access Bedrock',
+          type: 'permission_denied',
+          code: 'permission_denied'
+        }
+      })
+    }
+    req.responseCachePermission = 'claude'
+    return await bedrockRelayService.handleChatCompletion(
+      req,
+      res,
+      converseSelection.account,
+      converseSelection.modelId
+    )
+  }
+
   const backend = detectBackendFromModel(requestedModel)
 
   logger.info(`🔀 Routing request - Model: ${requestedModel}, Backend: ${backend}`)
 
-  // 检查权限
-  const permissions = req.apiKey.permissions || 'all'
-
   if (backend === 'claude') {
     // Claude 后端：通过 OpenAI 兼容层
     if (permissions !== 'all' && permissions !== 'claude') {
@@ -81,6 +156,7 @@ async function routeToBackend(req, res, requestedModel) {
         }
       })
     }
+    req.responseCachePermission = 'claude'
     await handleChatCompletion(req, res, req.apiKey)
   } else if (backend === 'openai') {
     // OpenAI 后端
@@ -93,6 +169,7 @@ async function routeToBackend(req, res, requestedModel) {
         }
       })
     }
+    req.responseCachePermission = 'openai'
     return await openaiRoutes.handleResponses(req, res)
   } else if (backend === 'gemini') {
     // Gemini 后端
@@ -105,6 +182,7 @@ async function routeToBackend(req, res, requestedModel) {
         }
       })
     }
+    req.responseCachePermission = 'gemini'
 
     // 转换为 Gemini 格式
     const geminiRequest = {
@@ -133,8 +211,96 @@ async function routeToBackend(req, res, requestedModel) {
   }
 }
 
+// 🔍 Gemini 嵌入模型（gemini-embedding-001、text-embedding-004、embedding-001 等）
+function isGeminiEmbeddingModel(modelName) {
+  const model = modelName.replace(/^models\//, '').toLowerCase()
+  return (
+    detectBackendFromModel(model) === 'gemini' ||
+    /^(text-embedding-00\d|embedding-\d|text-multilingual-embedding)/.test(model)
+  )
+}
+
+// 🧬 embeddings 后端路由：OpenAI 兼容账户按模型列表认领，Gemini 模型使用 API Key 账户，其余交给 Azure OpenAI
+async function routeEmbeddingsToBackend(req, res, requestedModel) {
+  const permissions = req.apiKey.permissions || 'all'
+  const permissionDenied = (platform) =>
+    res.status(403).json({
+      error: {
+        message: `This API key does not have permission to access ${platform}`,
+        type: 'permission_denied',
+        code: 'permission_denied'
+      }
+    })
+  const noAvailableAccounts = (error) =>
+    res.status(error.statusCode || 503).json({
+      error: {
+        message: error.message,
+        type: 'server_error',
+        code: 'no_available_accounts'
+      }
+    })
+
+  let compatibleAccount = null
+  try {
+    compatibleAccount = await openaiCompatibleScheduler.selectAccount(req.apiKey, requestedModel)
+  } catch (error) {
+    return noAvailableAccounts(error)
+  }
+
+  if (compatibleAccount) {
+    logger.info(`🔀 Routing embeddings - Model: ${requestedModel}, Backend: openai-compatible`)
+    if (permissions !== 'all' && permissions !== 'openai') {
+      return permissionDenied('OpenAI')
+    }
+    return await openaiCompatibleRelayService.handleEmbeddings(req, res, compatibleAccount)
+  }
+
+  if (isGeminiEmbeddingModel(requestedModel)) {
+    logger.info(`🔀 Routing embeddings - Model: ${requestedModel}, Backend: gemini-api`)
+    if (permissions !== 'all' && permissions !== 'gemini') {
+      return permissionDenied('Gemini')
+    }
+
+    let account = null
+    try {
+      const { accountId } = await unifiedGeminiScheduler.selectAccountForApiKey(
+        req.apiKey,
+        null,
+        requestedModel,
+        { apiAccountsOnly: true }
+      )
+      account = await geminiApiAccountService.getAccount(accountId)
+    } catch (error) {
+      return noAvailableAccounts(error)
+    }
+    return await geminiApiRelayService.handleOpenAIEmbeddings(req, res, account)
+  }
+
+  logger.info(`🔀 Routing embeddings - Model: ${requestedModel}, Backend: azure-openai`)
+  if (permissions !== 'all' && permissions !== 'openai') {
+    return permissionDenied('OpenAI')
+  }
+  return await azureHandleEmbeddings(req, res, { matchModel: true })
+}
+
+// 响应缓存前的访问检查：后端由模型和账户认领共同决定，这里按模型推断的后端预先校验，
+// 不通过时跳过缓存交给路由处理器拒绝；账户认领的后端由缓存条目记录的权限在命中时校验
+function checkChatCacheAccess(req, res, next) {
+  const model = req.body?.model || 'claude-3-5-sonnet-20241022'
+  const backend = detectBackendFromModel(model)
+  const permissions = req.apiKey.permissions || 'all'
+  if (
+    (permissions !== 'all' && permissions !== backend) ||
+    (backend === 'claude' && getChatAccessError(req.apiKey, model))
+  ) {
+    req.skipResponseCache = true
+  }
+  return next()
+}
+
 // 🔄 OpenAI 兼容的 chat/completions 端点（智能后端路由）
-router.post('/v1/chat/completions', authenticateApiKey, async (req, res) => {
+const chatMiddlewares = [authenticateApiKey, checkChatCacheAccess, responseCache('unified-chat')]
+router.post('/v1/chat/completions', chatMiddlewares, async (req, res) => {
   try {
     // 验证必需参数
     if (!req.body.messages || !Array.isArray(req.body.messages) || req.body.messages.length === 0) {
@@ -220,6 +386,35 @@ router.post('/v1/completions', authenticateApiKey, async (req, res) => {
   }
 })
 
+// 🧬 OpenAI 兼容的 embeddings 端点（按模型路由到 OpenAI 兼容、Gemini 或 Azure OpenAI 账户）
+router.post('/v1/embeddings', authenticateApiKey, async (req, res) => {
+  try {
+    const { model, input } = req.body
+    if (!model || input === undefined || input === null || input === '') {
+      return res.status(400).json({
+        error: {
+          message: 'Both model and input are required',
+          type: 'invalid_request_error',
+          code: 'invalid_request'
+        }
+      })
+    }
+
+    await routeEmbeddingsToBackend(req, res, model)
+  } catch (error) {
+    logger.error('❌ OpenAI embeddings error:', error)
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: {
+          message: 'Internal server error',
+          type: 'server_error',
+          code: 'internal_error'
+        }
+      })
+    }
+  }
+})
+
 module.exports = router
 module.exports.detectBackendFromModel = detectBackendFromModel
 module.exports.routeToBackend = routeToBackend
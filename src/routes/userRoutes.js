@@ -207,8 +207,9 @@ router.get('/profile', authenticateUser, async (req, res) => {
         apiKeyCount: user.apiKeyCount,
         totalUsage: user.totalUsage
       },
+      quota: await userService.getUserQuotaStatus(user),
       config: {
-        maxApiKeysPerUser: config.userManagement.maxApiKeysPerUser,
+        maxApiKeysPerUser: userService.getMaxApiKeys(user),
         allowUserDeleteApiKeys: config.userManagement.allowUserDeleteApiKeys
       }
     })
@@ -310,14 +311,17 @@ router.post('/api-keys', authenticateUser, async (req, res) => {
       })
     }
 
-    // 检查用户API Key数量限制
+    // 检查用户API Key数量限制（用户级配置优先于全局配置）
+    const user = await userService.getUserById(req.user.id, false)
+    const maxApiKeys = userService.getMaxApiKeys(user)
     const userApiKeys = await apiKeyService.getUserApiKeys(req.user.id)
-    if (userApiKeys.length >= config.userManagement.maxApiKeysPerUser) {
+    if (userApiKeys.length >= maxApiKeys) {
       return res.status(400).json({
         error: 'API key limit exceeded',
-        message: `You can only have up to ${config.userManagement.maxApiKeysPerUser} API keys`
+        message: `You can only have up to ${maxApiKeys} API keys`
       })
     }
+    const userLimits = userService.normalizeUserLimits(user?.limits)
 
     // 创建API Key数据
     const apiKeyData = {
@@ -330,8 +334,8 @@ router.post('/api-keys', authenticateUser, async (req, res) => {
       dailyCostLimit: dailyCostLimit || null,
       totalCostLimit: totalCostLimit || null,
       createdBy: 'user',
-      // 设置服务权限为全部服务，确保前端显示“服务权限”为“全部服务”且具备完整访问权限
-      permissions: 'all'
+      // 服务权限跟随用户级权限配置，未限制时为全部服务
+      permissions: userLimits.permissions
     }
 
     const newApiKey = await apiKeyService.createApiKey(apiKeyData)
@@ -634,6 +638,65 @@ router.patch('/:userId/role', authenticateUserOrAdmin, requireAdmin, async (req,
   }
 })
 
+// 📏 更新用户级配额（管理员）
+router.patch('/:userId/limits', authenticateUserOrAdmin, requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params
+    const limits = req.body || {}
+
+    for (const field of ['dailyCostLimit', 'totalCostLimit', 'maxApiKeys', 'concurrencyLimit']) {
+      const value = limits[field]
+      if (value === undefined || value === null || value === '') {
+        continue
+      }
+      if (Number.isNaN(Number(value)) || Number(value) < 0) {
+        return res.status(400).json({
+          error: 'Invalid limit',
+          message: `${field} must be a non-negative number`
+        })
+      }
+    }
+
+    if (
+      limits.permissions !== undefined &&
+      !userService.permissionOptions.includes(limits.permissions)
+    ) {
+      return res.status(400).json({
+        error: 'Invalid permissions',
+        message: `Permissions must be one of: ${userService.permissionOptions.join(', ')}`
+      })
+    }
+
+    const updatedUser = await userService.updateUserLimits(userId, {
+      dailyCostLimit: limits.dailyCostLimit,
+      totalCostLimit: limits.totalCostLimit,
+      maxApiKeys: limits.maxApiKeys,
+      concurrencyLimit: limits.concurrencyLimit,
+      permissions: limits.permissions
+    })
+
+    const adminUser = req.admin?.username || req.user?.username
+    logger.info(`📏 Admin ${adminUser} updated limits for user ${updatedUser.username}`)
+
+    res.json({
+      success: true,
+      message: 'User limits updated successfully',
+      user: {
+        id: updatedUser.id,
+        username: updatedUser.username,
+        limits: updatedUser.limits,
+        updatedAt: updatedUser.updatedAt
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Update user limits error:', error)
+    res.status(500).json({
+      error: 'Update limits error',
+      message: error.message || 'Failed to update user limits'
+    })
+  }
+})
+
 // 🔑 禁用用户的所有API Keys（管理员）
 router.post('/:userId/disable-keys', authenticateUserOrAdmin, requireAdmin, async (req, res) => {
   try {
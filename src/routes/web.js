@@ -6,6 +6,7 @@ const fs = require('fs')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
+const adminAccountService = require('../services/adminAccountService')
 
 const router = express.Router()
 
@@ -56,24 +57,27 @@ router.post('/auth/login', async (req, res) => {
           logger.info('✅ Admin credentials reloaded from init.json')
         } catch (error) {
           logger.error('❌ Failed to reload admin credentials:', error)
-          return res.status(401).json({
-            error: 'Invalid credentials',
-            message: 'Invalid username or password'
-          })
+          adminData = null
         }
-      } else {
-        return res.status(401).json({
-          error: 'Invalid credentials',
-          message: 'Invalid username or password'
-        })
       }
     }
 
-    // 验证用户名和密码
-    const isValidUsername = adminData.username === username
-    const isValidPassword = await bcrypt.compare(password, adminData.passwordHash)
+    // 验证用户名和密码：先匹配默认管理员，再匹配具名管理员账户
+    let identity = null
+    if (
+      adminData?.passwordHash &&
+      adminData.username === username &&
+      (await bcrypt.compare(password, adminData.passwordHash))
+    ) {
+      identity = { username: adminData.username, role: adminAccountService.legacyRole }
+    } else {
+      const account = await adminAccountService.verifyCredentials(username, password)
+      if (account) {
+        identity = { adminId: account.id, username: account.username, role: account.role }
+      }
+    }
 
-    if (!isValidUsername || !isValidPassword) {
+    if (!identity) {
       logger.security(`🔒 Failed login attempt for username: ${username}`)
       return res.status(401).json({
         error: 'Invalid credentials',
@@ -86,7 +90,7 @@ router.post('/auth/login', async (req, res) => {
 
     // 存储会话
     const sessionData = {
-      username: adminData.username,
+      ...identity,
       loginTime: new Date().toISOString(),
       lastActivity: new Date().toISOString()
     }
@@ -96,13 +100,14 @@ router.post('/auth/login', async (req, res) => {
     // 不再更新 Redis 中的最后登录时间，因为 Redis 只是缓存
     // init.json 是唯一真实数据源
 
-    logger.success(`🔐 Admin login successful: ${username}`)
+    logger.success(`🔐 Admin login successful: ${username} (${identity.role})`)
 
     return res.json({
       success: true,
       token: sessionId,
       expiresIn: config.security.adminSessionTimeout,
-      username: adminData.username // 返回真实用户名
+      username: identity.username, // 返回真实用户名
+      role: identity.role
     })
   } catch (error) {
     logger.error('❌ Login error:', error)
@@ -171,6 +176,28 @@ router.post('/auth/change-password', async (req, res) => {
       })
     }
 
+    // 具名管理员账户只能修改自己的密码（用户名不可修改）
+    if (sessionData.adminId) {
+      const account = await adminAccountService.getAccount(sessionData.adminId)
+      if (!account || !(await bcrypt.compare(currentPassword, account.passwordHash))) {
+        logger.security(`🔒 Invalid current password attempt for user: ${sessionData.username}`)
+        return res.status(401).json({
+          error: 'Invalid current password',
+          message: 'Current password is incorrect'
+        })
+      }
+
+      await adminAccountService.updateAccount(account.id, { password: newPassword })
+      await redis.deleteSession(token)
+      logger.success(`🔐 Admin password changed successfully for user: ${account.username}`)
+
+      return res.json({
+        success: true,
+        message: 'Password changed successfully. Please login again.',
+        newUsername: account.username
+      })
+    }
+
     // 获取当前管理员信息
     const adminData = await redis.getSession('admin_credentials')
     if (!adminData) {
@@ -276,6 +303,26 @@ router.get('/auth/user', async (req, res) => {
       })
     }
 
+    if (sessionData.adminId) {
+      const account = await adminAccountService.getAccount(sessionData.adminId)
+      if (!account || !account.isActive) {
+        return res.status(401).json({
+          error: 'Invalid token',
+          message: 'Admin account has been disabled or removed'
+        })
+      }
+
+      return res.json({
+        success: true,
+        user: {
+          username: account.username,
+          role: account.role,
+          loginTime: sessionData.loginTime,
+          lastActivity: sessionData.lastActivity
+        }
+      })
+    }
+
     // 获取管理员信息
     const adminData = await redis.getSession('admin_credentials')
     if (!adminData) {
@@ -289,6 +336,7 @@ router.get('/auth/user', async (req, res) => {
       success: true,
       user: {
         username: adminData.username,
+        role: adminAccountService.legacyRole,
         loginTime: sessionData.loginTime,
         lastActivity: sessionData.lastActivity
       }
@@ -3,6 +3,7 @@ const router = express.Router()
 const logger = require('../utils/logger')
 const webhookService = require('../services/webhookService')
 const webhookConfigService = require('../services/webhookConfigService')
+const usageReportService = require('../services/usageReportService')
 const { authenticateAdmin } = require('../middleware/auth')
 const { getISOStringWithTimezone } = require('../utils/dateHelper')
 
@@ -436,4 +437,121 @@ router.post('/test-notification', authenticateAdmin, async (req, res) => {
   }
 })
 
+// 统一处理报表任务错误（校验失败带有 httpStatus）
+const handleReportError = (res, error, fallbackMessage) => {
+  if (error.httpStatus) {
+    return res.status(error.httpStatus).json({ error: 'Request failed', message: error.message })
+  }
+  logger.error(`${fallbackMessage}:`, error)
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: error.message || fallbackMessage
+  })
+}
+
+// 获取定时用量报表任务
+router.get('/usage-reports', authenticateAdmin, async (req, res) => {
+  try {
+    const jobs = await usageReportService.listJobs()
+    res.json({
+      success: true,
+      enabled: usageReportService.isEnabled(),
+      frequencies: usageReportService.frequencies,
+      dimensions: usageReportService.dimensions,
+      jobs
+    })
+  } catch (error) {
+    handleReportError(res, error, '获取用量报表任务失败')
+  }
+})
+
+// 创建定时用量报表任务
+router.post('/usage-reports', authenticateAdmin, async (req, res) => {
+  try {
+    const { name, frequency, sendHour, dimensions, topN, platformIds, enabled } = req.body || {}
+    const job = await usageReportService.createJob({
+      name,
+      frequency,
+      sendHour,
+      dimensions,
+      topN,
+      platformIds,
+      enabled
+    })
+    res.json({ success: true, message: '用量报表任务已创建', job })
+  } catch (error) {
+    handleReportError(res, error, '创建用量报表任务失败')
+  }
+})
+
+// 更新定时用量报表任务
+router.put('/usage-reports/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { name, frequency, sendHour, dimensions, topN, platformIds, enabled } = req.body || {}
+    const updates = { name, frequency, sendHour, dimensions, topN, platformIds, enabled }
+    Object.keys(updates).forEach((key) => updates[key] === undefined && delete updates[key])
+
+    const job = await usageReportService.updateJob(req.params.id, updates)
+    res.json({ success: true, message: '用量报表任务已更新', job })
+  } catch (error) {
+    handleReportError(res, error, '更新用量报表任务失败')
+  }
+})
+
+// 删除定时用量报表任务
+router.delete('/usage-reports/:id', authenticateAdmin, async (req, res) => {
+  try {
+    await usageReportService.deleteJob(req.params.id)
+    res.json({ success: true, message: '用量报表任务已删除' })
+  } catch (error) {
+    handleReportError(res, error, '删除用量报表任务失败')
+  }
+})
+
+// 立即生成并发送上一个完整周期的报表
+router.post('/usage-reports/:id/run', authenticateAdmin, async (req, res) => {
+  try {
+    const job = await usageReportService.getJob(req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: 'Not found', message: '用量报表任务不存在' })
+    }
+
+    const run = await usageReportService.runJob(job, { manual: true })
+    res.json({
+      success: true,
+      message: `报表已生成：${run.delivery.succeeded} 个平台发送成功，${run.delivery.failed} 个失败`,
+      run
+    })
+  } catch (error) {
+    handleReportError(res, error, '执行用量报表任务失败')
+  }
+})
+
+// 获取报表任务的历史记录
+router.get('/usage-reports/:id/runs', authenticateAdmin, async (req, res) => {
+  try {
+    const runs = await usageReportService.getRunHistory(req.params.id)
+    res.json({ success: true, runs })
+  } catch (error) {
+    handleReportError(res, error, '获取用量报表历史失败')
+  }
+})
+
+// 下载历史报表 CSV
+router.get('/usage-reports/runs/:runId/csv', authenticateAdmin, async (req, res) => {
+  try {
+    const run = await usageReportService.getRun(req.params.runId)
+    if (!run) {
+      return res.status(404).json({ error: 'Not found', message: '报表不存在或已过期' })
+    }
+
+    const filename = `usage-report-${run.period.replace('~', '_')}.csv`
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.send(run.csv)
+  } catch (error) {
+    handleReportError(res, error, '下载用量报表失败')
+  }
+})
+
 module.exports = router
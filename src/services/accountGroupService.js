@@ -1,6 +1,7 @@
 const { v4: uuidv4 } = require('uuid')
 const logger = require('../utils/logger')
 const redis = require('../models/redis')
+const accountHealthService = require('./accountHealthService')
 
 class AccountGroupService {
   constructor() {
@@ -15,11 +16,12 @@ class AccountGroupService {
    * @param {string} groupData.name - 分组名称
    * @param {string} groupData.platform - 平台类型 (claude/gemini/openai)
    * @param {string} groupData.description - 分组描述
+   * @param {string} groupData.schedulingStrategy - 调度策略，空值表示沿用全局配置
    * @returns {Object} 创建的分组
    */
   async createGroup(groupData) {
     try {
-      const { name, platform, description = '' } = groupData
+      const { name, platform, description = '', schedulingStrategy = '' } = groupData
 
       // 验证必填字段
       if (!name || !platform) {
@@ -31,6 +33,8 @@ class AccountGroupService {
         throw new Error('平台类型必须是 claude、gemini、openai 或 droid')
       }
 
+      this._validateSchedulingStrategy(schedulingStrategy)
+
       const client = redis.getClientSafe()
       const groupId = uuidv4()
       const now = new Date().toISOString()
@@ -40,6 +44,7 @@ class AccountGroupService {
         name,
         platform,
         description,
+        schedulingStrategy,
         createdAt: now,
         updatedAt: now
       }
@@ -84,6 +89,10 @@ class AccountGroupService {
         throw new Error('不能修改分组的平台类型')
       }
 
+      if (updates.schedulingStrategy !== undefined) {
+        this._validateSchedulingStrategy(updates.schedulingStrategy)
+      }
+
       // 准备更新数据
       const updateData = {
         ...updates,
@@ -224,9 +233,15 @@ class AccountGroupService {
         throw new Error('分组不存在')
       }
 
-      // 验证平台一致性 (Claude和Claude Console视为同一平台)
-      const normalizedAccountPlatform =
-        accountPlatform === 'claude-console' ? 'claude' : accountPlatform
+      // 验证平台一致性 (Claude Console与Vertex账户加入Claude分组，OpenAI兼容账户加入OpenAI分组，
+      // Gemini API Key 账户加入Gemini分组)
+      const platformAliases = {
+        'claude-console': 'claude',
+        vertex: 'claude',
+        'openai-compatible': 'openai',
+        'gemini-api': 'gemini'
+      }
+      const normalizedAccountPlatform = platformAliases[accountPlatform] || accountPlatform
       if (normalizedAccountPlatform !== group.platform) {
         throw new Error('账户平台与分组平台不匹配')
       }
@@ -425,6 +440,13 @@ class AccountGroupService {
       throw error
     }
   }
+
+  // 验证分组调度策略（空字符串表示沿用全局配置）
+  _validateSchedulingStrategy(strategy) {
+    if (strategy && !accountHealthService.getStrategies().includes(strategy)) {
+      throw new Error(`调度策略必须是 ${accountHealthService.getStrategies().join('、')} 之一`)
+    }
+  }
 }
 
 module.exports = new AccountGroupService()
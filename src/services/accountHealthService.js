@@ -0,0 +1,270 @@
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+
+const HEALTH_KEY_PREFIX = 'account_health:'
+const STRATEGIES = ['priority', 'fastest-healthy', 'weighted-random']
+
+// 上游明确归因于账户的失败：5xx、限流、鉴权失败
+const ACCOUNT_ERROR_STATUSES = new Set([401, 403, 429])
+
+// 按 EWMA 更新统计；错误请求只计入错误率，避免快速失败拉低延迟
+const UPDATE_SCRIPT = `
+local key = KEYS[1]
+local alpha = tonumber(ARGV[1])
+local isError = tonumber(ARGV[4])
+local samples = tonumber(redis.call('HGET', key, 'samples') or '0')
+
+local function ewma(field, value)
+  local current = redis.call('HGET', key, field)
+  if not current then
+    return value
+  end
+  return alpha * value + (1 - alpha) * tonumber(current)
+end
+
+redis.call('HSET', key, 'errorRate', ewma('errorRate', isError))
+if isError == 0 then
+  redis.call('HSET', key, 'ttfbMs', ewma('ttfbMs', tonumber(ARGV[2])))
+  redis.call('HSET', key, 'latencyMs', ewma('latencyMs', tonumber(ARGV[3])))
+end
+redis.call('HSET', key, 'samples', samples + 1, 'updatedAt', ARGV[5], 'accountType', ARGV[6])
+redis.call('EXPIRE', key, tonumber(ARGV[7]))
+return samples + 1
+`
+
+/**
+ * 账户健康度服务
+ *
+ * 请求结束时按账户记录首字节延迟（TTFB）、总耗时和错误率的指数加权移动平均（EWMA），
+ * 统一调度器可据此选择账户：
+ * - priority：保持原有的优先级 + 最后使用时间逻辑（默认）
+ * - fastest-healthy：排除错误率过高的账户后选择 TTFB 最低的账户
+ * - weighted-random：按健康分加权随机选择
+ * 样本数不足的账户视为未知：fastest-healthy 优先尝试以积累样本，weighted-random 按中性分参与
+ */
+class AccountHealthService {
+  getStrategies() {
+    return STRATEGIES
+  }
+
+  /**
+   * 解析生效的调度策略（分组策略优先于全局配置）
+   * @param {string} groupStrategy - 账户分组配置的策略，空值表示沿用全局
+   */
+  getStrategy(groupStrategy = null) {
+    const strategy = STRATEGIES.includes(groupStrategy)
+      ? groupStrategy
+      : config.accountHealth?.strategy
+    return STRATEGIES.includes(strategy) ? strategy : 'priority'
+  }
+
+  /**
+   * 记录一次请求结果（由 requestLogger 在响应结束时调用）
+   * @param {Object} context - requestLogService 的请求上下文
+   * @param {number} statusCode - 响应状态码
+   * @param {number} duration - 请求总耗时（毫秒）
+   */
+  async recordRequest(context, statusCode, duration) {
+    if (!context?.accountId || context.cached) {
+      return
+    }
+
+    const ttfb = context.firstByteTime ? context.firstByteTime - context.startTime : duration
+    const isError = statusCode >= 500 || ACCOUNT_ERROR_STATUSES.has(statusCode)
+
+    try {
+      await redis
+        .getClientSafe()
+        .eval(
+          UPDATE_SCRIPT,
+          1,
+          `${HEALTH_KEY_PREFIX}${context.accountId}`,
+          this._getAlpha(),
+          Math.max(ttfb, 0),
+          Math.max(duration, 0),
+          isError ? 1 : 0,
+          new Date().toISOString(),
+          context.accountType || '',
+          this._getTtlSeconds()
+        )
+    } catch (error) {
+      logger.debug(`Failed to record account health for ${context.accountId}:`, error.message)
+    }
+  }
+
+  /**
+   * 批量获取账户健康统计
+   * @param {Array<string>} accountIds - 账户ID列表
+   * @returns {Promise<Map<string, Object>>} accountId -> 统计（含 score）
+   */
+  async getStats(accountIds) {
+    const result = new Map()
+    if (accountIds.length === 0) {
+      return result
+    }
+
+    const pipeline = redis.getClientSafe().pipeline()
+    accountIds.forEach((accountId) => pipeline.hgetall(`${HEALTH_KEY_PREFIX}${accountId}`))
+    const replies = await pipeline.exec()
+
+    replies.forEach(([error, data], index) => {
+      result.set(accountIds[index], this._formatStats(error ? null : data))
+    })
+    return result
+  }
+
+  // 获取全部已记录的账户健康统计（供管理界面展示）
+  async getAllStats() {
+    const keys = await redis.getClientSafe().keys(`${HEALTH_KEY_PREFIX}*`)
+    const accountIds = keys.map((key) => key.slice(HEALTH_KEY_PREFIX.length))
+    return Object.fromEntries(await this.getStats(accountIds))
+  }
+
+  /**
+   * 按健康度策略选择账户
+   * @param {Array<Object>} accounts - 调度器的候选账户（需包含 accountId、priority、lastUsedAt）
+   * @param {string} groupStrategy - 账户分组配置的策略
+   * @returns {Promise<Object|null>} 选中的账户；策略为 priority 或统计不可用时返回 null，由调度器按原逻辑选择
+   */
+  async selectAccount(accounts, groupStrategy = null) {
+    const strategy = this.getStrategy(groupStrategy)
+    if (strategy === 'priority' || !Array.isArray(accounts) || accounts.length === 0) {
+      return null
+    }
+
+    let stats
+    try {
+      stats = await this.getStats(accounts.map((account) => account.accountId))
+    } catch (error) {
+      logger.warn('⚠️ Failed to load account health, falling back to priority:', error.message)
+      return null
+    }
+
+    const candidates = accounts.map((account) => ({
+      account,
+      health: stats.get(account.accountId)
+    }))
+    const selected =
+      strategy === 'fastest-healthy'
+        ? this._selectFastestHealthy(candidates)
+        : this._selectWeightedRandom(candidates)
+
+    logger.info(
+      `🩺 ${strategy} selected ${selected.account.name || selected.account.accountId} (score: ${selected.health.score ?? 'unknown'}, ttfb: ${selected.health.ttfbMs ?? '-'}ms, errors: ${selected.health.errorRate ?? '-'})`
+    )
+    return selected.account
+  }
+
+  _selectFastestHealthy(candidates) {
+    const unknown = candidates.filter((item) => !item.health.known)
+    if (unknown.length > 0) {
+      return this._sortByPriority(unknown)[0]
+    }
+
+    const maxErrorRate = this._getMaxErrorRate()
+    const healthy = candidates.filter((item) => item.health.errorRate <= maxErrorRate)
+    const pool = healthy.length > 0 ? healthy : candidates
+
+    return [...pool].sort((a, b) => {
+      if (healthy.length === 0 && a.health.errorRate !== b.health.errorRate) {
+        return a.health.errorRate - b.health.errorRate
+      }
+      const aTtfb = a.health.ttfbMs ?? Infinity
+      const bTtfb = b.health.ttfbMs ?? Infinity
+      return aTtfb !== bTtfb ? aTtfb - bTtfb : this._comparePriority(a, b)
+    })[0]
+  }
+
+  _selectWeightedRandom(candidates) {
+    // 未知账户按中性分参与，每个账户至少保留 1 的权重
+    const weighted = candidates.map((item) => ({
+      ...item,
+      weight: Math.max(item.health.known ? item.health.score : 50, 1)
+    }))
+    const totalWeight = weighted.reduce((sum, item) => sum + item.weight, 0)
+
+    let random = Math.random() * totalWeight
+    for (const item of weighted) {
+      random -= item.weight
+      if (random <= 0) {
+        return item
+      }
+    }
+    return weighted[weighted.length - 1]
+  }
+
+  _sortByPriority(candidates) {
+    return [...candidates].sort((a, b) => this._comparePriority(a, b))
+  }
+
+  _comparePriority(a, b) {
+    const aPriority = parseInt(a.account.priority) || 50
+    const bPriority = parseInt(b.account.priority) || 50
+    if (aPriority !== bPriority) {
+      return aPriority - bPriority
+    }
+    return (
+      new Date(a.account.lastUsedAt || 0).getTime() - new Date(b.account.lastUsedAt || 0).getTime()
+    )
+  }
+
+  /**
+   * 健康分（0-100）：100 × (1 - 错误率) × 参考延迟 / (参考延迟 + TTFB)
+   * TTFB 等于参考延迟且无错误时为 50 分
+   */
+  _formatStats(data) {
+    const samples = parseInt(data?.samples) || 0
+    if (samples === 0) {
+      return {
+        known: false,
+        samples: 0,
+        score: null,
+        ttfbMs: null,
+        latencyMs: null,
+        errorRate: null
+      }
+    }
+
+    const errorRate = Number(parseFloat(data.errorRate || 0).toFixed(4))
+    const ttfbMs = data.ttfbMs !== undefined ? Math.round(parseFloat(data.ttfbMs)) : null
+    const latencyMs = data.latencyMs !== undefined ? Math.round(parseFloat(data.latencyMs)) : null
+    const referenceMs = this._getReferenceLatencyMs()
+    const latencyFactor = ttfbMs === null ? 0 : referenceMs / (referenceMs + ttfbMs)
+
+    return {
+      known: samples >= this._getMinSamples(),
+      samples,
+      score: Math.round(100 * (1 - errorRate) * latencyFactor),
+      ttfbMs,
+      latencyMs,
+      errorRate,
+      accountType: data.accountType || null,
+      updatedAt: data.updatedAt || null
+    }
+  }
+
+  _getAlpha() {
+    const alpha = parseFloat(config.accountHealth?.ewmaAlpha)
+    return alpha > 0 && alpha <= 1 ? alpha : 0.2
+  }
+
+  _getMinSamples() {
+    return Math.max(parseInt(config.accountHealth?.minSamples) || 5, 1)
+  }
+
+  _getMaxErrorRate() {
+    const maxErrorRate = parseFloat(config.accountHealth?.maxErrorRate)
+    return maxErrorRate >= 0 && maxErrorRate <= 1 ? maxErrorRate : 0.5
+  }
+
+  _getReferenceLatencyMs() {
+    return Math.max(parseInt(config.accountHealth?.referenceLatencyMs) || 3000, 1)
+  }
+
+  _getTtlSeconds() {
+    return Math.max(parseInt(config.accountHealth?.statsTtlHours) || 24, 1) * 3600
+  }
+}
+
+module.exports = new AccountHealthService()
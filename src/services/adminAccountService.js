@@ -0,0 +1,281 @@
+const bcrypt = require('bcryptjs')
+const crypto = require('crypto')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+
+const ACCOUNT_PREFIX = 'admin_account:'
+const USERNAME_PREFIX = 'admin_username:'
+const LEGACY_ADMIN_ROLE = 'owner'
+
+// 管理员权限点
+// - read: 查看账户、Key、配置等非敏感数据
+// - usage:read: 查看用量、费用统计与请求日志
+// - write: 创建/修改资源（包括 OAuth 授权、重置状态等操作）
+// - delete: 删除资源
+// - credentials:read: 查看解密后的账户凭据
+// - admins:manage: 管理管理员账户
+// - audit:read: 查看与导出管理操作审计日志
+const ADMIN_ROLES = {
+  owner: {
+    label: '所有者',
+    description: '拥有全部权限，可管理其他管理员',
+    permissions: ['*']
+  },
+  operator: {
+    label: '运维',
+    description: '可管理账户与 API Key，不能查看解密凭据或管理管理员',
+    permissions: ['read', 'usage:read', 'write', 'delete']
+  },
+  'billing-viewer': {
+    label: '账单查看',
+    description: '只读，可查看用量与费用统计',
+    permissions: ['read', 'usage:read']
+  },
+  'read-only': {
+    label: '只读',
+    description: '只读，不能查看用量费用与凭据',
+    permissions: ['read']
+  }
+}
+
+// 需要 credentials:read 权限的路由（返回解密后的凭据）
+// 其他账户只读路由返回掩码或不含凭据的字段，新增返回解密凭据的路由时需加入此列表
+const CREDENTIAL_ROUTE_PATTERNS = [/^\/admin\/droid-accounts\/[^/]+$/]
+
+// 需要 usage:read 权限的只读路由（用量、费用统计与请求日志，含 /users 下的管理员统计路由）
+const USAGE_ROUTE_PATTERNS = [
+  /^\/admin\/dashboard$/,
+  /^\/admin\/(usage-stats|usage-trend|usage-costs|model-stats)$/,
+  /^\/admin\/(account-usage-trend|api-keys-usage-trend)$/,
+  /^\/admin\/api-keys\/[^/]+\/(model-stats|cost-debug)$/,
+  /^\/admin\/accounts\/usage-stats$/,
+  /^\/admin\/accounts\/[^/]+\/(usage-stats|usage-history)$/,
+  /^\/admin\/claude-accounts\/usage$/,
+  /^\/admin\/(claude-console|ccr)-accounts\/[^/]+\/usage$/,
+  /^\/admin\/request-logs(\/[^/]+)?$/,
+  /^\/admin\/webhook\/usage-reports(\/.*)?$/,
+  /^\/users\/[^/]+\/usage-stats$/,
+  /^\/users\/stats\/overview$/
+]
+
+// 列表类只读路由（API Key、各平台账户）附带的用量与费用字段，没有 usage:read 权限时从响应中移除
+const USAGE_RESPONSE_FIELDS = [
+  'usage',
+  'totalUsage',
+  'totalCost',
+  'dailyCost',
+  'weeklyOpusCost',
+  'currentWindowCost',
+  'currentWindowTokens',
+  'dailyUsage'
+]
+
+/**
+ * 管理员账户服务
+ *
+ * 在 init.json 中的默认管理员（视为 owner）之外，支持创建多个具名管理员账户，
+ * 每个账户绑定一个角色，角色决定其可访问的管理路由（按 HTTP 方法与路径推导所需权限）。
+ */
+class AdminAccountService {
+  constructor() {
+    this.roles = ADMIN_ROLES
+    this.legacyRole = LEGACY_ADMIN_ROLE
+  }
+
+  // 🔐 判断角色是否拥有指定权限
+  hasPermission(role, permission) {
+    const roleConfig = ADMIN_ROLES[role]
+    if (!roleConfig) {
+      return false
+    }
+    return roleConfig.permissions.includes('*') || roleConfig.permissions.includes(permission)
+  }
+
+  // 🧭 根据请求方法与路径推导所需权限
+  getRequiredPermission(method, originalUrl = '') {
+    const path = originalUrl.split('?')[0].replace(/\/+$/, '')
+    const upperMethod = (method || 'GET').toUpperCase()
+    const isReadMethod = upperMethod === 'GET' || upperMethod === 'HEAD'
+
+    if (path.startsWith('/admin/admin-accounts')) {
+      return 'admins:manage'
+    }
+    if (path.startsWith('/admin/audit-logs')) {
+      return 'audit:read'
+    }
+    if (upperMethod === 'DELETE') {
+      return 'delete'
+    }
+    if (!isReadMethod) {
+      return 'write'
+    }
+    if (CREDENTIAL_ROUTE_PATTERNS.some((pattern) => pattern.test(path))) {
+      return 'credentials:read'
+    }
+    if (USAGE_ROUTE_PATTERNS.some((pattern) => pattern.test(path))) {
+      return 'usage:read'
+    }
+    return 'read'
+  }
+
+  // ✂️ 递归移除响应中的用量与费用字段（用于没有 usage:read 权限的角色）
+  stripUsageFields(payload) {
+    if (Array.isArray(payload)) {
+      return payload.map((item) => this.stripUsageFields(item))
+    }
+    if (!payload || typeof payload !== 'object' || payload.constructor !== Object) {
+      return payload
+    }
+
+    const result = {}
+    for (const [key, value] of Object.entries(payload)) {
+      if (!USAGE_RESPONSE_FIELDS.includes(key)) {
+        result[key] = this.stripUsageFields(value)
+      }
+    }
+    return result
+  }
+
+  // 📋 获取所有管理员账户
+  async listAccounts() {
+    const keys = await redis.keys(`${ACCOUNT_PREFIX}*`)
+    const accounts = []
+    for (const key of keys) {
+      const data = await redis.get(key)
+      if (data) {
+        accounts.push(this._sanitize(JSON.parse(data)))
+      }
+    }
+    return accounts.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  }
+
+  // 👤 通过ID获取管理员账户（包含密码哈希，仅供内部使用）
+  async getAccount(accountId) {
+    const data = await redis.get(`${ACCOUNT_PREFIX}${accountId}`)
+    return data ? JSON.parse(data) : null
+  }
+
+  // 👤 通过用户名获取管理员账户
+  async getAccountByUsername(username) {
+    const accountId = await redis.get(`${USERNAME_PREFIX}${username}`)
+    return accountId ? this.getAccount(accountId) : null
+  }
+
+  // ➕ 创建管理员账户
+  async createAccount({ username, password, role, description = '' }) {
+    this._validateRole(role)
+    this._validatePassword(password)
+
+    const normalizedUsername = (username || '').trim()
+    if (!normalizedUsername) {
+      throw this._error('Username is required', 400)
+    }
+
+    const legacyAdmin = await redis.getSession('admin_credentials')
+    if (legacyAdmin?.username === normalizedUsername) {
+      throw this._error('Username is already used by the default administrator', 400)
+    }
+    if (await this.getAccountByUsername(normalizedUsername)) {
+      throw this._error('Username already exists', 400)
+    }
+
+    const now = new Date().toISOString()
+    const account = {
+      id: crypto.randomBytes(16).toString('hex'),
+      username: normalizedUsername,
+      passwordHash: await bcrypt.hash(password, 10),
+      role,
+      description,
+      isActive: true,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    }
+
+    await redis.set(`${ACCOUNT_PREFIX}${account.id}`, JSON.stringify(account))
+    await redis.set(`${USERNAME_PREFIX}${account.username}`, account.id)
+
+    logger.success(`👮 Created admin account: ${account.username} (${role})`)
+    return this._sanitize(account)
+  }
+
+  // ✏️ 更新管理员账户（角色、密码、状态、描述）
+  async updateAccount(accountId, updates = {}) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      throw this._error('Admin account not found', 404)
+    }
+
+    if (updates.role !== undefined) {
+      this._validateRole(updates.role)
+      account.role = updates.role
+    }
+    if (updates.password) {
+      this._validatePassword(updates.password)
+      account.passwordHash = await bcrypt.hash(updates.password, 10)
+    }
+    if (typeof updates.isActive === 'boolean') {
+      account.isActive = updates.isActive
+    }
+    if (updates.description !== undefined) {
+      account.description = updates.description
+    }
+    account.updatedAt = new Date().toISOString()
+
+    await redis.set(`${ACCOUNT_PREFIX}${accountId}`, JSON.stringify(account))
+    logger.info(`👮 Updated admin account: ${account.username} (${account.role})`)
+    return this._sanitize(account)
+  }
+
+  // 🗑️ 删除管理员账户
+  async deleteAccount(accountId) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      throw this._error('Admin account not found', 404)
+    }
+
+    await redis.del(`${ACCOUNT_PREFIX}${accountId}`, `${USERNAME_PREFIX}${account.username}`)
+    logger.info(`🗑️ Deleted admin account: ${account.username}`)
+    return this._sanitize(account)
+  }
+
+  // 🔑 校验用户名与密码，成功时返回账户信息并记录登录时间
+  async verifyCredentials(username, password) {
+    const account = await this.getAccountByUsername(username)
+    if (!account || !account.isActive) {
+      return null
+    }
+
+    const isValidPassword = await bcrypt.compare(password, account.passwordHash)
+    if (!isValidPassword) {
+      return null
+    }
+
+    account.lastLoginAt = new Date().toISOString()
+    await redis.set(`${ACCOUNT_PREFIX}${account.id}`, JSON.stringify(account))
+    return this._sanitize(account)
+  }
+
+  _validateRole(role) {
+    if (!ADMIN_ROLES[role]) {
+      throw this._error(`Role must be one of: ${Object.keys(ADMIN_ROLES).join(', ')}`, 400)
+    }
+  }
+
+  _validatePassword(password) {
+    if (!password || password.length < 8) {
+      throw this._error('Password must be at least 8 characters long', 400)
+    }
+  }
+
+  _error(message, httpStatus) {
+    return Object.assign(new Error(message), { httpStatus })
+  }
+
+  _sanitize(account) {
+    const { passwordHash: _passwordHash, ...rest } = account
+    return rest
+  }
+}
+
+module.exports = new AdminAccountService()
@@ -3,6 +3,10 @@ const { v4: uuidv4 } = require('uuid')
 const config = require('../../config/config')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
+const metricsService = require('./metricsService')
+const requestLogService = require('./requestLogService')
+const budgetAlertService = require('./budgetAlertService')
+const rateLimitRuleService = require('./rateLimitRuleService')
 
 const ACCOUNT_TYPE_CONFIG = {
   claude: { prefix: 'claude:account:' },
@@ -10,6 +14,7 @@ const ACCOUNT_TYPE_CONFIG = {
   openai: { prefix: 'openai:account:' },
   'openai-responses': { prefix: 'openai_responses_account:' },
   'azure-openai': { prefix: 'azure_openai:account:' },
+  'openai-compatible': { prefix: 'openai_compatible_account:' },
   gemini: { prefix: 'gemini_account:' },
   droid: { prefix: 'droid:account:' }
 }
@@ -18,6 +23,7 @@ const ACCOUNT_TYPE_PRIORITY = [
   'openai',
   'openai-responses',
   'azure-openai',
+  'openai-compatible',
   'claude',
   'claude-console',
   'gemini',
@@ -30,6 +36,7 @@ const ACCOUNT_CATEGORY_MAP = {
   openai: 'openai',
   'openai-responses': 'openai',
   'azure-openai': 'openai',
+  'openai-compatible': 'openai',
   gemini: 'gemini',
   droid: 'droid'
 }
@@ -48,6 +55,9 @@ function normalizeAccountTypeKey(type) {
   if (lower === 'azure_openai' || lower === 'azureopenai' || lower === 'azure-openai') {
     return 'azure-openai'
   }
+  if (lower === 'openai_compatible' || lower === 'openai-compatible') {
+    return 'openai-compatible'
+  }
   return lower
 }
 
@@ -81,11 +91,16 @@ class ApiKeyService {
       bedrockAccountId = null, // 添加 Bedrock 账号ID支持
       droidAccountId = null,
       permissions = 'all', // 可选值：'claude'、'gemini'、'openai'、'droid' 或 'all'
+      claudeBackend = 'claude', // Claude 请求后端：'claude'、'openai' 或 'gemini'（桥接到对应平台账户）
       isActive = true,
       concurrencyLimit = 0,
+      concurrencyQueueEnabled = false, // 并发已满时排队等待而不是立即返回 429
+      concurrencyQueueMaxSize = 0, // 最大排队数（0 表示使用全局默认值）
+      concurrencyQueueTimeoutSeconds = 0, // 最长排队时间（0 表示使用全局默认值）
       rateLimitWindow = null,
       rateLimitRequests = null,
       rateLimitCost = null, // 新增：速率限制费用字段
+      rateLimitRules = [], // 按指标/模型的限流规则
       enableModelRestriction = false,
       restrictedModels = [],
       enableClientRestriction = false,
@@ -93,6 +108,9 @@ class ApiKeyService {
       dailyCostLimit = 0,
       totalCostLimit = 0,
       weeklyOpusCostLimit = 0,
+      responseCacheEnabled = false, // 响应缓存开关
+      responseCacheScope = 'private', // 响应缓存范围：'private'（仅本 Key）或 'tag'（同标签共享）
+      responseCacheTag = '',
       tags = [],
       activationDays = 0, // 新增：激活后有效天数（0表示不使用此功能）
       activationUnit = 'days', // 新增：激活时间单位 'hours' 或 'days'
@@ -112,9 +130,13 @@ class ApiKeyService {
       apiKey: hashedKey,
       tokenLimit: String(tokenLimit ?? 0),
       concurrencyLimit: String(concurrencyLimit ?? 0),
+      concurrencyQueueEnabled: String(concurrencyQueueEnabled || false),
+      concurrencyQueueMaxSize: String(concurrencyQueueMaxSize || 0),
+      concurrencyQueueTimeoutSeconds: String(concurrencyQueueTimeoutSeconds || 0),
       rateLimitWindow: String(rateLimitWindow ?? 0),
       rateLimitRequests: String(rateLimitRequests ?? 0),
       rateLimitCost: String(rateLimitCost ?? 0), // 新增：速率限制费用字段
+      rateLimitRules: JSON.stringify(rateLimitRuleService.parseRules(rateLimitRules)),
       isActive: String(isActive),
       claudeAccountId: claudeAccountId || '',
       claudeConsoleAccountId: claudeConsoleAccountId || '',
@@ -124,6 +146,7 @@ class ApiKeyService {
       bedrockAccountId: bedrockAccountId || '', // 添加 Bedrock 账号ID
       droidAccountId: droidAccountId || '',
       permissions: permissions || 'all',
+      claudeBackend: claudeBackend || 'claude',
       enableModelRestriction: String(enableModelRestriction),
       restrictedModels: JSON.stringify(restrictedModels || []),
       enableClientRestriction: String(enableClientRestriction || false),
@@ -131,6 +154,9 @@ class ApiKeyService {
       dailyCostLimit: String(dailyCostLimit || 0),
       totalCostLimit: String(totalCostLimit || 0),
       weeklyOpusCostLimit: String(weeklyOpusCostLimit || 0),
+      responseCacheEnabled: String(responseCacheEnabled || false),
+      responseCacheScope: responseCacheScope || 'private',
+      responseCacheTag: responseCacheTag || '',
       tags: JSON.stringify(tags || []),
       activationDays: String(activationDays || 0), // 新增：激活后有效天数
       activationUnit: activationUnit || 'days', // 新增：激活时间单位
@@ -158,9 +184,13 @@ class ApiKeyService {
       description: keyData.description,
       tokenLimit: parseInt(keyData.tokenLimit),
       concurrencyLimit: parseInt(keyData.concurrencyLimit),
+      concurrencyQueueEnabled: keyData.concurrencyQueueEnabled === 'true',
+      concurrencyQueueMaxSize: parseInt(keyData.concurrencyQueueMaxSize || 0),
+      concurrencyQueueTimeoutSeconds: parseInt(keyData.concurrencyQueueTimeoutSeconds || 0),
       rateLimitWindow: parseInt(keyData.rateLimitWindow || 0),
       rateLimitRequests: parseInt(keyData.rateLimitRequests || 0),
       rateLimitCost: parseFloat(keyData.rateLimitCost || 0), // 新增：速率限制费用字段
+      rateLimitRules: rateLimitRuleService.parseRules(keyData.rateLimitRules),
       isActive: keyData.isActive === 'true',
       claudeAccountId: keyData.claudeAccountId,
       claudeConsoleAccountId: keyData.claudeConsoleAccountId,
@@ -170,6 +200,7 @@ class ApiKeyService {
       bedrockAccountId: keyData.bedrockAccountId, // 添加 Bedrock 账号ID
       droidAccountId: keyData.droidAccountId,
       permissions: keyData.permissions,
+      claudeBackend: keyData.claudeBackend,
       enableModelRestriction: keyData.enableModelRestriction === 'true',
       restrictedModels: JSON.parse(keyData.restrictedModels),
       enableClientRestriction: keyData.enableClientRestriction === 'true',
@@ -177,6 +208,9 @@ class ApiKeyService {
       dailyCostLimit: parseFloat(keyData.dailyCostLimit || 0),
       totalCostLimit: parseFloat(keyData.totalCostLimit || 0),
       weeklyOpusCostLimit: parseFloat(keyData.weeklyOpusCostLimit || 0),
+      responseCacheEnabled: keyData.responseCacheEnabled === 'true',
+      responseCacheScope: keyData.responseCacheScope,
+      responseCacheTag: keyData.responseCacheTag,
       tags: JSON.parse(keyData.tags || '[]'),
       activationDays: parseInt(keyData.activationDays || 0),
       activationUnit: keyData.activationUnit || 'days',
@@ -249,7 +283,8 @@ class ApiKeyService {
         return { valid: false, error: 'API key has expired' }
       }
 
-      // 如果API Key属于某个用户，检查用户是否被禁用
+      // 如果API Key属于某个用户，检查用户是否被禁用，并带出用户级配额
+      let userLimits = null
       if (keyData.userId) {
         try {
           const userService = require('./userService')
@@ -257,6 +292,7 @@ class ApiKeyService {
           if (!user || !user.isActive) {
             return { valid: false, error: 'User account is disabled' }
           }
+          userLimits = userService.normalizeUserLimits(user.limits)
         } catch (error) {
           logger.error('❌ Error checking user status during API key validation:', error)
           return { valid: false, error: 'Unable to validate user status' }
@@ -318,11 +354,16 @@ class ApiKeyService {
           bedrockAccountId: keyData.bedrockAccountId, // 添加 Bedrock 账号ID
           droidAccountId: keyData.droidAccountId,
           permissions: keyData.permissions || 'all',
+          claudeBackend: keyData.claudeBackend || 'claude',
           tokenLimit: parseInt(keyData.tokenLimit),
           concurrencyLimit: parseInt(keyData.concurrencyLimit || 0),
+          concurrencyQueueEnabled: keyData.concurrencyQueueEnabled === 'true',
+          concurrencyQueueMaxSize: parseInt(keyData.concurrencyQueueMaxSize || 0),
+          concurrencyQueueTimeoutSeconds: parseInt(keyData.concurrencyQueueTimeoutSeconds || 0),
           rateLimitWindow: parseInt(keyData.rateLimitWindow || 0),
           rateLimitRequests: parseInt(keyData.rateLimitRequests || 0),
           rateLimitCost: parseFloat(keyData.rateLimitCost || 0), // 新增：速率限制费用字段
+          rateLimitRules: rateLimitRuleService.parseRules(keyData.rateLimitRules),
           enableModelRestriction: keyData.enableModelRestriction === 'true',
           restrictedModels,
           enableClientRestriction: keyData.enableClientRestriction === 'true',
@@ -330,9 +371,15 @@ class ApiKeyService {
           dailyCostLimit: parseFloat(keyData.dailyCostLimit || 0),
           totalCostLimit: parseFloat(keyData.totalCostLimit || 0),
           weeklyOpusCostLimit: parseFloat(keyData.weeklyOpusCostLimit || 0),
+          budgetAlertThresholds: keyData.budgetAlertThresholds || '',
+          responseCacheEnabled: keyData.responseCacheEnabled === 'true',
+          responseCacheScope: keyData.responseCacheScope || 'private',
+          responseCacheTag: keyData.responseCacheTag || '',
           dailyCost: dailyCost || 0,
           totalCost,
           weeklyOpusCost: (await redis.getWeeklyOpusCost(keyData.id)) || 0,
+          userId: keyData.userId || '',
+          userLimits,
           tags,
           usage
         }
@@ -445,11 +492,16 @@ class ApiKeyService {
           bedrockAccountId: keyData.bedrockAccountId,
           droidAccountId: keyData.droidAccountId,
           permissions: keyData.permissions || 'all',
+          claudeBackend: keyData.claudeBackend || 'claude',
           tokenLimit: parseInt(keyData.tokenLimit),
           concurrencyLimit: parseInt(keyData.concurrencyLimit || 0),
+          concurrencyQueueEnabled: keyData.concurrencyQueueEnabled === 'true',
+          concurrencyQueueMaxSize: parseInt(keyData.concurrencyQueueMaxSize || 0),
+          concurrencyQueueTimeoutSeconds: parseInt(keyData.concurrencyQueueTimeoutSeconds || 0),
           rateLimitWindow: parseInt(keyData.rateLimitWindow || 0),
           rateLimitRequests: parseInt(keyData.rateLimitRequests || 0),
           rateLimitCost: parseFloat(keyData.rateLimitCost || 0),
+          rateLimitRules: rateLimitRuleService.parseRules(keyData.rateLimitRules),
           enableModelRestriction: keyData.enableModelRestriction === 'true',
           restrictedModels,
           enableClientRestriction: keyData.enableClientRestriction === 'true',
@@ -499,6 +551,10 @@ class ApiKeyService {
         key.rateLimitRequests = parseInt(key.rateLimitRequests || 0)
         key.rateLimitCost = parseFloat(key.rateLimitCost || 0) // 新增：速率限制费用字段
         key.currentConcurrency = await redis.getConcurrency(key.id)
+        key.concurrencyQueueEnabled = key.concurrencyQueueEnabled === 'true'
+        key.concurrencyQueueMaxSize = parseInt(key.concurrencyQueueMaxSize || 0)
+        key.concurrencyQueueTimeoutSeconds = parseInt(key.concurrencyQueueTimeoutSeconds || 0)
+        key.currentQueueLength = await redis.getConcurrencyQueueLength(key.id)
         key.isActive = key.isActive === 'true'
         key.enableModelRestriction = key.enableModelRestriction === 'true'
         key.enableClientRestriction = key.enableClientRestriction === 'true'
@@ -506,6 +562,13 @@ class ApiKeyService {
         key.dailyCostLimit = parseFloat(key.dailyCostLimit || 0)
         key.totalCostLimit = parseFloat(key.totalCostLimit || 0)
         key.weeklyOpusCostLimit = parseFloat(key.weeklyOpusCostLimit || 0)
+        key.budgetAlertThresholds = budgetAlertService.normalizeThresholds(
+          key.budgetAlertThresholds
+        )
+        key.rateLimitRules = rateLimitRuleService.parseRules(key.rateLimitRules)
+        key.responseCacheEnabled = key.responseCacheEnabled === 'true'
+        key.responseCacheScope = key.responseCacheScope || 'private'
+        key.responseCacheTag = key.responseCacheTag || ''
         key.dailyCost = (await redis.getDailyCost(key.id)) || 0
         key.weeklyOpusCost = (await redis.getWeeklyOpusCost(key.id)) || 0
         key.activationDays = parseInt(key.activationDays || 0)
@@ -648,9 +711,13 @@ class ApiKeyService {
         'description',
         'tokenLimit',
         'concurrencyLimit',
+        'concurrencyQueueEnabled', // 并发排队开关
+        'concurrencyQueueMaxSize', // 最大排队数
+        'concurrencyQueueTimeoutSeconds', // 最长排队时间
         'rateLimitWindow',
         'rateLimitRequests',
         'rateLimitCost', // 新增：速率限制费用字段
+        'rateLimitRules', // 按指标/模型的限流规则
         'isActive',
         'claudeAccountId',
         'claudeConsoleAccountId',
@@ -660,6 +727,7 @@ class ApiKeyService {
         'bedrockAccountId', // 添加 Bedrock 账号ID
         'droidAccountId',
         'permissions',
+        'claudeBackend', // Claude 请求后端（claude/openai/gemini）
         'expiresAt',
         'activationDays', // 新增：激活后有效天数
         'activationUnit', // 新增：激活时间单位
@@ -673,6 +741,10 @@ class ApiKeyService {
         'dailyCostLimit',
         'totalCostLimit',
         'weeklyOpusCostLimit',
+        'budgetAlertThresholds', // 预算告警阈值（空表示使用全局默认值）
+        'responseCacheEnabled', // 响应缓存开关
+        'responseCacheScope', // 响应缓存范围（private/tag）
+        'responseCacheTag', // 共享缓存使用的标签
         'tags',
         'userId', // 新增：用户ID（所有者变更）
         'userUsername', // 新增：用户名（所有者变更）
@@ -682,12 +754,22 @@ class ApiKeyService {
 
       for (const [field, value] of Object.entries(updates)) {
         if (allowedUpdates.includes(field)) {
-          if (field === 'restrictedModels' || field === 'allowedClients' || field === 'tags') {
+          if (field === 'budgetAlertThresholds') {
+            updatedData[field] = value ? JSON.stringify(value) : ''
+          } else if (field === 'rateLimitRules') {
+            updatedData[field] = JSON.stringify(rateLimitRuleService.parseRules(value))
+          } else if (
+            field === 'restrictedModels' ||
+            field === 'allowedClients' ||
+            field === 'tags'
+          ) {
             // 特殊处理数组字段
             updatedData[field] = JSON.stringify(value || [])
           } else if (
             field === 'enableModelRestriction' ||
             field === 'enableClientRestriction' ||
+            field === 'responseCacheEnabled' ||
+            field === 'concurrencyQueueEnabled' ||
             field === 'isActivated'
           ) {
             // 布尔值转字符串
@@ -890,7 +972,8 @@ class ApiKeyService {
     cacheCreateTokens = 0,
     cacheReadTokens = 0,
     model = 'unknown',
-    accountId = null
+    accountId = null,
+    accountType = null
   ) {
     try {
       const totalTokens = inputTokens + outputTokens + cacheCreateTokens + cacheReadTokens
@@ -928,6 +1011,25 @@ class ApiKeyService {
         isLongContextRequest
       )
 
+      metricsService.recordUsage(
+        { inputTokens, outputTokens, cacheCreateTokens, cacheReadTokens },
+        costInfo.costs.total || 0,
+        model,
+        accountType || 'unknown'
+      )
+      requestLogService.attachUsage(
+        {
+          inputTokens,
+          outputTokens,
+          cacheCreateTokens,
+          cacheReadTokens,
+          cost: costInfo.costs.total || 0
+        },
+        model,
+        accountId,
+        accountType
+      )
+
       // 记录费用统计
       if (costInfo.costs.total > 0) {
         await redis.incrementDailyCost(keyId, costInfo.costs.total)
@@ -945,6 +1047,13 @@ class ApiKeyService {
         keyData.lastUsedAt = new Date().toISOString()
         await redis.setApiKey(keyId, keyData)
 
+        // 累加限流规则的 Token 与费用计数
+        await rateLimitRuleService.recordUsage(keyId, keyData.rateLimitRules, model, {
+          inputTokens: inputTokens + cacheCreateTokens,
+          outputTokens,
+          cost: costInfo.costs.total || 0
+        })
+
         // 记录账户级别的使用统计（只统计实际处理请求的账户）
         if (accountId) {
           await redis.incrementAccountUsage(
@@ -1032,7 +1141,8 @@ class ApiKeyService {
     usageObject,
     model = 'unknown',
     accountId = null,
-    accountType = null
+    accountType = null,
+    options = {}
   ) {
     try {
       // 提取 token 数量
@@ -1052,7 +1162,10 @@ class ApiKeyService {
           logger.warn('⚠️ PricingService not initialized, initializing now...')
           await pricingService.initialize()
         }
-        costInfo = pricingService.calculateCost(usageObject, model)
+        // Message Batches 请求使用批处理价格
+        costInfo = options.batch
+          ? pricingService.calculateBatchCost(usageObject, model)
+          : pricingService.calculateCost(usageObject, model)
 
         // 验证计算结果
         if (!costInfo || typeof costInfo.totalCost !== 'number') {
@@ -1118,6 +1231,19 @@ class ApiKeyService {
         costInfo.isLongContextRequest || false // 传递 1M 上下文请求标记
       )
 
+      metricsService.recordUsage(
+        { inputTokens, outputTokens, cacheCreateTokens, cacheReadTokens },
+        costInfo.totalCost,
+        model,
+        accountType
+      )
+      requestLogService.attachUsage(
+        { inputTokens, outputTokens, cacheCreateTokens, cacheReadTokens, cost: costInfo.totalCost },
+        model,
+        accountId,
+        accountType
+      )
+
       // 记录费用统计
       if (costInfo.totalCost > 0) {
         await redis.incrementDailyCost(keyId, costInfo.totalCost)
@@ -1155,6 +1281,13 @@ class ApiKeyService {
         keyData.lastUsedAt = new Date().toISOString()
         await redis.setApiKey(keyId, keyData)
 
+        // 累加限流规则的 Token 与费用计数
+        await rateLimitRuleService.recordUsage(keyId, keyData.rateLimitRules, model, {
+          inputTokens: inputTokens + cacheCreateTokens,
+          outputTokens,
+          cost: costInfo.totalCost
+        })
+
         // 记录账户级别的使用统计（只统计实际处理请求的账户）
         if (accountId) {
           await redis.incrementAccountUsage(
@@ -0,0 +1,507 @@
+const crypto = require('crypto')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const { maskToken } = require('../utils/tokenMask')
+
+const LOG_KEY_PREFIX = 'audit_log:'
+const INDEX_KEY = 'audit_log:index'
+const TARGET_INDEX_PREFIX = 'audit_log:index:target:'
+
+const MAX_SCAN_ENTRIES = 20000
+const SCAN_BATCH_SIZE = 500
+const MAX_EXPORT_ENTRIES = 10000
+const MAX_PAYLOAD_LENGTH = 4000
+
+// 需要审计的路由前缀，以及不属于资源变更的认证类路由
+const AUDITED_PATH_PREFIXES = ['/admin/', '/users/']
+const EXCLUDED_PATH_PATTERN = /\/(login|logout)$/
+
+// 字段名命中时对值进行脱敏
+const SECRET_FIELD_PATTERN =
+  /(token|secret|password|passwd|credential|cookie|oauth|private|apikey|api_key|accesskey|authorization|^key$|^keys$)/i
+
+// 变更对比时忽略的噪音字段
+const IGNORED_DIFF_FIELDS = new Set(['updatedAt', 'lastUsedAt'])
+
+// 路由 → 审计目标实体（storage 表示 Redis 中的存储方式）
+const TARGET_RESOLVERS = [
+  {
+    pattern: /^\/admin\/admin-accounts\/([^/]+)/,
+    type: 'adminAccount',
+    key: 'admin_account:',
+    storage: 'json'
+  },
+  {
+    pattern: /^\/admin\/api-keys\/(?!batch|deleted|tags)([^/]+)/,
+    type: 'apiKey',
+    key: 'apikey:',
+    storage: 'hash'
+  },
+  { pattern: /^\/users\/api-keys\/([^/]+)/, type: 'apiKey', key: 'apikey:', storage: 'hash' },
+  {
+    pattern: /^\/admin\/claude-accounts\/(?!exchange|generate|update-all)([^/]+)/,
+    type: 'claudeAccount',
+    key: 'claude:account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/claude-console-accounts\/(?!reset-all)([^/]+)/,
+    type: 'claudeConsoleAccount',
+    key: 'claude_console_account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/ccr-accounts\/(?!reset-all)([^/]+)/,
+    type: 'ccrAccount',
+    key: 'ccr_account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/gemini-accounts\/(?!exchange|generate|poll)([^/]+)/,
+    type: 'geminiAccount',
+    key: 'gemini_account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/gemini-api-accounts\/([^/]+)/,
+    type: 'geminiApiAccount',
+    key: 'gemini_api_account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/openai-accounts\/(?!exchange|generate)([^/]+)/,
+    type: 'openaiAccount',
+    key: 'openai:account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/openai-responses-accounts\/([^/]+)/,
+    type: 'openaiResponsesAccount',
+    key: 'openai_responses_account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/openai-compatible-accounts\/([^/]+)/,
+    type: 'openaiCompatibleAccount',
+    key: 'openai_compatible_account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/azure-openai-accounts\/(?!health-check-all)([^/]+)/,
+    type: 'azureOpenaiAccount',
+    key: 'azure_openai:account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/bedrock-accounts\/([^/]+)/,
+    type: 'bedrockAccount',
+    key: 'bedrock_account:',
+    storage: 'json'
+  },
+  {
+    pattern: /^\/admin\/vertex-accounts\/([^/]+)/,
+    type: 'vertexAccount',
+    key: 'vertex_account:',
+    storage: 'json'
+  },
+  {
+    pattern: /^\/admin\/droid-accounts\/(?!exchange|generate)([^/]+)/,
+    type: 'droidAccount',
+    key: 'droid:account:',
+    storage: 'hash'
+  },
+  {
+    pattern: /^\/admin\/account-groups\/([^/]+)/,
+    type: 'accountGroup',
+    key: 'account_group:',
+    storage: 'hash'
+  },
+  { pattern: /^\/users\/(?!api-keys)([^/]+)\/[^/]+$/, type: 'user', key: 'user:', storage: 'json' }
+]
+
+/**
+ * 管理操作审计服务（只追加）
+ *
+ * 记录管理端与用户端每一次变更类请求：执行人、IP、路由、目标实体、变更前后差异（敏感字段经 tokenMask 脱敏）、
+ * 响应状态和时间。变更前快照在路由处理前读取，变更后快照在响应结束时读取。
+ * 批量接口（请求体中带 keyIds）会对每个 Key 分别记录差异。
+ */
+class AuditLogService {
+  isEnabled() {
+    return config.auditLog?.enabled !== false
+  }
+
+  getRetentionSeconds() {
+    const days = parseInt(config.auditLog?.retentionDays) || 180
+    return Math.max(1, days) * 24 * 3600
+  }
+
+  // 判断请求是否需要审计
+  shouldAudit(req) {
+    if (!this.isEnabled() || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return false
+    }
+    const path = req.originalUrl.split('?')[0]
+    return (
+      AUDITED_PATH_PREFIXES.some((prefix) => path.startsWith(prefix)) &&
+      !EXCLUDED_PATH_PATTERN.test(path)
+    )
+  }
+
+  // 🎯 根据路由解析审计目标
+  resolveTargets(req) {
+    const path = req.originalUrl.split('?')[0]
+
+    // 批量 API Key 操作
+    if (path.startsWith('/admin/api-keys/batch') && Array.isArray(req.body?.keyIds)) {
+      return req.body.keyIds
+        .slice(0, 100)
+        .map((id) => ({ type: 'apiKey', id: String(id), key: 'apikey:', storage: 'hash' }))
+    }
+
+    for (const resolver of TARGET_RESOLVERS) {
+      const match = path.match(resolver.pattern)
+      if (match) {
+        return [{ type: resolver.type, id: match[1], key: resolver.key, storage: resolver.storage }]
+      }
+    }
+    return []
+  }
+
+  /**
+   * 在路由处理前读取目标快照，并在响应结束时写入审计记录
+   * @returns {Promise<void>}
+   */
+  async capture(req, res) {
+    const startTime = Date.now()
+    const targets = this.resolveTargets(req)
+
+    for (const target of targets) {
+      try {
+        target.before = await this._loadSnapshot(target)
+      } catch (error) {
+        logger.debug(`Failed to load audit snapshot for ${target.type}:${target.id}:`, error)
+      }
+    }
+
+    res.once('finish', () => {
+      this._record(req, res, targets, startTime).catch((error) => {
+        logger.error('❌ Failed to write audit log:', error)
+      })
+    })
+  }
+
+  async _loadSnapshot(target) {
+    const client = redis.getClientSafe()
+    const redisKey = `${target.key}${target.id}`
+    if (target.storage === 'json') {
+      const value = await client.get(redisKey)
+      return value ? JSON.parse(value) : null
+    }
+    const data = await client.hgetall(redisKey)
+    return data && Object.keys(data).length > 0 ? data : null
+  }
+
+  _resolveActor(req) {
+    if (req.admin) {
+      return { type: 'admin', id: req.admin.id, username: req.admin.username, role: req.admin.role }
+    }
+    if (req.user) {
+      return { type: 'user', id: req.user.id, username: req.user.username, role: req.user.role }
+    }
+    return null
+  }
+
+  async _record(req, res, targets, startTime) {
+    const actor = this._resolveActor(req)
+    if (!actor) {
+      // 未通过认证的请求不会产生变更，不记录
+      return
+    }
+
+    const changes = []
+    for (const target of targets) {
+      let after = null
+      try {
+        after = await this._loadSnapshot(target)
+      } catch (error) {
+        logger.debug(`Failed to load audit snapshot for ${target.type}:${target.id}:`, error)
+      }
+      changes.push({
+        type: target.type,
+        id: target.id,
+        action: this._describeAction(target.before, after),
+        diff: this.diff(target.before, after)
+      })
+    }
+
+    const primaryTarget = targets[0]
+    const entry = {
+      id: `${startTime}-${crypto.randomBytes(4).toString('hex')}`,
+      timestamp: new Date(startTime).toISOString(),
+      actor,
+      ip: req.ip || req.connection?.remoteAddress || 'unknown',
+      method: req.method,
+      route: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      targetType: primaryTarget?.type || null,
+      targetId: targets.length === 1 ? primaryTarget.id : null,
+      changes,
+      // 无法定位目标实体时（如创建操作），保留脱敏后的请求体
+      payload: targets.length === 0 ? this._buildPayload(req.body) : null
+    }
+
+    await this._persist(entry, startTime, targets)
+  }
+
+  _describeAction(before, after) {
+    if (!before && after) {
+      return 'create'
+    }
+    if (before && !after) {
+      return 'delete'
+    }
+    return 'update'
+  }
+
+  /**
+   * 计算两个快照之间的字段差异（敏感字段脱敏）
+   * @returns {Array<{field: string, before: *, after: *}>}
+   */
+  diff(before, after) {
+    const previous = before || {}
+    const next = after || {}
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)])
+    const result = []
+
+    for (const field of fields) {
+      if (IGNORED_DIFF_FIELDS.has(field)) {
+        continue
+      }
+      const oldValue = previous[field]
+      const newValue = next[field]
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+        continue
+      }
+      result.push({
+        field,
+        before: this.maskValue(field, oldValue),
+        after: this.maskValue(field, newValue)
+      })
+    }
+    return result
+  }
+
+  // 🔒 脱敏：字段名命中敏感规则时使用 tokenMask；JSON 字符串与对象递归处理
+  maskValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+      return value ?? null
+    }
+
+    if (SECRET_FIELD_PATTERN.test(field)) {
+      return maskToken(typeof value === 'string' ? value : JSON.stringify(value))
+    }
+
+    if (typeof value === 'string' && /^[[{]/.test(value.trim())) {
+      try {
+        return this.maskValue(field, JSON.parse(value))
+      } catch (error) {
+        return value
+      }
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.maskValue(field, item))
+    }
+    if (typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.maskValue(key, item)])
+      )
+    }
+    return value
+  }
+
+  _buildPayload(body) {
+    if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+      return null
+    }
+    const masked = this.maskValue('payload', body)
+    const serialized = JSON.stringify(masked)
+    return serialized.length > MAX_PAYLOAD_LENGTH
+      ? `${serialized.substring(0, MAX_PAYLOAD_LENGTH)}...`
+      : masked
+  }
+
+  async _persist(entry, score, targets) {
+    const client = redis.getClientSafe()
+    const ttl = this.getRetentionSeconds()
+    const cutoff = Date.now() - ttl * 1000
+
+    const pipeline = client.pipeline()
+    pipeline.setex(`${LOG_KEY_PREFIX}${entry.id}`, ttl, JSON.stringify(entry))
+
+    const indexKeys = [INDEX_KEY]
+    for (const target of targets) {
+      indexKeys.push(`${TARGET_INDEX_PREFIX}${target.type}:${target.id}`)
+    }
+    for (const indexKey of indexKeys) {
+      pipeline.zadd(indexKey, score, entry.id)
+      pipeline.zremrangebyscore(indexKey, '-inf', cutoff)
+      pipeline.expire(indexKey, ttl)
+    }
+
+    await pipeline.exec()
+  }
+
+  _matchEntry(entry, filters) {
+    if (filters.actor) {
+      const actor = String(filters.actor).toLowerCase()
+      if (
+        entry.actor?.username?.toLowerCase() !== actor &&
+        String(entry.actor?.id).toLowerCase() !== actor
+      ) {
+        return false
+      }
+    }
+    if (filters.targetType) {
+      const matchesType =
+        entry.targetType === filters.targetType ||
+        entry.changes?.some((change) => change.type === filters.targetType)
+      if (!matchesType) {
+        return false
+      }
+    }
+    if (filters.method && entry.method !== String(filters.method).toUpperCase()) {
+      return false
+    }
+    if (filters.route && !entry.route.includes(filters.route)) {
+      return false
+    }
+    return true
+  }
+
+  /**
+   * 查询审计日志
+   * @param {Object} filters - 查询条件
+   * @param {string} [filters.actor] - 执行人用户名或ID
+   * @param {string} [filters.targetType] - 目标类型（apiKey、claudeAccount 等）
+   * @param {string} [filters.targetId] - 目标ID（需同时指定 targetType 才能使用索引）
+   * @param {string} [filters.method] - HTTP 方法
+   * @param {string} [filters.route] - 路由（包含匹配）
+   * @param {string|number} [filters.startTime] - 开始时间
+   * @param {string|number} [filters.endTime] - 结束时间
+   * @param {number} [filters.page=1] - 页码
+   * @param {number} [filters.pageSize=50] - 每页数量（最大 MAX_EXPORT_ENTRIES，供导出使用）
+   * @returns {Promise<Object>} { logs, total, page, pageSize, truncated }
+   */
+  async queryLogs(filters = {}) {
+    const client = redis.getClientSafe()
+    const page = Math.max(1, parseInt(filters.page) || 1)
+    const pageSize = Math.min(MAX_EXPORT_ENTRIES, Math.max(1, parseInt(filters.pageSize) || 50))
+
+    const toTimestamp = (value) => {
+      if (value === undefined || value === null || value === '') {
+        return null
+      }
+      const ts = /^\d+$/.test(String(value)) ? parseInt(value) : new Date(value).getTime()
+      return Number.isFinite(ts) ? ts : null
+    }
+    const max = toTimestamp(filters.endTime) ?? '+inf'
+    const min = toTimestamp(filters.startTime) ?? '-inf'
+
+    const indexKey =
+      filters.targetType && filters.targetId
+        ? `${TARGET_INDEX_PREFIX}${filters.targetType}:${filters.targetId}`
+        : INDEX_KEY
+
+    const offset = (page - 1) * pageSize
+    const logs = []
+    let total = 0
+    let scanned = 0
+    let truncated = false
+
+    while (scanned < MAX_SCAN_ENTRIES) {
+      const ids = await client.zrevrangebyscore(
+        indexKey,
+        max,
+        min,
+        'LIMIT',
+        scanned,
+        SCAN_BATCH_SIZE
+      )
+      if (ids.length === 0) {
+        break
+      }
+      scanned += ids.length
+
+      const values = await client.mget(ids.map((id) => `${LOG_KEY_PREFIX}${id}`))
+      for (const value of values) {
+        if (!value) {
+          continue
+        }
+        let entry
+        try {
+          entry = JSON.parse(value)
+        } catch (error) {
+          continue
+        }
+        if (!this._matchEntry(entry, filters)) {
+          continue
+        }
+
+        if (total >= offset && logs.length < pageSize) {
+          logs.push(entry)
+        }
+        total++
+      }
+
+      if (ids.length < SCAN_BATCH_SIZE) {
+        break
+      }
+      if (scanned >= MAX_SCAN_ENTRIES) {
+        truncated = true
+      }
+    }
+
+    return { logs, total, page, pageSize, truncated }
+  }
+
+  // 📤 导出为 CSV（变更内容以 JSON 形式放在单元格中）
+  toCsv(logs) {
+    const header = [
+      'timestamp',
+      'actor',
+      'role',
+      'ip',
+      'method',
+      'route',
+      'status',
+      'target',
+      'changes'
+    ]
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value)
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+
+    const rows = logs.map((entry) =>
+      [
+        entry.timestamp,
+        entry.actor?.username,
+        entry.actor?.role,
+        entry.ip,
+        entry.method,
+        entry.route,
+        entry.status,
+        entry.targetType ? `${entry.targetType}:${entry.targetId || '*'}` : '',
+        JSON.stringify(entry.changes?.length ? entry.changes : entry.payload || [])
+      ]
+        .map(escape)
+        .join(',')
+    )
+    return [header.join(','), ...rows].join('\n')
+  }
+}
+
+module.exports = new AuditLogService()
@@ -3,6 +3,8 @@ const { v4: uuidv4 } = require('uuid')
 const crypto = require('crypto')
 const config = require('../../config/config')
 const logger = require('../utils/logger')
+const requestLogService = require('./requestLogService')
+const circuitBreakerService = require('./circuitBreakerService')
 
 // 加密相关常量
 const ALGORITHM = 'aes-256-cbc'
@@ -359,8 +361,24 @@ function isSubscriptionExpired(account) {
   return expiryDate <= new Date()
 }
 
-// 选择可用账户
-async function selectAvailableAccount(sessionId = null) {
+// 检查账户是否支持指定模型（未指定模型时视为支持）
+function isModelSupported(account, requestedModel) {
+  if (!requestedModel) {
+    return true
+  }
+  return Array.isArray(account.supportedModels) && account.supportedModels.includes(requestedModel)
+}
+
+// 选择可用账户（指定 requestedModel 时只选择 supportedModels 包含该模型的账户）
+// 熔断器冷却结束时由本次请求进行探测，探测名额已满时重新调度
+async function selectAvailableAccount(sessionId = null, requestedModel = null) {
+  return circuitBreakerService.selectAccount(
+    () => pickAvailableAccount(sessionId, requestedModel),
+    { accountType: 'azure-openai' }
+  )
+}
+
+async function pickAvailableAccount(sessionId, requestedModel) {
   // 如果有会话ID，尝试获取之前分配的账户
   if (sessionId) {
     const client = redisClient.getClientSafe()
@@ -369,15 +387,22 @@ async function selectAvailableAccount(sessionId = null) {
 
     if (accountId) {
       const account = await getAccount(accountId)
-      if (account && account.isActive === 'true' && account.schedulable === 'true') {
+      if (
+        account &&
+        account.isActive === 'true' &&
+        account.schedulable === 'true' &&
+        isModelSupported(account, requestedModel) &&
+        (await circuitBreakerService.isAvailable(accountId))
+      ) {
         logger.debug(`Reusing Azure OpenAI account ${accountId} for session ${sessionId}`)
+        await markAccountSelected(accountId)
         return account
       }
     }
   }
 
-  // 获取所有共享账户
-  const sharedAccounts = await getSharedAccounts()
+  // 获取所有共享账户（排除熔断中的账户）
+  const sharedAccounts = await circuitBreakerService.filterAvailable(await getSharedAccounts())
 
   // 过滤出可用的账户
   const availableAccounts = sharedAccounts.filter((acc) => {
@@ -389,11 +414,17 @@ async function selectAvailableAccount(sessionId = null) {
       return false
     }
 
-    return acc.isActive === 'true' && acc.schedulable === 'true'
+    return (
+      acc.isActive === 'true' && acc.schedulable === 'true' && isModelSupported(acc, requestedModel)
+    )
   })
 
   if (availableAccounts.length === 0) {
-    throw new Error('No available Azure OpenAI accounts')
+    throw new Error(
+      requestedModel
+        ? `No available Azure OpenAI accounts support the model ${requestedModel}`
+        : 'No available Azure OpenAI accounts'
+    )
   }
 
   // 按优先级排序并选择
@@ -408,9 +439,15 @@ async function selectAvailableAccount(sessionId = null) {
   }
 
   logger.debug(`Selected Azure OpenAI account: ${selectedAccount.id}`)
+  await markAccountSelected(selectedAccount.id)
   return selectedAccount
 }
 
+// 记录选中的账户（请求审计日志与熔断器依赖此信息统计失败）
+async function markAccountSelected(accountId) {
+  requestLogService.attachAccount(accountId, 'azure-openai')
+}
+
 // 更新账户使用量
 async function updateAccountUsage(accountId, tokens) {
   const client = redisClient.getClientSafe()
@@ -513,6 +550,7 @@ module.exports = {
   getAllAccounts,
   getSharedAccounts,
   selectAvailableAccount,
+  isModelSupported,
   updateAccountUsage,
   healthCheckAccount,
   performHealthChecks,
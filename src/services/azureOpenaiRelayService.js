@@ -2,6 +2,7 @@ const axios = require('axios')
 const ProxyHelper = require('../utils/proxyHelper')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
+const circuitBreakerService = require('./circuitBreakerService')
 
 // 转换模型名称（去掉 azure/ 前缀）
 function normalizeModelName(model) {
@@ -132,8 +133,10 @@ async function handleAzureOpenAIRequest({
     const requestStartTime = Date.now()
     logger.debug(`🔄 Starting Azure OpenAI HTTP request at ${new Date().toISOString()}`)
 
-    // 发送请求
-    const response = await axios(axiosConfig)
+    // 发送请求（客户端断开时 handleStreamResponse 会移除上游流的全部监听器，不计入熔断统计）
+    const request = axios(axiosConfig)
+    circuitBreakerService.trackRequest(request, account.id, 'azure-openai', { stream: isStream })
+    const response = await request
 
     const requestDuration = Date.now() - requestStartTime
     logger.debug(`✅ Azure OpenAI HTTP request completed at ${new Date().toISOString()}`)
@@ -4,6 +4,8 @@ const redis = require('../models/redis')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
 const bedrockRelayService = require('./bedrockRelayService')
+const requestLogService = require('./requestLogService')
+const circuitBreakerService = require('./circuitBreakerService')
 const LRUCache = require('../utils/lruCache')
 
 class BedrockAccountService {
@@ -40,7 +42,8 @@ class BedrockAccountService {
       accountType = 'shared', // 'dedicated' or 'shared'
       priority = 50, // 调度优先级 (1-100，数字越小优先级越高)
       schedulable = true, // 是否可被调度
-      credentialType = 'default' // 'default', 'access_key', 'bearer_token'
+      credentialType = 'default', // 'default', 'access_key', 'bearer_token'
+      converseModels = {} // Converse API 模型映射 { 请求模型: Bedrock 模型 ID }
     } = options
 
     const accountId = uuidv4()
@@ -56,6 +59,7 @@ class BedrockAccountService {
       priority,
       schedulable,
       credentialType,
+      converseModels: this._processModelMapping(converseModels),
 
       // ✅ 新增：账户订阅到期时间（业务字段，手动管理）
       // 注意：Bedrock 使用 AWS 凭证，没有 OAuth token，因此没有 expiresAt
@@ -89,6 +93,7 @@ class BedrockAccountService {
         priority,
         schedulable,
         credentialType,
+        converseModels: accountData.converseModels,
         createdAt: accountData.createdAt,
         type: 'bedrock'
       }
@@ -147,6 +152,7 @@ class BedrockAccountService {
             priority: account.priority,
             schedulable: account.schedulable,
             credentialType: account.credentialType,
+            converseModels: account.converseModels || {},
 
             // ✅ 前端显示订阅过期时间（业务字段）
             expiresAt: account.subscriptionExpiresAt || null,
@@ -220,6 +226,9 @@ class BedrockAccountService {
       if (updates.credentialType !== undefined) {
         account.credentialType = updates.credentialType
       }
+      if (updates.converseModels !== undefined) {
+        account.converseModels = this._processModelMapping(updates.converseModels)
+      }
 
       // 更新AWS凭证
       if (updates.awsCredentials !== undefined) {
@@ -260,6 +269,7 @@ class BedrockAccountService {
           priority: account.priority,
           schedulable: account.schedulable,
           credentialType: account.credentialType,
+          converseModels: account.converseModels || {},
           updatedAt: account.updatedAt,
           type: 'bedrock'
         }
@@ -335,6 +345,128 @@ class BedrockAccountService {
     }
   }
 
+  /**
+   * 为 OpenAI 兼容路由选择声明了该模型的 Bedrock 账户（Converse API）
+   * 没有任何账户声明该模型时返回 null，交由其他后端处理；
+   * 有账户声明但全部不可用时抛出 503 错误
+   * @param {Object} apiKeyData - API Key 数据（绑定了 Bedrock 账户时只使用该账户）
+   * @param {String} requestedModel - 客户端请求的模型名
+   * @returns {Promise<Object|null>} { accountId, accountType, account, modelId }
+   */
+  async selectConverseAccount(apiKeyData, requestedModel) {
+    // 🔌 熔断器冷却结束时由本次请求进行探测，探测名额已满时重新调度
+    return circuitBreakerService.selectAccount(
+      () => this._selectConverseAccount(apiKeyData, requestedModel),
+      { apiKeyData }
+    )
+  }
+
+  async _selectConverseAccount(apiKeyData, requestedModel) {
+    if (!requestedModel) {
+      return null
+    }
+
+    const accountsResult = await this.getAllAccounts()
+    if (!accountsResult.success) {
+      return null
+    }
+
+    const boundAccountId = apiKeyData?.bedrockAccountId
+    const claimants = accountsResult.data.filter(
+      (account) =>
+        (boundAccountId ? account.id === boundAccountId : account.accountType !== 'dedicated') &&
+        this.isModelSupported(account.converseModels, requestedModel)
+    )
+    if (claimants.length === 0) {
+      return null
+    }
+
+    let available = claimants.filter(
+      (account) => account.isActive && account.schedulable && !this.isSubscriptionExpired(account)
+    )
+    // 排除熔断中的账户（专属绑定账户不受熔断限制）
+    if (!boundAccountId) {
+      available = await circuitBreakerService.filterAvailable(available)
+    }
+
+    const [selected] = available
+    if (!selected) {
+      throw Object.assign(
+        new Error(`No available Bedrock accounts support the model ${requestedModel}`),
+        { statusCode: 503 }
+      )
+    }
+
+    const fullAccountResult = await this.getAccount(selected.id)
+    if (!fullAccountResult.success) {
+      throw Object.assign(new Error('Failed to get selected Bedrock account details'), {
+        statusCode: 503
+      })
+    }
+
+    const modelId = this.getMappedModel(selected.converseModels, requestedModel)
+    logger.info(
+      `🎯 选择Bedrock Converse账户 ${selected.name}（model: ${requestedModel} → ${modelId}, priority: ${selected.priority}）`
+    )
+
+    requestLogService.attachAccount(selected.id, 'bedrock')
+    return {
+      accountId: selected.id,
+      accountType: 'bedrock',
+      account: fullAccountResult.data,
+      modelId
+    }
+  }
+
+  // 🔍 检查模型是否在账户的 Converse 模型列表中（大小写不敏感）
+  isModelSupported(modelMapping, requestedModel) {
+    return this._findMappingKey(modelMapping, requestedModel) !== null
+  }
+
+  // 🔄 获取映射后的 Bedrock 模型 ID，未映射时返回原模型名
+  getMappedModel(modelMapping, requestedModel) {
+    const key = this._findMappingKey(modelMapping, requestedModel)
+    return key !== null ? modelMapping[key] || requestedModel : requestedModel
+  }
+
+  _findMappingKey(modelMapping, requestedModel) {
+    if (!modelMapping || !requestedModel) {
+      return null
+    }
+    if (Object.prototype.hasOwnProperty.call(modelMapping, requestedModel)) {
+      return requestedModel
+    }
+    const requestedModelLower = requestedModel.toLowerCase()
+    return (
+      Object.keys(modelMapping).find((key) => key.toLowerCase() === requestedModelLower) || null
+    )
+  }
+
+  // 🔄 统一模型配置为映射表：数组 ['a', 'b'] 视为 { a: 'a', b: 'b' }
+  _processModelMapping(converseModels) {
+    if (Array.isArray(converseModels)) {
+      const mapping = {}
+      converseModels.forEach((model) => {
+        if (model && typeof model === 'string') {
+          mapping[model.trim()] = model.trim()
+        }
+      })
+      return mapping
+    }
+
+    if (converseModels && typeof converseModels === 'object') {
+      const mapping = {}
+      for (const [from, to] of Object.entries(converseModels)) {
+        if (from && from.trim()) {
+          mapping[from.trim()] = (typeof to === 'string' && to.trim()) || from.trim()
+        }
+      }
+      return mapping
+    }
+
+    return {}
+  }
+
   // 🧪 测试账户连接
   async testAccount(accountId) {
     try {
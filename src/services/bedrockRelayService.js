@@ -1,11 +1,18 @@
 const {
   BedrockRuntimeClient,
   InvokeModelCommand,
-  InvokeModelWithResponseStreamCommand
+  InvokeModelWithResponseStreamCommand,
+  ConverseCommand,
+  ConverseStreamCommand
 } = require('@aws-sdk/client-bedrock-runtime')
 const { fromEnv } = require('@aws-sdk/credential-providers')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
+const openaiToBedrockConverse = require('./openaiToBedrockConverse')
+const apiKeyService = require('./apiKeyService')
+const pricingService = require('./pricingService')
+const circuitBreakerService = require('./circuitBreakerService')
+const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
 
 class BedrockRelayService {
   constructor() {
@@ -69,6 +76,7 @@ class BedrockRelayService {
 
   // 处理非流式请求
   async handleNonStreamRequest(requestBody, bedrockAccount = null) {
+    const recordOutcome = circuitBreakerService.createRecorder(bedrockAccount?.id, 'bedrock')
     try {
       const modelId = this._selectModel(requestBody, bedrockAccount)
       const region = this._selectRegion(modelId, bedrockAccount)
@@ -89,6 +97,7 @@ class BedrockRelayService {
       const startTime = Date.now()
       const response = await client.send(command)
       const duration = Date.now() - startTime
+      recordOutcome(200)
 
       // 解析响应
       const responseBody = JSON.parse(new TextDecoder().decode(response.body))
@@ -105,12 +114,15 @@ class BedrockRelayService {
       }
     } catch (error) {
       logger.error('❌ Bedrock非流式请求失败:', error)
-      throw this._handleBedrockError(error)
+      const mappedError = this._handleBedrockError(error)
+      recordOutcome(mappedError.statusCode)
+      throw mappedError
     }
   }
 
   // 处理流式请求
   async handleStreamRequest(requestBody, bedrockAccount = null, res) {
+    const recordOutcome = circuitBreakerService.createRecorder(bedrockAccount?.id, 'bedrock')
     try {
       const modelId = this._selectModel(requestBody, bedrockAccount)
       const region = this._selectRegion(modelId, bedrockAccount)
@@ -165,6 +177,7 @@ class BedrockRelayService {
       }
 
       const duration = Date.now() - startTime
+      recordOutcome(200)
       logger.info(`✅ Bedrock流式请求完成 - 模型: ${modelId}, 耗时: ${duration}ms`)
 
       // 发送结束事件
@@ -180,6 +193,8 @@ class BedrockRelayService {
       }
     } catch (error) {
       logger.error('❌ Bedrock流式请求失败:', error)
+      // 响应头已发送说明流中途出错
+      recordOutcome(res.headersSent ? 'stream_error' : this._handleBedrockError(error).statusCode)
 
       // 发送错误事件
       if (!res.headersSent) {
@@ -194,6 +209,162 @@ class BedrockRelayService {
     }
   }
 
+  /**
+   * 通过 Converse/ConverseStream API 处理 OpenAI chat/completions 请求
+   * 用于 Nova、Llama、Mistral 等非 Anthropic 模型，模型由账户的 converseModels 映射决定
+   * @param {Object} req - Express 请求（req.body 为 OpenAI chat/completions 格式）
+   * @param {Object} res - Express 响应
+   * @param {Object} bedrockAccount - 调度器选中的 Bedrock 账户（包含解密后的凭证）
+   * @param {String} modelId - 映射后的 Bedrock 模型 ID
+   */
+  async handleChatCompletion(req, res, bedrockAccount, modelId) {
+    const abortController = new AbortController()
+    const isStream = req.body.stream === true
+    const context = openaiToBedrockConverse.createConversionContext(req.body)
+    const recordOutcome = circuitBreakerService.createRecorder(bedrockAccount.id, 'bedrock')
+
+    // 仅监听响应关闭：请求体读取完毕后 req 也会触发 close
+    const handleClientDisconnect = () => {
+      if (!res.writableEnded && !abortController.signal.aborted) {
+        logger.info('🔌 Client disconnected, aborting Bedrock Converse request')
+        abortController.abort()
+      }
+    }
+
+    try {
+      const converseRequest = {
+        modelId,
+        ...openaiToBedrockConverse.convertRequest(req.body)
+      }
+      const region = bedrockAccount?.region || this.defaultRegion
+      const client = this._getBedrockClient(region, bedrockAccount)
+
+      logger.info(
+        `📤 Bedrock Converse ${context.requestModel} → ${modelId} via ${bedrockAccount.name} (${bedrockAccount.id}), region: ${region}, stream: ${isStream}`
+      )
+
+      res.once('close', handleClientDisconnect)
+
+      const startTime = Date.now()
+      const Command = isStream ? ConverseStreamCommand : ConverseCommand
+      const response = await client.send(new Command(converseRequest), {
+        abortSignal: abortController.signal
+      })
+
+      if (!isStream) {
+        recordOutcome(200)
+        const openaiResponse = openaiToBedrockConverse.convertResponse(response, context)
+        logger.info(
+          `✅ Bedrock Converse请求完成 - 模型: ${modelId}, 耗时: ${Date.now() - startTime}ms`
+        )
+        await this._recordConverseUsage(req, response.usage, modelId, bedrockAccount.id)
+        return res.json(openaiResponse)
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      })
+
+      for await (const event of response.stream) {
+        if (res.destroyed) {
+          break
+        }
+        for (const line of openaiToBedrockConverse.convertStreamEvent(event, context)) {
+          res.write(line)
+        }
+      }
+
+      if (!res.destroyed) {
+        recordOutcome(200)
+      }
+      logger.info(
+        `✅ Bedrock ConverseStream请求完成 - 模型: ${modelId}, 耗时: ${Date.now() - startTime}ms`
+      )
+      await this._recordConverseUsage(req, context.stream.usage, modelId, bedrockAccount.id)
+
+      if (!res.destroyed) {
+        res.write('data: [DONE]\n\n')
+        res.end()
+      }
+      return undefined
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info('🔌 Bedrock Converse request aborted by client')
+        return undefined
+      }
+
+      const mappedError = error.status === 400 ? error : this._handleBedrockError(error)
+      const status = mappedError.status || mappedError.statusCode || 500
+      logger.error(`❌ Bedrock Converse请求失败 - 模型: ${modelId}:`, error.message)
+      recordOutcome(res.headersSent ? 'stream_error' : status)
+
+      const body = {
+        error: {
+          message: mappedError.message,
+          type: status === 400 ? 'invalid_request_error' : 'upstream_error',
+          code: mappedError.code || status
+        }
+      }
+      if (res.headersSent) {
+        if (!res.destroyed) {
+          res.write(openaiToBedrockConverse.formatSSE(body))
+          res.end()
+        }
+        return undefined
+      }
+      return res.status(status).json(body)
+    } finally {
+      res.removeListener('close', handleClientDisconnect)
+    }
+  }
+
+  // 记录 Converse 用量，费用由 apiKeyService 通过 pricingService 按 Bedrock 模型 ID 计算
+  async _recordConverseUsage(req, usage, modelId, accountId) {
+    if (!usage) {
+      logger.warn(`⚠️ Bedrock Converse response for ${modelId} did not include usage`)
+      return
+    }
+
+    const inputTokens = usage.inputTokens || 0
+    const outputTokens = usage.outputTokens || 0
+    const cacheCreateTokens = usage.cacheWriteInputTokens || 0
+    const cacheReadTokens = usage.cacheReadInputTokens || 0
+
+    if (!pricingService.getModelPricing(modelId)) {
+      logger.warn(`⚠️ No pricing found for Bedrock model ${modelId}, cost will be recorded as 0`)
+    }
+
+    try {
+      await apiKeyService.recordUsageWithDetails(
+        req.apiKey.id,
+        {
+          input_tokens: inputTokens,
+          output_tokens: outputTokens,
+          cache_creation_input_tokens: cacheCreateTokens,
+          cache_read_input_tokens: cacheReadTokens
+        },
+        modelId,
+        accountId,
+        'bedrock'
+      )
+
+      await updateRateLimitCounters(
+        req.rateLimitInfo,
+        { inputTokens, outputTokens, cacheCreateTokens, cacheReadTokens },
+        modelId
+      )
+
+      logger.api(
+        `📊 Bedrock Converse usage recorded - Model: ${modelId}, Input: ${inputTokens}, Output: ${outputTokens}, Cache create: ${cacheCreateTokens}, Cache read: ${cacheReadTokens}`
+      )
+    } catch (error) {
+      logger.error('❌ Failed to record Bedrock Converse usage:', error)
+    }
+  }
+
   // 选择使用的模型
   _selectModel(requestBody, bedrockAccount) {
     let selectedModel
@@ -409,22 +580,24 @@ class BedrockRelayService {
     const errorMessage = error.message || 'Unknown Bedrock error'
 
     if (error.name === 'ValidationException') {
-      return new Error(`Bedrock参数验证失败: ${errorMessage}`)
+      return Object.assign(new Error(`Bedrock参数验证失败: ${errorMessage}`), { statusCode: 400 })
     }
 
     if (error.name === 'ThrottlingException') {
-      return new Error('Bedrock请求限流，请稍后重试')
+      return Object.assign(new Error('Bedrock请求限流，请稍后重试'), { statusCode: 429 })
     }
 
     if (error.name === 'AccessDeniedException') {
-      return new Error('Bedrock访问被拒绝，请检查IAM权限')
+      return Object.assign(new Error('Bedrock访问被拒绝，请检查IAM权限'), { statusCode: 403 })
     }
 
     if (error.name === 'ModelNotReadyException') {
-      return new Error('Bedrock模型未就绪，请稍后重试')
+      return Object.assign(new Error('Bedrock模型未就绪，请稍后重试'), { statusCode: 503 })
     }
 
-    return new Error(`Bedrock服务错误: ${errorMessage}`)
+    return Object.assign(new Error(`Bedrock服务错误: ${errorMessage}`), {
+      statusCode: error.$metadata?.httpStatusCode || 502
+    })
   }
 
   // 获取可用模型列表
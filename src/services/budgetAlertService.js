@@ -0,0 +1,143 @@
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const webhookService = require('./webhookService')
+
+const ALERT_KEY_PREFIX = 'budget_alert:'
+
+// 各类费用限制的展示名称与去重周期
+const LIMIT_TYPES = {
+  daily: { label: '每日费用', ttlSeconds: 2 * 24 * 3600 },
+  weeklyOpus: { label: 'Opus 周费用', ttlSeconds: 8 * 24 * 3600 },
+  total: { label: '总费用', ttlSeconds: 365 * 24 * 3600 }
+}
+
+/**
+ * API Key 预算告警服务
+ *
+ * 当 API Key 的每日/总/Opus 周费用达到限制的指定百分比（如 50/80/95%）时，
+ * 通过 webhookService 发送 quotaWarning 通知。每个阈值在每个周期内只触发一次，
+ * 去重状态保存在 Redis 中；修改费用限制后会重新开始计算。
+ */
+class BudgetAlertService {
+  /**
+   * 规范化阈值配置
+   * @param {Array|string} value - 阈值数组、JSON 字符串或逗号分隔的字符串
+   * @returns {Array<number>|null} 升序去重的阈值（1-100），无法解析时返回 null
+   */
+  normalizeThresholds(value) {
+    if (value === undefined || value === null || value === '') {
+      return null
+    }
+
+    let list = value
+    if (typeof value === 'string') {
+      try {
+        list = JSON.parse(value)
+      } catch (error) {
+        list = value.split(',')
+      }
+    }
+    if (!Array.isArray(list)) {
+      return null
+    }
+
+    const thresholds = list
+      .map((item) => Number(item))
+      .filter((item) => Number.isFinite(item) && item > 0 && item <= 100)
+    return [...new Set(thresholds)].sort((a, b) => a - b)
+  }
+
+  // 获取 API Key 生效的阈值：优先使用 Key 自身配置，否则使用全局默认值
+  getThresholds(keyData) {
+    if (config.budgetAlerts?.enabled === false) {
+      return []
+    }
+    const keyThresholds = this.normalizeThresholds(keyData.budgetAlertThresholds)
+    if (keyThresholds) {
+      return keyThresholds
+    }
+    return this.normalizeThresholds(config.budgetAlerts?.defaultThresholds) || []
+  }
+
+  /**
+   * 检查 API Key 的费用使用情况，跨过阈值时发送告警（由认证中间件异步调用）
+   * @param {Object} keyData - apiKeyService.validateApiKey 返回的 keyData
+   * @param {string} model - 当前请求的模型，用于判断是否检查 Opus 周费用
+   */
+  async checkApiKey(keyData, model = '') {
+    const thresholds = this.getThresholds(keyData)
+    if (thresholds.length === 0) {
+      return
+    }
+
+    const checks = [
+      {
+        type: 'daily',
+        limit: keyData.dailyCostLimit,
+        current: keyData.dailyCost,
+        period: redis.getDateStringInTimezone()
+      },
+      {
+        type: 'total',
+        limit: keyData.totalCostLimit,
+        current: keyData.totalCost,
+        period: 'all'
+      }
+    ]
+    if (model && model.toLowerCase().includes('claude-opus')) {
+      checks.push({
+        type: 'weeklyOpus',
+        limit: keyData.weeklyOpusCostLimit,
+        current: keyData.weeklyOpusCost,
+        period: redis.getWeekStringInTimezone()
+      })
+    }
+
+    for (const check of checks) {
+      if (check.limit > 0) {
+        await this._checkLimit(keyData, thresholds, check)
+      }
+    }
+  }
+
+  async _checkLimit(keyData, thresholds, { type, limit, current, period }) {
+    const percentage = ((current || 0) / limit) * 100
+    const crossed = thresholds.filter((threshold) => percentage >= threshold)
+    if (crossed.length === 0) {
+      return
+    }
+
+    // 抢占每个已跨过阈值的去重标记，只为新跨过的最高阈值发送一次通知
+    const client = redis.getClientSafe()
+    const { ttlSeconds, label } = LIMIT_TYPES[type]
+    let newlyCrossed = null
+    for (const threshold of crossed) {
+      const alertKey = `${ALERT_KEY_PREFIX}${keyData.id}:${type}:${period}:${limit}:${threshold}`
+      const acquired = await client.set(alertKey, '1', 'EX', ttlSeconds, 'NX')
+      if (acquired) {
+        newlyCrossed = threshold
+      }
+    }
+    if (newlyCrossed === null) {
+      return
+    }
+
+    logger.warn(
+      `📊 Budget alert for key ${keyData.name} (${keyData.id}): ${label} $${(current || 0).toFixed(2)}/$${limit} (${percentage.toFixed(1)}%) crossed ${newlyCrossed}%`
+    )
+
+    await webhookService.sendNotification('quotaWarning', {
+      keyId: keyData.id,
+      keyName: keyData.name,
+      limitType: type,
+      threshold: newlyCrossed,
+      currentCost: Number((current || 0).toFixed(6)),
+      costLimit: limit,
+      usage: percentage.toFixed(1),
+      message: `API Key「${keyData.name}」${label}已达到限制的 ${newlyCrossed}%（$${(current || 0).toFixed(2)} / $${limit}）`
+    })
+  }
+}
+
+module.exports = new BudgetAlertService()
@@ -2,6 +2,7 @@ const axios = require('axios')
 const ccrAccountService = require('./ccrAccountService')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
+const circuitBreakerService = require('./circuitBreakerService')
 const { parseVendorPrefixedModel } = require('../utils/modelHelper')
 
 class CcrRelayService {
@@ -160,7 +161,9 @@ class CcrRelayService {
         '📤 Sending request to CCR API with headers:',
         JSON.stringify(requestConfig.headers, null, 2)
       )
-      const response = await axios(requestConfig)
+      const request = axios(requestConfig)
+      circuitBreakerService.trackRequest(request, accountId, 'ccr')
+      const response = await request
 
       // 移除监听器（请求成功完成）
       if (clientRequest) {
@@ -379,6 +382,9 @@ class CcrRelayService {
 
       // 发送请求
       const request = axios(requestConfig)
+      const recordOutcome = circuitBreakerService.trackRequest(request, accountId, 'ccr', {
+        stream: true
+      })
 
       request
         .then((response) => {
@@ -473,6 +479,9 @@ class CcrRelayService {
               rawBuffer = lines.pop() // 保留最后一个可能不完整的行
 
               for (const line of lines) {
+                if (line.startsWith('event: error')) {
+                  recordOutcome('stream_error')
+                }
                 if (line.trim()) {
                   // 解析 SSE 数据并收集使用统计
                   const usageData = this._parseSSELineForUsage(line)
@@ -533,6 +542,7 @@ class CcrRelayService {
           responseStream.on('close', () => {
             logger.info('🔌 Client disconnected from CCR stream')
             aborted = true
+            recordOutcome.cancel()
             if (response.data && typeof response.data.destroy === 'function') {
               response.data.destroy()
             }
@@ -0,0 +1,512 @@
+const { AsyncLocalStorage } = require('async_hooks')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const webhookNotifier = require('../utils/webhookNotifier')
+
+const BREAKER_KEY_PREFIX = 'circuit_breaker:'
+const BREAKER_INDEX_KEY = 'circuit_breakers'
+
+const STATE_CLOSED = 'closed'
+const STATE_OPEN = 'open'
+const STATE_HALF_OPEN = 'half_open'
+
+// 探测名额被并发请求占满时最多重新调度的次数
+const MAX_SELECTION_ATTEMPTS = 5
+
+// 调度器选中账户时调用：冷却结束的熔断器进入半开状态，半开状态占用一个探测名额
+// 返回 { 当前状态, 发生转换时的原状态, 是否允许本次请求（1/0） }
+const ACQUIRE_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local cooldownMs = tonumber(ARGV[2])
+local maxProbes = tonumber(ARGV[3])
+local state = redis.call('HGET', key, 'state')
+
+if not state or state == 'closed' then
+  return {'closed', '', 1}
+end
+
+if state == 'open' then
+  local openedAt = tonumber(redis.call('HGET', key, 'openedAt') or '0')
+  if now - openedAt < cooldownMs then
+    return {'open', '', 0}
+  end
+  redis.call('HSET', key, 'state', 'half_open', 'halfOpenAt', now, 'probes', 1, 'probeSuccesses', 0, 'updatedAt', now)
+  return {'half_open', 'open', 1}
+end
+
+local probes = tonumber(redis.call('HGET', key, 'probes') or '0')
+local halfOpenAt = tonumber(redis.call('HGET', key, 'halfOpenAt') or '0')
+if probes < maxProbes then
+  redis.call('HINCRBY', key, 'probes', 1)
+  return {'half_open', '', 1}
+end
+if now - halfOpenAt >= cooldownMs then
+  -- 探测请求长时间没有结果（如客户端断开），重新开始一轮探测
+  redis.call('HSET', key, 'halfOpenAt', now, 'probes', 1, 'probeSuccesses', 0)
+  return {'half_open', '', 1}
+end
+-- 探测名额已满
+return {'half_open', '', 0}
+`
+
+// 请求结束时记录结果；返回 { 当前状态, 发生转换时的原状态 }
+const RECORD_SCRIPT = `
+local key = KEYS[1]
+local indexKey = KEYS[2]
+local now = tonumber(ARGV[1])
+local isFailure = tonumber(ARGV[2])
+local failureThreshold = tonumber(ARGV[3])
+local successThreshold = tonumber(ARGV[4])
+
+if isFailure == 0 then
+  if redis.call('EXISTS', key) == 0 then
+    return {'closed', ''}
+  end
+  local state = redis.call('HGET', key, 'state') or 'closed'
+  if state == 'open' then
+    -- 打开状态下的成功来自熔断前发出的请求或绕过调度的专属账户，只有半开探测成功才能关闭熔断器
+    return {'open', ''}
+  end
+  if state == 'half_open' then
+    local successes = redis.call('HINCRBY', key, 'probeSuccesses', 1)
+    if successes < successThreshold then
+      -- 释放探测名额，允许继续探测直到成功次数达标
+      redis.call('HINCRBY', key, 'probes', -1)
+      return {'half_open', ''}
+    end
+  end
+  -- 关闭状态的成功清零连续失败
+  redis.call('DEL', key)
+  redis.call('SREM', indexKey, ARGV[5])
+  if state == 'closed' then
+    return {'closed', ''}
+  end
+  return {'closed', state}
+end
+
+local state = redis.call('HGET', key, 'state') or 'closed'
+redis.call('SADD', indexKey, ARGV[5])
+redis.call('HSET', key, 'accountType', ARGV[6], 'lastError', ARGV[7], 'lastFailureAt', now, 'updatedAt', now)
+
+if state == 'closed' then
+  local failures = redis.call('HINCRBY', key, 'failures', 1)
+  if failures < failureThreshold then
+    redis.call('HSET', key, 'state', 'closed')
+    return {'closed', ''}
+  end
+elseif state == 'open' then
+  return {'open', ''}
+end
+
+redis.call('HSET', key, 'state', 'open', 'openedAt', now, 'probes', 0, 'probeSuccesses', 0)
+return {'open', state}
+`
+
+/**
+ * 账户熔断器服务
+ *
+ * 所有平台共用的按账户熔断器，与各平台已有的账户状态标记（overloaded、temp_error 等）互补：
+ * - closed：正常调度，连续失败达到阈值后打开
+ * - open：不参与共享池/分组调度，冷却结束后转为半开
+ * - half_open：最多放行 halfOpenMaxProbes 个探测请求，成功达到阈值后关闭，任一失败重新打开
+ *
+ * 调度器通过 selectAccount 执行调度：选中账户的探测名额已满时，该账户在本次调度中视为不可用并重新选择。
+ * 各中继服务为每次上游请求（包括故障转移的每一跳）通过 createRecorder 记录结果：5xx、网络错误、超时
+ * 以及 200 之后流中途出错视为失败。状态转换会发送 Webhook 通知。专属绑定的账户不受熔断限制。
+ */
+class CircuitBreakerService {
+  constructor() {
+    // 本次调度中因探测名额已满而被拒绝的账户ID
+    this.selectionStorage = new AsyncLocalStorage()
+  }
+
+  isEnabled() {
+    return config.circuitBreaker?.enabled !== false
+  }
+
+  /**
+   * 过滤掉熔断中的候选账户（只读，不占用探测名额）
+   * @param {Array<Object>} accounts - 候选账户（包含 accountId 或 id）
+   * @returns {Promise<Array<Object>>} 可调度的账户
+   */
+  async filterAvailable(accounts) {
+    if (!this.isEnabled() || !Array.isArray(accounts) || accounts.length === 0) {
+      return accounts
+    }
+
+    try {
+      const pipeline = redis.getClientSafe().pipeline()
+      accounts.forEach((account) =>
+        pipeline.hgetall(`${BREAKER_KEY_PREFIX}${account.accountId || account.id}`)
+      )
+      const replies = await pipeline.exec()
+
+      const now = Date.now()
+      const deniedAccountIds = this.selectionStorage.getStore()
+      return accounts.filter((account, index) => {
+        const [error, data] = replies[index]
+        if (deniedAccountIds?.has(account.accountId || account.id)) {
+          logger.debug(
+            `🔌 Skipping account ${account.accountId || account.id}: circuit breaker probes in progress`
+          )
+          return false
+        }
+        if (error || this._isRequestAllowed(data, now)) {
+          return true
+        }
+        logger.debug(`🔌 Skipping account ${account.accountId || account.id}: circuit breaker open`)
+        return false
+      })
+    } catch (error) {
+      logger.warn('⚠️ Failed to check circuit breakers, skipping filter:', error.message)
+      return accounts
+    }
+  }
+
+  // 单个账户是否允许调度（用于粘性会话等已选定账户的校验）
+  async isAvailable(accountId) {
+    if (!this.isEnabled() || !accountId) {
+      return true
+    }
+    if (this.selectionStorage.getStore()?.has(accountId)) {
+      return false
+    }
+
+    try {
+      const data = await redis.getClientSafe().hgetall(`${BREAKER_KEY_PREFIX}${accountId}`)
+      return this._isRequestAllowed(data, Date.now())
+    } catch (error) {
+      logger.warn(`⚠️ Failed to check circuit breaker for ${accountId}:`, error.message)
+      return true
+    }
+  }
+
+  /**
+   * 在熔断器保护下执行一次调度：选中账户的探测名额已满时，本次调度中将其视为不可用
+   * （filterAvailable / isAvailable 会跳过该账户）并重新调度
+   * @param {Function} select - 调度函数，返回 { accountId, accountType }、账户对象或 null
+   * @param {Object} options - 选项
+   * @param {Object} [options.apiKeyData] - API Key 数据，专属绑定的账户不会被拒绝
+   * @param {string} [options.accountType] - 调度结果不包含 accountType 时使用的账户类型
+   * @returns {Promise<Object|null>} 调度结果
+   */
+  async selectAccount(select, { apiKeyData = null, accountType = null } = {}) {
+    const deniedAccountIds = new Set()
+    return this.selectionStorage.run(deniedAccountIds, async () => {
+      for (let attempt = 0; attempt < MAX_SELECTION_ATTEMPTS; attempt++) {
+        const selection = await select()
+        const accountId = selection?.accountId || selection?.id
+        const acquired = await this.markSelected(accountId, selection?.accountType || accountType)
+        if (acquired || this._isDedicatedAccount(apiKeyData, accountId)) {
+          return selection
+        }
+
+        deniedAccountIds.add(accountId)
+        logger.info(
+          `🔌 Circuit breaker probe slots for account ${accountId} are in use, selecting another account`
+        )
+      }
+
+      const error = new Error('No available accounts: circuit breaker probes in progress')
+      error.statusCode = 503
+      throw error
+    })
+  }
+
+  /**
+   * 调度器选定账户后调用，冷却结束时转为半开并占用探测名额
+   * @param {string} accountId - 账户ID
+   * @param {string} accountType - 账户类型
+   * @returns {Promise<boolean>} 是否允许本次请求（熔断打开或探测名额已满时为 false）
+   */
+  async markSelected(accountId, accountType) {
+    if (!this.isEnabled() || !accountId) {
+      return true
+    }
+
+    try {
+      const [state, previousState, acquired] = await redis
+        .getClientSafe()
+        .eval(
+          ACQUIRE_SCRIPT,
+          1,
+          `${BREAKER_KEY_PREFIX}${accountId}`,
+          Date.now(),
+          this._getCooldownMs(),
+          this._getHalfOpenMaxProbes()
+        )
+      if (previousState) {
+        this._onTransition(accountId, accountType, previousState, state)
+      }
+      return acquired === 1
+    } catch (error) {
+      logger.warn(`⚠️ Failed to update circuit breaker for ${accountId}:`, error.message)
+      return true
+    }
+  }
+
+  /**
+   * 创建一次上游请求的结果记录器，只记录第一次调用（超时后 destroy 可能再触发 error）
+   * 流式请求在收到 200 后不要立即记录，流正常结束时再记录 200，中途出错时记录 'stream_error'
+   * @param {string} accountId - 账户ID
+   * @param {string} accountType - 账户类型
+   * @returns {Function} record(outcome)；record.cancel() 放弃记录（客户端断开，结果未知）
+   */
+  createRecorder(accountId, accountType) {
+    let settled = false
+    const record = (outcome) => {
+      if (settled) {
+        return
+      }
+      settled = true
+      this.recordResult(accountId, accountType, outcome)
+    }
+    record.cancel = () => {
+      settled = true
+    }
+    return record
+  }
+
+  /**
+   * 记录 axios 上游请求的结果，请求被取消（客户端断开）时不记录
+   * @param {Promise} request - axios 请求
+   * @param {string} accountId - 账户ID
+   * @param {string} accountType - 账户类型
+   * @param {Object} options - 选项
+   * @param {boolean} [options.stream] - 流式响应：2xx 时跟踪响应流，流结束后再记录
+   * @returns {Function} 结果记录器（客户端断开时调用方可调用 cancel）
+   */
+  trackRequest(request, accountId, accountType, { stream = false } = {}) {
+    const recordOutcome = this.createRecorder(accountId, accountType)
+    request.then(
+      (response) => {
+        const isSuccess = response.status >= 200 && response.status < 300
+        if (stream && isSuccess && typeof response.data?.on === 'function') {
+          this.trackStream(response.data, recordOutcome)
+        } else {
+          recordOutcome(response.status)
+        }
+      },
+      (error) => {
+        if (error.code === 'ERR_CANCELED') {
+          recordOutcome.cancel()
+        } else if (error.response) {
+          recordOutcome(error.response.status)
+        } else {
+          recordOutcome(error.code === 'ECONNABORTED' ? 'timeout' : 'error')
+        }
+      }
+    )
+    return recordOutcome
+  }
+
+  /**
+   * 跟踪上游响应流：正常结束记为成功，连接中断记为失败，客户端断开导致的取消不记录
+   * 只监听 end / error / close，不改变流的读取模式；流中的错误事件由解析 SSE 的调用方记录 'stream_error'
+   * @param {Stream} stream - 上游响应流
+   * @param {Function} recordOutcome - createRecorder 返回的记录器
+   */
+  trackStream(stream, recordOutcome) {
+    stream.once('end', () => recordOutcome(200))
+    stream.once('error', (error) => {
+      // axios 在请求被 abort 时以 CanceledError 结束流，属于客户端断开
+      if (error?.code === 'ERR_CANCELED') {
+        recordOutcome.cancel()
+      }
+    })
+    stream.once('close', () => {
+      if (!stream.readableEnded) {
+        recordOutcome('stream_error')
+      }
+    })
+  }
+
+  /**
+   * 记录一次上游请求结果
+   * @param {string} accountId - 账户ID
+   * @param {string} accountType - 账户类型
+   * @param {number|string} outcome - 上游状态码，或 'error' / 'timeout' / 'stream_error'
+   */
+  async recordResult(accountId, accountType, outcome) {
+    if (!this.isEnabled() || !accountId) {
+      return
+    }
+
+    const statusCode = typeof outcome === 'number' ? outcome : null
+    const isFailure = statusCode === null || statusCode >= 500
+
+    try {
+      const [state, previousState] = await redis
+        .getClientSafe()
+        .eval(
+          RECORD_SCRIPT,
+          2,
+          `${BREAKER_KEY_PREFIX}${accountId}`,
+          BREAKER_INDEX_KEY,
+          Date.now(),
+          isFailure ? 1 : 0,
+          this._getFailureThreshold(),
+          this._getSuccessThreshold(),
+          accountId,
+          accountType || '',
+          isFailure ? (statusCode ? `HTTP ${statusCode}` : String(outcome)) : ''
+        )
+      if (previousState) {
+        this._onTransition(accountId, accountType, previousState, state, statusCode)
+      }
+    } catch (error) {
+      logger.debug(`Failed to record circuit breaker result for ${accountId}:`, error.message)
+    }
+  }
+
+  // 获取单个账户的熔断器状态
+  async getState(accountId) {
+    const data = await redis.getClientSafe().hgetall(`${BREAKER_KEY_PREFIX}${accountId}`)
+    return this._formatState(accountId, data)
+  }
+
+  // 获取所有非默认状态（有失败记录或已熔断）的熔断器
+  async getAllStates() {
+    const client = redis.getClientSafe()
+    const accountIds = await client.smembers(BREAKER_INDEX_KEY)
+    if (accountIds.length === 0) {
+      return []
+    }
+
+    const pipeline = client.pipeline()
+    accountIds.forEach((accountId) => pipeline.hgetall(`${BREAKER_KEY_PREFIX}${accountId}`))
+    const replies = await pipeline.exec()
+
+    const states = []
+    const staleIds = []
+    replies.forEach(([error, data], index) => {
+      if (error || !data || Object.keys(data).length === 0) {
+        staleIds.push(accountIds[index])
+        return
+      }
+      states.push(this._formatState(accountIds[index], data))
+    })
+
+    if (staleIds.length > 0) {
+      await client.srem(BREAKER_INDEX_KEY, ...staleIds)
+    }
+    return states
+  }
+
+  /**
+   * 手动重置熔断器为关闭状态
+   * @param {string} accountId - 账户ID
+   */
+  async reset(accountId) {
+    const client = redis.getClientSafe()
+    const key = `${BREAKER_KEY_PREFIX}${accountId}`
+    const data = await client.hgetall(key)
+
+    await client.del(key)
+    await client.srem(BREAKER_INDEX_KEY, accountId)
+
+    const previousState = data?.state || STATE_CLOSED
+    if (previousState !== STATE_CLOSED) {
+      this._onTransition(accountId, data.accountType, previousState, STATE_CLOSED, null, true)
+    }
+    logger.info(`🔌 Circuit breaker reset for account ${accountId}`)
+    return this._formatState(accountId, {})
+  }
+
+  // 专属绑定账户判断：绑定字段（如 claudeAccountId）可能带有 api:、responses: 等类型前缀
+  _isDedicatedAccount(apiKeyData, accountId) {
+    if (!apiKeyData || !accountId) {
+      return false
+    }
+    return Object.entries(apiKeyData).some(
+      ([field, value]) =>
+        field.endsWith('AccountId') &&
+        typeof value === 'string' &&
+        !value.startsWith('group:') &&
+        value.split(':').pop() === accountId
+    )
+  }
+
+  _isRequestAllowed(data, now) {
+    const state = data?.state
+    if (!state || state === STATE_CLOSED) {
+      return true
+    }
+    if (state === STATE_OPEN) {
+      return now - (parseInt(data.openedAt) || 0) >= this._getCooldownMs()
+    }
+    return (
+      (parseInt(data.probes) || 0) < this._getHalfOpenMaxProbes() ||
+      now - (parseInt(data.halfOpenAt) || 0) >= this._getCooldownMs()
+    )
+  }
+
+  _formatState(accountId, data) {
+    const state = data?.state || STATE_CLOSED
+    const openedAt = parseInt(data?.openedAt) || null
+    return {
+      accountId,
+      accountType: data?.accountType || null,
+      state,
+      failures: parseInt(data?.failures) || 0,
+      probes: parseInt(data?.probes) || 0,
+      probeSuccesses: parseInt(data?.probeSuccesses) || 0,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt:
+        state === STATE_OPEN && openedAt
+          ? new Date(openedAt + this._getCooldownMs()).toISOString()
+          : null,
+      lastError: data?.lastError || null,
+      lastFailureAt: data?.lastFailureAt
+        ? new Date(parseInt(data.lastFailureAt)).toISOString()
+        : null
+    }
+  }
+
+  // 记录状态转换并发送 Webhook 通知
+  _onTransition(accountId, accountType, fromState, toState, statusCode = null, manual = false) {
+    const reason = manual
+      ? `熔断器已手动重置（${fromState} → ${toState}）`
+      : `熔断器状态变更：${fromState} → ${toState}${statusCode ? `（最近响应 HTTP ${statusCode}）` : ''}`
+
+    if (toState === STATE_OPEN) {
+      logger.warn(
+        `🔌 Circuit breaker opened for account ${accountId} (${accountType || 'unknown'})`
+      )
+    } else if (toState === STATE_HALF_OPEN) {
+      logger.info(`🔌 Circuit breaker half-open for account ${accountId}, probing`)
+    } else {
+      logger.success(`🔌 Circuit breaker closed for account ${accountId}`)
+    }
+
+    // sendAccountAnomalyNotification 内部已捕获错误，不阻塞请求
+    webhookNotifier.sendAccountAnomalyNotification({
+      accountId,
+      accountName: accountId,
+      platform: accountType || 'unknown',
+      status: `circuit_${toState}`,
+      errorCode: `CIRCUIT_BREAKER_${toState.toUpperCase()}`,
+      reason
+    })
+  }
+
+  _getFailureThreshold() {
+    return Math.max(parseInt(config.circuitBreaker?.failureThreshold) || 5, 1)
+  }
+
+  _getCooldownMs() {
+    return Math.max(parseInt(config.circuitBreaker?.cooldownSeconds) || 60, 1) * 1000
+  }
+
+  _getHalfOpenMaxProbes() {
+    return Math.max(parseInt(config.circuitBreaker?.halfOpenMaxProbes) || 1, 1)
+  }
+
+  _getSuccessThreshold() {
+    return Math.max(parseInt(config.circuitBreaker?.successThreshold) || 1, 1)
+  }
+}
+
+module.exports = new CircuitBreakerService()
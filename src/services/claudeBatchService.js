@@ -0,0 +1,613 @@
+const axios = require('axios')
+const readline = require('readline')
+const config = require('../../config/config')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const claudeAccountService = require('./claudeAccountService')
+const claudeConsoleAccountService = require('./claudeConsoleAccountService')
+const claudeRelayService = require('./claudeRelayService')
+const unifiedClaudeScheduler = require('./unifiedClaudeScheduler')
+const apiKeyService = require('./apiKeyService')
+const rateLimitRuleService = require('./rateLimitRuleService')
+const { getEffectiveModel } = require('../utils/modelHelper')
+
+const BATCH_KEY_PREFIX = 'claude_batch:'
+const KEY_INDEX_PREFIX = 'claude_batch:index:key:'
+const PENDING_SET_KEY = 'claude_batch:pending'
+const BILLING_LOCK_PREFIX = 'claude_batch:billing_lock:'
+
+// Anthropic 保留批处理结果 29 天，本地记录多保留 1 天
+const BATCH_TTL_SECONDS = 30 * 24 * 3600
+const BILLING_LOCK_TTL_SECONDS = 600
+const BATCH_ACCOUNT_TYPES = ['claude-official', 'claude-console']
+// 选中的账户不支持批处理中的全部模型时，排除后重新调度的最大次数
+const MAX_ACCOUNT_SELECTION_ATTEMPTS = 5
+const DEFAULT_USER_AGENT = 'claude-cli/1.0.69 (external, cli)'
+
+const createApiError = (httpStatus, type, message) =>
+  Object.assign(new Error(message), {
+    httpStatus,
+    errorPayload: { type: 'error', error: { type, message } }
+  })
+
+/**
+ * Claude Message Batches API 服务
+ *
+ * - 每个批处理在创建时由调度器选择一个支持其中全部模型的 Claude 官方(OAuth)或 Console 账户，
+ *   之后的查询、取消、结果下载都固定使用该账户
+ * - 认证中间件看不到批处理中的模型，模型限制、Opus 周费用与按模型的限流规则在创建时逐个模型检查
+ * - 批处理与 API Key 的归属关系保存在 Redis 中，API Key 只能访问自己创建的批处理
+ * - 批处理结束后下载结果，按模型汇总用量，以批处理价格通过 apiKeyService 计费（只计费一次）
+ */
+class ClaudeBatchService {
+  constructor() {
+    this.interval = null
+    this.isPolling = false
+  }
+
+  // ⏱️ 启动后台轮询：检查未计费的批处理是否已结束
+  start() {
+    const minutes = parseInt(config.claude?.batch?.pollIntervalMinutes) || 5
+    const intervalMs = Math.max(1, minutes) * 60 * 1000
+
+    this.interval = setInterval(() => {
+      this.checkPendingBatches().catch((error) => {
+        logger.error('❌ Claude batch polling failed:', error)
+      })
+    }, intervalMs)
+
+    logger.info(`📦 Claude batch billing poller started (every ${minutes} minutes)`)
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval)
+      this.interval = null
+    }
+  }
+
+  // 📦 创建批处理
+  async createBatch(apiKeyData, body) {
+    const requests = body?.requests
+    if (!Array.isArray(requests) || requests.length === 0) {
+      throw createApiError(
+        400,
+        'invalid_request_error',
+        'requests: field required and must be a non-empty array'
+      )
+    }
+
+    const invalidRequest = requests.find(
+      (item) => !item || !item.custom_id || !item.params || !item.params.model
+    )
+    if (invalidRequest) {
+      throw createApiError(
+        400,
+        'invalid_request_error',
+        'Each request must include custom_id and params with a model'
+      )
+    }
+
+    const modelCounts = new Map()
+    for (const item of requests) {
+      modelCounts.set(item.params.model, (modelCounts.get(item.params.model) || 0) + 1)
+    }
+    const models = [...modelCounts.keys()]
+    this._checkModelAccess(apiKeyData, models)
+
+    // 整个批处理固定在同一个账户上，账户必须支持其中的全部模型
+    const { accountId, accountType } = await this._selectAccount(apiKeyData, models)
+
+    const ruleResult = await rateLimitRuleService.checkModelRequests(
+      apiKeyData.id,
+      apiKeyData.rateLimitRules,
+      modelCounts
+    )
+    if (!ruleResult.allowed) {
+      throw createApiError(
+        429,
+        'rate_limit_error',
+        rateLimitRuleService.formatExceededMessage(ruleResult)
+      )
+    }
+
+    const upstream = await this._getUpstreamContext(accountId, accountType)
+    const payload = {
+      requests: requests.map((item) => ({
+        ...item,
+        params: this._processParams(item.params, upstream)
+      }))
+    }
+
+    logger.info(
+      `📦 Creating Claude batch with ${requests.length} requests for key: ${apiKeyData.name || apiKeyData.id}, account: ${accountId} (${accountType})`
+    )
+
+    const response = await this._sendUpstream(upstream, 'POST', '/v1/messages/batches', {
+      data: payload
+    })
+    if (response.status < 200 || response.status >= 300 || !response.data?.id) {
+      return response
+    }
+
+    const batch = response.data
+    const record = {
+      batchId: batch.id,
+      keyId: apiKeyData.id,
+      keyName: apiKeyData.name || '',
+      accountId,
+      accountType,
+      requestCount: requests.length,
+      createdAt: new Date().toISOString(),
+      billedAt: null,
+      billedModels: [],
+      batch
+    }
+
+    const client = redis.getClientSafe()
+    const pipeline = client.pipeline()
+    pipeline.setex(`${BATCH_KEY_PREFIX}${batch.id}`, BATCH_TTL_SECONDS, JSON.stringify(record))
+    pipeline.zadd(`${KEY_INDEX_PREFIX}${apiKeyData.id}`, Date.now(), batch.id)
+    pipeline.expire(`${KEY_INDEX_PREFIX}${apiKeyData.id}`, BATCH_TTL_SECONDS)
+    pipeline.sadd(PENDING_SET_KEY, batch.id)
+    await pipeline.exec()
+
+    logger.success(`Created Claude batch ${batch.id} on account ${accountId}`)
+    return response
+  }
+
+  // 🔒 模型限制与 Opus 周费用限制：任一请求的模型不允许时拒绝整个批处理
+  _checkModelAccess(apiKeyData, models) {
+    if (
+      apiKeyData.enableModelRestriction &&
+      Array.isArray(apiKeyData.restrictedModels) &&
+      apiKeyData.restrictedModels.length > 0 &&
+      models.some((model) => apiKeyData.restrictedModels.includes(getEffectiveModel(model)))
+    ) {
+      throw Object.assign(new Error('Model not allowed for this API key'), {
+        httpStatus: 403,
+        errorPayload: { error: { type: 'forbidden', message: '暂无该模型访问权限' } }
+      })
+    }
+
+    const weeklyOpusCostLimit = parseFloat(apiKeyData.weeklyOpusCostLimit) || 0
+    if (
+      weeklyOpusCostLimit > 0 &&
+      (parseFloat(apiKeyData.weeklyOpusCost) || 0) >= weeklyOpusCostLimit &&
+      models.some((model) => model.toLowerCase().includes('claude-opus'))
+    ) {
+      throw createApiError(
+        429,
+        'rate_limit_error',
+        `已达到 Opus 模型周费用限制 ($${weeklyOpusCostLimit})`
+      )
+    }
+  }
+
+  // 🎯 调度器按第一个模型选择账户，账户不支持其余模型时排除后重新调度
+  async _selectAccount(apiKeyData, models) {
+    const excludedAccountIds = []
+    for (let attempt = 0; attempt < MAX_ACCOUNT_SELECTION_ATTEMPTS; attempt++) {
+      let selection
+      try {
+        selection = await unifiedClaudeScheduler.selectAccountForApiKey(
+          apiKeyData,
+          null,
+          models[0],
+          { accountTypes: BATCH_ACCOUNT_TYPES, excludedAccountIds }
+        )
+      } catch (error) {
+        if (excludedAccountIds.length === 0) {
+          throw error
+        }
+        break
+      }
+
+      const { accountId, accountType } = selection
+      const account =
+        accountType === 'claude-console'
+          ? await claudeConsoleAccountService.getAccount(accountId)
+          : await redis.getClaudeAccount(accountId)
+      const unsupportedModel = models.find(
+        (model) =>
+          !account ||
+          !unifiedClaudeScheduler._isModelSupportedByAccount(
+            account,
+            accountType,
+            model,
+            'in batch'
+          )
+      )
+      if (!unsupportedModel) {
+        return selection
+      }
+
+      logger.info(
+        `📦 Account ${accountId} (${accountType}) cannot serve batch model ${unsupportedModel}, rescheduling`
+      )
+      excludedAccountIds.push(accountId)
+    }
+
+    throw createApiError(
+      400,
+      'invalid_request_error',
+      'No available account supports all models in this batch; split the batch by model'
+    )
+  }
+
+  // 📋 列出当前 API Key 创建的批处理（支持 limit / before_id / after_id 分页）
+  async listBatches(apiKeyData, query = {}) {
+    const limit = Math.min(1000, Math.max(1, parseInt(query.limit) || 20))
+    const client = redis.getClientSafe()
+    const indexKey = `${KEY_INDEX_PREFIX}${apiKeyData.id}`
+
+    // 清理已过期记录的索引
+    await client.zremrangebyscore(indexKey, '-inf', Date.now() - BATCH_TTL_SECONDS * 1000)
+    const batchIds = await client.zrevrange(indexKey, 0, -1)
+
+    let start = 0
+    let end = batchIds.length
+    if (query.after_id) {
+      start = batchIds.indexOf(query.after_id) + 1
+    } else if (query.before_id) {
+      end = Math.max(0, batchIds.indexOf(query.before_id))
+      start = Math.max(0, end - limit)
+    }
+    const pageIds = batchIds.slice(start, Math.min(end, start + limit))
+
+    const records = await Promise.all(pageIds.map((batchId) => this._getRecord(batchId)))
+    const data = await Promise.all(
+      records.filter(Boolean).map(async (record) => {
+        if (record.batch?.processing_status === 'ended') {
+          return record.batch
+        }
+        // 未结束的批处理从上游刷新状态，失败时返回缓存的状态
+        try {
+          const refreshed = await this._refreshRecord(record)
+          return refreshed.batch
+        } catch (error) {
+          logger.warn(`⚠️ Failed to refresh Claude batch ${record.batchId}: ${error.message}`)
+          return record.batch
+        }
+      })
+    )
+
+    return {
+      data,
+      has_more: start + pageIds.length < end,
+      first_id: data.length > 0 ? data[0].id : null,
+      last_id: data.length > 0 ? data[data.length - 1].id : null
+    }
+  }
+
+  // 🔍 查询批处理状态（结束时触发计费）
+  async retrieveBatch(apiKeyData, batchId) {
+    const record = await this._getOwnedRecord(apiKeyData, batchId)
+    const upstream = await this._getUpstreamContext(record.accountId, record.accountType)
+    const response = await this._sendUpstream(
+      upstream,
+      'GET',
+      `/v1/messages/batches/${encodeURIComponent(batchId)}`
+    )
+
+    if (response.status === 200 && response.data?.id) {
+      await this._handleBatchUpdate(record, response.data)
+    }
+    return response
+  }
+
+  // 🛑 取消批处理
+  async cancelBatch(apiKeyData, batchId) {
+    const record = await this._getOwnedRecord(apiKeyData, batchId)
+    const upstream = await this._getUpstreamContext(record.accountId, record.accountType)
+    const response = await this._sendUpstream(
+      upstream,
+      'POST',
+      `/v1/messages/batches/${encodeURIComponent(batchId)}/cancel`
+    )
+
+    if (response.status === 200 && response.data?.id) {
+      logger.info(
+        `🛑 Canceled Claude batch ${batchId} for key: ${apiKeyData.name || apiKeyData.id}`
+      )
+      await this._handleBatchUpdate(record, response.data)
+    }
+    return response
+  }
+
+  // 📥 获取批处理结果流（JSONL）
+  async getResultsStream(apiKeyData, batchId) {
+    const record = await this._getOwnedRecord(apiKeyData, batchId)
+    const upstream = await this._getUpstreamContext(record.accountId, record.accountType)
+    return this._sendUpstream(
+      upstream,
+      'GET',
+      `/v1/messages/batches/${encodeURIComponent(batchId)}/results`,
+      { responseType: 'stream' }
+    )
+  }
+
+  // 🔄 检查所有未计费的批处理，已结束的进行计费
+  async checkPendingBatches() {
+    if (this.isPolling) {
+      return
+    }
+    this.isPolling = true
+
+    try {
+      const client = redis.getClientSafe()
+      const batchIds = await client.smembers(PENDING_SET_KEY)
+      for (const batchId of batchIds) {
+        const record = await this._getRecord(batchId)
+        if (!record || record.billedAt) {
+          await client.srem(PENDING_SET_KEY, batchId)
+          continue
+        }
+
+        try {
+          await this._refreshRecord(record)
+        } catch (error) {
+          logger.warn(`⚠️ Failed to check Claude batch ${batchId}: ${error.message}`)
+        }
+      }
+    } finally {
+      this.isPolling = false
+    }
+  }
+
+  async _getRecord(batchId) {
+    const value = await redis.getClientSafe().get(`${BATCH_KEY_PREFIX}${batchId}`)
+    return value ? JSON.parse(value) : null
+  }
+
+  async _saveRecord(record) {
+    const client = redis.getClientSafe()
+    const ttl = await client.ttl(`${BATCH_KEY_PREFIX}${record.batchId}`)
+    await client.setex(
+      `${BATCH_KEY_PREFIX}${record.batchId}`,
+      ttl > 0 ? ttl : BATCH_TTL_SECONDS,
+      JSON.stringify(record)
+    )
+  }
+
+  async _getOwnedRecord(apiKeyData, batchId) {
+    const record = await this._getRecord(batchId)
+    if (!record || record.keyId !== apiKeyData.id) {
+      throw createApiError(404, 'not_found_error', `Batch ${batchId} not found`)
+    }
+    return record
+  }
+
+  async _refreshRecord(record) {
+    const upstream = await this._getUpstreamContext(record.accountId, record.accountType)
+    const response = await this._sendUpstream(
+      upstream,
+      'GET',
+      `/v1/messages/batches/${encodeURIComponent(record.batchId)}`
+    )
+    if (response.status !== 200 || !response.data?.id) {
+      throw new Error(`Upstream returned ${response.status}`)
+    }
+    return this._handleBatchUpdate(record, response.data)
+  }
+
+  async _handleBatchUpdate(record, batch) {
+    record.batch = batch
+    await this._saveRecord(record)
+
+    if (batch.processing_status === 'ended' && !record.billedAt) {
+      // 计费需要下载完整结果，放到后台执行，避免阻塞客户端请求
+      this._billBatch(record).catch((error) => {
+        logger.error(`❌ Failed to bill Claude batch ${record.batchId}:`, error)
+      })
+    }
+    return record
+  }
+
+  // 💰 下载批处理结果，按模型汇总用量并以批处理价格计费
+  async _billBatch(record) {
+    const client = redis.getClientSafe()
+    const lockKey = `${BILLING_LOCK_PREFIX}${record.batchId}`
+    const locked = await client.set(lockKey, '1', 'EX', BILLING_LOCK_TTL_SECONDS, 'NX')
+    if (!locked) {
+      return
+    }
+
+    try {
+      // 重新读取记录，防止其他实例已完成计费
+      const latest = await this._getRecord(record.batchId)
+      if (!latest || latest.billedAt) {
+        return
+      }
+
+      const upstream = await this._getUpstreamContext(latest.accountId, latest.accountType)
+      const response = await this._sendUpstream(
+        upstream,
+        'GET',
+        `/v1/messages/batches/${encodeURIComponent(latest.batchId)}/results`,
+        { responseType: 'stream' }
+      )
+      if (response.status !== 200) {
+        response.data?.resume?.()
+        throw new Error(`Failed to download batch results: ${response.status}`)
+      }
+
+      const usageByModel = await this._aggregateResultUsage(response.data)
+
+      // 每个模型计费后立即保存进度，中途失败重试时跳过已计费的模型
+      latest.billedModels = Array.isArray(latest.billedModels) ? latest.billedModels : []
+      for (const [model, usage] of usageByModel.entries()) {
+        if (latest.billedModels.includes(model)) {
+          continue
+        }
+        await apiKeyService.recordUsageWithDetails(
+          latest.keyId,
+          usage,
+          model,
+          latest.accountId,
+          latest.accountType,
+          { batch: true }
+        )
+        latest.billedModels.push(model)
+        await this._saveRecord(latest)
+      }
+
+      latest.billedAt = new Date().toISOString()
+      await this._saveRecord(latest)
+      await client.srem(PENDING_SET_KEY, latest.batchId)
+
+      logger.success(
+        `Billed Claude batch ${latest.batchId} for key ${latest.keyName || latest.keyId} (${usageByModel.size} models)`
+      )
+    } finally {
+      await client.del(lockKey)
+    }
+  }
+
+  // 逐行解析 JSONL 结果，只统计成功的请求
+  async _aggregateResultUsage(stream) {
+    const usageByModel = new Map()
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity })
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue
+      }
+
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (error) {
+        logger.warn('⚠️ Skipping unparsable batch result line')
+        continue
+      }
+
+      const message = entry.result?.type === 'succeeded' ? entry.result.message : null
+      if (!message?.usage) {
+        continue
+      }
+
+      const model = message.model || 'unknown'
+      const current = usageByModel.get(model) || {
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: 0,
+        cache_creation: { ephemeral_5m_input_tokens: 0, ephemeral_1h_input_tokens: 0 }
+      }
+      const { usage } = message
+
+      current.input_tokens += usage.input_tokens || 0
+      current.output_tokens += usage.output_tokens || 0
+      current.cache_creation_input_tokens += usage.cache_creation_input_tokens || 0
+      current.cache_read_input_tokens += usage.cache_read_input_tokens || 0
+      if (usage.cache_creation && typeof usage.cache_creation === 'object') {
+        current.cache_creation.ephemeral_5m_input_tokens +=
+          usage.cache_creation.ephemeral_5m_input_tokens || 0
+        current.cache_creation.ephemeral_1h_input_tokens +=
+          usage.cache_creation.ephemeral_1h_input_tokens || 0
+      } else {
+        current.cache_creation.ephemeral_5m_input_tokens += usage.cache_creation_input_tokens || 0
+      }
+      usageByModel.set(model, current)
+    }
+
+    return usageByModel
+  }
+
+  // 🔧 对单个请求参数应用与普通消息请求一致的处理（模型映射、系统提示词等）
+  _processParams(params, upstream) {
+    let processed = params
+    if (upstream.accountType === 'claude-console') {
+      const mappedModel = claudeConsoleAccountService.getMappedModel(
+        upstream.account.supportedModels,
+        params.model
+      )
+      if (mappedModel !== params.model) {
+        processed = { ...params, model: mappedModel }
+      }
+    }
+    return claudeRelayService._processRequestBody(processed, upstream.account)
+  }
+
+  // 🔑 获取账户的上游地址、认证头和代理
+  async _getUpstreamContext(accountId, accountType) {
+    if (accountType === 'claude-console') {
+      const account = await claudeConsoleAccountService.getAccount(accountId)
+      if (!account) {
+        throw createApiError(503, 'api_error', 'The account serving this batch is unavailable')
+      }
+
+      const baseUrl = account.apiUrl.replace(/\/$/, '').replace(/\/v1\/messages$/, '')
+      const headers = {
+        'anthropic-version': config.claude.apiVersion,
+        'User-Agent': account.userAgent || DEFAULT_USER_AGENT
+      }
+      if (account.apiKey && account.apiKey.startsWith('sk-ant-')) {
+        headers['x-api-key'] = account.apiKey
+      } else {
+        headers['Authorization'] = `Bearer ${account.apiKey}`
+      }
+
+      return {
+        accountId,
+        accountType,
+        account,
+        baseUrl,
+        headers,
+        proxyAgent: claudeConsoleAccountService._createProxyAgent(account.proxy)
+      }
+    }
+
+    const account = await claudeAccountService.getAccount(accountId)
+    if (!account) {
+      throw createApiError(503, 'api_error', 'The account serving this batch is unavailable')
+    }
+    const accessToken = await claudeAccountService.getValidAccessToken(accountId)
+
+    return {
+      accountId,
+      accountType,
+      account,
+      baseUrl: new URL(config.claude.apiUrl).origin,
+      headers: {
+        'anthropic-version': config.claude.apiVersion,
+        'anthropic-beta': 'oauth-2025-04-20',
+        Authorization: `Bearer ${accessToken}`,
+        'User-Agent': DEFAULT_USER_AGENT
+      },
+      proxyAgent: await claudeRelayService._getProxyAgent(accountId)
+    }
+  }
+
+  async _sendUpstream(upstream, method, path, { data, responseType } = {}) {
+    const requestConfig = {
+      method,
+      url: `${upstream.baseUrl}${path}`,
+      headers: {
+        ...upstream.headers,
+        ...(data ? { 'Content-Type': 'application/json' } : {})
+      },
+      data,
+      responseType: responseType || 'json',
+      timeout: config.requestTimeout || 600000,
+      validateStatus: () => true
+    }
+
+    if (upstream.proxyAgent) {
+      requestConfig.httpAgent = upstream.proxyAgent
+      requestConfig.httpsAgent = upstream.proxyAgent
+      requestConfig.proxy = false
+    }
+
+    const response = await axios(requestConfig)
+    if (response.status >= 400) {
+      logger.warn(
+        `⚠️ Claude batch upstream ${method} ${path} returned ${response.status} (account: ${upstream.accountId})`
+      )
+    }
+    return response
+  }
+}
+
+module.exports = new ClaudeBatchService()
@@ -7,6 +7,8 @@ const claudeRelayService = require('./claudeRelayService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
+const metricsService = require('./metricsService')
+const circuitBreakerService = require('./circuitBreakerService')
 const {
   sanitizeUpstreamError,
   sanitizeErrorMessage,
@@ -231,7 +233,10 @@ class ClaudeConsoleRelayService {
         '📤 Sending request to Claude Console API with headers:',
         JSON.stringify(requestConfig.headers, null, 2)
       )
-      const response = await axios(requestConfig)
+      const request = axios(requestConfig)
+      this._trackUpstreamLatency(request, accountId, false)
+      circuitBreakerService.trackRequest(request, accountId, 'claude-console')
+      const response = await request
 
       // 移除监听器（请求成功完成）
       if (clientRequest) {
@@ -616,6 +621,13 @@ class ClaudeConsoleRelayService {
 
       // 发送请求
       const request = axios(requestConfig)
+      this._trackUpstreamLatency(request, accountId, true)
+      const recordOutcome = circuitBreakerService.trackRequest(
+        request,
+        accountId,
+        'claude-console',
+        { stream: true }
+      )
 
       request
         .then((response) => {
@@ -773,6 +785,10 @@ class ClaudeConsoleRelayService {
                     try {
                       const data = JSON.parse(jsonStr)
 
+                      if (data.type === 'error') {
+                        recordOutcome('stream_error')
+                      }
+
                       // 收集usage数据
                       if (data.type === 'message_start' && data.message && data.message.usage) {
                         collectedUsageData.input_tokens = data.message.usage.input_tokens || 0
@@ -1109,6 +1125,21 @@ class ClaudeConsoleRelayService {
     return filteredHeaders
   }
 
+  // 📈 记录上游响应延迟（流式请求在收到响应头时完成，非流式请求在读取完响应体后完成）
+  _trackUpstreamLatency(request, accountId, stream) {
+    const startTime = Date.now()
+    const observe = (status) =>
+      metricsService.observeUpstreamLatency(
+        { accountId, accountType: 'claude-console', status, stream },
+        Date.now() - startTime
+      )
+
+    request.then(
+      (response) => observe(response.status),
+      (error) => observe(error.code === 'ECONNABORTED' ? 'timeout' : 'error')
+    )
+  }
+
   // 🕐 更新最后使用时间
   async _updateLastUsedTime(accountId) {
     try {
@@ -0,0 +1,332 @@
+/**
+ * Claude Messages → Gemini 桥接中继服务
+ * 按 API Key 设置、模型别名映射或 Claude 账户全部不可用时的回退，将 /api/v1/messages 请求交给 Gemini 账户处理
+ */
+
+const crypto = require('crypto')
+const config = require('../../config/config')
+const logger = require('../utils/logger')
+const unifiedGeminiScheduler = require('./unifiedGeminiScheduler')
+const geminiAccountService = require('./geminiAccountService')
+const claudeToGemini = require('./claudeToGemini')
+
+// Claude 调度器在共享池/分组中找不到可用账户时抛出的错误
+const CLAUDE_UNAVAILABLE_PATTERN = /^No available (Claude )?accounts/
+
+class ClaudeGeminiBridgeService {
+  /**
+   * 判断请求是否走 Gemini 桥接，返回上游模型名；不走桥接时返回 null
+   * @param {Object} apiKeyData - API Key 数据
+   * @param {String} requestedModel - 客户端请求的模型名
+   */
+  resolveTargetModel(apiKeyData, requestedModel) {
+    const bridgeConfig = config.claudeGeminiBridge || {}
+    const modelMapping = bridgeConfig.modelMapping || {}
+
+    if (requestedModel && modelMapping[requestedModel]) {
+      return modelMapping[requestedModel]
+    }
+
+    if (apiKeyData?.claudeBackend === 'gemini') {
+      return bridgeConfig.defaultModel || 'gemini-2.5-pro'
+    }
+
+    return null
+  }
+
+  /**
+   * Claude 账户全部不可用时，返回用于回退的 Gemini 模型；未启用回退时返回 null
+   * @param {Error} error - Claude 调度器抛出的错误
+   * @param {Object} apiKeyData - API Key 数据
+   */
+  resolveFallbackModel(error, apiKeyData) {
+    const bridgeConfig = config.claudeGeminiBridge || {}
+    if (!bridgeConfig.fallbackEnabled || !CLAUDE_UNAVAILABLE_PATTERN.test(error?.message || '')) {
+      return null
+    }
+
+    // 回退到 Gemini 需要 Key 同时具备 Gemini 权限
+    const permissions = apiKeyData?.permissions || 'all'
+    if (permissions !== 'all' && permissions !== 'gemini') {
+      return null
+    }
+
+    return bridgeConfig.defaultModel || 'gemini-2.5-pro'
+  }
+
+  /**
+   * 转发 Claude 格式请求到 Gemini 账户
+   * @param {Object} req - Express 请求
+   * @param {Object} res - Express 响应
+   * @param {Object} options - { targetModel, sessionHash, isStream, usageCallback }
+   */
+  async relayRequest(req, res, { targetModel, sessionHash = null, isStream, usageCallback }) {
+    const abortController = new AbortController()
+    let accountId = null
+
+    const handleClientDisconnect = () => {
+      if (!abortController.signal.aborted) {
+        logger.info('🔌 Client disconnected, aborting Gemini bridge request')
+        abortController.abort()
+      }
+    }
+
+    try {
+      const upstream = await this._prepareUpstream(req.apiKey, sessionHash, targetModel)
+      ;({ accountId } = upstream)
+
+      const context = claudeToGemini.createConversionContext(req.body)
+      const geminiRequest = claudeToGemini.convertRequest(req.body, context)
+
+      logger.info(
+        `🔀 Bridging Claude request ${req.body.model} → ${targetModel} via Gemini account ${upstream.account.name} (${accountId})`
+      )
+
+      req.once('close', handleClientDisconnect)
+      res.once('close', handleClientDisconnect)
+
+      await geminiAccountService.markAccountUsed(accountId)
+      const userPromptId = `${crypto.randomUUID()}########0`
+
+      if (!isStream) {
+        const response = await geminiAccountService.generateContent(
+          upstream.client,
+          { model: targetModel, request: geminiRequest },
+          userPromptId,
+          upstream.projectId,
+          req.apiKey.id,
+          upstream.proxyConfig,
+          accountId
+        )
+        // Code Assist 接口会把标准响应包在 response 字段中
+        const geminiResponse = response?.response || response
+
+        await this._recordUsage(
+          usageCallback,
+          geminiResponse?.usageMetadata,
+          targetModel,
+          accountId
+        )
+        return res.json(claudeToGemini.convertResponse(geminiResponse, context))
+      }
+
+      const stream = await geminiAccountService.generateContentStream(
+        upstream.client,
+        { model: targetModel, request: geminiRequest },
+        userPromptId,
+        upstream.projectId,
+        req.apiKey.id,
+        abortController.signal,
+        upstream.proxyConfig,
+        accountId
+      )
+
+      return await this._processStream(res, stream, context, {
+        targetModel,
+        accountId,
+        usageCallback
+      })
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info('🔌 Gemini bridge request aborted by client')
+        return undefined
+      }
+
+      const status = error.response?.status || error.statusCode || 500
+      logger.error(`❌ Gemini bridge request failed (${status}):`, error.message)
+
+      if (status === 429 && accountId) {
+        await unifiedGeminiScheduler
+          .markAccountRateLimited(accountId, 'gemini', sessionHash)
+          .catch((markError) =>
+            logger.error('❌ Failed to mark Gemini account rate limited:', markError)
+          )
+      }
+
+      const errorType =
+        status === 429 ? 'rate_limit_error' : status >= 500 ? 'api_error' : 'invalid_request_error'
+      return this._sendError(res, status, errorType, error.message, isStream)
+    } finally {
+      req.removeListener('close', handleClientDisconnect)
+      res.removeListener('close', handleClientDisconnect)
+    }
+  }
+
+  /**
+   * 使用 Gemini countTokens 接口计算 Claude 请求的输入 token
+   * @param {Object} req - Express 请求
+   * @param {Object} res - Express 响应
+   * @param {String} targetModel - 上游模型名
+   */
+  async countTokens(req, res, targetModel) {
+    try {
+      const upstream = await this._prepareUpstream(req.apiKey, null, targetModel)
+      const contents = claudeToGemini.convertMessages(req.body.messages || [])
+
+      // countTokens 只接受 contents，系统提示词作为首条用户内容参与计数
+      const systemText = claudeToGemini.extractSystemText(req.body.system)
+      if (systemText) {
+        contents.unshift({ role: 'user', parts: [{ text: systemText }] })
+      }
+
+      const response = await geminiAccountService.countTokens(
+        upstream.client,
+        contents,
+        targetModel,
+        upstream.proxyConfig
+      )
+
+      return res.json({ input_tokens: response?.totalTokens || 0 })
+    } catch (error) {
+      const status = error.response?.status || error.statusCode || 500
+      logger.error(`❌ Gemini bridge count_tokens failed (${status}):`, error.message)
+      return this._sendError(res, status, 'api_error', error.message)
+    }
+  }
+
+  // 选择 Gemini 账户并准备 OAuth 客户端与项目 ID
+  async _prepareUpstream(apiKeyData, sessionHash, targetModel) {
+    const { accountId } = await unifiedGeminiScheduler.selectAccountForApiKey(
+      apiKeyData,
+      sessionHash,
+      targetModel
+    )
+    const account = await geminiAccountService.getAccount(accountId)
+    if (!account) {
+      throw Object.assign(new Error(`Gemini account ${accountId} not found`), { statusCode: 503 })
+    }
+
+    let proxyConfig = null
+    if (account.proxy) {
+      try {
+        proxyConfig = typeof account.proxy === 'string' ? JSON.parse(account.proxy) : account.proxy
+      } catch (e) {
+        logger.warn('Failed to parse proxy configuration:', e)
+      }
+    }
+
+    const client = await geminiAccountService.getOauthClient(
+      account.accessToken,
+      account.refreshToken,
+      proxyConfig
+    )
+
+    // 项目ID优先级：账户配置的项目ID > 临时项目ID > 尝试获取
+    let projectId = account.projectId || account.tempProjectId || null
+    if (!projectId) {
+      try {
+        const loadResponse = await geminiAccountService.loadCodeAssist(client, null, proxyConfig)
+        if (loadResponse.cloudaicompanionProject) {
+          projectId = loadResponse.cloudaicompanionProject
+          await geminiAccountService.updateTempProjectId(accountId, projectId)
+          logger.info(`📋 Fetched and cached temporary projectId: ${projectId}`)
+        }
+      } catch (loadError) {
+        logger.warn('Failed to fetch projectId from loadCodeAssist:', loadError.message)
+      }
+    }
+
+    return { accountId, account, client, proxyConfig, projectId }
+  }
+
+  // 解析 Gemini SSE 并实时转换为 Claude 流式事件
+  _processStream(res, stream, context, { targetModel, accountId, usageCallback }) {
+    return new Promise((resolve) => {
+      let buffer = ''
+
+      if (!res.headersSent) {
+        res.status(200)
+        if (typeof res.flushHeaders === 'function') {
+          res.flushHeaders()
+        }
+      }
+
+      const writeEvents = (events) => {
+        for (const event of events) {
+          if (!res.destroyed) {
+            res.write(claudeToGemini.formatSSE(event))
+          }
+        }
+      }
+
+      const handleLine = (line) => {
+        const jsonData = line.startsWith('data:') ? line.slice(5).trim() : line.trim()
+        if (!jsonData || jsonData === '[DONE]') {
+          return
+        }
+
+        try {
+          const data = JSON.parse(jsonData)
+          writeEvents(claudeToGemini.convertStreamChunk(data.response || data, context))
+        } catch (error) {
+          logger.debug('⚠️ Failed to parse Gemini bridge stream line:', error.message)
+        }
+      }
+
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString()
+        const lines = buffer.split('\n')
+        buffer = lines.pop() || ''
+        lines.forEach(handleLine)
+      })
+
+      stream.on('end', async () => {
+        if (buffer.trim()) {
+          handleLine(buffer)
+        }
+        writeEvents(claudeToGemini.finalizeStream(context))
+
+        await this._recordUsage(usageCallback, context.stream.usageMetadata, targetModel, accountId)
+
+        if (!res.destroyed) {
+          res.end()
+        }
+        resolve()
+      })
+
+      stream.on('error', (error) => {
+        logger.error('❌ Gemini bridge upstream stream error:', error)
+        writeEvents([
+          { type: 'error', error: { type: 'api_error', message: 'Upstream stream error' } }
+        ])
+        if (!res.destroyed) {
+          res.end()
+        }
+        resolve()
+      })
+    })
+  }
+
+  async _recordUsage(usageCallback, usageMetadata, model, accountId) {
+    if (!usageMetadata || typeof usageCallback !== 'function') {
+      return
+    }
+    try {
+      await usageCallback({
+        ...claudeToGemini.convertUsage(usageMetadata),
+        model,
+        accountId,
+        accountType: 'gemini'
+      })
+    } catch (error) {
+      logger.error('❌ Failed to record Gemini bridge usage:', error)
+    }
+  }
+
+  _sendError(res, status, type, message, isStream = false) {
+    const body = { type: 'error', error: { type, message } }
+    if (res.headersSent || isStream) {
+      if (!res.headersSent) {
+        res.status(status)
+      }
+      if (!res.destroyed) {
+        res.write(claudeToGemini.formatSSE(body))
+        res.end()
+      }
+      return undefined
+    }
+    return res.status(status).json(body)
+  }
+}
+
+module.exports = new ClaudeGeminiBridgeService()
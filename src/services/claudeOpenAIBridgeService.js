@@ -0,0 +1,423 @@
+/**
+ * Claude Messages → OpenAI Responses 桥接中继服务
+ * 按 API Key 设置或模型别名映射，将 /api/v1/messages 请求交给 OpenAI-Responses / Codex 账户处理
+ */
+
+const axios = require('axios')
+const config = require('../../config/config')
+const logger = require('../utils/logger')
+const ProxyHelper = require('../utils/proxyHelper')
+const unifiedOpenAIScheduler = require('./unifiedOpenAIScheduler')
+const openaiAccountService = require('./openaiAccountService')
+const openaiResponsesAccountService = require('./openaiResponsesAccountService')
+const circuitBreakerService = require('./circuitBreakerService')
+const claudeToOpenAIResponses = require('./claudeToOpenAIResponses')
+
+const CODEX_RESPONSES_URL = 'https://chatgpt.com/backend-api/codex/responses'
+// 读取上游错误响应体的最长等待时间
+const ERROR_BODY_TIMEOUT_MS = 5000
+
+class ClaudeOpenAIBridgeService {
+  /**
+   * 判断请求是否走 OpenAI 桥接，返回上游模型名；不走桥接时返回 null
+   * @param {Object} apiKeyData - API Key 数据
+   * @param {String} requestedModel - 客户端请求的模型名
+   */
+  resolveTargetModel(apiKeyData, requestedModel) {
+    const bridgeConfig = config.claudeOpenAIBridge || {}
+    const modelMapping = bridgeConfig.modelMapping || {}
+
+    if (requestedModel && modelMapping[requestedModel]) {
+      return modelMapping[requestedModel]
+    }
+
+    if (apiKeyData?.claudeBackend === 'openai') {
+      return bridgeConfig.defaultModel || 'gpt-5'
+    }
+
+    return null
+  }
+
+  /**
+   * 转发 Claude 格式请求到 OpenAI 账户
+   * @param {Object} req - Express 请求
+   * @param {Object} res - Express 响应
+   * @param {Object} options - { targetModel, sessionHash, isStream, usageCallback }
+   */
+  async relayRequest(req, res, { targetModel, sessionHash = null, isStream, usageCallback }) {
+    const apiKeyData = req.apiKey
+    let accountId = null
+    let accountType = null
+    const abortController = new AbortController()
+
+    const handleClientDisconnect = () => {
+      if (!abortController.signal.aborted) {
+        logger.info('🔌 Client disconnected, aborting OpenAI bridge request')
+        abortController.abort()
+      }
+    }
+
+    try {
+      const selection = await unifiedOpenAIScheduler.selectAccountForApiKey(
+        apiKeyData,
+        sessionHash,
+        targetModel
+      )
+      ;({ accountId, accountType } = selection)
+
+      const upstream = await this._resolveUpstream(accountId, accountType)
+      const context = claudeToOpenAIResponses.createConversionContext(req.body, {
+        targetModel,
+        codex: accountType === 'openai'
+      })
+      const requestBody = claudeToOpenAIResponses.convertRequest(req.body, context)
+
+      logger.info(
+        `🔀 Bridging Claude request ${req.body.model} → ${targetModel} via ${accountType} account ${upstream.accountName} (${accountId})`
+      )
+
+      req.once('close', handleClientDisconnect)
+      res.once('close', handleClientDisconnect)
+
+      const requestOptions = {
+        headers: upstream.headers,
+        timeout: config.requestTimeout || 600000,
+        responseType: 'stream',
+        validateStatus: () => true,
+        signal: abortController.signal
+      }
+
+      const proxyAgent = ProxyHelper.createProxyAgent(upstream.proxy)
+      if (proxyAgent) {
+        requestOptions.httpAgent = proxyAgent
+        requestOptions.httpsAgent = proxyAgent
+        requestOptions.proxy = false
+        logger.info(
+          `🌐 Using proxy for OpenAI bridge: ${ProxyHelper.getProxyDescription(upstream.proxy)}`
+        )
+      }
+
+      const request = axios.post(upstream.url, requestBody, requestOptions)
+      const recordOutcome = circuitBreakerService.trackRequest(request, accountId, accountType, {
+        stream: true
+      })
+      const response = await request
+
+      if (response.status < 200 || response.status >= 300) {
+        return await this._handleErrorResponse(res, response, {
+          accountId,
+          accountType,
+          sessionHash,
+          isStream
+        })
+      }
+
+      if (
+        accountType === 'openai' &&
+        (await unifiedOpenAIScheduler.isAccountRateLimited(accountId))
+      ) {
+        await unifiedOpenAIScheduler.removeAccountRateLimit(accountId, accountType)
+      }
+
+      return await this._processStream(res, response, context, {
+        accountId,
+        accountType,
+        isStream,
+        usageCallback,
+        recordOutcome
+      })
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info('🔌 OpenAI bridge request aborted by client')
+        return undefined
+      }
+
+      logger.error('❌ OpenAI bridge request failed:', error)
+      const status = error.statusCode || 500
+      const message = error.message || 'OpenAI bridge request failed'
+      // 402 表示账户额度耗尽，与 Claude API 的计费错误类型保持一致
+      return this._sendError(
+        res,
+        status,
+        status === 402 ? 'billing_error' : 'api_error',
+        message,
+        isStream
+      )
+    } finally {
+      req.removeListener('close', handleClientDisconnect)
+      res.removeListener('close', handleClientDisconnect)
+    }
+  }
+
+  // 解析账户凭据，构建上游地址与请求头
+  async _resolveUpstream(accountId, accountType) {
+    if (accountType === 'openai-responses') {
+      const account = await openaiResponsesAccountService.getAccount(accountId)
+      if (!account || !account.apiKey) {
+        throw Object.assign(
+          new Error(`OpenAI-Responses account ${accountId} has no valid apiKey`),
+          { statusCode: 403 }
+        )
+      }
+
+      const headers = {
+        Authorization: `Bearer ${account.apiKey}`,
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream'
+      }
+      if (account.userAgent) {
+        headers['User-Agent'] = account.userAgent
+      }
+
+      return {
+        url: `${account.baseApi}/responses`,
+        headers,
+        proxy: account.proxy || null,
+        accountName: account.name
+      }
+    }
+
+    let account = await openaiAccountService.getAccount(accountId)
+    if (!account || !account.accessToken) {
+      throw Object.assign(new Error(`OpenAI account ${accountId} has no valid accessToken`), {
+        statusCode: 403
+      })
+    }
+
+    if (openaiAccountService.isTokenExpired(account)) {
+      if (!account.refreshToken) {
+        throw Object.assign(
+          new Error(`Token expired and no refresh token available for account ${account.name}`),
+          { statusCode: 403 }
+        )
+      }
+      logger.info(`🔄 Token expired, refreshing OpenAI account ${account.name} for bridge request`)
+      await openaiAccountService.refreshAccountToken(accountId)
+      account = await openaiAccountService.getAccount(accountId)
+    }
+
+    const accessToken = openaiAccountService.decrypt(account.accessToken)
+    if (!accessToken) {
+      throw Object.assign(new Error('Failed to decrypt OpenAI accessToken'), { statusCode: 403 })
+    }
+
+    return {
+      url: CODEX_RESPONSES_URL,
+      headers: {
+        authorization: `Bearer ${accessToken}`,
+        'chatgpt-account-id': account.accountId || account.chatgptUserId || accountId,
+        host: 'chatgpt.com',
+        accept: 'text/event-stream',
+        'content-type': 'application/json'
+      },
+      proxy: account.proxy || null,
+      accountName: account.name
+    }
+  }
+
+  // 解析上游 SSE，流式请求实时转换为 Claude 事件，非流式请求聚合 response.completed
+  _processStream(
+    res,
+    response,
+    context,
+    { accountId, accountType, isStream, usageCallback, recordOutcome }
+  ) {
+    return new Promise((resolve) => {
+      let buffer = ''
+      let completedResponse = null
+      let errorEvent = null
+
+      if (isStream && !res.headersSent) {
+        res.status(200)
+        if (typeof res.flushHeaders === 'function') {
+          res.flushHeaders()
+        }
+      }
+
+      const handleEvent = (rawEvent) => {
+        const dataLines = rawEvent
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trim())
+        if (dataLines.length === 0) {
+          return
+        }
+
+        const payload = dataLines.join('\n')
+        if (payload === '[DONE]') {
+          return
+        }
+
+        let event
+        try {
+          event = JSON.parse(payload)
+        } catch (error) {
+          logger.debug('⚠️ Failed to parse OpenAI bridge SSE event:', payload.substring(0, 200))
+          return
+        }
+
+        if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+          completedResponse = event.response
+        }
+
+        const claudeEvents = claudeToOpenAIResponses.convertStreamEvent(event, context)
+        for (const claudeEvent of claudeEvents) {
+          if (claudeEvent.type === 'error') {
+            errorEvent = claudeEvent
+            recordOutcome('stream_error')
+          }
+          if (isStream && !res.destroyed) {
+            res.write(claudeToOpenAIResponses.formatSSE(claudeEvent))
+          }
+        }
+      }
+
+      response.data.on('data', (chunk) => {
+        buffer += chunk.toString()
+        const events = buffer.split(/\r?\n\r?\n/)
+        buffer = events.pop() || ''
+        events.forEach(handleEvent)
+      })
+
+      response.data.on('end', async () => {
+        if (buffer.trim()) {
+          handleEvent(buffer)
+        }
+
+        if (completedResponse?.usage && typeof usageCallback === 'function') {
+          try {
+            await usageCallback({
+              ...claudeToOpenAIResponses.convertUsage(completedResponse.usage),
+              model: completedResponse.model || context.targetModel,
+              accountId,
+              accountType
+            })
+          } catch (error) {
+            logger.error('❌ Failed to record OpenAI bridge usage:', error)
+          }
+        }
+
+        if (isStream) {
+          for (const claudeEvent of claudeToOpenAIResponses.finalizeStream(context)) {
+            if (!res.destroyed) {
+              res.write(claudeToOpenAIResponses.formatSSE(claudeEvent))
+            }
+          }
+          if (!res.destroyed) {
+            res.end()
+          }
+        } else if (completedResponse) {
+          res.json(claudeToOpenAIResponses.convertResponse(completedResponse, context))
+        } else {
+          this._sendError(
+            res,
+            502,
+            'api_error',
+            errorEvent?.error?.message || 'Upstream response ended without completion'
+          )
+        }
+        resolve()
+      })
+
+      response.data.on('error', (error) => {
+        logger.error('❌ OpenAI bridge upstream stream error:', error)
+        if (isStream) {
+          if (!res.destroyed) {
+            res.write(
+              claudeToOpenAIResponses.formatSSE({
+                type: 'error',
+                error: { type: 'api_error', message: 'Upstream stream error' }
+              })
+            )
+            res.end()
+          }
+        } else {
+          this._sendError(res, 502, 'api_error', 'Upstream stream error')
+        }
+        resolve()
+      })
+    })
+  }
+
+  // 处理上游错误：429 标记限流，401/402 标记未授权，统一返回 Claude 格式错误
+  async _handleErrorResponse(res, response, { accountId, accountType, sessionHash, isStream }) {
+    const errorData = await this._readErrorBody(response)
+    const upstreamMessage =
+      errorData?.error?.message || errorData?.message || `Upstream returned ${response.status}`
+
+    logger.warn(
+      `⚠️ OpenAI bridge upstream error ${response.status} for ${accountType} account ${accountId}: ${upstreamMessage}`
+    )
+
+    if (response.status === 429) {
+      const resetsInSeconds = errorData?.error?.resets_in_seconds || null
+      await unifiedOpenAIScheduler
+        .markAccountRateLimited(accountId, accountType, sessionHash, resetsInSeconds)
+        .catch((error) => logger.error('❌ Failed to mark OpenAI account rate limited:', error))
+      return this._sendError(res, 429, 'rate_limit_error', upstreamMessage, isStream)
+    }
+
+    if (response.status === 401 || response.status === 402) {
+      const statusLabel = response.status === 401 ? '401错误' : '402错误'
+      await unifiedOpenAIScheduler
+        .markAccountUnauthorized(
+          accountId,
+          accountType,
+          sessionHash,
+          `OpenAI账号认证失败（${statusLabel}）：${upstreamMessage}`
+        )
+        .catch((error) => logger.error('❌ Failed to mark OpenAI account unauthorized:', error))
+      return this._sendError(
+        res,
+        502,
+        'api_error',
+        'Upstream account authentication failed',
+        isStream
+      )
+    }
+
+    const errorType = response.status >= 500 ? 'api_error' : 'invalid_request_error'
+    return this._sendError(res, response.status, errorType, upstreamMessage, isStream)
+  }
+
+  async _readErrorBody(response) {
+    const chunks = []
+    try {
+      await new Promise((resolve, reject) => {
+        response.data.on('data', (chunk) => chunks.push(chunk))
+        response.data.on('end', resolve)
+        response.data.on('error', reject)
+        setTimeout(resolve, ERROR_BODY_TIMEOUT_MS)
+      })
+    } catch (error) {
+      logger.debug('⚠️ Failed to read OpenAI bridge error body:', error.message)
+    }
+
+    const text = Buffer.concat(chunks).toString()
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      return text ? { message: text.substring(0, 500) } : null
+    }
+  }
+
+  _sendError(res, status, type, message, isStream = false) {
+    const body = { type: 'error', error: { type, message } }
+    if (res.headersSent) {
+      if (!res.destroyed) {
+        res.write(claudeToOpenAIResponses.formatSSE(body))
+        res.end()
+      }
+      return undefined
+    }
+    if (isStream) {
+      res.status(status)
+      res.write(claudeToOpenAIResponses.formatSSE(body))
+      res.end()
+      return undefined
+    }
+    return res.status(status).json(body)
+  }
+}
+
+module.exports = new ClaudeOpenAIBridgeService()
@@ -13,6 +13,8 @@ const redis = require('../models/redis')
 const ClaudeCodeValidator = require('../validators/clients/claudeCodeValidator')
 const { formatDateWithTimezone } = require('../utils/dateHelper')
 const runtimeAddon = require('../utils/runtimeAddon')
+const metricsService = require('./metricsService')
+const circuitBreakerService = require('./circuitBreakerService')
 
 const RUNTIME_EVENT_FMT_CLAUDE_REQ = 'fmtClaudeReq'
 
@@ -112,7 +114,38 @@ class ClaudeRelayService {
     return ClaudeCodeValidator.includesClaudeCodeSystemPrompt(requestBody, 1)
   }
 
-  // 🚀 转发请求到Claude API
+  // 🔁 获取跨账户故障转移的最大重试次数（未启用时为0）
+  _getFailoverMaxRetries() {
+    const failover = config.claude?.failover
+    if (!failover?.enabled) {
+      return 0
+    }
+    return Math.max(0, parseInt(failover.maxRetries) || 0)
+  }
+
+  // 🔁 判断上游状态码是否可以切换账户重试（429/529/5xx）
+  _isFailoverStatus(statusCode) {
+    return statusCode === 429 || (statusCode >= 500 && statusCode < 600)
+  }
+
+  // 🔁 构建故障转移时的调度选项：排除已失败账户，且只选择官方账户（本服务只能转发官方账户）
+  _buildFailoverSelectionOptions(failedAccountIds) {
+    return {
+      excludedAccountIds: [...failedAccountIds],
+      accountTypes: ['claude-official']
+    }
+  }
+
+  _isDedicatedOfficialAccount(apiKeyData, accountId, accountType) {
+    return Boolean(
+      accountType === 'claude-official' &&
+      apiKeyData.claudeAccountId &&
+      !apiKeyData.claudeAccountId.startsWith('group:') &&
+      apiKeyData.claudeAccountId === accountId
+    )
+  }
+
+  // 🚀 转发请求到Claude API（支持跨账户故障转移）
   async relayRequest(
     requestBody,
     apiKeyData,
@@ -120,6 +153,68 @@ class ClaudeRelayService {
     clientResponse,
     clientHeaders,
     options = {}
+  ) {
+    const maxRetries = this._getFailoverMaxRetries()
+    const failedAccountIds = []
+    let lastResponse = null
+
+    for (let hop = 0; hop <= maxRetries; hop++) {
+      let response
+      try {
+        response = await this._relayRequestOnce(
+          requestBody,
+          apiKeyData,
+          clientRequest,
+          clientResponse,
+          clientHeaders,
+          options,
+          hop === 0 ? {} : this._buildFailoverSelectionOptions(failedAccountIds)
+        )
+      } catch (error) {
+        if (!lastResponse) {
+          throw error
+        }
+        logger.warn(
+          `🔁 Failover hop ${hop}/${maxRetries} aborted for key ${apiKeyData.name || apiKeyData.id}: ${error.message}, returning last upstream error (${lastResponse.statusCode})`
+        )
+        return lastResponse
+      }
+
+      const canFailover =
+        hop < maxRetries &&
+        this._isFailoverStatus(response.statusCode) &&
+        response.accountType === 'claude-official' &&
+        !this._isDedicatedOfficialAccount(apiKeyData, response.accountId, response.accountType) &&
+        !(clientResponse && (clientResponse.destroyed || clientResponse.headersSent))
+
+      if (!canFailover) {
+        if (hop > 0) {
+          logger.info(
+            `🔁 Failover finished after ${hop} hop(s) for key ${apiKeyData.name || apiKeyData.id}: account ${response.accountId} returned ${response.statusCode}`
+          )
+        }
+        return response
+      }
+
+      failedAccountIds.push(response.accountId)
+      lastResponse = response
+      logger.warn(
+        `🔁 Failover hop ${hop + 1}/${maxRetries}: account ${response.accountId} returned ${response.statusCode}, retrying with another account for key ${apiKeyData.name || apiKeyData.id} (excluded: ${failedAccountIds.join(', ')})`
+      )
+    }
+
+    return lastResponse
+  }
+
+  // 🚀 使用单个账户转发请求到Claude API
+  async _relayRequestOnce(
+    requestBody,
+    apiKeyData,
+    clientRequest,
+    clientResponse,
+    clientHeaders,
+    options = {},
+    selectionOptions = {}
   ) {
     let upstreamRequest = null
 
@@ -144,7 +239,8 @@ class ClaudeRelayService {
         accountSelection = await unifiedClaudeScheduler.selectAccountForApiKey(
           apiKeyData,
           sessionHash,
-          requestBody.model
+          requestBody.model,
+          selectionOptions
         )
       } catch (error) {
         if (error.code === 'CLAUDE_DEDICATED_RATE_LIMITED') {
@@ -216,9 +312,13 @@ class ClaudeRelayService {
       // 获取代理配置
       const proxyAgent = await this._getProxyAgent(accountId)
 
+      // 🔌 记录本次上游请求的结果（故障转移时每一跳单独记录）
+      const recordOutcome = circuitBreakerService.createRecorder(accountId, accountType)
+
       // 设置客户端断开监听器
       const handleClientDisconnect = () => {
         logger.info('🔌 Client disconnected, aborting upstream request')
+        recordOutcome.cancel()
         if (upstreamRequest && !upstreamRequest.destroyed) {
           upstreamRequest.destroy()
         }
@@ -233,17 +333,24 @@ class ClaudeRelayService {
       }
 
       // 发送请求到Claude API（传入回调以获取请求对象）
-      const response = await this._makeClaudeRequest(
-        processedBody,
-        accessToken,
-        proxyAgent,
-        clientHeaders,
-        accountId,
-        (req) => {
-          upstreamRequest = req
-        },
-        options
-      )
+      let response
+      try {
+        response = await this._makeClaudeRequest(
+          processedBody,
+          accessToken,
+          proxyAgent,
+          clientHeaders,
+          accountId,
+          (req) => {
+            upstreamRequest = req
+          },
+          options
+        )
+      } catch (error) {
+        recordOutcome(error.message === 'Request timeout' ? 'timeout' : 'error')
+        throw error
+      }
+      recordOutcome(response.statusCode)
 
       response.accountId = accountId
       response.accountType = accountType
@@ -311,7 +418,7 @@ class ClaudeRelayService {
           // 检查是否启用了529错误处理
           if (config.claude.overloadHandling.enabled > 0) {
             try {
-              await claudeAccountService.markAccountOverloaded(accountId)
+              await unifiedClaudeScheduler.markAccountOverloaded(accountId, accountType)
               logger.info(
                 `🚫 Account ${accountId} marked as overloaded for ${config.claude.overloadHandling.enabled} minutes`
               )
@@ -850,6 +957,10 @@ class ClaudeRelayService {
       }
       return proxyAgent
     } catch (error) {
+      // 代理池不可用时拒绝请求，不回退为直连
+      if (error.code === 'PROXY_POOL_UNAVAILABLE') {
+        throw error
+      }
       logger.warn('⚠️ Failed to create proxy agent:', error)
       return null
     }
@@ -1039,7 +1150,22 @@ class ClaudeRelayService {
         body: payloadString
       })
 
+      // 📈 记录上游响应延迟（超时后 destroy 可能再触发 error，只记录一次）
+      const upstreamStartTime = Date.now()
+      let upstreamLatencyRecorded = false
+      const recordUpstreamLatency = (status) => {
+        if (upstreamLatencyRecorded) {
+          return
+        }
+        upstreamLatencyRecorded = true
+        metricsService.observeUpstreamLatency(
+          { accountId, accountType: 'claude-official', status, stream: false },
+          Date.now() - upstreamStartTime
+        )
+      }
+
       const req = https.request(options, (res) => {
+        recordUpstreamLatency(res.statusCode)
         let responseData = Buffer.alloc(0)
 
         res.on('data', (chunk) => {
@@ -1092,6 +1218,7 @@ class ClaudeRelayService {
       }
 
       req.on('error', async (error) => {
+        recordUpstreamLatency('error')
         console.error(': ❌ ', error)
         logger.error(`❌ Claude API request error (Account: ${accountId}):`, error.message, {
           code: error.code,
@@ -1119,6 +1246,7 @@ class ClaudeRelayService {
       })
 
       req.on('timeout', async () => {
+        recordUpstreamLatency('timeout')
         req.destroy()
         logger.error(`❌ Claude API request timeout (Account: ${accountId})`)
 
@@ -1133,7 +1261,7 @@ class ClaudeRelayService {
     })
   }
 
-  // 🌊 处理流式响应（带usage数据捕获）
+  // 🌊 处理流式响应（带usage数据捕获，支持跨账户故障转移）
   async relayStreamRequestWithUsageCapture(
     requestBody,
     apiKeyData,
@@ -1142,6 +1270,82 @@ class ClaudeRelayService {
     usageCallback,
     streamTransformer = null,
     options = {}
+  ) {
+    const maxRetries = this._getFailoverMaxRetries()
+    const failedAccountIds = []
+    let lastFailure = null
+
+    for (let hop = 0; hop <= maxRetries; hop++) {
+      try {
+        return await this._relayStreamRequestOnce(
+          requestBody,
+          apiKeyData,
+          responseStream,
+          clientHeaders,
+          usageCallback,
+          streamTransformer,
+          options,
+          hop === 0 ? {} : this._buildFailoverSelectionOptions(failedAccountIds),
+          hop < maxRetries
+        )
+      } catch (error) {
+        if (!error.failover) {
+          // 重新选择账户失败（如已无其他可用账户）时，返回上一次的上游错误
+          if (lastFailure) {
+            logger.warn(
+              `🔁 [Stream] Failover hop ${hop}/${maxRetries} aborted for key ${apiKeyData.name || apiKeyData.id}: ${error.message}, returning last upstream error (${lastFailure.statusCode})`
+            )
+            this._writeStreamErrorEvent(
+              responseStream,
+              lastFailure.statusCode,
+              lastFailure.errorData
+            )
+            throw new Error(`Claude API error: ${lastFailure.statusCode}`)
+          }
+          throw error
+        }
+
+        lastFailure = error.failover
+        failedAccountIds.push(lastFailure.accountId)
+        logger.warn(
+          `🔁 [Stream] Failover hop ${hop + 1}/${maxRetries}: account ${lastFailure.accountId} returned ${lastFailure.statusCode}, retrying with another account for key ${apiKeyData.name || apiKeyData.id} (excluded: ${failedAccountIds.join(', ')})`
+        )
+      }
+    }
+
+    // 正常情况下不会到达这里：最后一跳不允许故障转移，错误会直接写回客户端
+    this._writeStreamErrorEvent(responseStream, lastFailure.statusCode, lastFailure.errorData)
+    throw new Error(`Claude API error: ${lastFailure.statusCode}`)
+  }
+
+  // 🚨 向客户端写入流式错误事件
+  _writeStreamErrorEvent(responseStream, statusCode, errorData) {
+    if (responseStream.destroyed) {
+      return
+    }
+    responseStream.write('event: error\n')
+    responseStream.write(
+      `data: ${JSON.stringify({
+        error: 'Claude API error',
+        status: statusCode,
+        details: errorData,
+        timestamp: new Date().toISOString()
+      })}\n\n`
+    )
+    responseStream.end()
+  }
+
+  // 🌊 使用单个账户处理流式响应（带usage数据捕获）
+  async _relayStreamRequestOnce(
+    requestBody,
+    apiKeyData,
+    responseStream,
+    clientHeaders,
+    usageCallback,
+    streamTransformer = null,
+    options = {},
+    selectionOptions = {},
+    allowFailover = false
   ) {
     try {
       // 调试日志：查看API Key数据（流式请求）
@@ -1164,7 +1368,8 @@ class ClaudeRelayService {
         accountSelection = await unifiedClaudeScheduler.selectAccountForApiKey(
           apiKeyData,
           sessionHash,
-          requestBody.model
+          requestBody.model,
+          selectionOptions
         )
       } catch (error) {
         if (error.code === 'CLAUDE_DEDICATED_RATE_LIMITED') {
@@ -1250,10 +1455,13 @@ class ClaudeRelayService {
         sessionHash,
         streamTransformer,
         options,
-        isDedicatedOfficialAccount
+        isDedicatedOfficialAccount,
+        allowFailover && accountType === 'claude-official' && !isDedicatedOfficialAccount
       )
     } catch (error) {
-      logger.error(`❌ Claude stream relay with usage capture failed:`, error)
+      if (!error.failover) {
+        logger.error(`❌ Claude stream relay with usage capture failed:`, error)
+      }
       throw error
     }
   }
@@ -1271,7 +1479,8 @@ class ClaudeRelayService {
     sessionHash,
     streamTransformer = null,
     requestOptions = {},
-    isDedicatedOfficialAccount = false
+    isDedicatedOfficialAccount = false,
+    canFailover = false
   ) {
     // 获取账户信息用于统一 User-Agent
     const account = await claudeAccountService.getAccount(accountId)
@@ -1358,11 +1567,30 @@ class ClaudeRelayService {
         body: payloadString
       })
 
+      // 📈 记录上游响应延迟（超时后 destroy 可能再触发 error，只记录一次）
+      const upstreamStartTime = Date.now()
+      let upstreamLatencyRecorded = false
+      const recordUpstreamLatency = (status) => {
+        if (upstreamLatencyRecorded) {
+          return
+        }
+        upstreamLatencyRecorded = true
+        metricsService.observeUpstreamLatency(
+          { accountId, accountType, status, stream: true },
+          Date.now() - upstreamStartTime
+        )
+      }
+
+      // 🔌 熔断器结果：200 时等流结束再记录，流中途出现错误事件或连接中断记为失败
+      const recordOutcome = circuitBreakerService.createRecorder(accountId, accountType)
+
       const req = https.request(options, async (res) => {
+        recordUpstreamLatency(res.statusCode)
         logger.debug(`🌊 Claude stream response status: ${res.statusCode}`)
 
         // 错误响应处理
         if (res.statusCode !== 200) {
+          recordOutcome(res.statusCode)
           if (res.statusCode === 429) {
             const resetHeader = res.headers
               ? res.headers['anthropic-ratelimit-unified-reset']
@@ -1464,7 +1692,7 @@ class ClaudeRelayService {
               // 检查是否启用了529错误处理
               if (config.claude.overloadHandling.enabled > 0) {
                 try {
-                  await claudeAccountService.markAccountOverloaded(accountId)
+                  await unifiedClaudeScheduler.markAccountOverloaded(accountId, accountType)
                   logger.info(
                     `🚫 [Stream] Account ${accountId} marked as overloaded for ${config.claude.overloadHandling.enabled} minutes`
                   )
@@ -1526,19 +1754,25 @@ class ClaudeRelayService {
                 }
               })()
             }
-            if (!responseStream.destroyed) {
-              // 发送错误事件
-              responseStream.write('event: error\n')
-              responseStream.write(
-                `data: ${JSON.stringify({
-                  error: 'Claude API error',
-                  status: res.statusCode,
-                  details: errorData,
-                  timestamp: new Date().toISOString()
-                })}\n\n`
-              )
-              responseStream.end()
+            // 尚未向客户端输出任何内容时，交由上层切换账户重试
+            if (
+              canFailover &&
+              this._isFailoverStatus(res.statusCode) &&
+              !responseStream.headersSent &&
+              !responseStream.destroyed
+            ) {
+              const failoverError = new Error(`Claude API error: ${res.statusCode}`)
+              failoverError.failover = {
+                accountId,
+                accountType,
+                statusCode: res.statusCode,
+                errorData
+              }
+              reject(failoverError)
+              return
             }
+            // 发送错误事件
+            this._writeStreamErrorEvent(responseStream, res.statusCode, errorData)
             reject(new Error(`Claude API error: ${res.statusCode}`))
           })
           return
@@ -1549,6 +1783,12 @@ class ClaudeRelayService {
         let currentUsageData = {} // 当前正在收集的usage数据
         let rateLimitDetected = false // 限流检测标志
 
+        res.on('close', () => {
+          if (!res.complete) {
+            recordOutcome('stream_error')
+          }
+        })
+
         // 监听数据块，解析SSE并寻找usage信息
         res.on('data', (chunk) => {
           try {
@@ -1656,6 +1896,10 @@ class ClaudeRelayService {
                     }
                   }
 
+                  if (data.type === 'error') {
+                    recordOutcome('stream_error')
+                  }
+
                   // 检查是否有限流错误
                   if (
                     data.type === 'error' &&
@@ -1689,6 +1933,7 @@ class ClaudeRelayService {
         })
 
         res.on('end', async () => {
+          recordOutcome(200)
           try {
             // 处理缓冲区中剩余的数据
             if (buffer.trim() && !responseStream.destroyed) {
@@ -1872,6 +2117,8 @@ class ClaudeRelayService {
       })
 
       req.on('error', async (error) => {
+        recordUpstreamLatency('error')
+        recordOutcome('error')
         logger.error(
           `❌ Claude stream request error (Account: ${account?.name || accountId}):`,
           error.message,
@@ -1923,6 +2170,8 @@ class ClaudeRelayService {
       })
 
       req.on('timeout', async () => {
+        recordUpstreamLatency('timeout')
+        recordOutcome('timeout')
         req.destroy()
         logger.error(`❌ Claude stream request timeout | Account: ${account?.name || accountId}`)
 
@@ -1951,6 +2200,7 @@ class ClaudeRelayService {
       // 处理客户端断开连接
       responseStream.on('close', () => {
         logger.debug('🔌 Client disconnected, cleaning up stream')
+        recordOutcome.cancel()
         if (!req.destroyed) {
           req.destroy()
         }
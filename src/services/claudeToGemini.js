@@ -0,0 +1,523 @@
+/**
+ * Claude Messages 到 Gemini 格式转换服务
+ * 让 Claude 格式的请求（/api/v1/messages、count_tokens）可以由 Gemini 账户处理
+ */
+
+const crypto = require('crypto')
+const logger = require('../utils/logger')
+const { sanitizeSchemaForGemini } = require('../utils/geminiSchema')
+
+// Gemini 因内容安全等原因终止生成时，对应 Claude 的 refusal
+const REFUSAL_FINISH_REASONS = new Set([
+  'SAFETY',
+  'RECITATION',
+  'BLOCKLIST',
+  'PROHIBITED_CONTENT',
+  'SPII',
+  'IMAGE_SAFETY'
+])
+
+class ClaudeToGeminiConverter {
+  /**
+   * 创建一次请求的转换上下文
+   * @param {Object} claudeRequest - Claude 格式的请求
+   */
+  createConversionContext(claudeRequest) {
+    return {
+      requestModel: claudeRequest.model,
+      thinking: claudeRequest.thinking?.type === 'enabled',
+      // 流式转换过程中的状态
+      stream: {
+        started: false,
+        finished: false,
+        messageId: `msg_${crypto.randomBytes(12).toString('hex')}`,
+        nextIndex: 0,
+        openBlock: null,
+        hasToolUse: false,
+        usageMetadata: null
+      }
+    }
+  }
+
+  /**
+   * 将 Claude 请求格式转换为 Gemini generateContent 请求
+   * @param {Object} claudeRequest - Claude 格式的请求
+   * @param {Object} context - 转换上下文（由 createConversionContext 创建）
+   * @returns {Object} Gemini 格式的请求
+   */
+  convertRequest(claudeRequest, context) {
+    const geminiRequest = {
+      contents: this.convertMessages(claudeRequest.messages || []),
+      generationConfig: {}
+    }
+
+    const systemText = this.extractSystemText(claudeRequest.system)
+    if (systemText) {
+      geminiRequest.systemInstruction = { parts: [{ text: systemText }] }
+    }
+
+    const { generationConfig } = geminiRequest
+    if (claudeRequest.max_tokens) {
+      generationConfig.maxOutputTokens = claudeRequest.max_tokens
+    }
+    if (claudeRequest.temperature !== undefined) {
+      generationConfig.temperature = claudeRequest.temperature
+    }
+    if (claudeRequest.top_p !== undefined) {
+      generationConfig.topP = claudeRequest.top_p
+    }
+    if (claudeRequest.top_k !== undefined) {
+      generationConfig.topK = claudeRequest.top_k
+    }
+    if (Array.isArray(claudeRequest.stop_sequences) && claudeRequest.stop_sequences.length > 0) {
+      generationConfig.stopSequences = claudeRequest.stop_sequences
+    }
+
+    // 扩展思考 → thinkingConfig，思考内容以 thought 部分返回
+    if (context.thinking) {
+      generationConfig.thinkingConfig = {
+        thinkingBudget: claudeRequest.thinking.budget_tokens,
+        includeThoughts: true
+      }
+    }
+
+    // 处理工具定义
+    const functionDeclarations = this._convertTools(claudeRequest.tools)
+    if (functionDeclarations.length > 0) {
+      geminiRequest.tools = [{ functionDeclarations }]
+      const toolConfig = this._convertToolChoice(claudeRequest.tool_choice)
+      if (toolConfig) {
+        geminiRequest.toolConfig = toolConfig
+      }
+    }
+
+    logger.debug('📝 Converted Claude request to Gemini format:', {
+      contentCount: geminiRequest.contents.length,
+      hasSystem: !!geminiRequest.systemInstruction,
+      toolCount: functionDeclarations.length
+    })
+
+    return geminiRequest
+  }
+
+  /**
+   * 转换消息列表为 Gemini contents，连续的同角色内容会被合并
+   * @param {Array} messages - Claude 消息列表
+   * @returns {Array} Gemini contents
+   */
+  convertMessages(messages) {
+    const contents = []
+    // tool_result 只携带 tool_use_id，需要根据之前的 tool_use 找回函数名
+    const toolNames = new Map()
+
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'model' : 'user'
+      const blocks =
+        typeof message.content === 'string'
+          ? [{ type: 'text', text: message.content }]
+          : message.content || []
+      const parts = []
+
+      for (const block of blocks) {
+        if (block.type === 'text') {
+          if (block.text) {
+            parts.push({ text: block.text })
+          }
+        } else if (block.type === 'image' || block.type === 'document') {
+          const part = this._convertMedia(block)
+          if (part) {
+            parts.push(part)
+          }
+        } else if (block.type === 'tool_use') {
+          toolNames.set(block.id, block.name)
+          parts.push({ functionCall: { name: block.name, args: block.input || {} } })
+        } else if (block.type === 'tool_result') {
+          const { output, mediaParts } = this._convertToolResult(block)
+          parts.push({
+            functionResponse: {
+              name: toolNames.get(block.tool_use_id) || 'unknown_function',
+              response: block.is_error ? { error: output } : { content: output }
+            }
+          })
+          // functionResponse 只能携带结构化数据，工具返回的图片作为后续部分附带
+          parts.push(...mediaParts)
+        }
+        // thinking / redacted_thinking 块无法回传给 Gemini，直接忽略
+      }
+
+      if (parts.length === 0) {
+        continue
+      }
+
+      const lastContent = contents[contents.length - 1]
+      if (lastContent?.role === role) {
+        lastContent.parts.push(...parts)
+      } else {
+        contents.push({ role, parts })
+      }
+    }
+
+    return contents
+  }
+
+  /**
+   * 将 Gemini 完整响应转换为 Claude 消息
+   * @param {Object} geminiResponse - Gemini 响应（已去掉 Code Assist 的 response 包装）
+   * @param {Object} context - 转换上下文
+   * @returns {Object} Claude 格式的响应
+   */
+  convertResponse(geminiResponse, context) {
+    const candidate = geminiResponse?.candidates?.[0]
+    const content = []
+
+    for (const part of candidate?.content?.parts || []) {
+      if (part.functionCall) {
+        content.push({
+          type: 'tool_use',
+          id: this._generateToolUseId(),
+          name: part.functionCall.name,
+          input: part.functionCall.args || {}
+        })
+      } else if (part.thought && part.text) {
+        if (context.thinking) {
+          const last = content[content.length - 1]
+          if (last?.type === 'thinking') {
+            last.thinking += part.text
+          } else {
+            content.push({ type: 'thinking', thinking: part.text, signature: '' })
+          }
+        }
+      } else if (part.text) {
+        const last = content[content.length - 1]
+        if (last?.type === 'text') {
+          last.text += part.text
+        } else {
+          content.push({ type: 'text', text: part.text })
+        }
+      }
+    }
+
+    const hasToolUse = content.some((block) => block.type === 'tool_use')
+
+    return {
+      id: context.stream.messageId,
+      type: 'message',
+      role: 'assistant',
+      model: context.requestModel,
+      content,
+      stop_reason: this._mapFinishReason(candidate?.finishReason, hasToolUse),
+      stop_sequence: null,
+      usage: this.convertUsage(geminiResponse?.usageMetadata)
+    }
+  }
+
+  /**
+   * 将 Gemini usageMetadata 转换为 Claude usage（思考 token 计入输出）
+   */
+  convertUsage(usageMetadata) {
+    const promptTokens = usageMetadata?.promptTokenCount || 0
+    const cachedTokens = usageMetadata?.cachedContentTokenCount || 0
+
+    return {
+      input_tokens: Math.max(0, promptTokens - cachedTokens),
+      output_tokens:
+        (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0),
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: cachedTokens
+    }
+  }
+
+  /**
+   * 将一个 Gemini 流式数据块转换为 Claude 流式事件
+   * @param {Object} geminiChunk - 已解析的 Gemini 流式数据（已去掉 response 包装）
+   * @param {Object} context - 转换上下文
+   * @returns {Array<Object>} Claude 流式事件列表（可能为空）
+   */
+  convertStreamChunk(geminiChunk, context) {
+    const state = context.stream
+    const events = []
+
+    if (state.finished || !geminiChunk) {
+      return events
+    }
+
+    if (geminiChunk.usageMetadata) {
+      state.usageMetadata = geminiChunk.usageMetadata
+    }
+
+    if (!state.started) {
+      state.started = true
+      const usage = this.convertUsage(geminiChunk.usageMetadata)
+      events.push({
+        type: 'message_start',
+        message: {
+          id: state.messageId,
+          type: 'message',
+          role: 'assistant',
+          model: context.requestModel,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: {
+            input_tokens: usage.input_tokens,
+            cache_creation_input_tokens: 0,
+            cache_read_input_tokens: usage.cache_read_input_tokens,
+            output_tokens: 0
+          }
+        }
+      })
+    }
+
+    const candidate = geminiChunk.candidates?.[0]
+
+    for (const part of candidate?.content?.parts || []) {
+      if (part.functionCall) {
+        // Gemini 一次性返回完整的函数调用
+        this._closeBlock(events, state)
+        state.hasToolUse = true
+        const index = state.nextIndex++
+        events.push({
+          type: 'content_block_start',
+          index,
+          content_block: {
+            type: 'tool_use',
+            id: this._generateToolUseId(),
+            name: part.functionCall.name,
+            input: {}
+          }
+        })
+        events.push({
+          type: 'content_block_delta',
+          index,
+          delta: {
+            type: 'input_json_delta',
+            partial_json: JSON.stringify(part.functionCall.args || {})
+          }
+        })
+        events.push({ type: 'content_block_stop', index })
+      } else if (part.thought && part.text) {
+        if (context.thinking) {
+          const index = this._ensureBlock(events, state, 'thinking')
+          events.push({
+            type: 'content_block_delta',
+            index,
+            delta: { type: 'thinking_delta', thinking: part.text }
+          })
+        }
+      } else if (part.text) {
+        const index = this._ensureBlock(events, state, 'text')
+        events.push({
+          type: 'content_block_delta',
+          index,
+          delta: { type: 'text_delta', text: part.text }
+        })
+      }
+    }
+
+    if (candidate?.finishReason) {
+      events.push(...this._finishStream(state, candidate.finishReason))
+    }
+
+    return events
+  }
+
+  /**
+   * 上游流意外结束（没有 finishReason）时补齐结束事件
+   */
+  finalizeStream(context) {
+    const state = context.stream
+    if (state.finished || !state.started) {
+      return []
+    }
+    return this._finishStream(state, null)
+  }
+
+  /**
+   * 将 Claude 流式事件格式化为 SSE 文本
+   */
+  formatSSE(event) {
+    return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+  }
+
+  _finishStream(state, finishReason) {
+    const events = []
+    this._closeBlock(events, state)
+    state.finished = true
+
+    const usage = this.convertUsage(state.usageMetadata)
+    events.push({
+      type: 'message_delta',
+      delta: {
+        stop_reason: this._mapFinishReason(finishReason, state.hasToolUse),
+        stop_sequence: null
+      },
+      usage
+    })
+    events.push({ type: 'message_stop' })
+    return events
+  }
+
+  // 确保当前打开的是指定类型的内容块，类型变化时关闭旧块并开启新块
+  _ensureBlock(events, state, type) {
+    if (state.openBlock?.type === type) {
+      return state.openBlock.index
+    }
+
+    this._closeBlock(events, state)
+    const index = state.nextIndex++
+    state.openBlock = { type, index }
+    events.push({
+      type: 'content_block_start',
+      index,
+      content_block: type === 'thinking' ? { type, thinking: '' } : { type, text: '' }
+    })
+    return index
+  }
+
+  _closeBlock(events, state) {
+    if (!state.openBlock) {
+      return
+    }
+    if (state.openBlock.type === 'thinking') {
+      // Gemini 没有思考签名，发送空签名以保持事件序列完整
+      events.push({
+        type: 'content_block_delta',
+        index: state.openBlock.index,
+        delta: { type: 'signature_delta', signature: '' }
+      })
+    }
+    events.push({ type: 'content_block_stop', index: state.openBlock.index })
+    state.openBlock = null
+  }
+
+  /**
+   * 提取 Claude system 字段（字符串或文本块数组）中的文本
+   */
+  extractSystemText(system) {
+    if (!system) {
+      return ''
+    }
+    if (typeof system === 'string') {
+      return system
+    }
+    if (Array.isArray(system)) {
+      return system
+        .filter((block) => block?.type === 'text' && block.text)
+        .map((block) => block.text)
+        .join('\n\n')
+    }
+    return ''
+  }
+
+  // 图片 / PDF 文档 → inlineData 或 fileData
+  _convertMedia(block) {
+    const source = block.source || {}
+    if (source.type === 'base64' && source.data) {
+      return {
+        inlineData: {
+          mimeType:
+            source.media_type || (block.type === 'document' ? 'application/pdf' : 'image/png'),
+          data: source.data
+        }
+      }
+    }
+    if (source.type === 'url' && source.url) {
+      return {
+        fileData: {
+          mimeType:
+            source.media_type || (block.type === 'document' ? 'application/pdf' : 'image/jpeg'),
+          fileUri: source.url
+        }
+      }
+    }
+    if (source.type === 'text' && source.data) {
+      return { text: source.data }
+    }
+    return null
+  }
+
+  _convertToolResult(block) {
+    const mediaParts = []
+    let output = ''
+
+    if (typeof block.content === 'string') {
+      output = block.content
+    } else if (Array.isArray(block.content)) {
+      const texts = []
+      for (const item of block.content) {
+        if (item.type === 'text') {
+          texts.push(item.text || '')
+        } else if (item.type === 'image' || item.type === 'document') {
+          const part = this._convertMedia(item)
+          if (part) {
+            mediaParts.push(part)
+          }
+        }
+      }
+      output = texts.join('\n')
+    }
+
+    return { output, mediaParts }
+  }
+
+  _convertTools(tools) {
+    if (!Array.isArray(tools)) {
+      return []
+    }
+
+    return tools
+      .filter((tool) => {
+        // Anthropic 服务端工具（web_search、bash 等）没有对应实现
+        if (!tool.input_schema) {
+          logger.warn(`⚠️ Skipping Claude server tool without input_schema: ${tool.name}`)
+          return false
+        }
+        return true
+      })
+      .map((tool) => {
+        const declaration = { name: tool.name, description: tool.description || '' }
+        const parameters = sanitizeSchemaForGemini(tool.input_schema)
+        // Gemini 不接受没有属性的 object 参数
+        if (parameters?.properties && Object.keys(parameters.properties).length > 0) {
+          declaration.parameters = parameters
+        }
+        return declaration
+      })
+  }
+
+  _convertToolChoice(toolChoice) {
+    switch (toolChoice?.type) {
+      case 'auto':
+        return { functionCallingConfig: { mode: 'AUTO' } }
+      case 'any':
+        return { functionCallingConfig: { mode: 'ANY' } }
+      case 'none':
+        return { functionCallingConfig: { mode: 'NONE' } }
+      case 'tool':
+        return {
+          functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.name] }
+        }
+      default:
+        return null
+    }
+  }
+
+  _mapFinishReason(finishReason, hasToolUse) {
+    if (hasToolUse) {
+      return 'tool_use'
+    }
+    if (finishReason === 'MAX_TOKENS') {
+      return 'max_tokens'
+    }
+    if (REFUSAL_FINISH_REASONS.has(finishReason)) {
+      return 'refusal'
+    }
+    return 'end_turn'
+  }
+
+  _generateToolUseId() {
+    return `toolu_${crypto.randomBytes(12).toString('hex')}`
+  }
+}
+
+module.exports = new ClaudeToGeminiConverter()
@@ -0,0 +1,555 @@
+/**
+ * Claude Messages 到 OpenAI Responses 格式转换服务
+ * 让 Claude 格式的请求（/api/v1/messages）可以由 OpenAI-Responses / Codex 账户处理
+ */
+
+const crypto = require('crypto')
+const logger = require('../utils/logger')
+const { CODEX_CLI_INSTRUCTIONS } = require('../utils/codexInstructions')
+
+// Claude thinking.budget_tokens → OpenAI reasoning.effort
+const THINKING_EFFORT_THRESHOLDS = [
+  { maxBudget: 4096, effort: 'low' },
+  { maxBudget: 16384, effort: 'medium' }
+]
+
+class ClaudeToOpenAIResponsesConverter {
+  /**
+   * 创建一次请求的转换上下文
+   * @param {Object} claudeRequest - Claude 格式的请求
+   * @param {Object} options - { targetModel: 上游模型名, codex: 是否为 ChatGPT Codex 后端 }
+   */
+  createConversionContext(claudeRequest, { targetModel, codex = false } = {}) {
+    return {
+      requestModel: claudeRequest.model,
+      targetModel,
+      codex,
+      thinking: claudeRequest.thinking?.type === 'enabled',
+      // 流式转换过程中的状态
+      stream: {
+        started: false,
+        finished: false,
+        messageId: `msg_${crypto.randomBytes(12).toString('hex')}`,
+        nextIndex: 0,
+        blocks: new Map(),
+        hasToolUse: false,
+        usage: null
+      }
+    }
+  }
+
+  /**
+   * 将 Claude 请求格式转换为 OpenAI Responses 格式
+   * @param {Object} claudeRequest - Claude 格式的请求
+   * @param {Object} context - 转换上下文（由 createConversionContext 创建）
+   * @returns {Object} OpenAI Responses 格式的请求
+   */
+  convertRequest(claudeRequest, context) {
+    const systemText = this._extractSystemText(claudeRequest.system)
+    const input = this._convertMessages(claudeRequest.messages || [])
+
+    const responsesRequest = {
+      model: context.targetModel,
+      input,
+      // 统一使用流式上游：Codex 后端只支持流式，非流式请求由 response.completed 聚合
+      stream: true,
+      store: false
+    }
+
+    if (context.codex) {
+      // Codex 后端会校验 instructions，系统提示词改为 developer 消息放在最前面
+      responsesRequest.instructions = CODEX_CLI_INSTRUCTIONS
+      if (systemText) {
+        input.unshift({
+          type: 'message',
+          role: 'developer',
+          content: [{ type: 'input_text', text: systemText }]
+        })
+      }
+    } else {
+      if (systemText) {
+        responsesRequest.instructions = systemText
+      }
+      if (claudeRequest.max_tokens) {
+        responsesRequest.max_output_tokens = claudeRequest.max_tokens
+      }
+    }
+
+    // 处理工具定义
+    const tools = this._convertTools(claudeRequest.tools)
+    if (tools.length > 0) {
+      responsesRequest.tools = tools
+      const toolChoice = this._convertToolChoice(claudeRequest.tool_choice)
+      if (toolChoice) {
+        responsesRequest.tool_choice = toolChoice
+      }
+      if (claudeRequest.tool_choice?.disable_parallel_tool_use === true) {
+        responsesRequest.parallel_tool_calls = false
+      }
+    }
+
+    // 扩展思考 → reasoning，思考内容以摘要形式返回
+    if (context.thinking) {
+      responsesRequest.reasoning = {
+        effort: this._mapThinkingBudget(claudeRequest.thinking.budget_tokens),
+        summary: 'auto'
+      }
+    }
+
+    // Claude 特有的参数已在转换过程中被忽略
+    // 包括: temperature, top_p, top_k, stop_sequences, metadata（推理模型不接受采样参数）
+
+    logger.debug('📝 Converted Claude request to OpenAI Responses format:', {
+      model: responsesRequest.model,
+      inputCount: input.length,
+      toolCount: tools.length,
+      codex: context.codex
+    })
+
+    return responsesRequest
+  }
+
+  /**
+   * 将 OpenAI Responses 的完整响应转换为 Claude 消息
+   * @param {Object} response - response.completed 事件中的 response 对象
+   * @param {Object} context - 转换上下文
+   * @returns {Object} Claude 格式的响应
+   */
+  convertResponse(response, context) {
+    const content = []
+
+    for (const item of response?.output || []) {
+      if (item.type === 'reasoning') {
+        const thinking = (item.summary || []).map((part) => part.text || '').join('\n\n')
+        if (context.thinking && thinking) {
+          content.push({ type: 'thinking', thinking, signature: '' })
+        }
+      } else if (item.type === 'message') {
+        for (const part of item.content || []) {
+          if (part.type === 'output_text' || part.type === 'refusal') {
+            content.push({ type: 'text', text: part.text ?? part.refusal ?? '' })
+          }
+        }
+      } else if (item.type === 'function_call') {
+        content.push({
+          type: 'tool_use',
+          id: item.call_id || item.id,
+          name: item.name,
+          input: this._parseArguments(item.arguments)
+        })
+      }
+    }
+
+    const hasToolUse = content.some((block) => block.type === 'tool_use')
+
+    return {
+      id: context.stream.messageId,
+      type: 'message',
+      role: 'assistant',
+      model: context.requestModel,
+      content,
+      stop_reason: this._mapStopReason(response, hasToolUse),
+      stop_sequence: null,
+      usage: this.convertUsage(response?.usage)
+    }
+  }
+
+  /**
+   * 将 OpenAI Responses usage 转换为 Claude usage（输入 token 不含缓存读取部分）
+   */
+  convertUsage(usage) {
+    const totalInputTokens = usage?.input_tokens || 0
+    const cacheReadTokens = usage?.input_tokens_details?.cached_tokens || 0
+
+    return {
+      input_tokens: Math.max(0, totalInputTokens - cacheReadTokens),
+      output_tokens: usage?.output_tokens || 0,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: cacheReadTokens
+    }
+  }
+
+  /**
+   * 将一个 OpenAI Responses 流式事件转换为 Claude 流式事件
+   * @param {Object} event - 已解析的 Responses SSE 事件
+   * @param {Object} context - 转换上下文
+   * @returns {Array<Object>} Claude 流式事件列表（可能为空）
+   */
+  convertStreamEvent(event, context) {
+    const state = context.stream
+    const events = []
+
+    if (state.finished || !event?.type) {
+      return events
+    }
+
+    if (!state.started) {
+      state.started = true
+      events.push({
+        type: 'message_start',
+        message: {
+          id: state.messageId,
+          type: 'message',
+          role: 'assistant',
+          model: context.requestModel,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { input_tokens: 0, output_tokens: 0 }
+        }
+      })
+    }
+
+    switch (event.type) {
+      case 'response.output_item.added':
+        if (event.item?.type === 'function_call') {
+          state.hasToolUse = true
+          this._startBlock(events, state, `call:${event.item.id}`, {
+            type: 'tool_use',
+            id: event.item.call_id || event.item.id,
+            name: event.item.name,
+            input: {}
+          })
+        }
+        break
+
+      case 'response.output_text.delta':
+      case 'response.refusal.delta':
+        this._startBlock(events, state, `text:${event.item_id}:${event.content_index}`, {
+          type: 'text',
+          text: ''
+        })
+        events.push(
+          this._blockDelta(state, `text:${event.item_id}:${event.content_index}`, {
+            type: 'text_delta',
+            text: event.delta || ''
+          })
+        )
+        break
+
+      case 'response.output_text.done':
+      case 'response.refusal.done':
+        this._stopBlock(events, state, `text:${event.item_id}:${event.content_index}`)
+        break
+
+      case 'response.reasoning_summary_text.delta':
+        if (context.thinking) {
+          const key = `thinking:${event.item_id}:${event.summary_index}`
+          this._startBlock(events, state, key, { type: 'thinking', thinking: '' })
+          events.push(
+            this._blockDelta(state, key, { type: 'thinking_delta', thinking: event.delta || '' })
+          )
+        }
+        break
+
+      case 'response.reasoning_summary_text.done':
+        this._stopBlock(events, state, `thinking:${event.item_id}:${event.summary_index}`)
+        break
+
+      case 'response.function_call_arguments.delta': {
+        const block = state.blocks.get(`call:${event.item_id}`)
+        if (block && event.delta) {
+          block.argumentsStreamed = true
+          events.push(
+            this._blockDelta(state, `call:${event.item_id}`, {
+              type: 'input_json_delta',
+              partial_json: event.delta
+            })
+          )
+        }
+        break
+      }
+
+      case 'response.output_item.done':
+        if (event.item?.type === 'function_call') {
+          const key = `call:${event.item.id}`
+          const block = state.blocks.get(key)
+          // 部分上游不发送参数增量，只在 item 完成时给出完整参数
+          if (block && !block.argumentsStreamed && event.item.arguments) {
+            events.push(
+              this._blockDelta(state, key, {
+                type: 'input_json_delta',
+                partial_json: event.item.arguments
+              })
+            )
+          }
+          this._stopBlock(events, state, key)
+        }
+        break
+
+      case 'response.completed':
+      case 'response.incomplete':
+        events.push(...this._finishStream(state, event.response))
+        break
+
+      case 'response.failed':
+      case 'error': {
+        const message =
+          event.response?.error?.message ||
+          event.error?.message ||
+          event.message ||
+          'Upstream error'
+        state.finished = true
+        events.push({ type: 'error', error: { type: 'api_error', message } })
+        break
+      }
+
+      default:
+        break
+    }
+
+    return events
+  }
+
+  /**
+   * 上游流意外结束（没有 response.completed）时补齐结束事件
+   */
+  finalizeStream(context) {
+    const state = context.stream
+    if (state.finished || !state.started) {
+      return []
+    }
+    return this._finishStream(state, null)
+  }
+
+  /**
+   * 将 Claude 流式事件格式化为 SSE 文本
+   */
+  formatSSE(event) {
+    return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+  }
+
+  _finishStream(state, response) {
+    const events = []
+    for (const key of Array.from(state.blocks.keys())) {
+      this._stopBlock(events, state, key)
+    }
+
+    state.finished = true
+    state.usage = response?.usage || null
+
+    const usage = this.convertUsage(response?.usage)
+    events.push({
+      type: 'message_delta',
+      delta: {
+        stop_reason: this._mapStopReason(response, state.hasToolUse),
+        stop_sequence: null
+      },
+      usage
+    })
+    events.push({ type: 'message_stop' })
+    return events
+  }
+
+  _startBlock(events, state, key, contentBlock) {
+    if (state.blocks.has(key)) {
+      return
+    }
+    const index = state.nextIndex++
+    state.blocks.set(key, { index, argumentsStreamed: false })
+    events.push({ type: 'content_block_start', index, content_block: contentBlock })
+  }
+
+  _blockDelta(state, key, delta) {
+    return { type: 'content_block_delta', index: state.blocks.get(key).index, delta }
+  }
+
+  _stopBlock(events, state, key) {
+    const block = state.blocks.get(key)
+    if (!block) {
+      return
+    }
+    state.blocks.delete(key)
+    events.push({ type: 'content_block_stop', index: block.index })
+  }
+
+  _extractSystemText(system) {
+    if (!system) {
+      return ''
+    }
+    if (typeof system === 'string') {
+      return system
+    }
+    if (Array.isArray(system)) {
+      return system
+        .filter((block) => block?.type === 'text' && block.text)
+        .map((block) => block.text)
+        .join('\n\n')
+    }
+    return ''
+  }
+
+  /**
+   * 转换消息列表：文本/图片转为 message，tool_use → function_call，tool_result → function_call_output
+   */
+  _convertMessages(messages) {
+    const input = []
+
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'assistant' : 'user'
+      const blocks =
+        typeof message.content === 'string'
+          ? [{ type: 'text', text: message.content }]
+          : message.content || []
+
+      // 同一条 Claude 消息内按顺序拆分为多个 Responses 输入项
+      let parts = []
+      const flushParts = () => {
+        if (parts.length > 0) {
+          input.push({ type: 'message', role, content: parts })
+          parts = []
+        }
+      }
+
+      for (const block of blocks) {
+        if (block.type === 'text') {
+          if (block.text) {
+            parts.push({
+              type: role === 'assistant' ? 'output_text' : 'input_text',
+              text: block.text
+            })
+          }
+        } else if (block.type === 'image' && role === 'user') {
+          const image = this._convertImage(block)
+          if (image) {
+            parts.push(image)
+          }
+        } else if (block.type === 'tool_use') {
+          flushParts()
+          input.push({
+            type: 'function_call',
+            call_id: block.id,
+            name: block.name,
+            arguments: JSON.stringify(block.input || {})
+          })
+        } else if (block.type === 'tool_result') {
+          flushParts()
+          const { output, images } = this._convertToolResult(block)
+          input.push({ type: 'function_call_output', call_id: block.tool_use_id, output })
+          // function_call_output 只能是文本，工具返回的图片作为后续用户消息附带
+          if (images.length > 0) {
+            input.push({ type: 'message', role: 'user', content: images })
+          }
+        }
+        // thinking / redacted_thinking 块无法回传给 OpenAI，直接忽略
+      }
+
+      flushParts()
+    }
+
+    return input
+  }
+
+  _convertImage(block) {
+    const source = block.source || {}
+    if (source.type === 'base64' && source.data) {
+      return {
+        type: 'input_image',
+        image_url: `data:${source.media_type || 'image/png'};base64,${source.data}`
+      }
+    }
+    if (source.type === 'url' && source.url) {
+      return { type: 'input_image', image_url: source.url }
+    }
+    return null
+  }
+
+  _convertToolResult(block) {
+    const images = []
+    let output = ''
+
+    if (typeof block.content === 'string') {
+      output = block.content
+    } else if (Array.isArray(block.content)) {
+      const texts = []
+      for (const item of block.content) {
+        if (item.type === 'text') {
+          texts.push(item.text || '')
+        } else if (item.type === 'image') {
+          const image = this._convertImage(item)
+          if (image) {
+            images.push(image)
+          }
+        }
+      }
+      output = texts.join('\n')
+    }
+
+    if (block.is_error) {
+      output = `Error: ${output}`
+    }
+
+    return { output, images }
+  }
+
+  _convertTools(tools) {
+    if (!Array.isArray(tools)) {
+      return []
+    }
+
+    return tools
+      .filter((tool) => {
+        // Anthropic 服务端工具（web_search、bash 等）没有对应实现
+        if (!tool.input_schema) {
+          logger.warn(`⚠️ Skipping Claude server tool without input_schema: ${tool.name}`)
+          return false
+        }
+        return true
+      })
+      .map((tool) => ({
+        type: 'function',
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.input_schema,
+        strict: false
+      }))
+  }
+
+  _convertToolChoice(toolChoice) {
+    switch (toolChoice?.type) {
+      case 'auto':
+        return 'auto'
+      case 'any':
+        return 'required'
+      case 'none':
+        return 'none'
+      case 'tool':
+        return { type: 'function', name: toolChoice.name }
+      default:
+        return null
+    }
+  }
+
+  _mapThinkingBudget(budgetTokens) {
+    const budget = Number(budgetTokens) || 0
+    const matched = THINKING_EFFORT_THRESHOLDS.find(({ maxBudget }) => budget <= maxBudget)
+    return matched ? matched.effort : 'high'
+  }
+
+  _mapStopReason(response, hasToolUse) {
+    if (hasToolUse) {
+      return 'tool_use'
+    }
+    if (response?.status === 'incomplete') {
+      return response.incomplete_details?.reason === 'max_output_tokens' ? 'max_tokens' : 'end_turn'
+    }
+    return 'end_turn'
+  }
+
+  _parseArguments(args) {
+    if (!args) {
+      return {}
+    }
+    if (typeof args === 'object') {
+      return args
+    }
+    try {
+      return JSON.parse(args)
+    } catch (error) {
+      logger.warn('⚠️ Failed to parse function call arguments, returning raw string')
+      return { raw: args }
+    }
+  }
+}
+
+module.exports = new ClaudeToOpenAIResponsesConverter()
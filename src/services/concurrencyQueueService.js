@@ -0,0 +1,204 @@
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const metricsService = require('./metricsService')
+
+// 队列成员超过最长等待时间后再保留的宽限期（实例崩溃遗留的成员在此之后被清理）
+const STALE_GRACE_MS = 30000
+
+/**
+ * API Key 并发排队服务
+ *
+ * 开启排队模式的 API Key 在并发已满时不会立即返回 429，而是进入 Redis 中按入队时间排序的 FIFO 队列。
+ * decrConcurrency 释放名额时会通过 Pub/Sub 通知所有实例，排队请求被唤醒后按顺序尝试获取名额；
+ * 同时按 pollIntervalMs 定期重试，以覆盖租约过期释放和通知丢失的情况。
+ */
+class ConcurrencyQueueService {
+  constructor() {
+    this.waiters = new Map() // apiKeyId -> Set<唤醒函数>
+    this.subscriber = null
+    this.subscribing = null
+  }
+
+  isEnabled() {
+    return config.concurrencyQueue?.enabled !== false
+  }
+
+  /**
+   * 解析 API Key 的排队配置
+   * @param {Object} keyData - API Key 数据
+   * @returns {Object|null} { maxSize, timeoutMs }，未开启排队时返回 null
+   */
+  resolveOptions(keyData) {
+    if (!this.isEnabled() || !keyData?.concurrencyQueueEnabled) {
+      return null
+    }
+
+    const maxSize =
+      parseInt(keyData.concurrencyQueueMaxSize) ||
+      parseInt(config.concurrencyQueue?.defaultMaxSize) ||
+      20
+    const timeoutSeconds =
+      parseInt(keyData.concurrencyQueueTimeoutSeconds) ||
+      parseInt(config.concurrencyQueue?.defaultTimeoutSeconds) ||
+      60
+
+    return { maxSize: Math.max(maxSize, 1), timeoutMs: Math.max(timeoutSeconds, 1) * 1000 }
+  }
+
+  /**
+   * 获取并发名额，已满时排队等待
+   * @param {string} apiKeyId - API Key ID
+   * @param {string} requestId - 并发租约ID（同时作为队列成员）
+   * @param {Object} options - { limit, leaseSeconds, maxSize, timeoutMs, res }
+   * @returns {Promise<Object>} { status: 'acquired' | 'full' | 'timeout' | 'aborted', count, waitedMs }
+   */
+  async acquire(apiKeyId, requestId, options) {
+    const { limit, leaseSeconds, maxSize, timeoutMs, res } = options
+    const staleBefore = () => Date.now() - timeoutMs - STALE_GRACE_MS
+
+    const initial = await redis.acquireConcurrencyOrEnqueue(apiKeyId, requestId, limit, maxSize, {
+      leaseSeconds,
+      staleBefore: staleBefore(),
+      queueTtlMs: timeoutMs + STALE_GRACE_MS
+    })
+    if (initial.status !== 'queued') {
+      if (initial.status === 'full') {
+        metricsService.recordConcurrencyQueueOutcome('rejected')
+      }
+      return { status: initial.status, count: initial.count, waitedMs: 0 }
+    }
+
+    logger.api(
+      `🚥 Request queued for key ${apiKeyId}: position ${initial.count}/${maxSize}, limit ${limit}`
+    )
+    await this._ensureSubscriber()
+
+    const startedAt = Date.now()
+    let aborted = false
+    const onClose = () => {
+      aborted = true
+      this._wake(apiKeyId)
+    }
+    res.once('close', onClose)
+
+    try {
+      while (!aborted) {
+        const remainingMs = timeoutMs - (Date.now() - startedAt)
+        if (remainingMs <= 0) {
+          break
+        }
+
+        await new Promise((resolve) =>
+          this._waitForRelease(apiKeyId, resolve, Math.min(remainingMs, this._getPollIntervalMs()))
+        )
+        if (aborted) {
+          break
+        }
+
+        const result = await redis.tryAcquireQueuedConcurrency(apiKeyId, requestId, limit, {
+          leaseSeconds,
+          staleBefore: staleBefore()
+        })
+        if (result.status === 'acquired') {
+          const waitedMs = Date.now() - startedAt
+          if (aborted) {
+            // 获取名额的同时客户端已断开，立即归还
+            await redis.decrConcurrency(apiKeyId, requestId)
+            break
+          }
+          metricsService.recordConcurrencyQueueOutcome('acquired', waitedMs)
+          logger.api(`🚥 Queued request for key ${apiKeyId} acquired a slot after ${waitedMs}ms`)
+          return { status: 'acquired', count: result.count, waitedMs }
+        }
+        if (result.status === 'missing') {
+          break
+        }
+      }
+    } finally {
+      res.removeListener('close', onClose)
+    }
+
+    await redis.removeConcurrencyWaiter(apiKeyId, requestId)
+    const waitedMs = Date.now() - startedAt
+    const status = aborted ? 'aborted' : 'timeout'
+    metricsService.recordConcurrencyQueueOutcome(status, waitedMs)
+    return { status, count: 0, waitedMs }
+  }
+
+  // 等待名额释放通知或轮询间隔到期
+  _waitForRelease(apiKeyId, resolve, delayMs) {
+    if (!this.waiters.has(apiKeyId)) {
+      this.waiters.set(apiKeyId, new Set())
+    }
+    const waiters = this.waiters.get(apiKeyId)
+
+    let timer = null
+    const done = () => {
+      clearTimeout(timer)
+      waiters.delete(done)
+      if (waiters.size === 0) {
+        this.waiters.delete(apiKeyId)
+      }
+      resolve()
+    }
+    timer = setTimeout(done, delayMs)
+    waiters.add(done)
+  }
+
+  // 订阅名额释放通知（独立连接，首次排队时建立）
+  async _ensureSubscriber() {
+    if (this.subscriber) {
+      return
+    }
+    if (!this.subscribing) {
+      this.subscribing = (async () => {
+        try {
+          const subscriber = redis.getClientSafe().duplicate()
+          subscriber.on('message', (channel, apiKeyId) => {
+            if (channel === redis.CONCURRENCY_RELEASED_CHANNEL) {
+              this._wake(apiKeyId)
+            }
+          })
+          subscriber.on('error', (error) => {
+            logger.warn('⚠️ Concurrency queue subscriber error:', error.message)
+          })
+          await subscriber.subscribe(redis.CONCURRENCY_RELEASED_CHANNEL)
+          this.subscriber = subscriber
+          logger.info('🚥 Concurrency queue subscribed to slot release notifications')
+        } catch (error) {
+          logger.warn(
+            '⚠️ Failed to subscribe to concurrency release notifications, falling back to polling:',
+            error.message
+          )
+        } finally {
+          this.subscribing = null
+        }
+      })()
+    }
+    await this.subscribing
+  }
+
+  _wake(apiKeyId) {
+    const waiters = this.waiters.get(apiKeyId)
+    if (!waiters) {
+      return
+    }
+    for (const done of [...waiters]) {
+      done()
+    }
+  }
+
+  _getPollIntervalMs() {
+    return Math.max(parseInt(config.concurrencyQueue?.pollIntervalMs) || 1000, 100)
+  }
+
+  stop() {
+    if (this.subscriber) {
+      this.subscriber.disconnect()
+      this.subscriber = null
+    }
+  }
+}
+
+module.exports = new ConcurrencyQueueService()
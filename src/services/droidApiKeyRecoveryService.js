@@ -207,6 +207,10 @@ class DroidApiKeyRecoveryService {
         const parsedProxy = typeof proxy === 'string' ? JSON.parse(proxy) : proxy
         proxyAgent = ProxyHelper.createProxyAgent(parsedProxy)
       } catch (error) {
+        // 代理池不可用时放弃探测，不回退为直连
+        if (error.code === 'PROXY_POOL_UNAVAILABLE') {
+          throw error
+        }
         logger.warn('⚠️ Failed to parse Droid proxy configuration for recovery probe:', error.message)
       }
     }
@@ -4,6 +4,7 @@ const ProxyHelper = require('../utils/proxyHelper')
 const droidScheduler = require('./droidScheduler')
 const droidAccountService = require('./droidAccountService')
 const apiKeyService = require('./apiKeyService')
+const circuitBreakerService = require('./circuitBreakerService')
 const redis = require('../models/redis')
 const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
 const logger = require('../utils/logger')
@@ -448,7 +449,9 @@ class DroidRelayService {
         }
 
         this._logFactoryRequest(apiUrl, headers, processedBody, 'non-streaming')
-        const response = await axios(requestOptions)
+        const request = axios(requestOptions)
+        circuitBreakerService.trackRequest(request, account.id, 'droid')
+        const response = await request
 
         logger.info(`✅ Factory.ai response status: ${response.status}`)
 
@@ -545,6 +548,8 @@ class DroidRelayService {
       let upstreamResponse = null
       let completionWindow = ''
       let hasForwardedData = false
+      // 客户端断开时取消记录，避免计入熔断统计
+      const recordOutcome = circuitBreakerService.createRecorder(account.id, 'droid')
 
       const resolveOnce = (value) => {
         if (settled) {
@@ -577,11 +582,13 @@ class DroidRelayService {
             if (!clientResponse.destroyed && !clientResponse.writableEnded) {
               clientResponse.end()
             }
+            recordOutcome(200)
             resolveOnce({ statusCode: 200, streaming: true })
             return
           }
 
           logger.error('❌ Droid stream error:', error)
+          recordOutcome('stream_error')
           const mappedStatus = this._mapNetworkErrorStatus(error)
           const errorBody = this._buildNetworkErrorBody(error)
 
@@ -613,6 +620,7 @@ class DroidRelayService {
 
           resolveOnce({ statusCode: mappedStatus, streaming: true, error })
         } else {
+          recordOutcome(error?.message === 'Request timeout' ? 'timeout' : 'error')
           rejectOnce(error)
         }
       }
@@ -633,6 +641,7 @@ class DroidRelayService {
 
         // 错误响应
         if (res.statusCode !== 200) {
+          recordOutcome(res.statusCode)
           const chunks = []
 
           res.on('data', (chunk) => {
@@ -714,6 +723,7 @@ class DroidRelayService {
 
         res.on('end', async () => {
           responseCompleted = true
+          recordOutcome(200)
           clientResponse.end()
 
           // 记录 usage 数据
@@ -759,6 +769,7 @@ class DroidRelayService {
             if (!clientResponse.destroyed && !clientResponse.writableEnded) {
               clientResponse.end()
             }
+            recordOutcome(200)
             resolveOnce({ statusCode: 200, streaming: true })
           } else {
             handleStreamError(new Error('Upstream stream closed unexpectedly'))
@@ -768,6 +779,7 @@ class DroidRelayService {
 
       // 客户端断开连接时清理
       clientResponse.on('close', () => {
+        recordOutcome.cancel()
         if (req && !req.destroyed) {
           req.destroy()
         }
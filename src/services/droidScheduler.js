@@ -3,6 +3,8 @@ const accountGroupService = require('./accountGroupService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
+const requestLogService = require('./requestLogService')
+const circuitBreakerService = require('./circuitBreakerService')
 
 class DroidScheduler {
   constructor() {
@@ -149,7 +151,15 @@ class DroidScheduler {
     }
   }
 
+  // 🔌 熔断器冷却结束时由本次请求进行探测，探测名额已满时重新调度
   async selectAccount(apiKeyData, endpointType, sessionHash) {
+    return circuitBreakerService.selectAccount(
+      () => this._selectAccount(apiKeyData, endpointType, sessionHash),
+      { apiKeyData, accountType: 'droid' }
+    )
+  }
+
+  async _selectAccount(apiKeyData, endpointType, sessionHash) {
     const normalizedEndpoint = this._normalizeEndpointType(endpointType)
     const stickyKey = this.sequentialMode
       ? null
@@ -179,6 +189,11 @@ class DroidScheduler {
       candidates = await droidAccountService.getSchedulableAccounts(normalizedEndpoint)
     }
 
+    // 排除熔断中的账户（专属绑定账户不受熔断限制）
+    if (!isDedicatedBinding) {
+      candidates = await circuitBreakerService.filterAvailable(candidates)
+    }
+
     const filtered = candidates.filter(
       (account) =>
         account &&
@@ -203,6 +218,7 @@ class DroidScheduler {
             `🤖 命中 Droid 粘性会话: ${sessionHash} -> ${mappedAccount.name || mappedAccount.id}`
           )
           await this._ensureLastUsedUpdated(mappedAccount.id)
+          requestLogService.attachAccount(mappedAccount.id, 'droid')
           return mappedAccount
         }
 
@@ -227,6 +243,7 @@ class DroidScheduler {
       `🤖 选择 Droid 账号 ${selected.name || selected.id}（endpoint: ${normalizedEndpoint}, priority: ${selected.priority || 50}）`
     )
 
+    requestLogService.attachAccount(selected.id, 'droid')
     return selected
   }
 }
@@ -15,6 +15,7 @@ const {
 } = require('../utils/tokenRefreshLogger')
 const tokenRefreshService = require('./tokenRefreshService')
 const LRUCache = require('../utils/lruCache')
+const circuitBreakerService = require('./circuitBreakerService')
 
 // Gemini CLI OAuth 配置 - 这些是公开的 Gemini CLI 凭据
 const OAUTH_CLIENT_ID = '681255809395-oo8ft2oprdrnp9e3aqf6av3hmdib135j.apps.googleusercontent.com'
@@ -1382,7 +1383,8 @@ async function generateContent(
   userPromptId,
   projectId = null,
   sessionId = null,
-  proxyConfig = null
+  proxyConfig = null,
+  accountId = null
 ) {
   const axios = require('axios')
   const CODE_ASSIST_ENDPOINT = 'https://cloudcode-pa.googleapis.com'
@@ -1446,7 +1448,9 @@ async function generateContent(
     logger.debug('🌐 No proxy configured for Gemini generateContent')
   }
 
-  const response = await axios(axiosConfig)
+  const pendingResponse = axios(axiosConfig)
+  circuitBreakerService.trackRequest(pendingResponse, accountId, 'gemini')
+  const response = await pendingResponse
 
   logger.info('✅ generateContent API调用成功')
   return response.data
@@ -1460,7 +1464,8 @@ async function generateContentStream(
   projectId = null,
   sessionId = null,
   signal = null,
-  proxyConfig = null
+  proxyConfig = null,
+  accountId = null
 ) {
   const axios = require('axios')
   const CODE_ASSIST_ENDPOINT = 'https://cloudcode-pa.googleapis.com'
@@ -1527,7 +1532,9 @@ async function generateContentStream(
     axiosConfig.signal = signal
   }
 
-  const response = await axios(axiosConfig)
+  const pendingResponse = axios(axiosConfig)
+  circuitBreakerService.trackRequest(pendingResponse, accountId, 'gemini', { stream: true })
+  const response = await pendingResponse
 
   logger.info('✅ streamGenerateContent API调用成功，开始流式传输')
   return response.data // 返回流对象
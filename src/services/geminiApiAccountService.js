@@ -0,0 +1,586 @@
+const { v4: uuidv4 } = require('uuid')
+const crypto = require('crypto')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const LRUCache = require('../utils/lruCache')
+
+/**
+ * Gemini AI Studio API Key 账户
+ * 与 OAuth 账户并存，直接使用 API Key 调用 generativelanguage.googleapis.com，
+ * 支持按 Key 配置 RPM/RPD 配额，配额耗尽或上游 429 时暂停调度
+ */
+class GeminiApiAccountService {
+  constructor() {
+    // 加密相关常量
+    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
+    this.ENCRYPTION_SALT = 'gemini-api-salt'
+
+    // Redis 键前缀
+    this.ACCOUNT_KEY_PREFIX = 'gemini_api_account:'
+    this.SHARED_ACCOUNTS_KEY = 'shared_gemini_api_accounts'
+    this.RPM_KEY_PREFIX = 'gemini_api_rpm:'
+    this.RPD_KEY_PREFIX = 'gemini_api_rpd:'
+
+    this.DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com'
+
+    // 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
+    this._encryptionKeyCache = null
+
+    // 🔄 解密结果缓存，提高解密性能
+    this._decryptCache = new LRUCache(500)
+
+    // 🧹 定期清理缓存（每10分钟）
+    setInterval(
+      () => {
+        this._decryptCache.cleanup()
+        logger.info('🧹 Gemini-API decrypt cache cleanup completed', this._decryptCache.getStats())
+      },
+      10 * 60 * 1000
+    )
+  }
+
+  // 创建账户
+  async createAccount(options = {}) {
+    const {
+      name = 'Gemini API Account',
+      description = '',
+      apiKey = '', // 必填：AI Studio API Key
+      baseUrl = '', // 可选：自定义 API 地址，默认 generativelanguage.googleapis.com
+      supportedModels = [], // 支持的模型列表，空数组表示支持所有模型
+      priority = 50, // 调度优先级 (1-100)
+      proxy = null,
+      isActive = true,
+      accountType = 'shared', // 'shared' or 'group'
+      schedulable = true, // 是否可被调度
+      rpmLimit = 0, // 每分钟请求数上限，0 表示不限制
+      rpdLimit = 0, // 每日请求数上限，0 表示不限制
+      rateLimitDuration = 1 // 上游 429 未给出重试时间时的限流时长（分钟）
+    } = options
+
+    if (!apiKey) {
+      throw Object.assign(new Error('API Key is required for Gemini API account'), {
+        httpStatus: 400
+      })
+    }
+
+    const accountId = uuidv4()
+
+    const accountData = {
+      id: accountId,
+      platform: 'gemini-api',
+      name,
+      description,
+      apiKey: this._encryptSensitiveData(apiKey),
+      baseUrl: this._normalizeBaseUrl(baseUrl),
+      supportedModels: JSON.stringify(this._normalizeModels(supportedModels)),
+      priority: priority.toString(),
+      proxy: proxy ? JSON.stringify(proxy) : '',
+      isActive: isActive.toString(),
+      accountType,
+      schedulable: schedulable.toString(),
+      rpmLimit: this._normalizeLimit(rpmLimit).toString(),
+      rpdLimit: this._normalizeLimit(rpdLimit).toString(),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: '',
+      status: 'active',
+      errorMessage: '',
+      // 限流相关
+      rateLimitedAt: '',
+      rateLimitStatus: '',
+      rateLimitResetAt: '',
+      rateLimitDuration: rateLimitDuration.toString()
+    }
+
+    await this._saveAccount(accountId, accountData)
+
+    logger.success(`🚀 Created Gemini-API account: ${name} (${accountId})`)
+
+    return {
+      ...accountData,
+      apiKey: '***', // 返回时隐藏敏感信息
+      supportedModels: JSON.parse(accountData.supportedModels),
+      proxy
+    }
+  }
+
+  // 获取账户（包含解密后的 API Key）
+  async getAccount(accountId) {
+    const client = redis.getClientSafe()
+    const accountData = await client.hgetall(`${this.ACCOUNT_KEY_PREFIX}${accountId}`)
+
+    if (!accountData || !accountData.id) {
+      return null
+    }
+
+    accountData.apiKey = this._decryptSensitiveData(accountData.apiKey)
+    return this._parseAccountFields(accountData)
+  }
+
+  // 更新账户
+  async updateAccount(accountId, updates) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      throw Object.assign(new Error('Account not found'), { httpStatus: 404 })
+    }
+
+    const updatedData = { ...updates }
+
+    // 空字符串或掩码表示保留原密钥
+    if (updatedData.apiKey !== undefined) {
+      if (!updatedData.apiKey || updatedData.apiKey === '***') {
+        delete updatedData.apiKey
+      } else {
+        updatedData.apiKey = this._encryptSensitiveData(updatedData.apiKey)
+      }
+    }
+
+    if (updatedData.baseUrl !== undefined) {
+      updatedData.baseUrl = this._normalizeBaseUrl(updatedData.baseUrl)
+    }
+
+    if (updatedData.supportedModels !== undefined) {
+      updatedData.supportedModels = JSON.stringify(
+        this._normalizeModels(updatedData.supportedModels)
+      )
+    }
+
+    if (updatedData.proxy !== undefined) {
+      updatedData.proxy = updatedData.proxy ? JSON.stringify(updatedData.proxy) : ''
+    }
+
+    for (const field of ['rpmLimit', 'rpdLimit']) {
+      if (updatedData[field] !== undefined) {
+        updatedData[field] = this._normalizeLimit(updatedData[field])
+      }
+    }
+
+    // 布尔值与数字统一以字符串存储
+    for (const field of [
+      'isActive',
+      'schedulable',
+      'priority',
+      'rpmLimit',
+      'rpdLimit',
+      'rateLimitDuration'
+    ]) {
+      if (updatedData[field] !== undefined) {
+        updatedData[field] = updatedData[field].toString()
+      }
+    }
+
+    // 这些字段由服务端维护，不允许通过更新接口覆盖
+    delete updatedData.id
+    delete updatedData.platform
+    delete updatedData.createdAt
+    delete updatedData.groupId
+    delete updatedData.groupIds
+
+    const client = redis.getClientSafe()
+    const key = `${this.ACCOUNT_KEY_PREFIX}${accountId}`
+    await client.hset(key, updatedData)
+
+    // 共享池成员关系跟随账户类型变化
+    if (updatedData.accountType === 'shared') {
+      await client.sadd(this.SHARED_ACCOUNTS_KEY, accountId)
+    } else if (updatedData.accountType) {
+      await client.srem(this.SHARED_ACCOUNTS_KEY, accountId)
+    }
+
+    logger.info(`📝 Updated Gemini-API account: ${account.name}`)
+
+    return { success: true }
+  }
+
+  // 删除账户
+  async deleteAccount(accountId) {
+    const client = redis.getClientSafe()
+
+    await client.srem(this.SHARED_ACCOUNTS_KEY, accountId)
+    await client.del(`${this.ACCOUNT_KEY_PREFIX}${accountId}`)
+
+    logger.info(`🗑️ Deleted Gemini-API account: ${accountId}`)
+
+    return { success: true }
+  }
+
+  // 获取所有账户（隐藏敏感信息，供管理界面使用）
+  async getAllAccounts(includeInactive = false) {
+    const client = redis.getClientSafe()
+    const keys = await client.keys(`${this.ACCOUNT_KEY_PREFIX}*`)
+    const accounts = []
+
+    for (const key of keys) {
+      const accountData = await client.hgetall(key)
+      if (!accountData || !accountData.id) {
+        continue
+      }
+      if (!includeInactive && accountData.isActive !== 'true') {
+        continue
+      }
+
+      const account = this._parseAccountFields(accountData)
+      const rateLimitInfo = this._getRateLimitInfo(account)
+      const quotaUsage = await this.getQuotaUsage(account.id)
+
+      accounts.push({
+        ...account,
+        apiKey: account.apiKey ? '***' : '',
+        // 转换为布尔值（前端需要布尔值来判断）
+        isActive: account.isActive === 'true',
+        schedulable: account.schedulable !== 'false',
+        rpmLimit: parseInt(account.rpmLimit) || 0,
+        rpdLimit: parseInt(account.rpdLimit) || 0,
+        quotaUsage,
+        rateLimitStatus: {
+          isRateLimited: rateLimitInfo.isRateLimited,
+          rateLimitedAt: rateLimitInfo.isRateLimited ? account.rateLimitedAt || null : null,
+          minutesRemaining: rateLimitInfo.remainingMinutes || 0
+        }
+      })
+    }
+
+    return accounts
+  }
+
+  // 获取共享池中的账户ID列表
+  async getSharedAccountIds() {
+    const client = redis.getClientSafe()
+    return client.smembers(this.SHARED_ACCOUNTS_KEY)
+  }
+
+  // 🔍 检查账户是否支持请求的模型（空列表表示支持所有模型）
+  isModelSupported(account, requestedModel) {
+    if (!requestedModel || !Array.isArray(account.supportedModels)) {
+      return true
+    }
+    if (account.supportedModels.length === 0) {
+      return true
+    }
+    // 处理可能带有 models/ 前缀的模型名
+    const normalizedModel = requestedModel.replace('models/', '')
+    return account.supportedModels.some((model) => model.replace('models/', '') === normalizedModel)
+  }
+
+  // 📊 获取当前分钟和当天的请求计数
+  async getQuotaUsage(accountId) {
+    const client = redis.getClientSafe()
+    const { rpmKey, rpdKey } = this._getQuotaKeys(accountId)
+    const [rpm, rpd] = await Promise.all([client.get(rpmKey), client.get(rpdKey)])
+    return { rpm: parseInt(rpm) || 0, rpd: parseInt(rpd) || 0 }
+  }
+
+  // 🚦 检查账户的 RPM/RPD 配额是否已用尽
+  async isQuotaExceeded(account) {
+    const rpmLimit = parseInt(account.rpmLimit) || 0
+    const rpdLimit = parseInt(account.rpdLimit) || 0
+    if (rpmLimit <= 0 && rpdLimit <= 0) {
+      return false
+    }
+
+    const usage = await this.getQuotaUsage(account.id)
+    if (rpmLimit > 0 && usage.rpm >= rpmLimit) {
+      logger.debug(`🚦 Gemini-API account ${account.name} reached RPM limit (${rpmLimit})`)
+      return true
+    }
+    if (rpdLimit > 0 && usage.rpd >= rpdLimit) {
+      logger.debug(`🚦 Gemini-API account ${account.name} reached RPD limit (${rpdLimit})`)
+      return true
+    }
+    return false
+  }
+
+  // ➕ 记录一次请求（发送上游请求前调用）
+  async consumeQuota(accountId) {
+    const client = redis.getClientSafe()
+    const { rpmKey, rpdKey } = this._getQuotaKeys(accountId)
+
+    await client
+      .pipeline()
+      .incr(rpmKey)
+      .expire(rpmKey, 60)
+      .incr(rpdKey)
+      .expire(rpdKey, 25 * 60 * 60)
+      .exec()
+  }
+
+  // 标记账户限流；duration 为分钟数，未提供时使用账户配置的限流时长
+  async markAccountRateLimited(accountId, duration = null) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      return
+    }
+
+    const rateLimitDuration = duration || parseFloat(account.rateLimitDuration) || 1
+    const now = new Date()
+    const resetAt = new Date(now.getTime() + rateLimitDuration * 60000)
+
+    await this.updateAccount(accountId, {
+      rateLimitedAt: now.toISOString(),
+      rateLimitStatus: 'limited',
+      rateLimitResetAt: resetAt.toISOString(),
+      status: 'rateLimited',
+      errorMessage: `Rate limited until ${resetAt.toISOString()}`
+    })
+
+    logger.warn(
+      `⏳ Gemini-API account ${account.name} marked as rate limited for ${rateLimitDuration} minutes`
+    )
+  }
+
+  // ✅ 移除账户的限流状态
+  async removeAccountRateLimit(accountId) {
+    await this.updateAccount(accountId, {
+      rateLimitedAt: '',
+      rateLimitStatus: '',
+      rateLimitResetAt: '',
+      status: 'active',
+      errorMessage: ''
+    })
+    logger.info(`✅ Rate limit cleared for Gemini-API account ${accountId}`)
+  }
+
+  // 🚫 标记账户为未授权状态（401/403错误）
+  async markAccountUnauthorized(accountId, reason = 'Gemini API Key 认证失败（401/403错误）') {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      return
+    }
+
+    const now = new Date().toISOString()
+    await this.updateAccount(accountId, {
+      status: 'unauthorized',
+      schedulable: 'false',
+      errorMessage: reason,
+      unauthorizedAt: now
+    })
+
+    logger.warn(`🚫 Gemini-API account ${account.name} marked as unauthorized`)
+
+    try {
+      const webhookNotifier = require('../utils/webhookNotifier')
+      await webhookNotifier.sendAccountAnomalyNotification({
+        accountId,
+        accountName: account.name || accountId,
+        platform: 'gemini-api',
+        status: 'unauthorized',
+        errorCode: 'GEMINI_API_UNAUTHORIZED',
+        reason,
+        timestamp: now
+      })
+    } catch (webhookError) {
+      logger.error('Failed to send unauthorized webhook notification:', webhookError)
+    }
+  }
+
+  // 检查并清除过期的限流状态，返回账户当前是否仍处于限流中
+  async isAccountRateLimited(account) {
+    if (account.rateLimitStatus !== 'limited') {
+      return false
+    }
+
+    if (this._getRateLimitInfo(account).isRateLimited) {
+      return true
+    }
+
+    await this.removeAccountRateLimit(account.id)
+    return false
+  }
+
+  // 切换调度状态
+  async toggleSchedulable(accountId) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      throw Object.assign(new Error('Account not found'), { httpStatus: 404 })
+    }
+
+    const schedulable = account.schedulable === 'false'
+    await this.updateAccount(accountId, { schedulable })
+
+    logger.info(`🔄 Toggled schedulable status for account ${account.name}: ${schedulable}`)
+
+    return { success: true, schedulable }
+  }
+
+  // 更新账户最后使用时间
+  async markAccountUsed(accountId) {
+    const client = redis.getClientSafe()
+    await client.hset(
+      `${this.ACCOUNT_KEY_PREFIX}${accountId}`,
+      'lastUsedAt',
+      new Date().toISOString()
+    )
+  }
+
+  // 重置账户状态（清除所有异常状态）
+  async resetAccountStatus(accountId) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      throw Object.assign(new Error('Account not found'), { httpStatus: 404 })
+    }
+
+    await this.updateAccount(accountId, {
+      status: 'active',
+      schedulable: 'true',
+      errorMessage: '',
+      rateLimitedAt: '',
+      rateLimitStatus: '',
+      rateLimitResetAt: ''
+    })
+    logger.info(`✅ Reset all error status for Gemini-API account ${accountId}`)
+
+    return { success: true, message: 'Account status reset successfully' }
+  }
+
+  // RPD 按太平洋时间自然日计数，与 AI Studio 的每日配额重置时间一致
+  _getQuotaKeys(accountId) {
+    const now = new Date()
+    const minute = Math.floor(now.getTime() / 60000)
+    const day = now.toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' })
+    return {
+      rpmKey: `${this.RPM_KEY_PREFIX}${accountId}:${minute}`,
+      rpdKey: `${this.RPD_KEY_PREFIX}${accountId}:${day}`
+    }
+  }
+
+  _normalizeLimit(value) {
+    const limit = parseInt(value)
+    return Number.isFinite(limit) && limit > 0 ? limit : 0
+  }
+
+  _normalizeModels(supportedModels) {
+    if (!Array.isArray(supportedModels)) {
+      return []
+    }
+    return supportedModels
+      .filter((model) => model && typeof model === 'string')
+      .map((model) => model.trim())
+      .filter(Boolean)
+  }
+
+  _normalizeBaseUrl(baseUrl) {
+    const trimmed = (baseUrl || '').trim().replace(/\/+$/, '')
+    if (!trimmed) {
+      return this.DEFAULT_BASE_URL
+    }
+    if (!/^https?:\/\/[^\s/]+/i.test(trimmed)) {
+      throw Object.assign(new Error('Base URL must start with http:// or https://'), {
+        httpStatus: 400
+      })
+    }
+    return trimmed
+  }
+
+  _parseAccountFields(accountData) {
+    try {
+      accountData.supportedModels = JSON.parse(accountData.supportedModels || '[]')
+    } catch (e) {
+      accountData.supportedModels = []
+    }
+
+    if (accountData.proxy) {
+      try {
+        accountData.proxy = JSON.parse(accountData.proxy)
+      } catch (e) {
+        accountData.proxy = null
+      }
+    } else {
+      accountData.proxy = null
+    }
+
+    accountData.baseUrl = accountData.baseUrl || this.DEFAULT_BASE_URL
+    accountData.platform = accountData.platform || 'gemini-api'
+    return accountData
+  }
+
+  // 获取限流信息
+  _getRateLimitInfo(accountData) {
+    if (accountData.rateLimitStatus !== 'limited') {
+      return { isRateLimited: false }
+    }
+
+    const now = Date.now()
+    const resetAt = accountData.rateLimitResetAt
+      ? new Date(accountData.rateLimitResetAt).getTime()
+      : new Date(accountData.rateLimitedAt).getTime() +
+        (parseFloat(accountData.rateLimitDuration) || 1) * 60000
+    const remainingMinutes = Math.max(0, Math.ceil((resetAt - now) / 60000))
+
+    return { isRateLimited: remainingMinutes > 0, remainingMinutes }
+  }
+
+  // 加密敏感数据
+  _encryptSensitiveData(text) {
+    if (!text) {
+      return ''
+    }
+
+    const key = this._getEncryptionKey()
+    const iv = crypto.randomBytes(16)
+    const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
+
+    let encrypted = cipher.update(text)
+    encrypted = Buffer.concat([encrypted, cipher.final()])
+
+    return `${iv.toString('hex')}:${encrypted.toString('hex')}`
+  }
+
+  // 解密敏感数据
+  _decryptSensitiveData(text) {
+    if (!text) {
+      return ''
+    }
+
+    const cacheKey = crypto.createHash('sha256').update(text).digest('hex')
+    const cached = this._decryptCache.get(cacheKey)
+    if (cached !== undefined) {
+      return cached
+    }
+
+    try {
+      const key = this._getEncryptionKey()
+      const [ivHex, encryptedHex] = text.split(':')
+
+      const iv = Buffer.from(ivHex, 'hex')
+      const encryptedText = Buffer.from(encryptedHex, 'hex')
+
+      const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
+      let decrypted = decipher.update(encryptedText)
+      decrypted = Buffer.concat([decrypted, decipher.final()])
+
+      const result = decrypted.toString()
+
+      // 存入缓存（5分钟过期）
+      this._decryptCache.set(cacheKey, result, 5 * 60 * 1000)
+
+      return result
+    } catch (error) {
+      logger.error('Decryption error:', error)
+      return ''
+    }
+  }
+
+  // 获取加密密钥
+  _getEncryptionKey() {
+    if (!this._encryptionKeyCache) {
+      this._encryptionKeyCache = crypto.scryptSync(
+        config.security.encryptionKey,
+        this.ENCRYPTION_SALT,
+        32
+      )
+    }
+    return this._encryptionKeyCache
+  }
+
+  // 保存账户到 Redis
+  async _saveAccount(accountId, accountData) {
+    const client = redis.getClientSafe()
+    await client.hset(`${this.ACCOUNT_KEY_PREFIX}${accountId}`, accountData)
+
+    if (accountData.accountType === 'shared') {
+      await client.sadd(this.SHARED_ACCOUNTS_KEY, accountId)
+    }
+  }
+}
+
+module.exports = new GeminiApiAccountService()
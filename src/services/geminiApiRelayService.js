@@ -0,0 +1,356 @@
+/**
+ * Gemini AI Studio API Key 中继服务
+ * 使用 x-goog-api-key 直接调用 generativelanguage.googleapis.com，
+ * 发送前计入 RPM/RPD 配额，上游 429 时按返回的重试时间暂停账户调度
+ */
+
+const axios = require('axios')
+const ProxyHelper = require('../utils/proxyHelper')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const geminiApiAccountService = require('./geminiApiAccountService')
+const apiKeyService = require('./apiKeyService')
+const circuitBreakerService = require('./circuitBreakerService')
+
+class GeminiApiRelayService {
+  constructor() {
+    this.defaultTimeout = config.requestTimeout || 600000
+    this.apiVersion = 'v1beta'
+  }
+
+  /**
+   * 调用 generateContent / streamGenerateContent，或通过 action 指定 embedContent 等其他方法
+   * @param {Object} account - 调度器选中的 API Key 账户（含解密后的 apiKey）
+   * @param {Object} options - { model, request, stream, signal, action }
+   * @returns {Promise<Object|Stream>} 非流式返回标准 Gemini 响应体，流式返回 SSE 数据流
+   */
+  async sendRequest(account, { model, request, stream = false, signal = null, action = null }) {
+    const modelName = (model || '').replace(/^models\//, '')
+    const method = action || (stream ? 'streamGenerateContent?alt=sse' : 'generateContent')
+    const targetUrl = `${account.baseUrl}/${this.apiVersion}/models/${encodeURIComponent(modelName)}:${method}`
+
+    const requestOptions = {
+      method: 'POST',
+      url: targetUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': account.apiKey
+      },
+      data: request,
+      timeout: this.defaultTimeout,
+      responseType: stream ? 'stream' : 'json',
+      validateStatus: () => true
+    }
+    if (signal) {
+      requestOptions.signal = signal
+    }
+
+    if (account.proxy) {
+      const proxyAgent = ProxyHelper.createProxyAgent(account.proxy)
+      if (proxyAgent) {
+        requestOptions.httpAgent = proxyAgent
+        requestOptions.httpsAgent = proxyAgent
+        requestOptions.proxy = false
+        logger.info(
+          `🌐 Using proxy for Gemini-API: ${ProxyHelper.getProxyDescription(account.proxy)}`
+        )
+      }
+    }
+
+    logger.info(
+      `📤 Gemini-API relay ${modelName} (${action || (stream ? 'stream' : 'non-stream')}) via ${account.name} (${account.id})`
+    )
+
+    await geminiApiAccountService.consumeQuota(account.id)
+    await geminiApiAccountService.markAccountUsed(account.id)
+
+    const pendingResponse = axios(requestOptions)
+    circuitBreakerService.trackRequest(pendingResponse, account.id, 'gemini-api', { stream })
+    const response = await pendingResponse
+
+    if (response.status < 200 || response.status >= 300) {
+      const errorBody = stream ? await this._readStreamBody(response.data) : response.data
+      await this._handleUpstreamError(account, response, errorBody)
+
+      const upstreamError = errorBody?.error
+      throw Object.assign(
+        new Error(upstreamError?.message || `Gemini API returned ${response.status}`),
+        { status: response.status, error: upstreamError || undefined }
+      )
+    }
+
+    return response.data
+  }
+
+  /**
+   * 标准 Gemini API 路由的透传处理：请求体原样转发，响应原样返回并记录用量
+   * @param {Object} req - Express 请求（req.body 为标准 Gemini 请求体）
+   * @param {Object} res - Express 响应
+   * @param {Object} account - 调度器选中的 API Key 账户
+   * @param {Object} options - { model, stream, action }（action 为 embedContent 等非生成类方法）
+   */
+  async handleStandardRequest(req, res, account, { model, stream = false, action = null }) {
+    const abortController = new AbortController()
+
+    // 仅监听响应关闭：请求体读取完毕后 req 也会触发 close
+    const handleClientDisconnect = () => {
+      if (!res.writableEnded && !abortController.signal.aborted) {
+        logger.info('🔌 Client disconnected, aborting Gemini-API request')
+        abortController.abort()
+      }
+    }
+    res.once('close', handleClientDisconnect)
+
+    try {
+      const upstream = await this.sendRequest(account, {
+        model,
+        request: req.body,
+        stream,
+        signal: abortController.signal,
+        action
+      })
+
+      if (!stream) {
+        // embedContent / batchEmbedContents 的响应不包含 usageMetadata，按请求文本估算输入 token
+        const usageMetadata =
+          upstream?.usageMetadata ||
+          (action ? this._estimateEmbeddingUsage(this._collectEmbeddingTexts(req.body)) : null)
+        await this._recordUsage(req, usageMetadata, model, account.id)
+        return res.json(upstream)
+      }
+
+      return await this._pipeStream(req, res, upstream, model, account.id)
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info('🔌 Gemini-API request aborted by client')
+        return undefined
+      }
+
+      logger.error(`❌ Gemini-API relay error for account ${account.id}:`, error.message)
+      if (res.headersSent) {
+        if (!res.destroyed) {
+          res.end()
+        }
+        return undefined
+      }
+
+      const status = error.status || (error.code === 'ECONNABORTED' ? 504 : 502)
+      return res.status(status).json({
+        error: error.error || { code: status, message: error.message, status: 'UNAVAILABLE' }
+      })
+    } finally {
+      res.removeListener('close', handleClientDisconnect)
+    }
+  }
+
+  /**
+   * OpenAI 格式的 embeddings 请求：转换为 batchEmbedContents 调用，再转换回 OpenAI 响应
+   * @param {Object} req - Express 请求（req.body 为 OpenAI embeddings 格式）
+   * @param {Object} res - Express 响应
+   * @param {Object} account - 调度器选中的 API Key 账户
+   */
+  async handleOpenAIEmbeddings(req, res, account) {
+    const model = (req.body.model || '').replace(/^models\//, '')
+    const inputs = Array.isArray(req.body.input) ? req.body.input : [req.body.input]
+
+    if (inputs.length === 0 || inputs.some((input) => typeof input !== 'string')) {
+      return res.status(400).json({
+        error: {
+          message: 'Gemini embedding models only accept string or string array input',
+          type: 'invalid_request_error',
+          code: 'invalid_request'
+        }
+      })
+    }
+
+    const request = {
+      requests: inputs.map((text) => ({
+        model: `models/${model}`,
+        content: { parts: [{ text }] },
+        ...(req.body.dimensions ? { outputDimensionality: req.body.dimensions } : {})
+      }))
+    }
+
+    try {
+      const upstream = await this.sendRequest(account, {
+        model,
+        request,
+        action: 'batchEmbedContents'
+      })
+
+      const usageMetadata = upstream?.usageMetadata || this._estimateEmbeddingUsage(inputs)
+      await this._recordUsage(req, usageMetadata, model, account.id)
+
+      const promptTokens = usageMetadata.promptTokenCount || 0
+      return res.json({
+        object: 'list',
+        data: (upstream?.embeddings || []).map((embedding, index) => ({
+          object: 'embedding',
+          index,
+          embedding: this._encodeEmbedding(embedding.values || [], req.body.encoding_format)
+        })),
+        model,
+        usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+      })
+    } catch (error) {
+      logger.error(`❌ Gemini-API embeddings error for account ${account.id}:`, error.message)
+      const status = error.status || (error.code === 'ECONNABORTED' ? 504 : 502)
+      return res.status(status).json({
+        error: {
+          message: error.message,
+          type: status === 429 ? 'rate_limit_error' : 'upstream_error',
+          code: error.error?.status || status
+        }
+      })
+    }
+  }
+
+  // OpenAI 的 encoding_format=base64 表示 little-endian float32 数组
+  _encodeEmbedding(values, encodingFormat) {
+    if (encodingFormat !== 'base64') {
+      return values
+    }
+    return Buffer.from(new Float32Array(values).buffer).toString('base64')
+  }
+
+  // 提取 embedContent / batchEmbedContents 请求中的全部文本
+  _collectEmbeddingTexts(body) {
+    const requests = Array.isArray(body?.requests) ? body.requests : [body]
+    return requests.flatMap((request) =>
+      (request?.content?.parts || []).map((part) => part?.text).filter(Boolean)
+    )
+  }
+
+  // 上游未返回 token 数时按约 4 字符 / token 估算
+  _estimateEmbeddingUsage(texts) {
+    const characters = texts.reduce((sum, text) => sum + text.length, 0)
+    const promptTokenCount = Math.ceil(characters / 4)
+    return { promptTokenCount, candidatesTokenCount: 0, totalTokenCount: promptTokenCount }
+  }
+
+  // 透传上游 SSE，同时记录最后一个 usageMetadata
+  _pipeStream(req, res, stream, model, accountId) {
+    return new Promise((resolve) => {
+      let buffer = ''
+      let usageMetadata = null
+
+      res.setHeader('Content-Type', 'text/event-stream')
+      res.setHeader('Cache-Control', 'no-cache')
+      res.setHeader('Connection', 'keep-alive')
+      res.setHeader('X-Accel-Buffering', 'no')
+
+      const inspectLine = (line) => {
+        const jsonData = line.startsWith('data:') ? line.slice(5).trim() : ''
+        if (!jsonData || jsonData === '[DONE]') {
+          return
+        }
+        try {
+          const data = JSON.parse(jsonData)
+          if (data.usageMetadata) {
+            ;({ usageMetadata } = data)
+          }
+        } catch (error) {
+          logger.debug('⚠️ Failed to parse Gemini-API stream line:', error.message)
+        }
+      }
+
+      stream.on('data', (chunk) => {
+        if (!res.destroyed) {
+          res.write(chunk)
+        }
+        buffer += chunk.toString()
+        const lines = buffer.split('\n')
+        buffer = lines.pop() || ''
+        lines.forEach(inspectLine)
+      })
+
+      stream.on('end', async () => {
+        if (buffer.trim()) {
+          inspectLine(buffer.trim())
+        }
+        await this._recordUsage(req, usageMetadata, model, accountId)
+        if (!res.destroyed) {
+          res.end()
+        }
+        resolve()
+      })
+
+      stream.on('error', (error) => {
+        logger.error('❌ Gemini-API upstream stream error:', error)
+        if (!res.destroyed) {
+          res.end()
+        }
+        resolve()
+      })
+    })
+  }
+
+  // 429 按上游重试时间标记限流，401/403 标记未授权
+  async _handleUpstreamError(account, response, errorBody) {
+    logger.warn(`⚠️ Gemini-API upstream returned ${response.status} for account ${account.name}`)
+
+    if (response.status === 429) {
+      const retrySeconds = this._getRetryDelaySeconds(response, errorBody)
+      await geminiApiAccountService
+        .markAccountRateLimited(account.id, retrySeconds ? retrySeconds / 60 : null)
+        .catch((error) => logger.error('❌ Failed to mark account rate limited:', error))
+    } else if (response.status === 401 || response.status === 403) {
+      await geminiApiAccountService
+        .markAccountUnauthorized(account.id)
+        .catch((error) => logger.error('❌ Failed to mark account unauthorized:', error))
+    }
+  }
+
+  // 从 RetryInfo 详情（如 "37s"）或 Retry-After 头中解析重试秒数
+  _getRetryDelaySeconds(response, errorBody) {
+    const details = errorBody?.error?.details
+    if (Array.isArray(details)) {
+      const retryInfo = details.find((detail) => typeof detail?.retryDelay === 'string')
+      const seconds = retryInfo ? parseFloat(retryInfo.retryDelay) : NaN
+      if (Number.isFinite(seconds) && seconds > 0) {
+        return Math.ceil(seconds)
+      }
+    }
+
+    const retryAfter = parseInt(response.headers?.['retry-after'])
+    return Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null
+  }
+
+  async _readStreamBody(stream) {
+    let raw = ''
+    try {
+      for await (const chunk of stream) {
+        raw += chunk.toString()
+      }
+      return JSON.parse(raw)
+    } catch (error) {
+      return raw
+    }
+  }
+
+  async _recordUsage(req, usageMetadata, model, accountId) {
+    if (!usageMetadata) {
+      return
+    }
+
+    try {
+      await apiKeyService.recordUsage(
+        req.apiKey.id,
+        usageMetadata.promptTokenCount || 0,
+        usageMetadata.candidatesTokenCount || 0,
+        0, // cacheCreateTokens
+        0, // cacheReadTokens
+        model,
+        accountId,
+        'gemini-api'
+      )
+      logger.info(
+        `📊 Recorded Gemini-API usage - Input: ${usageMetadata.promptTokenCount}, Output: ${usageMetadata.candidatesTokenCount}, Total: ${usageMetadata.totalTokenCount}`
+      )
+    } catch (error) {
+      logger.error('Failed to record Gemini-API usage:', error)
+    }
+  }
+}
+
+module.exports = new GeminiApiRelayService()
@@ -3,6 +3,7 @@ const ProxyHelper = require('../utils/proxyHelper')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
 const apiKeyService = require('./apiKeyService')
+const circuitBreakerService = require('./circuitBreakerService')
 
 // Gemini API 配置
 const GEMINI_API_BASE = 'https://cloudcode.googleapis.com/v1'
@@ -163,7 +164,8 @@ async function* handleStreamResponse(response, model, apiKeyId, accountId = null
                   0, // cacheCreateTokens (Gemini 没有这个概念)
                   0, // cacheReadTokens (Gemini 没有这个概念)
                   model,
-                  accountId
+                  accountId,
+                  'gemini'
                 )
                 .catch((error) => {
                   logger.error('❌ Failed to record Gemini usage:', error)
@@ -299,7 +301,9 @@ async function sendGeminiRequest({
 
   try {
     logger.debug('Sending request to Gemini API')
-    const response = await axios(axiosConfig)
+    const request = axios(axiosConfig)
+    circuitBreakerService.trackRequest(request, accountId, 'gemini', { stream })
+    const response = await request
 
     if (stream) {
       return handleStreamResponse(response, model, apiKeyId, accountId)
@@ -317,7 +321,8 @@ async function sendGeminiRequest({
             0, // cacheCreateTokens
             0, // cacheReadTokens
             model,
-            accountId
+            accountId,
+            'gemini'
           )
           .catch((error) => {
             logger.error('❌ Failed to record Gemini usage:', error)
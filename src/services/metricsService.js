@@ -0,0 +1,501 @@
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+
+/**
+ * Prometheus/OpenMetrics 指标服务
+ *
+ * 设计原则:
+ * 1. 进程内聚合: 计数器和直方图保存在当前实例内存中，由 Prometheus 逐实例抓取
+ * 2. 抓取时采集: 并发数、账户状态等 Redis 中的数据只在 /metrics 被请求时读取
+ * 3. 零侵入: 记录失败只打 debug 日志，不影响请求主流程
+ */
+
+// 默认直方图桶（秒），覆盖从快速失败到长时间流式响应
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+
+// 标签值最大长度，防止异常输入造成超长时间序列
+const MAX_LABEL_LENGTH = 128
+
+// model 标签最多保留的不同取值，超出后归入 other，防止客户端随意填写模型名造成时间序列膨胀
+const MAX_MODEL_LABEL_VALUES = 100
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+const normalizeLabelValue = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 'unknown'
+  }
+  const str = String(value)
+  return str.length > MAX_LABEL_LENGTH ? str.substring(0, MAX_LABEL_LENGTH) : str
+}
+
+const formatLabels = (labelNames, labelValues, extra = null) => {
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(labelValues[index])}"`)
+  if (extra) {
+    pairs.push(`${extra[0]}="${escapeLabelValue(extra[1])}"`)
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+const formatNumber = (value) => {
+  if (value === Infinity) {
+    return '+Inf'
+  }
+  if (!Number.isFinite(value)) {
+    return '0'
+  }
+  return String(value)
+}
+
+class Metric {
+  constructor(name, help, type, labelNames = []) {
+    this.name = name
+    this.help = help
+    this.type = type
+    this.labelNames = labelNames
+    this.series = new Map()
+  }
+
+  _resolveLabels(labels = {}) {
+    const values = this.labelNames.map((name) => normalizeLabelValue(labels[name]))
+    return { key: values.join('\u0001'), values }
+  }
+
+  reset() {
+    this.series.clear()
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+    for (const { values, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatNumber(value)}`)
+    }
+    return lines
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, 'counter', labelNames)
+  }
+
+  inc(labels = {}, amount = 1) {
+    const num = Number(amount)
+    if (!Number.isFinite(num) || num < 0) {
+      return
+    }
+    const { key, values } = this._resolveLabels(labels)
+    const entry = this.series.get(key)
+    if (entry) {
+      entry.value += num
+    } else {
+      this.series.set(key, { values, value: num })
+    }
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, 'gauge', labelNames)
+  }
+
+  set(labels = {}, value = 0) {
+    const num = Number(value)
+    if (!Number.isFinite(num)) {
+      return
+    }
+    const { key, values } = this._resolveLabels(labels)
+    this.series.set(key, { values, value: num })
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super(name, help, 'histogram', labelNames)
+    this.buckets = [...buckets].sort((a, b) => a - b)
+  }
+
+  observe(labels = {}, value) {
+    const num = Number(value)
+    if (!Number.isFinite(num) || num < 0) {
+      return
+    }
+    const { key, values } = this._resolveLabels(labels)
+    let entry = this.series.get(key)
+    if (!entry) {
+      entry = { values, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }
+      this.series.set(key, entry)
+    }
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (num <= this.buckets[i]) {
+        entry.counts[i]++
+      }
+    }
+    entry.sum += num
+    entry.count++
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+    for (const { values, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bucket, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels(this.labelNames, values, ['le', bucket])} ${counts[index]}`
+        )
+      })
+      lines.push(
+        `${this.name}_bucket${formatLabels(this.labelNames, values, ['le', '+Inf'])} ${count}`
+      )
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatNumber(sum)}`)
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`)
+    }
+    return lines
+  }
+}
+
+// 根据挂载路径推断请求所属平台
+const PLATFORM_PREFIXES = [
+  ['/openai/gemini', 'gemini'],
+  ['/openai/claude', 'claude'],
+  ['/gemini', 'gemini'],
+  ['/openai', 'openai'],
+  ['/azure', 'azure-openai'],
+  ['/droid', 'droid'],
+  ['/api', 'claude'],
+  ['/claude', 'claude'],
+  ['/admin', 'admin'],
+  ['/users', 'user'],
+  ['/apiStats', 'stats'],
+  ['/web', 'web']
+]
+
+class MetricsService {
+  constructor() {
+    this.startTime = Date.now()
+    this.modelLabels = new Set()
+
+    // 📥 入站请求
+    this.httpRequestsTotal = new Counter(
+      'crs_http_requests_total',
+      'Total HTTP requests handled by the relay',
+      ['route', 'method', 'platform', 'model', 'status']
+    )
+    this.httpRequestDuration = new Histogram(
+      'crs_http_request_duration_seconds',
+      'End-to-end HTTP request duration in seconds',
+      ['route', 'platform', 'status']
+    )
+
+    // 📤 上游请求（仅 Claude 官方与 Claude Console 中继上报）
+    this.upstreamRequestDuration = new Histogram(
+      'crs_upstream_request_duration_seconds',
+      'Time until the upstream response headers were received, per Claude official or Claude Console account',
+      ['account_type', 'account_id', 'status', 'stream']
+    )
+
+    // 💰 Token 与费用
+    this.tokensTotal = new Counter(
+      'crs_tokens_total',
+      'Tokens recorded for billing, by token type',
+      ['model', 'account_type', 'type']
+    )
+    this.costTotal = new Counter('crs_cost_usd_total', 'Cost recorded for billing in USD', [
+      'model',
+      'account_type'
+    ])
+
+    // 🚦 账户状态变化
+    this.accountStateTransitions = new Counter(
+      'crs_account_state_transitions_total',
+      'Account state changes recorded by the scheduler (rate_limited, unauthorized, blocked, overloaded)',
+      ['account_type', 'state']
+    )
+
+    // 🚥 并发排队
+    this.concurrencyQueueRequests = new Counter(
+      'crs_concurrency_queue_requests_total',
+      'Requests that hit a full API key concurrency limit in queue mode, by outcome (acquired, timeout, aborted, rejected)',
+      ['outcome']
+    )
+    this.concurrencyQueueWait = new Histogram(
+      'crs_concurrency_queue_wait_seconds',
+      'Time queued requests waited for an API key concurrency slot',
+      ['outcome']
+    )
+
+    // 抓取时重新计算的 gauge
+    this.apiKeyConcurrency = new Gauge(
+      'crs_api_key_concurrency',
+      'Current in-flight requests per API key',
+      ['api_key_id']
+    )
+    this.apiKeyConcurrencyQueueDepth = new Gauge(
+      'crs_api_key_concurrency_queue_depth',
+      'Requests currently waiting for a concurrency slot per API key',
+      ['api_key_id']
+    )
+    this.userConcurrency = new Gauge(
+      'crs_user_concurrency',
+      'Current in-flight requests per user across all of their API keys',
+      ['user_id']
+    )
+    this.accountConcurrency = new Gauge(
+      'crs_account_concurrency',
+      'Current in-flight requests per Claude Console account',
+      ['account_id']
+    )
+    this.accountsInState = new Gauge(
+      'crs_claude_accounts',
+      'Number of Claude accounts currently in each abnormal state',
+      ['account_type', 'state']
+    )
+    this.processUptime = new Gauge(
+      'crs_process_uptime_seconds',
+      'Seconds since the relay process started',
+      []
+    )
+    this.processMemory = new Gauge('crs_process_memory_bytes', 'Process memory usage in bytes', [
+      'type'
+    ])
+
+    this.metrics = [
+      this.httpRequestsTotal,
+      this.httpRequestDuration,
+      this.upstreamRequestDuration,
+      this.tokensTotal,
+      this.costTotal,
+      this.accountStateTransitions,
+      this.concurrencyQueueRequests,
+      this.concurrencyQueueWait,
+      this.apiKeyConcurrency,
+      this.apiKeyConcurrencyQueueDepth,
+      this.userConcurrency,
+      this.accountConcurrency,
+      this.accountsInState,
+      this.processUptime,
+      this.processMemory
+    ]
+  }
+
+  // 🧭 推断请求平台
+  resolvePlatform(path = '') {
+    for (const [prefix, platform] of PLATFORM_PREFIXES) {
+      if (path === prefix || path.startsWith(`${prefix}/`)) {
+        return platform
+      }
+    }
+    return 'other'
+  }
+
+  // 🏷️ 规范化 model 标签：统一小写并限制不同取值的数量
+  normalizeModelLabel(model) {
+    if (typeof model !== 'string' || !model.trim()) {
+      return 'unknown'
+    }
+    const label = model.trim().toLowerCase().substring(0, MAX_LABEL_LENGTH)
+    if (this.modelLabels.has(label)) {
+      return label
+    }
+    if (this.modelLabels.size >= MAX_MODEL_LABEL_VALUES) {
+      return 'other'
+    }
+    this.modelLabels.add(label)
+    return label
+  }
+
+  /**
+   * 记录一次入站 HTTP 请求
+   * @param {Object} req - Express 请求对象
+   * @param {number} statusCode - 响应状态码
+   * @param {number} durationMs - 请求耗时（毫秒）
+   */
+  recordHttpRequest(req, statusCode, durationMs) {
+    try {
+      const baseUrl = req.baseUrl || ''
+      // 只使用路由模板作为标签，避免把路径参数展开成大量时间序列
+      const route = req.route && req.route.path ? `${baseUrl}${req.route.path}` : 'unmatched'
+      const platform = this.resolvePlatform(baseUrl || req.path || '')
+      // 仅对已认证的 API Key 请求记录模型，防止匿名请求注入任意标签值
+      const model = req.apiKey
+        ? this.normalizeModelLabel(req.body?.model || req.params?.model)
+        : 'none'
+      const status = String(statusCode)
+
+      this.httpRequestsTotal.inc({ route, method: req.method, platform, model, status })
+      this.httpRequestDuration.observe({ route, platform, status }, durationMs / 1000)
+    } catch (error) {
+      logger.debug('Failed to record HTTP request metrics:', error.message)
+    }
+  }
+
+  /**
+   * 记录上游请求延迟（目前仅由 claudeRelayService 与 claudeConsoleRelayService 调用）
+   * @param {Object} info - 上游请求信息
+   * @param {string} info.accountId - 账户ID
+   * @param {string} info.accountType - 账户类型
+   * @param {number|string} info.status - 上游状态码或错误类型（error/timeout）
+   * @param {boolean} info.stream - 是否为流式请求
+   * @param {number} durationMs - 到收到响应头为止的耗时（毫秒）
+   */
+  observeUpstreamLatency({ accountId, accountType, status, stream = false }, durationMs) {
+    this.upstreamRequestDuration.observe(
+      {
+        account_type: accountType,
+        account_id: accountId,
+        status,
+        stream: stream ? 'true' : 'false'
+      },
+      durationMs / 1000
+    )
+  }
+
+  /**
+   * 记录计费用量（由 apiKeyService 在记录使用统计时调用）
+   * @param {Object} usage - token 用量
+   * @param {number} cost - 费用（美元）
+   * @param {string} model - 模型名称
+   * @param {string} accountType - 账户类型
+   */
+  recordUsage(usage, cost, model, accountType) {
+    const labels = { model: this.normalizeModelLabel(model), account_type: accountType }
+    this.tokensTotal.inc({ ...labels, type: 'input' }, usage.inputTokens || 0)
+    this.tokensTotal.inc({ ...labels, type: 'output' }, usage.outputTokens || 0)
+    this.tokensTotal.inc({ ...labels, type: 'cache_create' }, usage.cacheCreateTokens || 0)
+    this.tokensTotal.inc({ ...labels, type: 'cache_read' }, usage.cacheReadTokens || 0)
+    if (cost > 0) {
+      this.costTotal.inc(labels, cost)
+    }
+  }
+
+  // 🚦 记录账户状态变化
+  recordAccountState(accountType, state) {
+    this.accountStateTransitions.inc({ account_type: accountType, state })
+  }
+
+  /**
+   * 记录并发排队结果
+   * @param {string} outcome - acquired / timeout / aborted / rejected（队列已满）
+   * @param {number} waitedMs - 排队时长（毫秒），未入队时不传
+   */
+  recordConcurrencyQueueOutcome(outcome, waitedMs = null) {
+    this.concurrencyQueueRequests.inc({ outcome })
+    if (waitedMs !== null) {
+      this.concurrencyQueueWait.observe({ outcome }, waitedMs / 1000)
+    }
+  }
+
+  // 🔢 从 Redis 采集并发数与排队长度
+  async _collectConcurrency() {
+    this.apiKeyConcurrency.reset()
+    this.apiKeyConcurrencyQueueDepth.reset()
+    this.userConcurrency.reset()
+    this.accountConcurrency.reset()
+
+    const keys = await redis.keys('concurrency:*')
+    for (const key of keys) {
+      const id = key.substring('concurrency:'.length)
+      const count = await redis.getConcurrency(id)
+      if (id.startsWith('console_account:')) {
+        this.accountConcurrency.set({ account_id: id.substring('console_account:'.length) }, count)
+      } else if (id.startsWith('user:')) {
+        this.userConcurrency.set({ user_id: id.substring('user:'.length) }, count)
+      } else {
+        this.apiKeyConcurrency.set({ api_key_id: id }, count)
+      }
+    }
+
+    const queueKeys = await redis.keys('concurrency_queue:*')
+    for (const key of queueKeys) {
+      const id = key.substring('concurrency_queue:'.length)
+      this.apiKeyConcurrencyQueueDepth.set(
+        { api_key_id: id },
+        await redis.getConcurrencyQueueLength(id)
+      )
+    }
+  }
+
+  // 🚦 从 Redis 采集 Claude 账户的当前异常状态
+  async _collectAccountStates() {
+    this.accountsInState.reset()
+    const client = redis.getClientSafe()
+
+    const countStates = (accountType, accounts, isOverloaded) => {
+      const counts = { rate_limited: 0, unauthorized: 0, blocked: 0, overloaded: 0 }
+      for (const account of accounts) {
+        if (account.rateLimitStatus === 'limited') {
+          counts.rate_limited++
+        }
+        if (account.status === 'unauthorized') {
+          counts.unauthorized++
+        }
+        if (account.status === 'blocked') {
+          counts.blocked++
+        }
+        if (isOverloaded(account)) {
+          counts.overloaded++
+        }
+      }
+      for (const [state, count] of Object.entries(counts)) {
+        this.accountsInState.set({ account_type: accountType, state }, count)
+      }
+    }
+
+    const officialAccounts = await redis.getAllClaudeAccounts()
+    const overloadKeys = new Set(await client.keys('account:overload:*'))
+    countStates('claude-official', officialAccounts, (account) =>
+      overloadKeys.has(`account:overload:${account.id}`)
+    )
+
+    const consoleKeys = await client.keys('claude_console_account:*')
+    const consoleAccounts = []
+    for (const key of consoleKeys) {
+      const data = await client.hgetall(key)
+      if (data && data.id) {
+        consoleAccounts.push(data)
+      }
+    }
+    countStates(
+      'claude-console',
+      consoleAccounts,
+      (account) => account.overloadStatus === 'overloaded'
+    )
+  }
+
+  _collectProcess() {
+    const memory = process.memoryUsage()
+    this.processUptime.set({}, Math.round((Date.now() - this.startTime) / 1000))
+    this.processMemory.set({ type: 'rss' }, memory.rss)
+    this.processMemory.set({ type: 'heap_used' }, memory.heapUsed)
+    this.processMemory.set({ type: 'heap_total' }, memory.heapTotal)
+    this.processMemory.set({ type: 'external' }, memory.external)
+  }
+
+  /**
+   * 渲染 Prometheus 文本格式
+   * @returns {Promise<string>}
+   */
+  async render() {
+    this._collectProcess()
+
+    try {
+      await this._collectConcurrency()
+    } catch (error) {
+      logger.warn('⚠️ Failed to collect concurrency metrics:', error.message)
+    }
+
+    try {
+      await this._collectAccountStates()
+    } catch (error) {
+      logger.warn('⚠️ Failed to collect account state metrics:', error.message)
+    }
+
+    const lines = []
+    for (const metric of this.metrics) {
+      lines.push(...metric.render())
+    }
+    return `${lines.join('\n')}\n`
+  }
+}
+
+module.exports = new MetricsService()
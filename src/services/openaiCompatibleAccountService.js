@@ -0,0 +1,536 @@
+const { v4: uuidv4 } = require('uuid')
+const crypto = require('crypto')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const LRUCache = require('../utils/lruCache')
+
+/**
+ * 通用 OpenAI 兼容上游账户（vLLM、DeepSeek、本地推理服务等）
+ * 只需 Base URL、API Key、模型列表/映射、代理与优先级，请求以 chat/completions 格式透传
+ */
+class OpenAICompatibleAccountService {
+  constructor() {
+    // 加密相关常量
+    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
+    this.ENCRYPTION_SALT = 'openai-compatible-salt'
+
+    // Redis 键前缀
+    this.ACCOUNT_KEY_PREFIX = 'openai_compatible_account:'
+    this.SHARED_ACCOUNTS_KEY = 'shared_openai_compatible_accounts'
+
+    // 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
+    this._encryptionKeyCache = null
+
+    // 🔄 解密结果缓存，提高解密性能
+    this._decryptCache = new LRUCache(500)
+
+    // 🧹 定期清理缓存（每10分钟）
+    setInterval(
+      () => {
+        this._decryptCache.cleanup()
+        logger.info(
+          '🧹 OpenAI-Compatible decrypt cache cleanup completed',
+          this._decryptCache.getStats()
+        )
+      },
+      10 * 60 * 1000
+    )
+  }
+
+  // 创建账户
+  async createAccount(options = {}) {
+    const {
+      name = 'OpenAI Compatible Account',
+      description = '',
+      baseApi = '', // 必填：API 基础地址，例如 http://127.0.0.1:8000/v1
+      apiKey = '', // 可选：本地推理服务通常不需要密钥
+      supportedModels = [], // 必填：模型列表或映射表，决定哪些模型会路由到该账户
+      priority = 50, // 调度优先级 (1-100)
+      proxy = null,
+      isActive = true,
+      accountType = 'shared', // 'shared' or 'group'
+      schedulable = true, // 是否可被调度
+      rateLimitDuration = 60 // 限流时间（分钟）
+    } = options
+
+    const normalizedBaseApi = this._normalizeBaseApi(baseApi)
+    const modelMapping = this._processModelMapping(supportedModels)
+    if (Object.keys(modelMapping).length === 0) {
+      throw Object.assign(
+        new Error('At least one model is required for OpenAI-Compatible account'),
+        { httpStatus: 400 }
+      )
+    }
+
+    const accountId = uuidv4()
+
+    const accountData = {
+      id: accountId,
+      platform: 'openai-compatible',
+      name,
+      description,
+      baseApi: normalizedBaseApi,
+      apiKey: this._encryptSensitiveData(apiKey),
+      supportedModels: JSON.stringify(modelMapping),
+      priority: priority.toString(),
+      proxy: proxy ? JSON.stringify(proxy) : '',
+      isActive: isActive.toString(),
+      accountType,
+      schedulable: schedulable.toString(),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: '',
+      status: 'active',
+      errorMessage: '',
+      // 限流相关
+      rateLimitedAt: '',
+      rateLimitStatus: '',
+      rateLimitResetAt: '',
+      rateLimitDuration: rateLimitDuration.toString(),
+      totalUsedTokens: '0'
+    }
+
+    await this._saveAccount(accountId, accountData)
+
+    logger.success(`🚀 Created OpenAI-Compatible account: ${name} (${accountId})`)
+
+    return {
+      ...accountData,
+      apiKey: accountData.apiKey ? '***' : '', // 返回时隐藏敏感信息
+      supportedModels: modelMapping,
+      proxy
+    }
+  }
+
+  // 获取账户（包含解密后的 API Key）
+  async getAccount(accountId) {
+    const client = redis.getClientSafe()
+    const accountData = await client.hgetall(`${this.ACCOUNT_KEY_PREFIX}${accountId}`)
+
+    if (!accountData || !accountData.id) {
+      return null
+    }
+
+    accountData.apiKey = this._decryptSensitiveData(accountData.apiKey)
+    return this._parseAccountFields(accountData)
+  }
+
+  // 更新账户
+  async updateAccount(accountId, updates) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      throw Object.assign(new Error('Account not found'), { httpStatus: 404 })
+    }
+
+    const updatedData = { ...updates }
+
+    // 空字符串或掩码表示保留原密钥
+    if (updatedData.apiKey !== undefined) {
+      if (!updatedData.apiKey || updatedData.apiKey === '***') {
+        delete updatedData.apiKey
+      } else {
+        updatedData.apiKey = this._encryptSensitiveData(updatedData.apiKey)
+      }
+    }
+
+    if (updatedData.baseApi !== undefined) {
+      updatedData.baseApi = this._normalizeBaseApi(updatedData.baseApi)
+    }
+
+    if (updatedData.supportedModels !== undefined) {
+      const modelMapping = this._processModelMapping(updatedData.supportedModels)
+      if (Object.keys(modelMapping).length === 0) {
+        throw Object.assign(
+          new Error('At least one model is required for OpenAI-Compatible account'),
+          { httpStatus: 400 }
+        )
+      }
+      updatedData.supportedModels = JSON.stringify(modelMapping)
+    }
+
+    if (updatedData.proxy !== undefined) {
+      updatedData.proxy = updatedData.proxy ? JSON.stringify(updatedData.proxy) : ''
+    }
+
+    // 布尔值与数字统一以字符串存储
+    for (const field of ['isActive', 'schedulable', 'priority', 'rateLimitDuration']) {
+      if (updatedData[field] !== undefined) {
+        updatedData[field] = updatedData[field].toString()
+      }
+    }
+
+    // 这些字段由服务端维护，不允许通过更新接口覆盖
+    delete updatedData.id
+    delete updatedData.platform
+    delete updatedData.createdAt
+    delete updatedData.groupId
+    delete updatedData.groupIds
+
+    const client = redis.getClientSafe()
+    const key = `${this.ACCOUNT_KEY_PREFIX}${accountId}`
+    await client.hset(key, updatedData)
+
+    // 共享池成员关系跟随账户类型变化
+    if (updatedData.accountType === 'shared') {
+      await client.sadd(this.SHARED_ACCOUNTS_KEY, accountId)
+    } else if (updatedData.accountType) {
+      await client.srem(this.SHARED_ACCOUNTS_KEY, accountId)
+    }
+
+    logger.info(`📝 Updated OpenAI-Compatible account: ${account.name}`)
+
+    return { success: true }
+  }
+
+  // 删除账户
+  async deleteAccount(accountId) {
+    const client = redis.getClientSafe()
+
+    await client.srem(this.SHARED_ACCOUNTS_KEY, accountId)
+    await client.del(`${this.ACCOUNT_KEY_PREFIX}${accountId}`)
+
+    logger.info(`🗑️ Deleted OpenAI-Compatible account: ${accountId}`)
+
+    return { success: true }
+  }
+
+  // 获取所有账户（隐藏敏感信息，供管理界面使用）
+  async getAllAccounts(includeInactive = false) {
+    const client = redis.getClientSafe()
+    const keys = await client.keys(`${this.ACCOUNT_KEY_PREFIX}*`)
+    const accounts = []
+
+    for (const key of keys) {
+      const accountData = await client.hgetall(key)
+      if (!accountData || !accountData.id) {
+        continue
+      }
+      if (!includeInactive && accountData.isActive !== 'true') {
+        continue
+      }
+
+      const account = this._parseAccountFields(accountData)
+      const rateLimitInfo = this._getRateLimitInfo(account)
+
+      accounts.push({
+        ...account,
+        apiKey: account.apiKey ? '***' : '',
+        // 转换为布尔值（前端需要布尔值来判断）
+        isActive: account.isActive === 'true',
+        schedulable: account.schedulable !== 'false',
+        rateLimitStatus: {
+          isRateLimited: rateLimitInfo.isRateLimited,
+          rateLimitedAt: rateLimitInfo.isRateLimited ? account.rateLimitedAt || null : null,
+          minutesRemaining: rateLimitInfo.remainingMinutes || 0
+        }
+      })
+    }
+
+    return accounts
+  }
+
+  // 获取共享池中的账户ID列表
+  async getSharedAccountIds() {
+    const client = redis.getClientSafe()
+    return client.smembers(this.SHARED_ACCOUNTS_KEY)
+  }
+
+  // 标记账户限流
+  async markAccountRateLimited(accountId, duration = null) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      return
+    }
+
+    const rateLimitDuration = duration || parseInt(account.rateLimitDuration) || 60
+    const now = new Date()
+    const resetAt = new Date(now.getTime() + rateLimitDuration * 60000)
+
+    await this.updateAccount(accountId, {
+      rateLimitedAt: now.toISOString(),
+      rateLimitStatus: 'limited',
+      rateLimitResetAt: resetAt.toISOString(),
+      status: 'rateLimited',
+      errorMessage: `Rate limited until ${resetAt.toISOString()}`
+    })
+
+    logger.warn(
+      `⏳ OpenAI-Compatible account ${account.name} marked as rate limited for ${rateLimitDuration} minutes`
+    )
+  }
+
+  // 🚫 标记账户为未授权状态（401/403错误）
+  async markAccountUnauthorized(accountId, reason = 'OpenAI兼容账号认证失败（401错误）') {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      return
+    }
+
+    const now = new Date().toISOString()
+    await this.updateAccount(accountId, {
+      status: 'unauthorized',
+      schedulable: 'false',
+      errorMessage: reason,
+      unauthorizedAt: now
+    })
+
+    logger.warn(`🚫 OpenAI-Compatible account ${account.name} marked as unauthorized`)
+
+    try {
+      const webhookNotifier = require('../utils/webhookNotifier')
+      await webhookNotifier.sendAccountAnomalyNotification({
+        accountId,
+        accountName: account.name || accountId,
+        platform: 'openai-compatible',
+        status: 'unauthorized',
+        errorCode: 'OPENAI_COMPATIBLE_UNAUTHORIZED',
+        reason,
+        timestamp: now
+      })
+    } catch (webhookError) {
+      logger.error('Failed to send unauthorized webhook notification:', webhookError)
+    }
+  }
+
+  // 检查并清除过期的限流状态，返回账户当前是否仍处于限流中
+  async isAccountRateLimited(account) {
+    if (account.rateLimitStatus !== 'limited') {
+      return false
+    }
+
+    if (this._getRateLimitInfo(account).isRateLimited) {
+      return true
+    }
+
+    await this.updateAccount(account.id, {
+      rateLimitedAt: '',
+      rateLimitStatus: '',
+      rateLimitResetAt: '',
+      status: 'active',
+      errorMessage: ''
+    })
+    logger.info(`✅ Rate limit cleared for OpenAI-Compatible account ${account.name}`)
+    return false
+  }
+
+  // 切换调度状态
+  async toggleSchedulable(accountId) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      throw Object.assign(new Error('Account not found'), { httpStatus: 404 })
+    }
+
+    const schedulable = account.schedulable === 'false'
+    await this.updateAccount(accountId, { schedulable })
+
+    logger.info(`🔄 Toggled schedulable status for account ${account.name}: ${schedulable}`)
+
+    return { success: true, schedulable }
+  }
+
+  // 更新账户使用统计（记录 token 使用量与最后使用时间）
+  async updateAccountUsage(accountId, tokens = 0) {
+    const client = redis.getClientSafe()
+    const key = `${this.ACCOUNT_KEY_PREFIX}${accountId}`
+
+    await client.hset(key, 'lastUsedAt', new Date().toISOString())
+    if (tokens > 0) {
+      await client.hincrby(key, 'totalUsedTokens', Math.round(tokens))
+    }
+  }
+
+  // 重置账户状态（清除所有异常状态）
+  async resetAccountStatus(accountId) {
+    const account = await this.getAccount(accountId)
+    if (!account) {
+      throw Object.assign(new Error('Account not found'), { httpStatus: 404 })
+    }
+
+    await this.updateAccount(accountId, {
+      status: 'active',
+      schedulable: 'true',
+      errorMessage: '',
+      rateLimitedAt: '',
+      rateLimitStatus: '',
+      rateLimitResetAt: ''
+    })
+    logger.info(`✅ Reset all error status for OpenAI-Compatible account ${accountId}`)
+
+    return { success: true, message: 'Account status reset successfully' }
+  }
+
+  // 🔍 检查模型是否在账户的模型列表中（大小写不敏感）
+  isModelSupported(modelMapping, requestedModel) {
+    return this._findMappingKey(modelMapping, requestedModel) !== null
+  }
+
+  // 🔄 获取映射后的上游模型名称，未映射时返回原模型名
+  getMappedModel(modelMapping, requestedModel) {
+    const key = this._findMappingKey(modelMapping, requestedModel)
+    return key !== null ? modelMapping[key] || requestedModel : requestedModel
+  }
+
+  _findMappingKey(modelMapping, requestedModel) {
+    if (!modelMapping || !requestedModel) {
+      return null
+    }
+    if (Object.prototype.hasOwnProperty.call(modelMapping, requestedModel)) {
+      return requestedModel
+    }
+    const requestedModelLower = requestedModel.toLowerCase()
+    return (
+      Object.keys(modelMapping).find((key) => key.toLowerCase() === requestedModelLower) || null
+    )
+  }
+
+  // 🔄 统一模型配置为映射表：数组 ['a', 'b'] 视为 { a: 'a', b: 'b' }
+  _processModelMapping(supportedModels) {
+    if (Array.isArray(supportedModels)) {
+      const mapping = {}
+      supportedModels.forEach((model) => {
+        if (model && typeof model === 'string') {
+          mapping[model.trim()] = model.trim()
+        }
+      })
+      return mapping
+    }
+
+    if (supportedModels && typeof supportedModels === 'object') {
+      const mapping = {}
+      for (const [from, to] of Object.entries(supportedModels)) {
+        if (from && from.trim()) {
+          mapping[from.trim()] = (typeof to === 'string' && to.trim()) || from.trim()
+        }
+      }
+      return mapping
+    }
+
+    return {}
+  }
+
+  _normalizeBaseApi(baseApi) {
+    const trimmed = (baseApi || '').trim().replace(/\/+$/, '')
+    // 允许 http，便于接入本地推理服务或 mock 服务
+    if (!/^https?:\/\/[^\s/]+/i.test(trimmed)) {
+      throw Object.assign(
+        new Error(
+          'Base API URL must start with http:// or https:// (e.g. http://127.0.0.1:8000/v1)'
+        ),
+        { httpStatus: 400 }
+      )
+    }
+    return trimmed
+  }
+
+  _parseAccountFields(accountData) {
+    try {
+      accountData.supportedModels = JSON.parse(accountData.supportedModels || '{}')
+    } catch (e) {
+      accountData.supportedModels = {}
+    }
+
+    if (accountData.proxy) {
+      try {
+        accountData.proxy = JSON.parse(accountData.proxy)
+      } catch (e) {
+        accountData.proxy = null
+      }
+    } else {
+      accountData.proxy = null
+    }
+
+    accountData.platform = accountData.platform || 'openai-compatible'
+    return accountData
+  }
+
+  // 获取限流信息
+  _getRateLimitInfo(accountData) {
+    if (accountData.rateLimitStatus !== 'limited') {
+      return { isRateLimited: false }
+    }
+
+    const now = Date.now()
+    const resetAt = accountData.rateLimitResetAt
+      ? new Date(accountData.rateLimitResetAt).getTime()
+      : new Date(accountData.rateLimitedAt).getTime() +
+        (parseInt(accountData.rateLimitDuration) || 60) * 60000
+    const remainingMinutes = Math.max(0, Math.ceil((resetAt - now) / 60000))
+
+    return { isRateLimited: remainingMinutes > 0, remainingMinutes }
+  }
+
+  // 加密敏感数据
+  _encryptSensitiveData(text) {
+    if (!text) {
+      return ''
+    }
+
+    const key = this._getEncryptionKey()
+    const iv = crypto.randomBytes(16)
+    const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
+
+    let encrypted = cipher.update(text)
+    encrypted = Buffer.concat([encrypted, cipher.final()])
+
+    return `${iv.toString('hex')}:${encrypted.toString('hex')}`
+  }
+
+  // 解密敏感数据
+  _decryptSensitiveData(text) {
+    if (!text) {
+      return ''
+    }
+
+    const cacheKey = crypto.createHash('sha256').update(text).digest('hex')
+    const cached = this._decryptCache.get(cacheKey)
+    if (cached !== undefined) {
+      return cached
+    }
+
+    try {
+      const key = this._getEncryptionKey()
+      const [ivHex, encryptedHex] = text.split(':')
+
+      const iv = Buffer.from(ivHex, 'hex')
+      const encryptedText = Buffer.from(encryptedHex, 'hex')
+
+      const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
+      let decrypted = decipher.update(encryptedText)
+      decrypted = Buffer.concat([decrypted, decipher.final()])
+
+      const result = decrypted.toString()
+
+      // 存入缓存（5分钟过期）
+      this._decryptCache.set(cacheKey, result, 5 * 60 * 1000)
+
+      return result
+    } catch (error) {
+      logger.error('Decryption error:', error)
+      return ''
+    }
+  }
+
+  // 获取加密密钥
+  _getEncryptionKey() {
+    if (!this._encryptionKeyCache) {
+      this._encryptionKeyCache = crypto.scryptSync(
+        config.security.encryptionKey,
+        this.ENCRYPTION_SALT,
+        32
+      )
+    }
+    return this._encryptionKeyCache
+  }
+
+  // 保存账户到 Redis
+  async _saveAccount(accountId, accountData) {
+    const client = redis.getClientSafe()
+    await client.hset(`${this.ACCOUNT_KEY_PREFIX}${accountId}`, accountData)
+
+    if (accountData.accountType === 'shared') {
+      await client.sadd(this.SHARED_ACCOUNTS_KEY, accountId)
+    }
+  }
+}
+
+module.exports = new OpenAICompatibleAccountService()
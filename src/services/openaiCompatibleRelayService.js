@@ -0,0 +1,378 @@
+/**
+ * OpenAI 兼容上游中继服务
+ * 将 chat/completions 请求透传到账户配置的 Base URL，并从上游返回的 usage 字段记录用量
+ */
+
+const axios = require('axios')
+const ProxyHelper = require('../utils/proxyHelper')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const openaiCompatibleAccountService = require('./openaiCompatibleAccountService')
+const apiKeyService = require('./apiKeyService')
+const circuitBreakerService = require('./circuitBreakerService')
+const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
+
+class OpenAICompatibleRelayService {
+  constructor() {
+    this.defaultTimeout = config.requestTimeout || 600000
+  }
+
+  /**
+   * 转发 chat/completions 请求到 OpenAI 兼容账户
+   * @param {Object} req - Express 请求（req.body 为 OpenAI chat/completions 格式）
+   * @param {Object} res - Express 响应
+   * @param {Object} account - 调度器选中的账户
+   */
+  async handleChatCompletion(req, res, account) {
+    const abortController = new AbortController()
+    const requestedModel = req.body.model
+    const upstreamModel = openaiCompatibleAccountService.getMappedModel(
+      account.supportedModels,
+      requestedModel
+    )
+    const isStream = req.body.stream === true
+
+    // 仅监听响应关闭：请求体读取完毕后 req 也会触发 close
+    const handleClientDisconnect = () => {
+      if (!res.writableEnded && !abortController.signal.aborted) {
+        logger.info('🔌 Client disconnected, aborting OpenAI-Compatible request')
+        abortController.abort()
+      }
+    }
+
+    try {
+      const body = { ...req.body, model: upstreamModel }
+      if (isStream) {
+        // 要求上游在最后一个 chunk 中返回 usage
+        body.stream_options = { ...(req.body.stream_options || {}), include_usage: true }
+      }
+
+      const headers = { 'Content-Type': 'application/json' }
+      if (account.apiKey) {
+        headers['Authorization'] = `Bearer ${account.apiKey}`
+      }
+
+      const targetUrl = `${account.baseApi}/chat/completions`
+      const requestOptions = {
+        method: 'POST',
+        url: targetUrl,
+        headers,
+        data: body,
+        timeout: this.defaultTimeout,
+        responseType: isStream ? 'stream' : 'json',
+        validateStatus: () => true,
+        signal: abortController.signal
+      }
+
+      if (account.proxy) {
+        const proxyAgent = ProxyHelper.createProxyAgent(account.proxy)
+        if (proxyAgent) {
+          requestOptions.httpAgent = proxyAgent
+          requestOptions.httpsAgent = proxyAgent
+          requestOptions.proxy = false
+          logger.info(
+            `🌐 Using proxy for OpenAI-Compatible: ${ProxyHelper.getProxyDescription(account.proxy)}`
+          )
+        }
+      }
+
+      logger.info(
+        `📤 OpenAI-Compatible relay ${requestedModel} → ${upstreamModel} via ${account.name} (${account.id}): ${targetUrl}`
+      )
+
+      res.once('close', handleClientDisconnect)
+
+      const request = axios(requestOptions)
+      const recordOutcome = circuitBreakerService.trackRequest(
+        request,
+        account.id,
+        'openai-compatible',
+        { stream: isStream }
+      )
+      const response = await request
+
+      if (response.status < 200 || response.status >= 300) {
+        return await this._handleErrorResponse(res, response, account, isStream)
+      }
+
+      if (!isStream) {
+        await this._recordUsage(req, response.data?.usage, upstreamModel, account.id)
+        return res.status(response.status).json(response.data)
+      }
+
+      return await this._processStream(req, res, response.data, upstreamModel, account.id, {
+        stripUsage: req.body.stream_options?.include_usage !== true,
+        recordOutcome
+      })
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info('🔌 OpenAI-Compatible request aborted by client')
+        return undefined
+      }
+
+      logger.error(`❌ OpenAI-Compatible relay error for account ${account.id}:`, error.message)
+      const status = error.code === 'ECONNABORTED' ? 504 : 502
+      return this._sendError(res, status, `Upstream request failed: ${error.message}`)
+    } finally {
+      res.removeListener('close', handleClientDisconnect)
+    }
+  }
+
+  /**
+   * 转发 embeddings 请求到 OpenAI 兼容账户，按上游 usage.prompt_tokens 计费
+   * @param {Object} req - Express 请求（req.body 为 OpenAI embeddings 格式）
+   * @param {Object} res - Express 响应
+   * @param {Object} account - 调度器选中的账户
+   */
+  async handleEmbeddings(req, res, account) {
+    const upstreamModel = openaiCompatibleAccountService.getMappedModel(
+      account.supportedModels,
+      req.body.model
+    )
+
+    try {
+      const headers = { 'Content-Type': 'application/json' }
+      if (account.apiKey) {
+        headers['Authorization'] = `Bearer ${account.apiKey}`
+      }
+
+      const requestOptions = {
+        method: 'POST',
+        url: `${account.baseApi}/embeddings`,
+        headers,
+        data: { ...req.body, model: upstreamModel },
+        timeout: this.defaultTimeout,
+        validateStatus: () => true
+      }
+
+      if (account.proxy) {
+        const proxyAgent = ProxyHelper.createProxyAgent(account.proxy)
+        if (proxyAgent) {
+          requestOptions.httpAgent = proxyAgent
+          requestOptions.httpsAgent = proxyAgent
+          requestOptions.proxy = false
+        }
+      }
+
+      logger.info(
+        `📤 OpenAI-Compatible embeddings ${req.body.model} → ${upstreamModel} via ${account.name} (${account.id})`
+      )
+
+      const request = axios(requestOptions)
+      circuitBreakerService.trackRequest(request, account.id, 'openai-compatible')
+      const response = await request
+
+      if (response.status < 200 || response.status >= 300) {
+        return await this._handleErrorResponse(res, response, account, false)
+      }
+
+      await this._recordUsage(req, response.data?.usage, upstreamModel, account.id)
+      return res.status(response.status).json(response.data)
+    } catch (error) {
+      logger.error(
+        `❌ OpenAI-Compatible embeddings error for account ${account.id}:`,
+        error.message
+      )
+      const status = error.code === 'ECONNABORTED' ? 504 : 502
+      return this._sendError(res, status, `Upstream request failed: ${error.message}`)
+    }
+  }
+
+  // 透传上游 SSE，同时解析最后的 usage chunk
+  // stripUsage: 客户端未请求 include_usage 时，不把为计费而强制开启的 usage 转发给客户端
+  // recordOutcome: 熔断器结果记录器，流中出现 error 事件时记为失败
+  _processStream(
+    req,
+    res,
+    stream,
+    model,
+    accountId,
+    { stripUsage = false, recordOutcome = null } = {}
+  ) {
+    return new Promise((resolve) => {
+      let buffer = ''
+      let usage = null
+
+      if (stripUsage) {
+        // 按行重新输出，避免多字节字符被 chunk 边界截断
+        stream.setEncoding('utf8')
+      }
+
+      res.status(200)
+      res.setHeader('Content-Type', 'text/event-stream')
+      res.setHeader('Cache-Control', 'no-cache')
+      res.setHeader('Connection', 'keep-alive')
+      res.setHeader('X-Accel-Buffering', 'no')
+
+      // 解析一行 SSE，返回需要转发给客户端的内容（null 表示丢弃）
+      const inspectLine = (line) => {
+        const jsonData = line.startsWith('data:') ? line.slice(5).trim() : ''
+        if (!jsonData || jsonData === '[DONE]') {
+          return line
+        }
+        try {
+          const data = JSON.parse(jsonData)
+          if (data.error && recordOutcome) {
+            recordOutcome('stream_error')
+          }
+          if (data.usage) {
+            ;({ usage } = data)
+            if (stripUsage) {
+              // 单独的 usage chunk 直接丢弃，附带在内容 chunk 上的 usage 字段则移除
+              if (!Array.isArray(data.choices) || data.choices.length === 0) {
+                return null
+              }
+              delete data.usage
+              return `data: ${JSON.stringify(data)}`
+            }
+          }
+        } catch (error) {
+          logger.debug('⚠️ Failed to parse OpenAI-Compatible stream line:', error.message)
+        }
+        return line
+      }
+
+      // 丢弃某个事件后，同时跳过其后的空行分隔符
+      let skipSeparator = false
+      const forwardLine = (line) => {
+        if (skipSeparator && !line.trim()) {
+          skipSeparator = false
+          return
+        }
+        const output = inspectLine(line)
+        skipSeparator = output === null
+        if (stripUsage && output !== null && !res.destroyed) {
+          res.write(`${output}\n`)
+        }
+      }
+
+      stream.on('data', (chunk) => {
+        if (!stripUsage && !res.destroyed) {
+          res.write(chunk)
+        }
+        buffer += chunk.toString()
+        const lines = buffer.split('\n')
+        buffer = lines.pop() || ''
+        lines.forEach(forwardLine)
+      })
+
+      stream.on('end', async () => {
+        if (buffer.trim()) {
+          forwardLine(buffer.trim())
+        }
+        await this._recordUsage(req, usage, model, accountId)
+        if (!res.destroyed) {
+          res.end()
+        }
+        resolve()
+      })
+
+      stream.on('error', (error) => {
+        logger.error('❌ OpenAI-Compatible upstream stream error:', error)
+        if (!res.destroyed) {
+          res.write(
+            `data: ${JSON.stringify({ error: { message: 'Upstream stream error', type: 'upstream_error' } })}\n\n`
+          )
+          res.end()
+        }
+        resolve()
+      })
+    })
+  }
+
+  // 处理上游错误：429 标记限流，401/403 标记未授权，其余原样返回
+  async _handleErrorResponse(res, response, account, isStream) {
+    const errorBody = isStream ? await this._readStreamBody(response.data) : response.data
+
+    logger.warn(
+      `⚠️ OpenAI-Compatible upstream returned ${response.status} for account ${account.name}`
+    )
+
+    if (response.status === 429) {
+      await openaiCompatibleAccountService
+        .markAccountRateLimited(account.id)
+        .catch((error) => logger.error('❌ Failed to mark account rate limited:', error))
+    } else if (response.status === 401 || response.status === 403) {
+      await openaiCompatibleAccountService
+        .markAccountUnauthorized(account.id)
+        .catch((error) => logger.error('❌ Failed to mark account unauthorized:', error))
+    }
+
+    if (errorBody && typeof errorBody === 'object') {
+      return res.status(response.status).json(errorBody)
+    }
+    return this._sendError(res, response.status, errorBody || `Upstream error ${response.status}`)
+  }
+
+  async _readStreamBody(stream) {
+    let raw = ''
+    try {
+      for await (const chunk of stream) {
+        raw += chunk.toString()
+      }
+      return JSON.parse(raw)
+    } catch (error) {
+      return raw
+    }
+  }
+
+  // 从上游 usage 字段记录用量（prompt_tokens 包含缓存命中部分）
+  async _recordUsage(req, usage, model, accountId) {
+    if (!usage) {
+      logger.warn(`⚠️ OpenAI-Compatible response for ${model} did not include usage`)
+      return
+    }
+
+    const promptTokens = usage.prompt_tokens || 0
+    const cacheReadTokens =
+      usage.prompt_tokens_details?.cached_tokens || usage.prompt_cache_hit_tokens || 0
+    const inputTokens = Math.max(promptTokens - cacheReadTokens, 0)
+    const outputTokens = usage.completion_tokens || 0
+
+    try {
+      await apiKeyService.recordUsageWithDetails(
+        req.apiKey.id,
+        {
+          input_tokens: inputTokens,
+          output_tokens: outputTokens,
+          cache_creation_input_tokens: 0,
+          cache_read_input_tokens: cacheReadTokens
+        },
+        model,
+        accountId,
+        'openai-compatible'
+      )
+
+      await updateRateLimitCounters(
+        req.rateLimitInfo,
+        { inputTokens, outputTokens, cacheCreateTokens: 0, cacheReadTokens },
+        model
+      )
+
+      await openaiCompatibleAccountService.updateAccountUsage(
+        accountId,
+        inputTokens + outputTokens + cacheReadTokens
+      )
+
+      logger.api(
+        `📊 OpenAI-Compatible usage recorded - Model: ${model}, Input: ${inputTokens}, Output: ${outputTokens}, Cache read: ${cacheReadTokens}`
+      )
+    } catch (error) {
+      logger.error('❌ Failed to record OpenAI-Compatible usage:', error)
+    }
+  }
+
+  _sendError(res, status, message) {
+    const body = { error: { message, type: 'upstream_error', code: status } }
+    if (res.headersSent) {
+      if (!res.destroyed) {
+        res.write(`data: ${JSON.stringify(body)}\n\n`)
+        res.end()
+      }
+      return undefined
+    }
+    return res.status(status).json(body)
+  }
+}
+
+module.exports = new OpenAICompatibleRelayService()
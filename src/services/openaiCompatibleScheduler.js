@@ -0,0 +1,109 @@
+const openaiCompatibleAccountService = require('./openaiCompatibleAccountService')
+const accountGroupService = require('./accountGroupService')
+const logger = require('../utils/logger')
+const requestLogService = require('./requestLogService')
+const circuitBreakerService = require('./circuitBreakerService')
+
+class OpenAICompatibleScheduler {
+  _isAccountUsable(account) {
+    if (!account || account.isActive !== 'true' || account.schedulable === 'false') {
+      return false
+    }
+    const status = (account.status || 'active').toLowerCase()
+    return !['error', 'unauthorized', 'blocked'].includes(status)
+  }
+
+  _sortCandidates(candidates) {
+    return [...candidates].sort((a, b) => {
+      const priorityA = parseInt(a.priority, 10) || 50
+      const priorityB = parseInt(b.priority, 10) || 50
+      if (priorityA !== priorityB) {
+        return priorityA - priorityB
+      }
+
+      const lastUsedA = a.lastUsedAt ? new Date(a.lastUsedAt).getTime() : 0
+      const lastUsedB = b.lastUsedAt ? new Date(b.lastUsedAt).getTime() : 0
+      return lastUsedA - lastUsedB
+    })
+  }
+
+  // API Key 绑定了 OpenAI 分组时只在分组成员中选择，否则使用共享池
+  async _loadCandidateIds(apiKeyData) {
+    const binding = apiKeyData?.openaiAccountId
+    if (binding && binding.startsWith('group:')) {
+      return accountGroupService.getGroupMembers(binding.substring('group:'.length))
+    }
+    return openaiCompatibleAccountService.getSharedAccountIds()
+  }
+
+  /**
+   * 为请求的模型选择 OpenAI 兼容账户
+   * 没有任何账户声明该模型时返回 null，交由其他后端处理；
+   * 有账户声明但全部不可用时抛出 503 错误
+   * @param {Object} apiKeyData - API Key 数据
+   * @param {String} requestedModel - 客户端请求的模型名
+   */
+  async selectAccount(apiKeyData, requestedModel) {
+    // 🔌 熔断器冷却结束时由本次请求进行探测，探测名额已满时重新调度
+    return circuitBreakerService.selectAccount(
+      () => this._selectAccount(apiKeyData, requestedModel),
+      { apiKeyData, accountType: 'openai-compatible' }
+    )
+  }
+
+  async _selectAccount(apiKeyData, requestedModel) {
+    if (!requestedModel) {
+      return null
+    }
+
+    const candidateIds = await this._loadCandidateIds(apiKeyData)
+    const accounts = await Promise.all(
+      (candidateIds || []).map(async (accountId) => {
+        try {
+          return await openaiCompatibleAccountService.getAccount(accountId)
+        } catch (error) {
+          logger.warn(`⚠️ 获取 OpenAI 兼容账号失败: ${accountId}`, error)
+          return null
+        }
+      })
+    )
+
+    const claimants = accounts.filter(
+      (account) =>
+        account &&
+        account.isActive === 'true' &&
+        openaiCompatibleAccountService.isModelSupported(account.supportedModels, requestedModel)
+    )
+    if (claimants.length === 0) {
+      return null
+    }
+
+    const available = []
+    for (const account of claimants) {
+      if (
+        this._isAccountUsable(account) &&
+        !(await openaiCompatibleAccountService.isAccountRateLimited(account)) &&
+        (await circuitBreakerService.isAvailable(account.id))
+      ) {
+        available.push(account)
+      }
+    }
+
+    if (available.length === 0) {
+      throw Object.assign(
+        new Error(`No available OpenAI-compatible accounts support the model ${requestedModel}`),
+        { statusCode: 503 }
+      )
+    }
+
+    const selected = this._sortCandidates(available)[0]
+    logger.info(
+      `🔌 选择 OpenAI 兼容账号 ${selected.name || selected.id}（model: ${requestedModel}, priority: ${selected.priority || 50}）`
+    )
+
+    requestLogService.attachAccount(selected.id, 'openai-compatible')
+    return selected
+  }
+}
+
+module.exports = new OpenAICompatibleScheduler()
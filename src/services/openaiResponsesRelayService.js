@@ -4,6 +4,7 @@ const logger = require('../utils/logger')
 const openaiResponsesAccountService = require('./openaiResponsesAccountService')
 const apiKeyService = require('./apiKeyService')
 const unifiedOpenAIScheduler = require('./unifiedOpenAIScheduler')
+const circuitBreakerService = require('./circuitBreakerService')
 const config = require('../../config/config')
 const crypto = require('crypto')
 
@@ -128,7 +129,14 @@ class OpenAIResponsesRelayService {
       })
 
       // 发送请求
-      const response = await axios(requestOptions)
+      const request = axios(requestOptions)
+      const recordOutcome = circuitBreakerService.trackRequest(
+        request,
+        account.id,
+        'openai-responses',
+        { stream: Boolean(req.body?.stream) }
+      )
+      const response = await request
 
       // 处理 429 限流错误
       if (response.status === 429) {
@@ -272,7 +280,8 @@ class OpenAIResponsesRelayService {
           apiKeyData,
           req.body?.model,
           handleClientDisconnect,
-          req
+          req,
+          recordOutcome
         )
       }
 
@@ -405,7 +414,8 @@ class OpenAIResponsesRelayService {
     apiKeyData,
     requestedModel,
     handleClientDisconnect,
-    req
+    req,
+    recordOutcome
   ) {
     // 设置 SSE 响应头
     res.setHeader('Content-Type', 'text/event-stream')
@@ -468,6 +478,8 @@ class OpenAIResponsesRelayService {
                     `🚫 Rate limit detected in stream, resets in ${rateLimitResetsInSeconds} seconds (${Math.ceil(rateLimitResetsInSeconds / 60)} minutes)`
                   )
                 }
+              } else {
+                recordOutcome('stream_error')
               }
             }
           } catch (e) {
@@ -538,7 +550,8 @@ class OpenAIResponsesRelayService {
             cacheCreateTokens,
             cacheReadTokens,
             modelToRecord,
-            account.id
+            account.id,
+            'openai-responses'
           )
 
           logger.info(
@@ -621,6 +634,7 @@ class OpenAIResponsesRelayService {
     // 处理客户端断开连接
     const cleanup = () => {
       streamEnded = true
+      recordOutcome.cancel()
       try {
         response.data?.unpipe?.(res)
         response.data?.destroy?.()
@@ -666,7 +680,8 @@ class OpenAIResponsesRelayService {
           cacheCreateTokens,
           cacheReadTokens,
           actualModel,
-          account.id
+          account.id,
+          'openai-responses'
         )
 
         logger.info(
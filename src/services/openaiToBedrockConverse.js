@@ -0,0 +1,399 @@
+/**
+ * OpenAI chat/completions 与 Bedrock Converse API 格式转换服务
+ * 让 Nova、Llama、Mistral 等非 Anthropic 的 Bedrock 模型可以通过 OpenAI 兼容路由访问
+ */
+
+const crypto = require('crypto')
+
+// Converse 停止原因 → OpenAI finish_reason
+const STOP_REASON_MAPPING = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  guardrail_intervened: 'content_filter',
+  content_filtered: 'content_filter'
+}
+
+// Converse 图片块支持的格式
+const IMAGE_FORMATS = new Set(['png', 'jpeg', 'gif', 'webp'])
+
+class OpenAIToBedrockConverseConverter {
+  /**
+   * 创建一次请求的转换上下文
+   * @param {Object} openaiRequest - OpenAI 格式的请求
+   */
+  createConversionContext(openaiRequest) {
+    return {
+      requestModel: openaiRequest.model,
+      includeUsage: openaiRequest.stream_options?.include_usage === true,
+      // 流式转换过程中的状态
+      stream: {
+        id: `chatcmpl-${crypto.randomBytes(12).toString('hex')}`,
+        created: Math.floor(Date.now() / 1000),
+        started: false,
+        // Converse contentBlockIndex → OpenAI tool_calls[].index
+        toolIndexes: new Map(),
+        usage: null
+      }
+    }
+  }
+
+  /**
+   * 将 OpenAI 请求转换为 Converse 请求参数（不包含 modelId）
+   * @param {Object} openaiRequest - OpenAI 格式的请求
+   */
+  convertRequest(openaiRequest) {
+    const messages = openaiRequest.messages || []
+    const converseRequest = {
+      messages: this._convertMessages(messages)
+    }
+
+    const system = messages
+      .filter((msg) => msg.role === 'system' || msg.role === 'developer')
+      .map((msg) => this._extractText(msg.content))
+      .filter(Boolean)
+    if (system.length > 0) {
+      converseRequest.system = system.map((text) => ({ text }))
+    }
+
+    const inferenceConfig = {}
+    const maxTokens = openaiRequest.max_completion_tokens || openaiRequest.max_tokens
+    if (maxTokens) {
+      inferenceConfig.maxTokens = maxTokens
+    }
+    if (openaiRequest.temperature !== undefined && openaiRequest.temperature !== null) {
+      inferenceConfig.temperature = openaiRequest.temperature
+    }
+    if (openaiRequest.top_p !== undefined && openaiRequest.top_p !== null) {
+      inferenceConfig.topP = openaiRequest.top_p
+    }
+    if (openaiRequest.stop) {
+      inferenceConfig.stopSequences = Array.isArray(openaiRequest.stop)
+        ? openaiRequest.stop
+        : [openaiRequest.stop]
+    }
+    if (Object.keys(inferenceConfig).length > 0) {
+      converseRequest.inferenceConfig = inferenceConfig
+    }
+
+    const toolConfig = this._convertTools(openaiRequest.tools, openaiRequest.tool_choice)
+    if (toolConfig) {
+      converseRequest.toolConfig = toolConfig
+    }
+
+    return converseRequest
+  }
+
+  /**
+   * 将 Converse 非流式响应转换为 OpenAI chat.completion
+   * @param {Object} converseResponse - ConverseCommand 的返回值
+   * @param {Object} context - 转换上下文
+   */
+  convertResponse(converseResponse, context) {
+    const blocks = converseResponse.output?.message?.content || []
+    const text = blocks
+      .filter((block) => typeof block.text === 'string')
+      .map((block) => block.text)
+      .join('')
+    const reasoning = blocks
+      .map((block) => block.reasoningContent?.reasoningText?.text)
+      .filter(Boolean)
+      .join('')
+    const toolCalls = blocks
+      .filter((block) => block.toolUse)
+      .map((block) => ({
+        id: block.toolUse.toolUseId,
+        type: 'function',
+        function: {
+          name: block.toolUse.name,
+          arguments: JSON.stringify(block.toolUse.input || {})
+        }
+      }))
+
+    const message = { role: 'assistant', content: text || null }
+    if (reasoning) {
+      message.reasoning_content = reasoning
+    }
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls
+    }
+
+    return {
+      id: context.stream.id,
+      object: 'chat.completion',
+      created: context.stream.created,
+      model: context.requestModel,
+      choices: [
+        {
+          index: 0,
+          message,
+          finish_reason: this._mapStopReason(converseResponse.stopReason)
+        }
+      ],
+      usage: this.convertUsage(converseResponse.usage)
+    }
+  }
+
+  /**
+   * 将 Converse usage 转换为 OpenAI usage（prompt_tokens 包含缓存部分）
+   */
+  convertUsage(usage) {
+    const inputTokens = usage?.inputTokens || 0
+    const outputTokens = usage?.outputTokens || 0
+    const cacheReadTokens = usage?.cacheReadInputTokens || 0
+    const cacheWriteTokens = usage?.cacheWriteInputTokens || 0
+    const promptTokens = inputTokens + cacheReadTokens + cacheWriteTokens
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: outputTokens,
+      total_tokens: promptTokens + outputTokens,
+      prompt_tokens_details: { cached_tokens: cacheReadTokens }
+    }
+  }
+
+  /**
+   * 将一个 ConverseStream 事件转换为 OpenAI SSE 数据行
+   * @param {Object} event - ConverseStream 输出流中的事件
+   * @param {Object} context - 转换上下文
+   * @returns {Array<string>} SSE 数据行（已格式化）
+   */
+  convertStreamEvent(event, context) {
+    const state = context.stream
+    const lines = []
+
+    if (event.messageStart) {
+      state.started = true
+      lines.push(this._formatChunk(context, { role: 'assistant', content: '' }))
+    } else if (event.contentBlockStart?.start?.toolUse) {
+      const { toolUse } = event.contentBlockStart.start
+      const toolIndex = state.toolIndexes.size
+      state.toolIndexes.set(event.contentBlockStart.contentBlockIndex, toolIndex)
+      lines.push(
+        this._formatChunk(context, {
+          tool_calls: [
+            {
+              index: toolIndex,
+              id: toolUse.toolUseId,
+              type: 'function',
+              function: { name: toolUse.name, arguments: '' }
+            }
+          ]
+        })
+      )
+    } else if (event.contentBlockDelta?.delta) {
+      const { delta, contentBlockIndex } = event.contentBlockDelta
+      if (typeof delta.text === 'string') {
+        lines.push(this._formatChunk(context, { content: delta.text }))
+      } else if (delta.toolUse) {
+        lines.push(
+          this._formatChunk(context, {
+            tool_calls: [
+              {
+                index: state.toolIndexes.get(contentBlockIndex) || 0,
+                function: { arguments: delta.toolUse.input || '' }
+              }
+            ]
+          })
+        )
+      } else if (delta.reasoningContent?.text) {
+        lines.push(this._formatChunk(context, { reasoning_content: delta.reasoningContent.text }))
+      }
+    } else if (event.messageStop) {
+      lines.push(this._formatChunk(context, {}, this._mapStopReason(event.messageStop.stopReason)))
+    } else if (event.metadata?.usage) {
+      state.usage = event.metadata.usage
+      if (context.includeUsage) {
+        lines.push(
+          this.formatSSE({
+            id: state.id,
+            object: 'chat.completion.chunk',
+            created: state.created,
+            model: context.requestModel,
+            choices: [],
+            usage: this.convertUsage(state.usage)
+          })
+        )
+      }
+    }
+
+    return lines
+  }
+
+  formatSSE(data) {
+    return `data: ${JSON.stringify(data)}\n\n`
+  }
+
+  _formatChunk(context, delta, finishReason = null) {
+    return this.formatSSE({
+      id: context.stream.id,
+      object: 'chat.completion.chunk',
+      created: context.stream.created,
+      model: context.requestModel,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    })
+  }
+
+  /**
+   * 转换消息列表：Converse 要求 user/assistant 交替出现，相邻同角色消息会被合并，
+   * tool 角色的结果作为 user 消息中的 toolResult 块
+   */
+  _convertMessages(messages) {
+    const converseMessages = []
+
+    const append = (role, content) => {
+      if (content.length === 0) {
+        return
+      }
+      const last = converseMessages[converseMessages.length - 1]
+      if (last && last.role === role) {
+        last.content.push(...content)
+      } else {
+        converseMessages.push({ role, content })
+      }
+    }
+
+    for (const msg of messages) {
+      if (msg.role === 'system' || msg.role === 'developer') {
+        continue
+      }
+
+      if (msg.role === 'tool') {
+        append('user', [
+          {
+            toolResult: {
+              toolUseId: msg.tool_call_id,
+              content: [{ text: this._extractText(msg.content) }]
+            }
+          }
+        ])
+        continue
+      }
+
+      const role = msg.role === 'assistant' ? 'assistant' : 'user'
+      const content = this._convertContent(msg.content)
+      if (role === 'assistant' && Array.isArray(msg.tool_calls)) {
+        content.push(...this._convertToolCalls(msg.tool_calls))
+      }
+      append(role, content)
+    }
+
+    return converseMessages
+  }
+
+  _convertContent(content) {
+    if (typeof content === 'string') {
+      return content ? [{ text: content }] : []
+    }
+    if (!Array.isArray(content)) {
+      return []
+    }
+
+    return content
+      .map((part) => {
+        if (part.type === 'text') {
+          return part.text ? { text: part.text } : null
+        }
+        if (part.type === 'image_url') {
+          return this._convertImage(part.image_url?.url)
+        }
+        return null
+      })
+      .filter(Boolean)
+  }
+
+  // Converse 只接受内联图片字节，远程 URL 直接返回 400
+  _convertImage(url) {
+    const matches = (url || '').match(/^data:image\/([a-z]+);base64,(.+)$/i)
+    if (!matches) {
+      throw this._createInvalidRequestError(
+        'Bedrock models only support base64 encoded images (data:image/...;base64,...)',
+        'messages'
+      )
+    }
+
+    const format = matches[1].toLowerCase() === 'jpg' ? 'jpeg' : matches[1].toLowerCase()
+    if (!IMAGE_FORMATS.has(format)) {
+      throw this._createInvalidRequestError(`Unsupported image format: ${format}`, 'messages')
+    }
+
+    return { image: { format, source: { bytes: Buffer.from(matches[2], 'base64') } } }
+  }
+
+  _convertToolCalls(toolCalls) {
+    return toolCalls.map((toolCall) => {
+      let input = {}
+      try {
+        input = JSON.parse(toolCall.function?.arguments || '{}')
+      } catch (error) {
+        throw this._createInvalidRequestError(
+          `Invalid JSON in tool call arguments for ${toolCall.function?.name}`,
+          'messages'
+        )
+      }
+      return { toolUse: { toolUseId: toolCall.id, name: toolCall.function?.name, input } }
+    })
+  }
+
+  /**
+   * 转换工具定义；tool_choice 为 none 时不发送工具。
+   * 只有 required 和指定函数会显式设置 toolChoice，部分模型（如 Llama）不接受该字段
+   */
+  _convertTools(tools, toolChoice) {
+    if (!Array.isArray(tools) || tools.length === 0 || toolChoice === 'none') {
+      return null
+    }
+
+    const toolConfig = {
+      tools: tools
+        .filter((tool) => tool.type === 'function' && tool.function?.name)
+        .map((tool) => ({
+          toolSpec: {
+            name: tool.function.name,
+            description: tool.function.description || tool.function.name,
+            inputSchema: { json: tool.function.parameters || { type: 'object', properties: {} } }
+          }
+        }))
+    }
+
+    if (toolChoice === 'required') {
+      toolConfig.toolChoice = { any: {} }
+    } else if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+      toolConfig.toolChoice = { tool: { name: toolChoice.function.name } }
+    }
+
+    return toolConfig
+  }
+
+  _extractText(content) {
+    if (typeof content === 'string') {
+      return content
+    }
+    if (Array.isArray(content)) {
+      return content
+        .filter((part) => part.type === 'text')
+        .map((part) => part.text)
+        .join('')
+    }
+    return content ? JSON.stringify(content) : ''
+  }
+
+  _mapStopReason(stopReason) {
+    return STOP_REASON_MAPPING[stopReason] || 'stop'
+  }
+
+  /**
+   * 创建 400 参数错误（由路由转换为 OpenAI 格式的错误响应）
+   */
+  _createInvalidRequestError(message, param = null) {
+    const error = new Error(message)
+    error.status = 400
+    error.type = 'invalid_request_error'
+    error.code = 'invalid_request'
+    error.param = param
+    return error
+  }
+}
+
+module.exports = new OpenAIToBedrockConverseConverter()
@@ -5,6 +5,22 @@
 
 const logger = require('../utils/logger')
 
+// n > 1 时会拆分为多个上游请求，限制最大数量避免放大请求
+const MAX_CHOICES = 8
+// JSON 模式下强制调用的工具默认名称
+const DEFAULT_JSON_TOOL_NAME = 'json_response'
+const JSON_PREFILL = '{'
+// reasoning_effort → Claude thinking.budget_tokens
+const REASONING_EFFORT_BUDGETS = {
+  minimal: 1024,
+  low: 4096,
+  medium: 10240,
+  high: 32768
+}
+// Claude 要求的最小思考预算
+const MIN_THINKING_BUDGET = 1024
+const DEFAULT_MAX_TOKENS = 4096
+
 class OpenAIToClaudeConverter {
   constructor() {
     // 停止原因映射
@@ -16,16 +32,144 @@ class OpenAIToClaudeConverter {
     }
   }
 
+  /**
+   * 校验 Claude 无法支持的 OpenAI 参数，不支持时抛出 400 错误而不是静默忽略
+   * @param {Object} openaiRequest - OpenAI 格式的请求
+   */
+  validateRequest(openaiRequest) {
+    if (!Array.isArray(openaiRequest.messages) || openaiRequest.messages.length === 0) {
+      throw this._createInvalidRequestError('messages must be a non-empty array', 'messages')
+    }
+
+    const { n } = openaiRequest
+    if (n !== undefined && n !== null) {
+      if (!Number.isInteger(n) || n < 1 || n > MAX_CHOICES) {
+        throw this._createInvalidRequestError(
+          `n must be an integer between 1 and ${MAX_CHOICES}`,
+          'n'
+        )
+      }
+      if (n > 1 && openaiRequest.stream) {
+        throw this._createInvalidRequestError('n > 1 is not supported when stream is true', 'n')
+      }
+    }
+
+    if (openaiRequest.seed !== undefined && openaiRequest.seed !== null) {
+      throw this._createInvalidRequestError(
+        'seed is not supported by Claude models, deterministic sampling is unavailable',
+        'seed'
+      )
+    }
+
+    if (openaiRequest.logprobs === true) {
+      throw this._createInvalidRequestError(
+        'logprobs is not supported by Claude models',
+        'logprobs'
+      )
+    }
+    if (openaiRequest.top_logprobs !== undefined && openaiRequest.top_logprobs !== null) {
+      throw this._createInvalidRequestError(
+        'top_logprobs is not supported by Claude models',
+        'top_logprobs'
+      )
+    }
+
+    if (openaiRequest.stream_options && !openaiRequest.stream) {
+      throw this._createInvalidRequestError(
+        'stream_options is only allowed when stream is true',
+        'stream_options'
+      )
+    }
+
+    if (
+      openaiRequest.parallel_tool_calls !== undefined &&
+      openaiRequest.parallel_tool_calls !== null &&
+      typeof openaiRequest.parallel_tool_calls !== 'boolean'
+    ) {
+      throw this._createInvalidRequestError(
+        'parallel_tool_calls must be a boolean',
+        'parallel_tool_calls'
+      )
+    }
+
+    const effort = openaiRequest.reasoning?.effort || openaiRequest.reasoning_effort
+    if (effort && effort !== 'none' && !REASONING_EFFORT_BUDGETS[effort]) {
+      throw this._createInvalidRequestError(
+        `reasoning_effort must be one of: none, ${Object.keys(REASONING_EFFORT_BUDGETS).join(', ')}`,
+        'reasoning_effort'
+      )
+    }
+    const reasoningMaxTokens = openaiRequest.reasoning?.max_tokens
+    if (
+      reasoningMaxTokens !== undefined &&
+      reasoningMaxTokens !== null &&
+      (!Number.isInteger(reasoningMaxTokens) || reasoningMaxTokens < MIN_THINKING_BUDGET)
+    ) {
+      throw this._createInvalidRequestError(
+        `reasoning.max_tokens must be an integer of at least ${MIN_THINKING_BUDGET}`,
+        'reasoning.max_tokens'
+      )
+    }
+
+    const responseFormat = openaiRequest.response_format
+    if (responseFormat) {
+      if (!['text', 'json_object', 'json_schema'].includes(responseFormat.type)) {
+        throw this._createInvalidRequestError(
+          `Unsupported response_format type: ${responseFormat.type}`,
+          'response_format.type'
+        )
+      }
+      if (
+        responseFormat.type === 'json_schema' &&
+        (!responseFormat.json_schema || typeof responseFormat.json_schema.schema !== 'object')
+      ) {
+        throw this._createInvalidRequestError(
+          'response_format.json_schema.schema is required for json_schema responses',
+          'response_format.json_schema'
+        )
+      }
+    }
+  }
+
+  /**
+   * 创建单个请求的转换上下文（JSON 模式、n、流式用量等），供请求和响应转换共享
+   * @param {Object} openaiRequest - OpenAI 格式的请求
+   * @returns {Object} 转换上下文
+   */
+  createConversionContext(openaiRequest) {
+    this.validateRequest(openaiRequest)
+
+    return {
+      jsonMode: this._resolveJsonMode(openaiRequest),
+      thinking: this._resolveThinking(openaiRequest),
+      choiceCount: openaiRequest.n || 1,
+      includeUsage: openaiRequest.stream_options?.include_usage === true,
+      // 流式转换过程中的状态
+      stream: {
+        usage: null,
+        prefixEmitted: false,
+        jsonBlockIndex: null,
+        thinkingText: '',
+        reasoningChars: 0
+      }
+    }
+  }
+
   /**
    * 将 OpenAI 请求格式转换为 Claude 格式
    * @param {Object} openaiRequest - OpenAI 格式的请求
+   * @param {Object} context - 转换上下文（由 createConversionContext 创建）
    * @returns {Object} Claude 格式的请求
    */
-  convertRequest(openaiRequest) {
+  convertRequest(openaiRequest, context = this.createConversionContext(openaiRequest)) {
     const claudeRequest = {
       model: openaiRequest.model, // 直接使用提供的模型名，不进行映射
       messages: this._convertMessages(openaiRequest.messages),
-      max_tokens: openaiRequest.max_tokens || 4096,
+      max_tokens:
+        context.thinking?.maxTokens ||
+        openaiRequest.max_tokens ||
+        openaiRequest.max_completion_tokens ||
+        DEFAULT_MAX_TOKENS,
       temperature: openaiRequest.temperature,
       top_p: openaiRequest.top_p,
       stream: openaiRequest.stream || false
@@ -64,10 +208,30 @@ class OpenAIToClaudeConverter {
       if (openaiRequest.tool_choice) {
         claudeRequest.tool_choice = this._convertToolChoice(openaiRequest.tool_choice)
       }
+      // parallel_tool_calls: false 对应 Claude 的 disable_parallel_tool_use
+      if (openaiRequest.parallel_tool_calls === false) {
+        claudeRequest.tool_choice = {
+          ...(claudeRequest.tool_choice || { type: 'auto' }),
+          disable_parallel_tool_use: true
+        }
+      }
+    }
+
+    // 处理 JSON 模式（response_format）
+    this._applyJsonMode(claudeRequest, context.jsonMode, openaiRequest.response_format)
+
+    // 处理扩展思考（reasoning_effort / reasoning.max_tokens）
+    if (context.thinking) {
+      claudeRequest.thinking = { type: 'enabled', budget_tokens: context.thinking.budgetTokens }
+      // 启用思考时 Claude 只接受默认 temperature，top_p 不能低于 0.95
+      delete claudeRequest.temperature
+      if (claudeRequest.top_p !== undefined && claudeRequest.top_p < 0.95) {
+        delete claudeRequest.top_p
+      }
     }
 
     // OpenAI 特有的参数已在转换过程中被忽略
-    // 包括: n, presence_penalty, frequency_penalty, logit_bias, user
+    // 包括: presence_penalty, frequency_penalty, logit_bias, user
 
     logger.debug('📝 Converted OpenAI request to Claude format:', {
       model: claudeRequest.model,
@@ -85,8 +249,9 @@ class OpenAIToClaudeConverter {
    * @param {String} requestModel - 原始请求的模型名
    * @returns {Object} OpenAI 格式的响应
    */
-  convertResponse(claudeResponse, requestModel) {
+  convertResponse(claudeResponse, requestModel, context = null) {
     const timestamp = Math.floor(Date.now() / 1000)
+    const jsonMode = context?.jsonMode || null
 
     const openaiResponse = {
       id: `chatcmpl-${this._generateId()}`,
@@ -96,11 +261,14 @@ class OpenAIToClaudeConverter {
       choices: [
         {
           index: 0,
-          message: this._convertClaudeMessage(claudeResponse),
-          finish_reason: this._mapStopReason(claudeResponse.stop_reason)
+          message: this._convertClaudeMessage(claudeResponse, jsonMode),
+          finish_reason: this._mapStopReason(claudeResponse.stop_reason, jsonMode)
         }
       ],
-      usage: this._convertUsage(claudeResponse.usage)
+      usage: this._convertUsage(
+        claudeResponse.usage,
+        context?.thinking ? this._estimateReasoningTokens(claudeResponse.content) : null
+      )
     }
 
     logger.debug('📝 Converted Claude response to OpenAI format:', {
@@ -112,14 +280,51 @@ class OpenAIToClaudeConverter {
     return openaiResponse
   }
 
+  /**
+   * 合并 n > 1 时多个上游请求的响应
+   * @param {Array<Object>} openaiResponses - 已转换为 OpenAI 格式的响应列表
+   * @returns {Object} 包含多个 choices 的 OpenAI 格式响应
+   */
+  mergeResponses(openaiResponses) {
+    const [first] = openaiResponses
+    const usage = openaiResponses.reduce(
+      (total, response) => {
+        if (response.usage) {
+          total.prompt_tokens += response.usage.prompt_tokens
+          total.completion_tokens += response.usage.completion_tokens
+          total.total_tokens += response.usage.total_tokens
+          if (response.usage.completion_tokens_details) {
+            total.completion_tokens_details = {
+              reasoning_tokens:
+                (total.completion_tokens_details?.reasoning_tokens || 0) +
+                response.usage.completion_tokens_details.reasoning_tokens
+            }
+          }
+        }
+        return total
+      },
+      { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    )
+
+    return {
+      ...first,
+      choices: openaiResponses.map((response, index) => ({
+        ...response.choices[0],
+        index
+      })),
+      usage
+    }
+  }
+
   /**
    * 转换流式响应的单个数据块
    * @param {String} chunk - Claude SSE 数据块
    * @param {String} requestModel - 原始请求的模型名
    * @param {String} sessionId - 会话ID
+   * @param {Object} context - 转换上下文（由 createConversionContext 创建）
    * @returns {String} OpenAI 格式的 SSE 数据块
    */
-  convertStreamChunk(chunk, requestModel, sessionId) {
+  convertStreamChunk(chunk, requestModel, sessionId, context = null) {
     if (!chunk || chunk.trim() === '') {
       return ''
     }
@@ -145,7 +350,12 @@ class OpenAIToClaudeConverter {
             hasMessageStop = true
           }
 
-          const openaiChunk = this._convertStreamEvent(claudeEvent, requestModel, sessionId)
+          const openaiChunk = this._convertStreamEvent(
+            claudeEvent,
+            requestModel,
+            sessionId,
+            context
+          )
           if (openaiChunk) {
             convertedChunks.push(`data: ${JSON.stringify(openaiChunk)}\n\n`)
           }
@@ -159,12 +369,146 @@ class OpenAIToClaudeConverter {
 
     // 如果收到 message_stop 事件，添加 [DONE] 标记
     if (hasMessageStop) {
+      // stream_options.include_usage：在 [DONE] 之前发送只包含 usage 的最终数据块
+      if (context?.includeUsage) {
+        const usageChunk = {
+          id: sessionId,
+          object: 'chat.completion.chunk',
+          created: Math.floor(Date.now() / 1000),
+          model: requestModel || 'gpt-4',
+          choices: [],
+          usage: this._convertUsage(
+            context.stream.usage || {},
+            context.thinking ? Math.ceil(context.stream.reasoningChars / 4) : null
+          )
+        }
+        convertedChunks.push(`data: ${JSON.stringify(usageChunk)}\n\n`)
+      }
       convertedChunks.push('data: [DONE]\n\n')
     }
 
     return convertedChunks.join('')
   }
 
+  /**
+   * 创建 400 参数错误（由路由转换为 OpenAI 格式的错误响应）
+   */
+  _createInvalidRequestError(message, param = null) {
+    const error = new Error(message)
+    error.status = 400
+    error.type = 'invalid_request_error'
+    error.code = 'unsupported_parameter'
+    error.param = param
+    return error
+  }
+
+  /**
+   * 解析 response_format 对应的 JSON 模式策略
+   * - 没有自定义工具时，强制调用一个以目标 schema 为参数的工具
+   * - 已有自定义工具时，使用预填充的助手消息 "{" 引导模型输出 JSON
+   */
+  _resolveJsonMode(openaiRequest) {
+    const responseFormat = openaiRequest.response_format
+    if (!responseFormat || responseFormat.type === 'text') {
+      return null
+    }
+
+    if (Array.isArray(openaiRequest.tools) && openaiRequest.tools.length > 0) {
+      return { strategy: 'prefill', prefix: JSON_PREFILL }
+    }
+
+    const schemaName = responseFormat.json_schema?.name
+    const toolName =
+      typeof schemaName === 'string' && /^[a-zA-Z0-9_-]{1,64}$/.test(schemaName)
+        ? schemaName
+        : DEFAULT_JSON_TOOL_NAME
+    return { strategy: 'tool', toolName }
+  }
+
+  /**
+   * 解析扩展思考配置
+   * - reasoning.max_tokens 优先，其次按 reasoning_effort 映射预算
+   * - OpenAI 的 max_tokens 包含推理 token，与 Claude 语义一致，预算需小于 max_tokens
+   * @returns {Object|null} { budgetTokens, maxTokens }
+   */
+  _resolveThinking(openaiRequest) {
+    const { reasoning } = openaiRequest
+    const effort = reasoning?.effort || openaiRequest.reasoning_effort
+
+    let budgetTokens = reasoning?.max_tokens || null
+    if (!budgetTokens && effort && effort !== 'none') {
+      budgetTokens = REASONING_EFFORT_BUDGETS[effort]
+    }
+    if (!budgetTokens) {
+      return null
+    }
+
+    // Claude 启用思考时不支持强制工具调用与预填充
+    if (openaiRequest.response_format && openaiRequest.response_format.type !== 'text') {
+      throw this._createInvalidRequestError(
+        'response_format cannot be combined with reasoning on Claude models',
+        'response_format'
+      )
+    }
+    const toolChoice = openaiRequest.tool_choice
+    if (toolChoice === 'required' || (toolChoice && typeof toolChoice === 'object')) {
+      throw this._createInvalidRequestError(
+        'Only tool_choice "auto" or "none" can be combined with reasoning on Claude models',
+        'tool_choice'
+      )
+    }
+
+    const requestedMaxTokens = openaiRequest.max_tokens || openaiRequest.max_completion_tokens
+    if (!requestedMaxTokens) {
+      return { budgetTokens, maxTokens: budgetTokens + DEFAULT_MAX_TOKENS }
+    }
+    if (requestedMaxTokens <= MIN_THINKING_BUDGET) {
+      throw this._createInvalidRequestError(
+        `max_tokens must be greater than ${MIN_THINKING_BUDGET} when reasoning is enabled`,
+        'max_tokens'
+      )
+    }
+    return {
+      budgetTokens: Math.min(budgetTokens, requestedMaxTokens - 1),
+      maxTokens: requestedMaxTokens
+    }
+  }
+
+  /**
+   * 将 JSON 模式应用到 Claude 请求
+   */
+  _applyJsonMode(claudeRequest, jsonMode, responseFormat) {
+    if (!jsonMode) {
+      return
+    }
+
+    if (jsonMode.strategy === 'prefill') {
+      const lastMessage = claudeRequest.messages[claudeRequest.messages.length - 1]
+      if (lastMessage && lastMessage.role === 'assistant') {
+        throw this._createInvalidRequestError(
+          'response_format cannot be combined with tools when the last message is from the assistant',
+          'response_format'
+        )
+      }
+      claudeRequest.messages.push({ role: 'assistant', content: jsonMode.prefix })
+      return
+    }
+
+    const jsonSchema = responseFormat.json_schema || {}
+    claudeRequest.tools = [
+      {
+        name: jsonMode.toolName,
+        description:
+          jsonSchema.description || 'Respond to the user with a JSON object using this tool.',
+        input_schema:
+          responseFormat.type === 'json_schema'
+            ? jsonSchema.schema
+            : { type: 'object', additionalProperties: true }
+      }
+    ]
+    claudeRequest.tool_choice = { type: 'tool', name: jsonMode.toolName }
+  }
+
   /**
    * 提取系统消息
    */
@@ -216,6 +560,20 @@ class OpenAIToClaudeConverter {
         claudeMsg.content = this._convertToolCalls(msg.tool_calls)
       }
 
+      // 回传上一轮的思考块（工具调用的多轮对话中 Claude 要求带上签名）
+      if (role === 'assistant' && Array.isArray(msg.thinking_blocks)) {
+        const thinkingBlocks = this._convertThinkingBlocks(msg.thinking_blocks)
+        if (thinkingBlocks.length > 0) {
+          let restContent = []
+          if (Array.isArray(claudeMsg.content)) {
+            restContent = claudeMsg.content
+          } else if (typeof rawContent === 'string' && rawContent) {
+            restContent = [{ type: 'text', text: rawContent }]
+          }
+          claudeMsg.content = [...thinkingBlocks, ...restContent]
+        }
+      }
+
       // 处理工具响应
       if (msg.role === 'tool') {
         claudeMsg.role = 'user'
@@ -280,8 +638,9 @@ class OpenAIToClaudeConverter {
           logger.error(
             '❌ URL images are not supported by Claude API, only base64 format is accepted'
           )
-          throw new Error(
-            'Claude API only supports base64 encoded images, not URLs. Please convert the image to base64 format.'
+          throw this._createInvalidRequestError(
+            'Claude API only supports base64 encoded images, not URLs. Please convert the image to base64 format.',
+            'messages'
           )
         }
       }
@@ -339,15 +698,56 @@ class OpenAIToClaudeConverter {
     }))
   }
 
+  /**
+   * 转换客户端回传的 thinking_blocks（只保留带签名的思考块与脱敏思考块）
+   */
+  _convertThinkingBlocks(blocks) {
+    return blocks
+      .map((block) => {
+        if (block?.type === 'thinking' && block.signature) {
+          return { type: 'thinking', thinking: block.thinking || '', signature: block.signature }
+        }
+        if (block?.type === 'redacted_thinking' && block.data) {
+          return { type: 'redacted_thinking', data: block.data }
+        }
+        return null
+      })
+      .filter(Boolean)
+  }
+
+  /**
+   * 估算思考内容的 token 数（Claude 不单独返回思考 token，按 4 字符/token 估算）
+   */
+  _estimateReasoningTokens(content) {
+    if (!Array.isArray(content)) {
+      return 0
+    }
+    const chars = content
+      .filter((item) => item.type === 'thinking')
+      .reduce((sum, item) => sum + (item.thinking?.length || 0), 0)
+    return Math.ceil(chars / 4)
+  }
+
   /**
    * 转换 Claude 消息为 OpenAI 格式
    */
-  _convertClaudeMessage(claudeResponse) {
+  _convertClaudeMessage(claudeResponse, jsonMode = null) {
     const message = {
       role: 'assistant',
       content: null
     }
 
+    // 强制工具模式：将工具参数作为 JSON 文本返回
+    if (jsonMode?.strategy === 'tool' && Array.isArray(claudeResponse.content)) {
+      const jsonBlock = claudeResponse.content.find(
+        (item) => item.type === 'tool_use' && item.name === jsonMode.toolName
+      )
+      if (jsonBlock) {
+        message.content = JSON.stringify(jsonBlock.input)
+        return message
+      }
+    }
+
     // 处理内容
     if (claudeResponse.content) {
       if (typeof claudeResponse.content === 'string') {
@@ -356,10 +756,21 @@ class OpenAIToClaudeConverter {
         // 提取文本内容和工具调用
         const textParts = []
         const toolCalls = []
+        const reasoningParts = []
+        const thinkingBlocks = []
 
         for (const item of claudeResponse.content) {
           if (item.type === 'text') {
             textParts.push(item.text)
+          } else if (item.type === 'thinking') {
+            reasoningParts.push(item.thinking)
+            thinkingBlocks.push({
+              type: 'thinking',
+              thinking: item.thinking,
+              signature: item.signature
+            })
+          } else if (item.type === 'redacted_thinking') {
+            thinkingBlocks.push({ type: 'redacted_thinking', data: item.data })
           } else if (item.type === 'tool_use') {
             toolCalls.push({
               id: item.id,
@@ -373,9 +784,19 @@ class OpenAIToClaudeConverter {
         }
 
         message.content = textParts.join('') || null
+        // 预填充模式：补回预填充的 JSON 前缀
+        if (jsonMode?.strategy === 'prefill' && message.content !== null) {
+          message.content = `${jsonMode.prefix}${message.content}`
+        }
         if (toolCalls.length > 0) {
           message.tool_calls = toolCalls
         }
+        if (reasoningParts.length > 0) {
+          message.reasoning_content = reasoningParts.join('\n\n')
+        }
+        if (thinkingBlocks.length > 0) {
+          message.thinking_blocks = thinkingBlocks
+        }
       }
     }
 
@@ -385,29 +806,42 @@ class OpenAIToClaudeConverter {
   /**
    * 转换停止原因
    */
-  _mapStopReason(claudeReason) {
+  _mapStopReason(claudeReason, jsonMode = null) {
+    // 强制工具模式下的 tool_use 属于正常的 JSON 输出
+    if (jsonMode?.strategy === 'tool' && claudeReason === 'tool_use') {
+      return 'stop'
+    }
     return this.stopReasonMapping[claudeReason] || 'stop'
   }
 
   /**
    * 转换使用统计
    */
-  _convertUsage(claudeUsage) {
+  _convertUsage(claudeUsage, reasoningTokens = null) {
     if (!claudeUsage) {
       return undefined
     }
 
-    return {
+    const usage = {
       prompt_tokens: claudeUsage.input_tokens || 0,
       completion_tokens: claudeUsage.output_tokens || 0,
       total_tokens: (claudeUsage.input_tokens || 0) + (claudeUsage.output_tokens || 0)
     }
+    // 启用思考时报告推理 token（输出 token 已包含思考部分）
+    if (reasoningTokens !== null) {
+      usage.completion_tokens_details = {
+        reasoning_tokens: Math.min(reasoningTokens, usage.completion_tokens)
+      }
+    }
+    return usage
   }
 
   /**
    * 转换流式事件
    */
-  _convertStreamEvent(event, requestModel, sessionId) {
+  _convertStreamEvent(event, requestModel, sessionId, context = null) {
+    const jsonMode = context?.jsonMode || null
+    const state = context?.stream || null
     const timestamp = Math.floor(Date.now() / 1000)
     const baseChunk = {
       id: sessionId,
@@ -426,11 +860,38 @@ class OpenAIToClaudeConverter {
     // 根据事件类型处理
     if (event.type === 'message_start') {
       // 处理消息开始事件，发送角色信息
+      if (state && event.message?.usage) {
+        state.usage = { ...event.message.usage }
+      }
       baseChunk.choices[0].delta.role = 'assistant'
       return baseChunk
     } else if (event.type === 'content_block_start' && event.content_block) {
       if (event.content_block.type === 'text') {
-        baseChunk.choices[0].delta.content = event.content_block.text || ''
+        let text = event.content_block.text || ''
+        // 预填充模式：在第一个文本块前补回 JSON 前缀
+        if (jsonMode?.strategy === 'prefill' && state && !state.prefixEmitted) {
+          state.prefixEmitted = true
+          text = `${jsonMode.prefix}${text}`
+        }
+        baseChunk.choices[0].delta.content = text
+      } else if (event.content_block.type === 'thinking') {
+        if (state) {
+          state.thinkingText = event.content_block.thinking || ''
+        }
+        baseChunk.choices[0].delta.reasoning_content = event.content_block.thinking || ''
+      } else if (event.content_block.type === 'redacted_thinking') {
+        baseChunk.choices[0].delta.thinking_blocks = [
+          { type: 'redacted_thinking', data: event.content_block.data }
+        ]
+      } else if (
+        jsonMode?.strategy === 'tool' &&
+        state &&
+        event.content_block.type === 'tool_use' &&
+        event.content_block.name === jsonMode.toolName
+      ) {
+        // 强制工具模式：工具参数以文本内容输出，不暴露工具调用
+        state.jsonBlockIndex = event.index
+        return null
       } else if (event.content_block.type === 'tool_use') {
         // 开始工具调用
         baseChunk.choices[0].delta.tool_calls = [
@@ -448,6 +909,32 @@ class OpenAIToClaudeConverter {
     } else if (event.type === 'content_block_delta' && event.delta) {
       if (event.delta.type === 'text_delta') {
         baseChunk.choices[0].delta.content = event.delta.text || ''
+      } else if (event.delta.type === 'thinking_delta') {
+        const thinking = event.delta.thinking || ''
+        if (state) {
+          state.thinkingText += thinking
+          state.reasoningChars += thinking.length
+        }
+        baseChunk.choices[0].delta.reasoning_content = thinking
+      } else if (event.delta.type === 'signature_delta') {
+        // 思考块结束时输出完整的带签名思考块，供客户端在后续轮次回传
+        baseChunk.choices[0].delta.thinking_blocks = [
+          {
+            type: 'thinking',
+            thinking: state?.thinkingText || '',
+            signature: event.delta.signature
+          }
+        ]
+        if (state) {
+          state.thinkingText = ''
+        }
+      } else if (
+        event.delta.type === 'input_json_delta' &&
+        state &&
+        state.jsonBlockIndex !== null &&
+        event.index === state.jsonBlockIndex
+      ) {
+        baseChunk.choices[0].delta.content = event.delta.partial_json || ''
       } else if (event.delta.type === 'input_json_delta') {
         // 工具调用参数的增量更新
         baseChunk.choices[0].delta.tool_calls = [
@@ -461,10 +948,19 @@ class OpenAIToClaudeConverter {
       }
     } else if (event.type === 'message_delta' && event.delta) {
       if (event.delta.stop_reason) {
-        baseChunk.choices[0].finish_reason = this._mapStopReason(event.delta.stop_reason)
+        baseChunk.choices[0].finish_reason = this._mapStopReason(event.delta.stop_reason, jsonMode)
       }
       if (event.usage) {
-        baseChunk.usage = this._convertUsage(event.usage)
+        if (state) {
+          state.usage = { ...(state.usage || {}), ...event.usage }
+        }
+        // include_usage 时用量在最终数据块中单独发送
+        if (!context?.includeUsage) {
+          baseChunk.usage = this._convertUsage(
+            event.usage,
+            context?.thinking ? Math.ceil(state.reasoningChars / 4) : null
+          )
+        }
       }
     } else if (event.type === 'message_stop') {
       // message_stop 事件不需要返回 chunk，[DONE] 标记会在 convertStreamChunk 中添加
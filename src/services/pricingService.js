@@ -74,6 +74,9 @@ class PricingService {
       }
       // 未来可以添加更多 1M 模型的价格
     }
+
+    // Message Batches API 折扣：价格数据中没有 *_batches 字段时，按标准价格的 50% 计费
+    this.batchDiscount = 0.5
   }
 
   // 初始化价格服务
@@ -405,9 +408,13 @@ class PricingService {
       }
     }
 
-    // 对于Bedrock区域前缀模型（如 us.anthropic.claude-sonnet-4-20250514-v1:0），
-    // 尝试去掉区域前缀进行匹配
-    if (modelName.includes('.anthropic.') || modelName.includes('.claude')) {
+    // 对于Bedrock区域前缀模型（如 us.anthropic.claude-sonnet-4-20250514-v1:0、
+    // eu.meta.llama3-2-90b-instruct-v1:0），尝试去掉区域前缀进行匹配
+    if (
+      modelName.includes('.anthropic.') ||
+      modelName.includes('.claude') ||
+      /^(us|eu|apac)\.(amazon|meta|mistral|cohere|ai21|deepseek|writer)\./.test(modelName)
+    ) {
       // 提取不带区域前缀的模型名
       const withoutRegion = modelName.replace(/^(us|eu|apac)\./, '')
       if (this.pricingData[withoutRegion]) {
@@ -628,6 +635,41 @@ class PricingService {
     }
   }
 
+  // 计算 Message Batches API 请求的费用
+  // 输入/输出优先使用价格数据中的 *_batches 价格，缓存费用及缺失的价格按批处理折扣计算
+  calculateBatchCost(usage, modelName) {
+    const standardCost = this.calculateCost(usage, modelName)
+    if (!standardCost.hasPricing) {
+      return standardCost
+    }
+
+    const pricing = this.getModelPricing(modelName)
+    const discount = this.batchDiscount
+
+    const inputCost =
+      pricing?.input_cost_per_token_batches !== undefined
+        ? (usage.input_tokens || 0) * pricing.input_cost_per_token_batches
+        : standardCost.inputCost * discount
+    const outputCost =
+      pricing?.output_cost_per_token_batches !== undefined
+        ? (usage.output_tokens || 0) * pricing.output_cost_per_token_batches
+        : standardCost.outputCost * discount
+    const cacheCreateCost = standardCost.cacheCreateCost * discount
+    const cacheReadCost = standardCost.cacheReadCost * discount
+
+    return {
+      ...standardCost,
+      inputCost,
+      outputCost,
+      cacheCreateCost,
+      cacheReadCost,
+      ephemeral5mCost: standardCost.ephemeral5mCost * discount,
+      ephemeral1hCost: standardCost.ephemeral1hCost * discount,
+      totalCost: inputCost + outputCost + cacheCreateCost + cacheReadCost,
+      isBatchRequest: true
+    }
+  }
+
   // 格式化价格显示
   formatCost(cost) {
     if (cost === 0) {
@@ -0,0 +1,493 @@
+const axios = require('axios')
+const { v4: uuidv4 } = require('uuid')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const ProxyHelper = require('../utils/proxyHelper')
+const config = require('../../config/config')
+
+const POOLS_KEY = 'proxy_pools'
+const POOL_PREFIX = 'proxy_pool:'
+const HEALTH_PREFIX = 'proxy_pool_health:'
+const MASKED_PASSWORD = '***'
+
+// 可引用代理池的账户：Redis 键模式与存储方式（hash 字段或整段 JSON）
+const ACCOUNT_SOURCES = [
+  { platform: 'claude', pattern: 'claude:account:*', storage: 'hash' },
+  { platform: 'claude-console', pattern: 'claude_console_account:*', storage: 'hash' },
+  { platform: 'ccr', pattern: 'ccr_account:*', storage: 'hash' },
+  { platform: 'bedrock', pattern: 'bedrock_account:*', storage: 'json' },
+  { platform: 'vertex', pattern: 'vertex_account:*', storage: 'json' },
+  { platform: 'gemini', pattern: 'gemini_account:*', storage: 'hash' },
+  { platform: 'gemini-api', pattern: 'gemini_api_account:*', storage: 'hash' },
+  { platform: 'openai', pattern: 'openai:account:*', storage: 'hash' },
+  { platform: 'openai-responses', pattern: 'openai_responses_account:*', storage: 'hash' },
+  { platform: 'openai-compatible', pattern: 'openai_compatible_account:*', storage: 'hash' },
+  { platform: 'azure_openai', pattern: 'azure_openai:account:*', storage: 'hash' },
+  { platform: 'droid', pattern: 'droid:account:*', storage: 'hash' }
+]
+
+/**
+ * 代理池服务
+ *
+ * 账户的 proxy 字段可保存为 { poolId } 引用代理池，由 ProxyHelper 在创建 Agent 时同步解析。
+ * 内存中的代理池定时从 Redis 重新加载（与健康检查开关无关），解析未命中时立即触发一次重新加载。
+ * 池内代理按列表顺序优先使用：定时健康检查连续失败达到阈值的代理会被跳过，
+ * 自动切换到下一个健康的代理，恢复后切回。
+ */
+class ProxyPoolService {
+  constructor() {
+    // poolId -> 代理池（含 health），供同步解析使用
+    this.pools = new Map()
+    this.interval = null
+    this.reloadInterval = null
+    this.reloadPromise = null
+    this.isRunning = false
+  }
+
+  // 启动时加载代理池，保证请求到达前即可解析代理池引用
+  async initialize() {
+    await this._loadPools()
+    logger.info(`🌐 Proxy pool service loaded ${this.pools.size} pool(s)`)
+  }
+
+  start() {
+    // 多实例部署时其他实例可能新增或修改代理池，定时同步内存中的代理池
+    const reloadIntervalSeconds = Math.max(
+      parseInt(config.proxyPool?.reloadIntervalSeconds) || 30,
+      5
+    )
+    this.reloadInterval = setInterval(() => this.reload(), reloadIntervalSeconds * 1000)
+
+    if (config.proxyPool?.healthCheckEnabled === false) {
+      logger.info('🔕 Proxy pool health check disabled via config')
+      return
+    }
+
+    const intervalSeconds = Math.max(
+      parseInt(config.proxyPool?.healthCheckIntervalSeconds) || 60,
+      15
+    )
+    const safeTick = () => {
+      this._tick().catch((error) => {
+        logger.error('❌ Proxy pool health check threw unhandled error:', error)
+      })
+    }
+
+    setTimeout(safeTick, 5000)
+    this.interval = setInterval(safeTick, intervalSeconds * 1000)
+    logger.info(`🩺 Proxy pool health check scheduled every ${intervalSeconds}s`)
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval)
+      this.interval = null
+    }
+    if (this.reloadInterval) {
+      clearInterval(this.reloadInterval)
+      this.reloadInterval = null
+    }
+    this.isRunning = false
+  }
+
+  // 从 Redis 重新加载代理池，并发调用共用同一次加载
+  reload() {
+    if (!this.reloadPromise) {
+      this.reloadPromise = this._loadPools()
+        .catch((error) => {
+          logger.error('❌ Failed to reload proxy pools:', error)
+        })
+        .finally(() => {
+          this.reloadPromise = null
+        })
+    }
+    return this.reloadPromise
+  }
+
+  /**
+   * 同步解析代理池引用，返回当前应使用的代理配置
+   * 内存中没有该代理池时触发从 Redis 重新加载，本次仍返回 null，由调用方拒绝请求
+   * @param {string} poolId - 代理池ID
+   * @returns {Object|null} 代理配置，池不存在或为空时返回 null
+   */
+  resolveProxy(poolId) {
+    const pool = this.pools.get(poolId)
+    if (!pool || pool.proxies.length === 0) {
+      this.reload()
+      return null
+    }
+    return this._stripEntry(this._selectProxy(pool))
+  }
+
+  getPoolName(poolId) {
+    return this.pools.get(poolId)?.name || null
+  }
+
+  async createPool({ name, description = '', proxies }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('代理池名称为必填项')
+    }
+
+    const client = redis.getClientSafe()
+    const poolId = uuidv4()
+    const now = new Date().toISOString()
+    const pool = {
+      id: poolId,
+      name: String(name).trim(),
+      description,
+      proxies: this._normalizeProxies(proxies),
+      createdAt: now,
+      updatedAt: now
+    }
+
+    await client.hmset(`${POOL_PREFIX}${poolId}`, this._serializePool(pool))
+    await client.sadd(POOLS_KEY, poolId)
+    await this._loadPools()
+
+    logger.success(`✅ Created proxy pool: ${pool.name} (${pool.proxies.length} proxies)`)
+    return this._maskPool(pool)
+  }
+
+  async updatePool(poolId, updates) {
+    const existing = await this._getPoolFromRedis(poolId)
+    if (!existing) {
+      throw new Error('代理池不存在')
+    }
+
+    const pool = {
+      ...existing,
+      updatedAt: new Date().toISOString()
+    }
+    if (updates.name !== undefined) {
+      if (!String(updates.name).trim()) {
+        throw new Error('代理池名称不能为空')
+      }
+      pool.name = String(updates.name).trim()
+    }
+    if (updates.description !== undefined) {
+      pool.description = updates.description || ''
+    }
+    if (updates.proxies !== undefined) {
+      pool.proxies = this._normalizeProxies(updates.proxies, existing.proxies)
+    }
+
+    const client = redis.getClientSafe()
+    await client.hmset(`${POOL_PREFIX}${poolId}`, this._serializePool(pool))
+
+    // 清理已移除代理的健康记录
+    const keptIds = new Set(pool.proxies.map((proxy) => proxy.id))
+    const removedIds = existing.proxies.map((proxy) => proxy.id).filter((id) => !keptIds.has(id))
+    if (removedIds.length > 0) {
+      await client.hdel(`${HEALTH_PREFIX}${poolId}`, ...removedIds)
+    }
+
+    await this._loadPools()
+    logger.success(`✅ Updated proxy pool: ${pool.name}`)
+    return this._maskPool(pool)
+  }
+
+  async deletePool(poolId) {
+    const pool = await this._getPoolFromRedis(poolId)
+    if (!pool) {
+      throw new Error('代理池不存在')
+    }
+
+    const dependents = (await this.getDependentAccounts()).get(poolId) || []
+    if (dependents.length > 0) {
+      throw new Error(`仍有 ${dependents.length} 个账户使用该代理池，无法删除`)
+    }
+
+    const client = redis.getClientSafe()
+    await client.del(`${POOL_PREFIX}${poolId}`, `${HEALTH_PREFIX}${poolId}`)
+    await client.srem(POOLS_KEY, poolId)
+    this.pools.delete(poolId)
+
+    logger.success(`🗑️ Deleted proxy pool: ${pool.name}`)
+  }
+
+  /**
+   * 获取全部代理池，附带健康状态、当前使用的代理和依赖账户（代理密码脱敏）
+   */
+  async getAllPools() {
+    await this._loadPools()
+    const dependents = await this.getDependentAccounts()
+
+    return Array.from(this.pools.values()).map((pool) => {
+      const active = pool.proxies.length > 0 ? this._selectProxy(pool) : null
+      return {
+        id: pool.id,
+        name: pool.name,
+        description: pool.description,
+        createdAt: pool.createdAt,
+        updatedAt: pool.updatedAt,
+        activeProxyId: active?.id || null,
+        proxies: this._maskPool(pool).proxies.map((proxy) => ({
+          ...proxy,
+          health: pool.health[proxy.id] || null
+        })),
+        accounts: dependents.get(pool.id) || []
+      }
+    })
+  }
+
+  /**
+   * 扫描所有账户的 proxy 字段，按代理池分组
+   * @returns {Promise<Map<string, Array<{id, name, platform}>>>}
+   */
+  async getDependentAccounts() {
+    const client = redis.getClientSafe()
+    const result = new Map()
+
+    for (const source of ACCOUNT_SOURCES) {
+      const keys = await client.keys(source.pattern)
+      if (keys.length === 0) {
+        continue
+      }
+
+      const pipeline = client.pipeline()
+      keys.forEach((key) =>
+        source.storage === 'hash' ? pipeline.hmget(key, 'id', 'name', 'proxy') : pipeline.get(key)
+      )
+      const replies = await pipeline.exec()
+
+      replies.forEach(([error, reply], index) => {
+        // 同前缀下的非账户键（类型不同）直接跳过
+        if (error || !reply) {
+          return
+        }
+
+        let account = null
+        if (source.storage === 'hash') {
+          const [id, name, proxy] = reply
+          account = { id, name, proxy }
+        } else {
+          try {
+            account = JSON.parse(reply)
+          } catch (parseError) {
+            return
+          }
+        }
+
+        const poolId = this._getPoolId(account.proxy)
+        if (!poolId) {
+          return
+        }
+        if (!result.has(poolId)) {
+          result.set(poolId, [])
+        }
+        result.get(poolId).push({
+          id: account.id || keys[index].slice(source.pattern.length - 1),
+          name: account.name || account.id,
+          platform: source.platform
+        })
+      })
+    }
+
+    return result
+  }
+
+  // 立即检查一个代理池的全部代理
+  async checkPool(poolId) {
+    const pool = await this._getPoolFromRedis(poolId)
+    if (!pool) {
+      throw new Error('代理池不存在')
+    }
+    await this._checkPool(pool)
+    await this._loadPools()
+    return this.pools.get(poolId)?.health || {}
+  }
+
+  async _tick() {
+    if (this.isRunning) {
+      return
+    }
+
+    this.isRunning = true
+    try {
+      await this._loadPools()
+      for (const pool of this.pools.values()) {
+        await this._checkPool(pool)
+      }
+      await this._loadPools()
+    } catch (error) {
+      logger.error('❌ Proxy pool health check failed:', error)
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  async _checkPool(pool) {
+    const previous = pool.proxies.length > 0 ? this._selectProxy(pool) : null
+    const health = { ...pool.health }
+    const failureThreshold = Math.max(parseInt(config.proxyPool?.failureThreshold) || 2, 1)
+
+    for (const proxy of pool.proxies) {
+      const result = await this._probe(proxy)
+      const last = health[proxy.id] || {}
+      const consecutiveFailures = result.ok ? 0 : (last.consecutiveFailures || 0) + 1
+
+      health[proxy.id] = {
+        healthy: result.ok || consecutiveFailures < failureThreshold,
+        latencyMs: result.ok ? result.latencyMs : null,
+        lastCheckedAt: new Date().toISOString(),
+        lastError: result.ok ? null : result.error,
+        consecutiveFailures
+      }
+
+      if (!result.ok) {
+        logger.warn(
+          `⚠️ Proxy ${ProxyHelper.maskProxyInfo(proxy)} in pool ${pool.name} failed health check (${consecutiveFailures}x): ${result.error}`
+        )
+      }
+    }
+
+    const client = redis.getClientSafe()
+    const entries = Object.entries(health).map(([id, value]) => [id, JSON.stringify(value)])
+    if (entries.length > 0) {
+      await client.hmset(`${HEALTH_PREFIX}${pool.id}`, Object.fromEntries(entries))
+    }
+
+    const current = pool.proxies.length > 0 ? this._selectProxy({ ...pool, health }) : null
+    if (previous && current && previous.id !== current.id) {
+      logger.warn(
+        `🔀 Proxy pool ${pool.name} switched from ${ProxyHelper.getProxyDescription(previous)} to ${ProxyHelper.getProxyDescription(current)}`
+      )
+    }
+  }
+
+  // 通过代理请求检测地址，收到任意 HTTP 响应即视为连通
+  async _probe(proxy) {
+    const agent = ProxyHelper.createProxyAgent(this._stripEntry(proxy))
+    if (!agent) {
+      return { ok: false, error: 'Invalid proxy configuration' }
+    }
+
+    const startedAt = Date.now()
+    try {
+      await axios.get(config.proxyPool?.healthCheckUrl || 'https://api.anthropic.com', {
+        httpAgent: agent,
+        httpsAgent: agent,
+        proxy: false,
+        timeout: parseInt(config.proxyPool?.healthCheckTimeoutMs) || 10000,
+        maxRedirects: 0,
+        validateStatus: () => true
+      })
+      return { ok: true, latencyMs: Date.now() - startedAt }
+    } catch (error) {
+      return { ok: false, error: error.code || error.message }
+    }
+  }
+
+  // 按列表顺序选择第一个健康的代理，全部不健康时退回第一个
+  _selectProxy(pool) {
+    return pool.proxies.find((proxy) => pool.health[proxy.id]?.healthy !== false) || pool.proxies[0]
+  }
+
+  async _loadPools() {
+    const client = redis.getClientSafe()
+    const poolIds = await client.smembers(POOLS_KEY)
+    const pools = new Map()
+
+    for (const poolId of poolIds) {
+      const pool = await this._getPoolFromRedis(poolId)
+      if (!pool) {
+        continue
+      }
+      const rawHealth = await client.hgetall(`${HEALTH_PREFIX}${poolId}`)
+      pool.health = {}
+      Object.entries(rawHealth || {}).forEach(([proxyId, value]) => {
+        try {
+          pool.health[proxyId] = JSON.parse(value)
+        } catch (error) {
+          logger.debug(`⚠️ Invalid health record for proxy ${proxyId}`)
+        }
+      })
+      pools.set(poolId, pool)
+    }
+
+    this.pools = pools
+  }
+
+  async _getPoolFromRedis(poolId) {
+    const data = await redis.getClientSafe().hgetall(`${POOL_PREFIX}${poolId}`)
+    if (!data || Object.keys(data).length === 0) {
+      return null
+    }
+
+    let proxies = []
+    try {
+      proxies = JSON.parse(data.proxies || '[]')
+    } catch (error) {
+      logger.warn(`⚠️ Invalid proxy list in pool ${poolId}`)
+    }
+    return { ...data, proxies, health: {} }
+  }
+
+  _serializePool(pool) {
+    return {
+      id: pool.id,
+      name: pool.name,
+      description: pool.description || '',
+      proxies: JSON.stringify(pool.proxies),
+      createdAt: pool.createdAt,
+      updatedAt: pool.updatedAt
+    }
+  }
+
+  // 校验并规范化代理列表；带 id 且仍存在的代理保留原 id，以便沿用健康记录
+  // 提交脱敏后的密码（***）时沿用原密码
+  _normalizeProxies(proxies, existingProxies = []) {
+    if (!Array.isArray(proxies) || proxies.length === 0) {
+      throw new Error('代理池至少需要一个代理')
+    }
+
+    const existingById = new Map(existingProxies.map((proxy) => [proxy.id, proxy]))
+    return proxies.map((proxy, index) => {
+      if (!ProxyHelper.validateProxyConfig(proxy) || proxy.poolId) {
+        throw new Error(`第 ${index + 1} 个代理配置无效（需要 type、host、port）`)
+      }
+      const existing = proxy.id ? existingById.get(proxy.id) : null
+      return {
+        id: existing ? proxy.id : uuidv4(),
+        type: proxy.type,
+        host: String(proxy.host).trim(),
+        port: parseInt(proxy.port),
+        username: proxy.username || null,
+        password:
+          proxy.password === MASKED_PASSWORD && existing
+            ? existing.password
+            : proxy.password || null
+      }
+    })
+  }
+
+  // 返回给管理后台前隐藏代理密码
+  _maskPool(pool) {
+    return {
+      ...pool,
+      proxies: pool.proxies.map((proxy) => ({
+        ...proxy,
+        password: proxy.password ? MASKED_PASSWORD : null
+      }))
+    }
+  }
+
+  _stripEntry(proxy) {
+    const { id: _id, ...proxyConfig } = proxy
+    return proxyConfig
+  }
+
+  _getPoolId(proxyConfig) {
+    if (!proxyConfig) {
+      return null
+    }
+    try {
+      const proxy = typeof proxyConfig === 'string' ? JSON.parse(proxyConfig) : proxyConfig
+      return proxy?.poolId || null
+    } catch (error) {
+      return null
+    }
+  }
+}
+
+module.exports = new ProxyPoolService()
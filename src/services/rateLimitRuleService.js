@@ -0,0 +1,340 @@
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+
+const RULE_KEY_PREFIX = 'rate_limit_rule:'
+const MAX_RULES_PER_KEY = 20
+
+// 支持的限流指标：请求数在请求开始时计数，Token 与费用在记录使用量时累加
+const METRICS = {
+  requests: { label: '请求数', countedAtRequest: true },
+  input_tokens: { label: '输入 Token', countedAtRequest: false },
+  output_tokens: { label: '输出 Token', countedAtRequest: false },
+  cost: { label: '费用', countedAtRequest: false }
+}
+
+// 请求开始时检查所有匹配规则，全部通过后才为请求数规则计数
+// 每条规则的第三个参数为本次计数量（Token / 费用规则为 0，只检查不计数）
+// 返回 { 0 } 表示通过；{ 超限规则序号, 当前值, 剩余毫秒 } 表示被限流
+const CHECK_SCRIPT = `
+local count = #KEYS
+for i = 1, count do
+  local limit = tonumber(ARGV[(i - 1) * 3 + 1])
+  local amount = tonumber(ARGV[(i - 1) * 3 + 3])
+  local current = tonumber(redis.call('GET', KEYS[i]) or '0')
+  if (amount > 0 and current + amount > limit) or (amount == 0 and current >= limit) then
+    return {i, tostring(current), redis.call('PTTL', KEYS[i])}
+  end
+end
+
+for i = 1, count do
+  local amount = tonumber(ARGV[(i - 1) * 3 + 3])
+  if amount > 0 then
+    local windowMs = tonumber(ARGV[(i - 1) * 3 + 2])
+    redis.call('INCRBY', KEYS[i], amount)
+    if redis.call('PTTL', KEYS[i]) < 0 then
+      redis.call('PEXPIRE', KEYS[i], windowMs)
+    end
+  end
+end
+return {0}
+`
+
+// 请求完成后累加 Token / 费用，窗口从首次计数开始
+const RECORD_SCRIPT = `
+for i = 1, #KEYS do
+  local amount = tonumber(ARGV[(i - 1) * 2 + 1])
+  local windowMs = tonumber(ARGV[(i - 1) * 2 + 2])
+  if amount > 0 then
+    redis.call('INCRBYFLOAT', KEYS[i], amount)
+    if redis.call('PTTL', KEYS[i]) < 0 then
+      redis.call('PEXPIRE', KEYS[i], windowMs)
+    end
+  end
+end
+return 1
+`
+
+/**
+ * API Key 限流规则服务
+ *
+ * 在原有的单一时间窗口限流之外，每个 API Key 可以配置多条规则，每条规则包含：
+ * - metric: requests / input_tokens / output_tokens / cost
+ * - limit: 窗口内允许的最大值
+ * - windowMinutes: 窗口长度（分钟），从窗口内首次计数开始计算
+ * - model: 可选的模型过滤，不区分大小写的子串匹配，可填完整模型名或模型族（如 opus、haiku）
+ *
+ * 例如「Opus 每小时 50 次请求」配置为 { metric: 'requests', limit: 50, windowMinutes: 60, model: 'opus' }，
+ * 没有规则匹配的模型（如 Haiku）不受限制。检查与计数都通过 Lua 脚本在 Redis 中原子完成。
+ */
+class RateLimitRuleService {
+  isEnabled() {
+    return config.rateLimitRules?.enabled !== false
+  }
+
+  getMetrics() {
+    return Object.keys(METRICS)
+  }
+
+  /**
+   * 校验规则列表
+   * @param {Array} rules - 管理后台提交的规则
+   * @returns {string|null} 错误信息，校验通过时返回 null
+   */
+  validateRules(rules) {
+    if (rules === null) {
+      return null
+    }
+    if (!Array.isArray(rules)) {
+      return 'Rate limit rules must be an array'
+    }
+    if (rules.length > MAX_RULES_PER_KEY) {
+      return `At most ${MAX_RULES_PER_KEY} rate limit rules are allowed per API key`
+    }
+
+    const seen = new Set()
+    for (const [index, rule] of rules.entries()) {
+      const position = `Rate limit rule #${index + 1}`
+      if (!rule || typeof rule !== 'object') {
+        return `${position} must be an object`
+      }
+      if (!METRICS[rule.metric]) {
+        return `${position}: metric must be one of ${this.getMetrics().join(', ')}`
+      }
+      const limit = Number(rule.limit)
+      if (!Number.isFinite(limit) || limit <= 0) {
+        return `${position}: limit must be a positive number`
+      }
+      if (rule.metric !== 'cost' && !Number.isInteger(limit)) {
+        return `${position}: limit must be an integer`
+      }
+      const windowMinutes = Number(rule.windowMinutes)
+      if (!Number.isInteger(windowMinutes) || windowMinutes < 1) {
+        return `${position}: windowMinutes must be a positive integer`
+      }
+      if (rule.model !== undefined && rule.model !== null && typeof rule.model !== 'string') {
+        return `${position}: model must be a string`
+      }
+
+      const id = this._getRuleId(this._normalizeRule(rule))
+      if (seen.has(id)) {
+        return `${position} duplicates another rule with the same metric, window and model`
+      }
+      seen.add(id)
+    }
+    return null
+  }
+
+  /**
+   * 规范化规则列表（用于存储与读取）
+   * @param {Array|string} value - 规则数组或 JSON 字符串
+   * @returns {Array<Object>} 合法的规则，无法解析时返回空数组
+   */
+  parseRules(value) {
+    if (!value) {
+      return []
+    }
+
+    let list = value
+    if (typeof value === 'string') {
+      try {
+        list = JSON.parse(value)
+      } catch (error) {
+        return []
+      }
+    }
+    if (!Array.isArray(list)) {
+      return []
+    }
+
+    return list
+      .filter(
+        (rule) =>
+          rule &&
+          METRICS[rule.metric] &&
+          Number(rule.limit) > 0 &&
+          Number.isInteger(Number(rule.windowMinutes)) &&
+          Number(rule.windowMinutes) >= 1
+      )
+      .map((rule) => this._normalizeRule(rule))
+  }
+
+  /**
+   * 检查请求是否触发限流规则，通过时为请求数规则计数（由认证中间件调用）
+   * @param {string} keyId - API Key ID
+   * @param {Array|string} rules - 规则
+   * @param {string} model - 当前请求的模型
+   * @param {number} requestCount - 本次计入请求数规则的次数（一个请求拆分为多个上游调用时大于 1）
+   * @returns {Promise<Object>} { allowed: true } 或 { allowed: false, rule, current, resetAt, remainingSeconds }
+   */
+  async checkRequest(keyId, rules, model = '', requestCount = 1) {
+    const matched = this._getMatchingRules(this.parseRules(rules), model)
+    return this._checkRules(
+      keyId,
+      matched.map((rule) => ({
+        rule,
+        amount: METRICS[rule.metric].countedAtRequest ? requestCount : 0
+      }))
+    )
+  }
+
+  /**
+   * 检查批处理中各模型的限流规则，通过时按每个模型的请求数计数
+   * 只处理带模型过滤的规则：不带模型的规则已由认证中间件按一次请求检查
+   * @param {string} keyId - API Key ID
+   * @param {Array|string} rules - 规则
+   * @param {Map<string, number>} modelCounts - 模型 → 请求数
+   * @returns {Promise<Object>} 与 checkRequest 相同
+   */
+  async checkModelRequests(keyId, rules, modelCounts) {
+    const modelRules = this.parseRules(rules).filter((rule) => rule.model)
+    const entries = new Map()
+    for (const [model, count] of modelCounts) {
+      for (const rule of this._getMatchingRules(modelRules, model)) {
+        const id = this._getRuleId(rule)
+        const entry = entries.get(id) || { rule, amount: 0 }
+        if (METRICS[rule.metric].countedAtRequest) {
+          entry.amount += count
+        }
+        entries.set(id, entry)
+      }
+    }
+    return this._checkRules(keyId, [...entries.values()])
+  }
+
+  // 原子检查并计数：entries 为 [{ rule, amount }]，amount 为 0 时只检查不计数
+  async _checkRules(keyId, entries) {
+    if (!this.isEnabled() || entries.length === 0) {
+      return { allowed: true }
+    }
+
+    const matched = entries.map(({ rule }) => rule)
+    const keys = matched.map((rule) => this._getCounterKey(keyId, rule))
+    const args = []
+    for (const { rule, amount } of entries) {
+      args.push(String(rule.limit), String(rule.windowMinutes * 60 * 1000), String(amount))
+    }
+
+    const [index, current, pttl] = await redis
+      .getClientSafe()
+      .eval(CHECK_SCRIPT, keys.length, ...keys, ...args)
+    if (index === 0) {
+      return { allowed: true }
+    }
+
+    const rule = matched[index - 1]
+    const remainingMs = pttl > 0 ? pttl : rule.windowMinutes * 60 * 1000
+    return {
+      allowed: false,
+      rule,
+      current: parseFloat(current) || 0,
+      resetAt: new Date(Date.now() + remainingMs).toISOString(),
+      remainingSeconds: Math.ceil(remainingMs / 1000)
+    }
+  }
+
+  /**
+   * 记录请求的 Token 与费用使用量
+   * @param {string} keyId - API Key ID
+   * @param {Array|string} rules - 规则（可为 Redis 中存储的 JSON 字符串）
+   * @param {string} model - 实际使用的模型
+   * @param {Object} usage - { inputTokens, outputTokens, cost }，inputTokens 包含缓存创建 Token
+   */
+  async recordUsage(keyId, rules, model, usage) {
+    const matched = this._getMatchingRules(this.parseRules(rules), model).filter(
+      (rule) => !METRICS[rule.metric].countedAtRequest
+    )
+    if (!this.isEnabled() || matched.length === 0) {
+      return
+    }
+
+    const amounts = {
+      input_tokens: usage.inputTokens || 0,
+      output_tokens: usage.outputTokens || 0,
+      cost: usage.cost || 0
+    }
+    const keys = matched.map((rule) => this._getCounterKey(keyId, rule))
+    const args = []
+    for (const rule of matched) {
+      args.push(String(amounts[rule.metric]), String(rule.windowMinutes * 60 * 1000))
+    }
+
+    try {
+      await redis.getClientSafe().eval(RECORD_SCRIPT, keys.length, ...keys, ...args)
+    } catch (error) {
+      logger.error(`❌ Failed to record rate limit rule usage for key ${keyId}:`, error)
+    }
+  }
+
+  /**
+   * 获取规则的当前使用情况（用于 key-info 与统计展示）
+   * @param {string} keyId - API Key ID
+   * @param {Array|string} rules - 规则
+   * @returns {Promise<Array<Object>>}
+   */
+  async getStatus(keyId, rules) {
+    const list = this.parseRules(rules)
+    if (list.length === 0) {
+      return []
+    }
+
+    const pipeline = redis.getClientSafe().pipeline()
+    for (const rule of list) {
+      const key = this._getCounterKey(keyId, rule)
+      pipeline.get(key)
+      pipeline.pttl(key)
+    }
+    const results = await pipeline.exec()
+
+    return list.map((rule, index) => {
+      const current = parseFloat(results[index * 2]?.[1]) || 0
+      const pttl = results[index * 2 + 1]?.[1]
+      return {
+        ...rule,
+        current,
+        remaining: Math.max(rule.limit - current, 0),
+        resetAt: pttl > 0 ? new Date(Date.now() + pttl).toISOString() : null
+      }
+    })
+  }
+
+  // 生成超限提示信息
+  formatExceededMessage(result) {
+    const { rule, remainingSeconds } = result
+    const limitText = rule.metric === 'cost' ? `$${rule.limit}` : `${rule.limit}`
+    const modelText = rule.model ? `模型 ${rule.model} 的` : ''
+    const remainingMinutes = Math.ceil(remainingSeconds / 60)
+    return `已达到${modelText}${METRICS[rule.metric].label}限制 (${rule.windowMinutes} 分钟内 ${limitText})，将在 ${remainingMinutes} 分钟后重置`
+  }
+
+  _normalizeRule(rule) {
+    return {
+      metric: rule.metric,
+      limit: Number(rule.limit),
+      windowMinutes: Number(rule.windowMinutes),
+      model: typeof rule.model === 'string' ? rule.model.trim() : ''
+    }
+  }
+
+  _getMatchingRules(rules, model) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return []
+    }
+    const normalizedModel = (model || '').toLowerCase()
+    return rules.filter(
+      (rule) =>
+        !rule.model || (normalizedModel && normalizedModel.includes(rule.model.toLowerCase()))
+    )
+  }
+
+  // 规则ID由指标、窗口和模型组成：只修改 limit 时保留当前窗口的计数
+  _getRuleId(rule) {
+    return `${rule.metric}:${rule.windowMinutes}:${rule.model.toLowerCase() || '*'}`
+  }
+
+  _getCounterKey(keyId, rule) {
+    return `${RULE_KEY_PREFIX}${keyId}:${this._getRuleId(rule)}`
+  }
+}
+
+module.exports = new RateLimitRuleService()
@@ -0,0 +1,400 @@
+const { AsyncLocalStorage } = require('async_hooks')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const { sanitizeErrorMessage } = require('../utils/errorSanitizer')
+
+// 日志记录使用独立前缀，避免请求ID（如 index）与索引键冲突
+const LOG_KEY_PREFIX = 'request_log:entry:'
+const INDEX_KEY = 'request_log:index'
+const KEY_INDEX_PREFIX = 'request_log:index:key:'
+const ACCOUNT_INDEX_PREFIX = 'request_log:index:account:'
+
+// 单次查询最多扫描的记录数，避免大时间范围查询阻塞
+const MAX_SCAN_ENTRIES = 20000
+const SCAN_BATCH_SIZE = 500
+const MAX_ERROR_LENGTH = 500
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/
+
+/**
+ * 请求审计日志服务
+ *
+ * 为每个经过 API Key 认证的请求保存一条记录（请求ID、Key、账户、模型、Token、费用、耗时、状态、错误），
+ * 保存在 Redis 中并按保留时长自动过期。
+ *
+ * 数据通过 AsyncLocalStorage 在请求生命周期内收集：
+ * - requestLogger 中间件创建上下文
+ * - 调度器选择账户时写入账户信息
+ * - apiKeyService 记录用量时写入 token 与费用
+ * - 响应结束时持久化；若用量在响应结束后才到达，则更新已保存的记录
+ *
+ * 关闭审计日志时仍会创建上下文（只是不持久化），账户健康度统计依赖其中的账户与首字节时间
+ */
+class RequestLogService {
+  constructor() {
+    this.storage = new AsyncLocalStorage()
+  }
+
+  isEnabled() {
+    return config.requestLog?.enabled !== false
+  }
+
+  getRetentionSeconds() {
+    const days = parseInt(config.requestLog?.retentionDays) || 7
+    return Math.max(1, days) * 24 * 3600
+  }
+
+  // 🧵 在请求上下文中执行后续中间件
+  runWithContext(req, res, next) {
+    const context = {
+      requestId: req.requestId,
+      startTime: Date.now(),
+      firstByteTime: null,
+      accountId: null,
+      accountType: null,
+      model: null,
+      usage: null,
+      error: null,
+      cached: false,
+      finalized: null
+    }
+    req.requestLogContext = context
+
+    // 捕获错误响应体中的错误信息
+    const originalJson = res.json.bind(res)
+    res.json = (body) => {
+      if (res.statusCode >= 400 && !context.error) {
+        context.error = this._extractErrorMessage(body)
+      }
+      return originalJson(body)
+    }
+
+    // 记录首字节时间（流式响应为第一次 write，非流式为 end）
+    const markFirstByte = (original) =>
+      function (...args) {
+        if (!context.firstByteTime) {
+          context.firstByteTime = Date.now()
+        }
+        return original.apply(this, args)
+      }
+    res.write = markFirstByte(res.write)
+    res.end = markFirstByte(res.end)
+
+    return this.storage.run(context, next)
+  }
+
+  _getContext() {
+    return this.storage.getStore() || null
+  }
+
+  // 🎯 记录调度器选中的账户
+  attachAccount(accountId, accountType) {
+    const context = this._getContext()
+    if (!context || !accountId) {
+      return
+    }
+    context.accountId = accountId
+    context.accountType = accountType || context.accountType
+  }
+
+  // 🗄️ 标记请求由响应缓存直接返回
+  markCached() {
+    const context = this._getContext()
+    if (context) {
+      context.cached = true
+    }
+  }
+
+  // 🚨 记录错误信息（会被清理和截断）
+  attachError(error) {
+    const context = this._getContext()
+    if (!context) {
+      return
+    }
+    context.error = this._extractErrorMessage(error)
+  }
+
+  /**
+   * 记录用量（由 apiKeyService 在记录使用统计时调用）
+   * @param {Object} usage - token 用量与费用
+   * @param {string} model - 模型名称
+   * @param {string} accountId - 账户ID
+   * @param {string} accountType - 账户类型
+   */
+  attachUsage(usage, model, accountId, accountType) {
+    const context = this._getContext()
+    if (!context) {
+      return
+    }
+
+    const current = context.usage || {
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreateTokens: 0,
+      cacheReadTokens: 0,
+      cost: 0
+    }
+    current.inputTokens += usage.inputTokens || 0
+    current.outputTokens += usage.outputTokens || 0
+    current.cacheCreateTokens += usage.cacheCreateTokens || 0
+    current.cacheReadTokens += usage.cacheReadTokens || 0
+    current.cost += usage.cost || 0
+    context.usage = current
+
+    if (model) {
+      context.model = model
+    }
+    if (accountId) {
+      context.accountId = accountId
+      context.accountType = accountType || context.accountType
+    }
+
+    // 流式请求的用量可能在响应结束后才写入，此时更新已保存的记录
+    if (context.finalized) {
+      this._persist(context).catch((error) => {
+        logger.debug('Failed to update request log with late usage:', error.message)
+      })
+    }
+  }
+
+  /**
+   * 响应结束时持久化请求记录（由 requestLogger 调用）
+   * @param {Object} req - Express 请求对象
+   * @param {number} statusCode - 响应状态码
+   * @param {number} duration - 请求耗时（毫秒）
+   */
+  finalize(req, statusCode, duration) {
+    const context = req.requestLogContext
+    if (!context || !req.apiKey || !this.isEnabled()) {
+      return
+    }
+
+    context.finalized = {
+      timestamp: new Date(context.startTime).toISOString(),
+      keyId: req.apiKey.id,
+      keyName: req.apiKey.name || '',
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      stream: req.body?.stream === true,
+      requestedModel: req.body?.model || req.params?.model || null,
+      status: statusCode,
+      duration
+    }
+
+    this._persist(context).catch((error) => {
+      logger.warn('⚠️ Failed to persist request log:', error.message)
+    })
+  }
+
+  _buildEntry(context) {
+    const usage = context.usage || {}
+    const totalTokens =
+      (usage.inputTokens || 0) +
+      (usage.outputTokens || 0) +
+      (usage.cacheCreateTokens || 0) +
+      (usage.cacheReadTokens || 0)
+
+    return {
+      requestId: context.requestId,
+      ...context.finalized,
+      model: context.model || context.finalized.requestedModel || 'unknown',
+      accountId: context.accountId,
+      accountType: context.accountType,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      cacheCreateTokens: usage.cacheCreateTokens || 0,
+      cacheReadTokens: usage.cacheReadTokens || 0,
+      totalTokens,
+      cost: Number((usage.cost || 0).toFixed(6)),
+      cached: context.cached,
+      error: context.error
+    }
+  }
+
+  async _persist(context) {
+    const client = redis.getClientSafe()
+    const entry = this._buildEntry(context)
+    const ttl = this.getRetentionSeconds()
+    const score = context.startTime
+    const cutoff = Date.now() - ttl * 1000
+
+    const pipeline = client.pipeline()
+    pipeline.setex(`${LOG_KEY_PREFIX}${entry.requestId}`, ttl, JSON.stringify(entry))
+
+    const indexKeys = [INDEX_KEY, `${KEY_INDEX_PREFIX}${entry.keyId}`]
+    if (entry.accountId) {
+      indexKeys.push(`${ACCOUNT_INDEX_PREFIX}${entry.accountId}`)
+    }
+    for (const indexKey of indexKeys) {
+      pipeline.zadd(indexKey, score, entry.requestId)
+      pipeline.zremrangebyscore(indexKey, '-inf', cutoff)
+      pipeline.expire(indexKey, ttl)
+    }
+
+    await pipeline.exec()
+  }
+
+  _resolveErrorMessage(source) {
+    if (typeof source === 'string') {
+      return source
+    }
+    if (source instanceof Error) {
+      return source.message
+    }
+    if (typeof source !== 'object') {
+      return null
+    }
+
+    const { error } = source
+    if (typeof error === 'string') {
+      return source.message ? `${error}: ${source.message}` : error
+    }
+    if (error && typeof error === 'object') {
+      return error.message || error.type || JSON.stringify(error)
+    }
+    return source.message || null
+  }
+
+  _extractErrorMessage(source) {
+    const message = source ? this._resolveErrorMessage(source) : null
+    if (!message) {
+      return null
+    }
+
+    const sanitized = sanitizeErrorMessage(String(message))
+    return sanitized.length > MAX_ERROR_LENGTH
+      ? `${sanitized.substring(0, MAX_ERROR_LENGTH)}...`
+      : sanitized
+  }
+
+  _matchStatus(entryStatus, statusFilter) {
+    if (!statusFilter) {
+      return true
+    }
+    if (statusFilter === 'success') {
+      return entryStatus < 400
+    }
+    if (statusFilter === 'error') {
+      return entryStatus >= 400
+    }
+    if (/^[1-5]xx$/i.test(statusFilter)) {
+      return Math.floor(entryStatus / 100) === parseInt(statusFilter[0])
+    }
+    return String(entryStatus) === String(statusFilter)
+  }
+
+  /**
+   * 查询请求日志
+   * @param {Object} filters - 查询条件
+   * @param {string} [filters.keyId] - API Key ID
+   * @param {string} [filters.accountId] - 账户ID
+   * @param {string} [filters.model] - 模型名称（包含匹配）
+   * @param {string} [filters.status] - 状态码、状态类别（4xx）、success 或 error
+   * @param {string|number} [filters.startTime] - 开始时间
+   * @param {string|number} [filters.endTime] - 结束时间
+   * @param {number} [filters.page=1] - 页码
+   * @param {number} [filters.pageSize=50] - 每页数量（最大200）
+   * @returns {Promise<Object>} { logs, total, page, pageSize, truncated }
+   */
+  async queryLogs(filters = {}) {
+    const client = redis.getClientSafe()
+    const page = Math.max(1, parseInt(filters.page) || 1)
+    const pageSize = Math.min(200, Math.max(1, parseInt(filters.pageSize) || 50))
+
+    const toTimestamp = (value) => {
+      if (value === undefined || value === null || value === '') {
+        return null
+      }
+      const ts = /^\d+$/.test(String(value)) ? parseInt(value) : new Date(value).getTime()
+      return Number.isFinite(ts) ? ts : null
+    }
+    const max = toTimestamp(filters.endTime) ?? '+inf'
+    const min = toTimestamp(filters.startTime) ?? '-inf'
+
+    // 优先使用更精确的二级索引
+    let indexKey = INDEX_KEY
+    if (filters.keyId) {
+      indexKey = `${KEY_INDEX_PREFIX}${filters.keyId}`
+    } else if (filters.accountId) {
+      indexKey = `${ACCOUNT_INDEX_PREFIX}${filters.accountId}`
+    }
+
+    const modelFilter = filters.model ? String(filters.model).toLowerCase() : null
+    const offset = (page - 1) * pageSize
+    const logs = []
+    let total = 0
+    let scanned = 0
+    let truncated = false
+
+    while (scanned < MAX_SCAN_ENTRIES) {
+      const ids = await client.zrevrangebyscore(
+        indexKey,
+        max,
+        min,
+        'LIMIT',
+        scanned,
+        SCAN_BATCH_SIZE
+      )
+      if (ids.length === 0) {
+        break
+      }
+      scanned += ids.length
+
+      const values = await client.mget(ids.map((id) => `${LOG_KEY_PREFIX}${id}`))
+      for (const value of values) {
+        if (!value) {
+          continue
+        }
+        let entry
+        try {
+          entry = JSON.parse(value)
+        } catch (error) {
+          continue
+        }
+
+        if (filters.keyId && entry.keyId !== filters.keyId) {
+          continue
+        }
+        if (filters.accountId && entry.accountId !== filters.accountId) {
+          continue
+        }
+        if (
+          modelFilter &&
+          !String(entry.model || '')
+            .toLowerCase()
+            .includes(modelFilter)
+        ) {
+          continue
+        }
+        if (!this._matchStatus(entry.status, filters.status)) {
+          continue
+        }
+
+        if (total >= offset && logs.length < pageSize) {
+          logs.push(entry)
+        }
+        total++
+      }
+
+      if (ids.length < SCAN_BATCH_SIZE) {
+        break
+      }
+      if (scanned >= MAX_SCAN_ENTRIES) {
+        truncated = true
+      }
+    }
+
+    return { logs, total, page, pageSize, truncated }
+  }
+
+  // 🔍 获取单条请求日志
+  async getLog(requestId) {
+    if (typeof requestId !== 'string' || !REQUEST_ID_PATTERN.test(requestId)) {
+      return null
+    }
+    const value = await redis.getClientSafe().get(`${LOG_KEY_PREFIX}${requestId}`)
+    return value ? JSON.parse(value) : null
+  }
+}
+
+module.exports = new RequestLogService()
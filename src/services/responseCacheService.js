@@ -0,0 +1,159 @@
+const crypto = require('crypto')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+
+const ENTRY_KEY_PREFIX = 'response_cache:entry:'
+const DAILY_STATS_PREFIX = 'response_cache:stats:daily:'
+const TOTAL_STATS_KEY = 'response_cache:stats:total'
+const DAILY_STATS_TTL = 30 * 24 * 3600
+
+// 不影响响应内容的字段，不参与缓存键计算
+const VOLATILE_FIELDS = new Set(['stream', 'metadata', 'user'])
+
+/**
+ * 响应缓存服务
+ *
+ * 对完全相同的确定性请求（非流式且 temperature=0）直接返回 Redis 中缓存的响应。
+ * 缓存键由请求端点、模型和规范化后的请求体计算，并按 API Key 的缓存范围隔离：
+ * - private：仅当前 API Key 可命中
+ * - tag：拥有同一标签的 API Key 共享缓存
+ */
+class ResponseCacheService {
+  isEnabled() {
+    return config.responseCache?.enabled !== false
+  }
+
+  getTtlSeconds() {
+    return Math.max(1, parseInt(config.responseCache?.ttlSeconds) || 3600)
+  }
+
+  getMaxEntryBytes() {
+    return Math.max(1, parseInt(config.responseCache?.maxEntrySizeKB) || 512) * 1024
+  }
+
+  /**
+   * 解析 API Key 的缓存范围
+   * @param {Object} apiKeyData - 认证后的 API Key 数据
+   * @returns {string|null} 缓存范围标识，未开启缓存时返回 null
+   */
+  resolveScope(apiKeyData) {
+    if (!this.isEnabled() || !apiKeyData?.responseCacheEnabled) {
+      return null
+    }
+
+    const tag = apiKeyData.responseCacheTag
+    if (apiKeyData.responseCacheScope === 'tag' && tag) {
+      if ((apiKeyData.tags || []).includes(tag)) {
+        return `tag:${tag}`
+      }
+      logger.warn(
+        `⚠️ API key ${apiKeyData.id} uses response cache tag "${tag}" it does not have, falling back to private scope`
+      )
+    }
+    return `key:${apiKeyData.id}`
+  }
+
+  // 只有非流式且显式指定 temperature=0 的请求才视为确定性请求
+  isDeterministicRequest(body) {
+    if (!body || body.stream === true) {
+      return false
+    }
+    const temperature = body.temperature ?? body.generationConfig?.temperature
+    return temperature === 0
+  }
+
+  // anthropic-beta 会改变上游响应内容，作为缓存键的一部分
+  buildCacheKey(scope, endpoint, model, body, beta = '') {
+    const payload = this._canonicalize({
+      endpoint,
+      model,
+      beta: beta || '',
+      body: this._stripVolatile(body)
+    })
+    const hash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')
+    return `${ENTRY_KEY_PREFIX}${scope}:${hash}`
+  }
+
+  async get(cacheKey) {
+    try {
+      const raw = await redis.getClientSafe().get(cacheKey)
+      return raw ? JSON.parse(raw) : null
+    } catch (error) {
+      logger.warn('⚠️ Failed to read response cache:', error.message)
+      return null
+    }
+  }
+
+  async set(cacheKey, body, model, permission = null) {
+    const value = JSON.stringify({ body, model, permission, createdAt: new Date().toISOString() })
+    if (Buffer.byteLength(value) > this.getMaxEntryBytes()) {
+      logger.debug(`🗄️ Response too large to cache (${Buffer.byteLength(value)} bytes)`)
+      return false
+    }
+    await redis.getClientSafe().setex(cacheKey, this.getTtlSeconds(), value)
+    return true
+  }
+
+  // 记录一次缓存查询（按日与累计统计命中/未命中）
+  async recordLookup(hit) {
+    const field = hit ? 'hits' : 'misses'
+    const dailyKey = `${DAILY_STATS_PREFIX}${redis.getDateStringInTimezone()}`
+    const pipeline = redis.getClientSafe().pipeline()
+    pipeline.hincrby(dailyKey, field, 1)
+    pipeline.expire(dailyKey, DAILY_STATS_TTL)
+    pipeline.hincrby(TOTAL_STATS_KEY, field, 1)
+    await pipeline.exec()
+  }
+
+  // 获取今日与累计命中率
+  async getStats() {
+    const client = redis.getClientSafe()
+    const dailyKey = `${DAILY_STATS_PREFIX}${redis.getDateStringInTimezone()}`
+    const [today, total] = await Promise.all([
+      client.hgetall(dailyKey),
+      client.hgetall(TOTAL_STATS_KEY)
+    ])
+    return {
+      enabled: this.isEnabled(),
+      today: this._formatStats(today),
+      total: this._formatStats(total)
+    }
+  }
+
+  _formatStats(raw) {
+    const hits = parseInt(raw?.hits) || 0
+    const misses = parseInt(raw?.misses) || 0
+    const lookups = hits + misses
+    return {
+      hits,
+      misses,
+      lookups,
+      hitRate: lookups > 0 ? Number(((hits / lookups) * 100).toFixed(2)) : 0
+    }
+  }
+
+  _stripVolatile(body) {
+    return Object.fromEntries(
+      Object.entries(body || {}).filter(([field]) => !VOLATILE_FIELDS.has(field))
+    )
+  }
+
+  // 递归按键名排序，保证字段顺序不同的相同请求得到相同的哈希
+  _canonicalize(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this._canonicalize(item))
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value)
+        .sort()
+        .reduce((result, key) => {
+          result[key] = this._canonicalize(value[key])
+          return result
+        }, {})
+    }
+    return value
+  }
+}
+
+module.exports = new ResponseCacheService()
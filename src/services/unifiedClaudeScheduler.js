@@ -2,9 +2,14 @@ const claudeAccountService = require('./claudeAccountService')
 const claudeConsoleAccountService = require('./claudeConsoleAccountService')
 const bedrockAccountService = require('./bedrockAccountService')
 const ccrAccountService = require('./ccrAccountService')
+const vertexAccountService = require('./vertexAccountService')
 const accountGroupService = require('./accountGroupService')
+const accountHealthService = require('./accountHealthService')
+const circuitBreakerService = require('./circuitBreakerService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
+const requestLogService = require('./requestLogService')
+const metricsService = require('./metricsService')
 const { parseVendorPrefixedModel } = require('../utils/modelHelper')
 
 class UnifiedClaudeScheduler {
@@ -135,11 +140,65 @@ class UnifiedClaudeScheduler {
       }
     }
 
+    // Vertex 账户配置了模型映射表时，只支持映射表中的模型
+    if (
+      accountType === 'vertex' &&
+      !vertexAccountService.isModelSupported(account.modelMapping, requestedModel)
+    ) {
+      logger.info(
+        `🚫 Vertex account ${account.name} does not support model ${requestedModel}${context ? ` ${context}` : ''}`
+      )
+      return false
+    }
+
     return true
   }
 
-  // 🎯 统一调度Claude账号（官方和Console）
-  async selectAccountForApiKey(apiKeyData, sessionHash = null, requestedModel = null) {
+  // 🚧 检查账户是否被本次调度排除（用于故障转移时跳过已失败的账户）
+  _isExcludedBySelectionOptions(accountId, accountType, options = {}) {
+    if (
+      Array.isArray(options.excludedAccountIds) &&
+      options.excludedAccountIds.includes(accountId)
+    ) {
+      return true
+    }
+    if (Array.isArray(options.accountTypes) && !options.accountTypes.includes(accountType)) {
+      return true
+    }
+    return false
+  }
+
+  /**
+   * 统一调度Claude账号（官方和Console）
+   * @param {Object} apiKeyData - API Key 数据
+   * @param {string} sessionHash - 会话哈希
+   * @param {string} requestedModel - 请求的模型
+   * @param {Object} options - 调度选项
+   * @param {string[]} [options.excludedAccountIds] - 需要排除的账户ID（故障转移时使用）
+   * @param {string[]} [options.accountTypes] - 仅允许的账户类型
+   */
+  async selectAccountForApiKey(
+    apiKeyData,
+    sessionHash = null,
+    requestedModel = null,
+    options = {}
+  ) {
+    // 🔌 熔断器冷却结束时由本次请求进行探测，探测名额已满时重新调度
+    const selection = await circuitBreakerService.selectAccount(
+      () => this._selectAccountForApiKey(apiKeyData, sessionHash, requestedModel, options),
+      { apiKeyData }
+    )
+    // 🧾 记录到当前请求的审计日志上下文
+    requestLogService.attachAccount(selection?.accountId, selection?.accountType)
+    return selection
+  }
+
+  async _selectAccountForApiKey(
+    apiKeyData,
+    sessionHash = null,
+    requestedModel = null,
+    options = {}
+  ) {
     try {
       // 解析供应商前缀
       const { vendor, baseModel } = parseVendorPrefixedModel(requestedModel)
@@ -170,13 +229,24 @@ class UnifiedClaudeScheduler {
             groupId,
             sessionHash,
             effectiveModel,
-            vendor === 'ccr'
+            vendor === 'ccr',
+            options
           )
         }
 
         // 普通专属账户
         const boundAccount = await redis.getClaudeAccount(apiKeyData.claudeAccountId)
-        if (boundAccount && boundAccount.isActive === 'true' && boundAccount.status !== 'error') {
+        if (
+          this._isExcludedBySelectionOptions(apiKeyData.claudeAccountId, 'claude-official', options)
+        ) {
+          logger.warn(
+            `⚠️ Bound Claude OAuth account ${apiKeyData.claudeAccountId} is excluded for this selection, falling back to pool`
+          )
+        } else if (
+          boundAccount &&
+          boundAccount.isActive === 'true' &&
+          boundAccount.status !== 'error'
+        ) {
           const isRateLimited = await claudeAccountService.isAccountRateLimited(boundAccount.id)
           if (isRateLimited) {
             const rateInfo = await claudeAccountService.getAccountRateLimitInfo(boundAccount.id)
@@ -211,7 +281,14 @@ class UnifiedClaudeScheduler {
       }
 
       // 2. 检查Claude Console账户绑定
-      if (apiKeyData.claudeConsoleAccountId) {
+      if (
+        apiKeyData.claudeConsoleAccountId &&
+        !this._isExcludedBySelectionOptions(
+          apiKeyData.claudeConsoleAccountId,
+          'claude-console',
+          options
+        )
+      ) {
         const boundConsoleAccount = await claudeConsoleAccountService.getAccount(
           apiKeyData.claudeConsoleAccountId
         )
@@ -236,7 +313,10 @@ class UnifiedClaudeScheduler {
       }
 
       // 3. 检查Bedrock账户绑定
-      if (apiKeyData.bedrockAccountId) {
+      if (
+        apiKeyData.bedrockAccountId &&
+        !this._isExcludedBySelectionOptions(apiKeyData.bedrockAccountId, 'bedrock', options)
+      ) {
         const boundBedrockAccountResult = await bedrockAccountService.getAccount(
           apiKeyData.bedrockAccountId
         )
@@ -272,6 +352,17 @@ class UnifiedClaudeScheduler {
               `ℹ️ Skipping CCR sticky session mapping for non-CCR request; removing mapping for session ${sessionHash}`
             )
             await this._deleteSessionMapping(sessionHash)
+          } else if (
+            this._isExcludedBySelectionOptions(
+              mappedAccount.accountId,
+              mappedAccount.accountType,
+              options
+            )
+          ) {
+            logger.info(
+              `ℹ️ Sticky session account ${mappedAccount.accountId} is excluded for this selection, selecting new account`
+            )
+            await this._deleteSessionMapping(sessionHash)
           } else {
             // 验证映射的账户是否仍然可用
             const isAvailable = await this._isAccountAvailable(
@@ -298,10 +389,15 @@ class UnifiedClaudeScheduler {
       }
 
       // 获取所有可用账户（传递请求的模型进行过滤）
-      const availableAccounts = await this._getAllAvailableAccounts(
-        apiKeyData,
-        effectiveModel,
-        false // 仅前缀才走 CCR：默认池不包含 CCR 账户
+      const availableAccounts = (
+        await this._getAllAvailableAccounts(
+          apiKeyData,
+          effectiveModel,
+          false // 仅前缀才走 CCR：默认池不包含 CCR 账户
+        )
+      ).filter(
+        (account) =>
+          !this._isExcludedBySelectionOptions(account.accountId, account.accountType, options)
       )
 
       if (availableAccounts.length === 0) {
@@ -315,10 +411,13 @@ class UnifiedClaudeScheduler {
         }
       }
 
-      const selectedAccount = this._selectAccountByPriority(availableAccounts, {
-        stickySession: hasStickySessionMapping,
-        isOpusRequest
-      })
+      // 配置了健康度策略时按延迟与错误率选择，否则沿用优先级选择
+      const selectedAccount =
+        (await accountHealthService.selectAccount(availableAccounts)) ||
+        this._selectAccountByPriority(availableAccounts, {
+          stickySession: hasStickySessionMapping,
+          isOpusRequest
+        })
 
       if (!selectedAccount) {
         throw new Error('No available Claude accounts after priority selection')
@@ -707,6 +806,37 @@ class UnifiedClaudeScheduler {
       }
     }
 
+    // 获取Vertex账户（共享池）
+    const vertexAccountsResult = await vertexAccountService.getAllAccounts()
+    if (vertexAccountsResult.success) {
+      for (const account of vertexAccountsResult.data) {
+        if (
+          account.isActive === true &&
+          account.status === 'active' &&
+          account.accountType === 'shared' &&
+          this._isSchedulable(account.schedulable) &&
+          this._isModelSupportedByAccount(account, 'vertex', requestedModel) &&
+          !vertexAccountService.isSubscriptionExpired(account) &&
+          !(await vertexAccountService.isAccountRateLimited(account.id))
+        ) {
+          availableAccounts.push({
+            ...account,
+            accountId: account.id,
+            accountType: 'vertex',
+            priority: parseInt(account.priority) || 50,
+            lastUsedAt: account.lastUsedAt || '0'
+          })
+          logger.info(
+            `✅ Added Vertex account to available pool: ${account.name} (priority: ${account.priority})`
+          )
+        } else {
+          logger.info(
+            `❌ Vertex account ${account.name} not eligible - isActive: ${account.isActive}, status: ${account.status}, accountType: ${account.accountType}, schedulable: ${account.schedulable}`
+          )
+        }
+      }
+    }
+
     // 获取CCR账户（共享池）- 仅当明确要求包含时
     if (includeCcr) {
       const ccrAccounts = await ccrAccountService.getAllAccounts()
@@ -768,7 +898,7 @@ class UnifiedClaudeScheduler {
     }
 
     logger.info(
-      `📊 Total available accounts: ${availableAccounts.length} (Claude: ${availableAccounts.filter((a) => a.accountType === 'claude-official').length}, Console: ${availableAccounts.filter((a) => a.accountType === 'claude-console').length}, Bedrock: ${availableAccounts.filter((a) => a.accountType === 'bedrock').length}, CCR: ${availableAccounts.filter((a) => a.accountType === 'ccr').length})`
+      `📊 Total available accounts: ${availableAccounts.length} (Claude: ${availableAccounts.filter((a) => a.accountType === 'claude-official').length}, Console: ${availableAccounts.filter((a) => a.accountType === 'claude-console').length}, Bedrock: ${availableAccounts.filter((a) => a.accountType === 'bedrock').length}, Vertex: ${availableAccounts.filter((a) => a.accountType === 'vertex').length}, CCR: ${availableAccounts.filter((a) => a.accountType === 'ccr').length})`
     )
 
     // 🚨 最终检查：只有在没有任何可用账户时，才根据Console并发排除情况抛出专用错误码
@@ -790,7 +920,8 @@ class UnifiedClaudeScheduler {
       // 否则走通用的"无可用账户"错误处理（由上层 selectAccountForApiKey 捕获）
     }
 
-    return availableAccounts
+    // 排除熔断中的账户
+    return circuitBreakerService.filterAvailable(availableAccounts)
   }
 
   // 🔢 按优先级和最后使用时间排序账户
@@ -1092,6 +1223,10 @@ class UnifiedClaudeScheduler {
   // 🔍 检查账户是否可用
   async _isAccountAvailable(accountId, accountType, requestedModel = null) {
     try {
+      // 熔断中的账户不参与调度
+      if (!(await circuitBreakerService.isAvailable(accountId))) {
+        return false
+      }
       if (accountType === 'claude-official') {
         const account = await redis.getClaudeAccount(accountId)
         if (
@@ -1224,6 +1359,33 @@ class UnifiedClaudeScheduler {
         }
         // Bedrock账户暂不需要限流检查，因为AWS管理限流
         return true
+      } else if (accountType === 'vertex') {
+        const accountResult = await vertexAccountService.getAccount(accountId)
+        if (
+          !accountResult.success ||
+          !accountResult.data.isActive ||
+          accountResult.data.status !== 'active'
+        ) {
+          return false
+        }
+        if (!this._isSchedulable(accountResult.data.schedulable)) {
+          logger.info(`🚫 Vertex account ${accountId} is not schedulable`)
+          return false
+        }
+        if (
+          !this._isModelSupportedByAccount(
+            accountResult.data,
+            'vertex',
+            requestedModel,
+            'in session check'
+          )
+        ) {
+          return false
+        }
+        if (vertexAccountService.isSubscriptionExpired(accountResult.data)) {
+          return false
+        }
+        return !(await vertexAccountService.isAccountRateLimited(accountId))
       } else if (accountType === 'ccr') {
         const account = await ccrAccountService.getAccount(accountId)
         if (!account || !account.isActive) {
@@ -1403,7 +1565,10 @@ class UnifiedClaudeScheduler {
         await claudeConsoleAccountService.markAccountRateLimited(accountId)
       } else if (accountType === 'ccr') {
         await ccrAccountService.markAccountRateLimited(accountId)
+      } else if (accountType === 'vertex') {
+        await vertexAccountService.markAccountRateLimited(accountId)
       }
+      metricsService.recordAccountState(accountType, 'rate_limited')
 
       // 删除会话映射
       if (sessionHash) {
@@ -1429,6 +1594,8 @@ class UnifiedClaudeScheduler {
         await claudeConsoleAccountService.removeAccountRateLimit(accountId)
       } else if (accountType === 'ccr') {
         await ccrAccountService.removeAccountRateLimit(accountId)
+      } else if (accountType === 'vertex') {
+        await vertexAccountService.removeAccountRateLimit(accountId)
       }
 
       return { success: true }
@@ -1450,6 +1617,8 @@ class UnifiedClaudeScheduler {
         return await claudeConsoleAccountService.isAccountRateLimited(accountId)
       } else if (accountType === 'ccr') {
         return await ccrAccountService.isAccountRateLimited(accountId)
+      } else if (accountType === 'vertex') {
+        return await vertexAccountService.isAccountRateLimited(accountId)
       }
       return false
     } catch (error) {
@@ -1464,6 +1633,7 @@ class UnifiedClaudeScheduler {
       // 只处理claude-official类型的账户，不处理claude-console和gemini
       if (accountType === 'claude-official') {
         await claudeAccountService.markAccountUnauthorized(accountId, sessionHash)
+        metricsService.recordAccountState(accountType, 'unauthorized')
 
         // 删除会话映射
         if (sessionHash) {
@@ -1493,6 +1663,7 @@ class UnifiedClaudeScheduler {
       // 只处理claude-official类型的账户，不处理claude-console和gemini
       if (accountType === 'claude-official') {
         await claudeAccountService.markAccountBlocked(accountId, sessionHash)
+        metricsService.recordAccountState(accountType, 'blocked')
 
         // 删除会话映射
         if (sessionHash) {
@@ -1513,6 +1684,30 @@ class UnifiedClaudeScheduler {
     }
   }
 
+  // 🔥 标记账户为过载状态（529错误）
+  async markAccountOverloaded(accountId, accountType) {
+    try {
+      if (accountType === 'claude-official') {
+        await claudeAccountService.markAccountOverloaded(accountId)
+      } else if (accountType === 'claude-console') {
+        await claudeConsoleAccountService.markAccountOverloaded(accountId)
+      } else if (accountType === 'ccr') {
+        await ccrAccountService.markAccountOverloaded(accountId)
+      } else {
+        logger.info(
+          `ℹ️ Skipping overload marking for unsupported account type: ${accountId} (${accountType})`
+        )
+        return { success: true }
+      }
+      metricsService.recordAccountState(accountType, 'overloaded')
+
+      return { success: true }
+    } catch (error) {
+      logger.error(`❌ Failed to mark account as overloaded: ${accountId} (${accountType})`, error)
+      throw error
+    }
+  }
+
   // 🚫 标记Claude Console账户为封锁状态（模型不支持）
   async blockConsoleAccount(accountId, reason) {
     try {
@@ -1529,7 +1724,8 @@ class UnifiedClaudeScheduler {
     groupId,
     sessionHash = null,
     requestedModel = null,
-    allowCcr = false
+    allowCcr = false,
+    options = {}
   ) {
     try {
       // 获取分组信息
@@ -1551,7 +1747,13 @@ class UnifiedClaudeScheduler {
             // 非 CCR 请求时不允许 CCR 粘性映射
             if (!allowCcr && mappedAccount.accountType === 'ccr') {
               await this._deleteSessionMapping(sessionHash)
-            } else {
+            } else if (
+              !this._isExcludedBySelectionOptions(
+                mappedAccount.accountId,
+                mappedAccount.accountType,
+                options
+              )
+            ) {
               const isAvailable = await this._isAccountAvailable(
                 mappedAccount.accountId,
                 mappedAccount.accountType,
@@ -1579,7 +1781,7 @@ class UnifiedClaudeScheduler {
         throw new Error(`Group ${group.name} has no members`)
       }
 
-      const availableAccounts = []
+      let availableAccounts = []
       const isOpusRequest =
         requestedModel && typeof requestedModel === 'string'
           ? requestedModel.toLowerCase().includes('opus')
@@ -1602,8 +1804,13 @@ class UnifiedClaudeScheduler {
             if (account) {
               accountType = 'claude-console'
             } else {
-              // 尝试CCR账户（仅允许在 allowCcr 为 true 时）
-              if (allowCcr) {
+              // 尝试Vertex账户
+              const vertexResult = await vertexAccountService.getAccount(memberId)
+              if (vertexResult.success) {
+                account = vertexResult.data
+                accountType = 'vertex'
+              } else if (allowCcr) {
+                // 尝试CCR账户（仅允许在 allowCcr 为 true 时）
                 account = await ccrAccountService.getAccount(memberId)
                 if (account) {
                   accountType = 'ccr'
@@ -1622,6 +1829,10 @@ class UnifiedClaudeScheduler {
           continue
         }
 
+        if (this._isExcludedBySelectionOptions(account.id, accountType, options)) {
+          continue
+        }
+
         // 检查账户是否可用
         const isActive =
           accountType === 'claude-official'
@@ -1680,14 +1891,20 @@ class UnifiedClaudeScheduler {
         }
       }
 
+      // 排除熔断中的账户
+      availableAccounts = await circuitBreakerService.filterAvailable(availableAccounts)
+
       if (availableAccounts.length === 0) {
         throw new Error(`No available accounts in group ${group.name}`)
       }
 
-      const selectedAccount = this._selectAccountByPriority(availableAccounts, {
-        stickySession: hasStickySessionMapping,
-        isOpusRequest
-      })
+      // 分组可单独配置调度策略
+      const selectedAccount =
+        (await accountHealthService.selectAccount(availableAccounts, group.schedulingStrategy)) ||
+        this._selectAccountByPriority(availableAccounts, {
+          stickySession: hasStickySessionMapping,
+          isOpusRequest
+        })
 
       if (!selectedAccount) {
         throw new Error(`No available accounts in group ${group.name}`)
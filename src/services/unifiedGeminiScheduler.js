@@ -1,7 +1,11 @@
 const geminiAccountService = require('./geminiAccountService')
+const geminiApiAccountService = require('./geminiApiAccountService')
 const accountGroupService = require('./accountGroupService')
+const accountHealthService = require('./accountHealthService')
+const circuitBreakerService = require('./circuitBreakerService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
+const requestLogService = require('./requestLogService')
 
 class UnifiedGeminiScheduler {
   constructor() {
@@ -19,7 +23,31 @@ class UnifiedGeminiScheduler {
   }
 
   // 🎯 统一调度Gemini账号
-  async selectAccountForApiKey(apiKeyData, sessionHash = null, requestedModel = null) {
+  // options.allowApiAccounts: 是否允许选择 AI Studio API Key 账户（gemini-api），
+  // 仅标准 Gemini API 与 OpenAI 兼容路由支持，依赖 Code Assist 内部接口的调用方保持默认 false
+  // options.apiAccountsOnly: 只选择 API Key 账户（如 embedContent，Code Assist 不提供该接口）
+  async selectAccountForApiKey(
+    apiKeyData,
+    sessionHash = null,
+    requestedModel = null,
+    options = {}
+  ) {
+    // 🔌 熔断器冷却结束时由本次请求进行探测，探测名额已满时重新调度
+    const selection = await circuitBreakerService.selectAccount(
+      () => this._selectAccountForApiKey(apiKeyData, sessionHash, requestedModel, options),
+      { apiKeyData }
+    )
+    // 🧾 记录到当前请求的审计日志上下文
+    requestLogService.attachAccount(selection?.accountId, selection?.accountType)
+    return selection
+  }
+
+  async _selectAccountForApiKey(
+    apiKeyData,
+    sessionHash = null,
+    requestedModel = null,
+    options = {}
+  ) {
     try {
       // 如果API Key绑定了专属账户或分组，优先使用
       if (apiKeyData.geminiAccountId) {
@@ -29,11 +57,13 @@ class UnifiedGeminiScheduler {
           logger.info(
             `🎯 API key ${apiKeyData.name} is bound to group ${groupId}, selecting from group`
           )
-          return await this.selectAccountFromGroup(groupId, sessionHash, requestedModel, apiKeyData)
+          return await this.selectAccountFromGroup(groupId, sessionHash, requestedModel, options)
         }
 
         // 普通专属账户
-        const boundAccount = await geminiAccountService.getAccount(apiKeyData.geminiAccountId)
+        const boundAccount = options.apiAccountsOnly
+          ? null
+          : await geminiAccountService.getAccount(apiKeyData.geminiAccountId)
         if (boundAccount && boundAccount.isActive === 'true' && boundAccount.status !== 'error') {
           logger.info(
             `🎯 Using bound dedicated Gemini account: ${boundAccount.name} (${apiKeyData.geminiAccountId}) for API key ${apiKeyData.name}`
@@ -58,7 +88,8 @@ class UnifiedGeminiScheduler {
           // 验证映射的账户是否仍然可用
           const isAvailable = await this._isAccountAvailable(
             mappedAccount.accountId,
-            mappedAccount.accountType
+            mappedAccount.accountType,
+            options
           )
           if (isAvailable) {
             // 🚀 智能会话续期（续期 unified 映射键，按配置）
@@ -67,7 +98,7 @@ class UnifiedGeminiScheduler {
               `🎯 Using sticky session account: ${mappedAccount.accountId} (${mappedAccount.accountType}) for session ${sessionHash}`
             )
             // 更新账户的最后使用时间
-            await geminiAccountService.markAccountUsed(mappedAccount.accountId)
+            await this._markAccountUsed(mappedAccount.accountId, mappedAccount.accountType)
             return mappedAccount
           } else {
             logger.warn(
@@ -79,7 +110,11 @@ class UnifiedGeminiScheduler {
       }
 
       // 获取所有可用账户
-      const availableAccounts = await this._getAllAvailableAccounts(apiKeyData, requestedModel)
+      const availableAccounts = await this._getAllAvailableAccounts(
+        apiKeyData,
+        requestedModel,
+        options
+      )
 
       if (availableAccounts.length === 0) {
         // 提供更详细的错误信息
@@ -95,8 +130,9 @@ class UnifiedGeminiScheduler {
       // 按优先级和最后使用时间排序
       const sortedAccounts = this._sortAccountsByPriority(availableAccounts)
 
-      // 选择第一个账户
-      const selectedAccount = sortedAccounts[0]
+      // 配置了健康度策略时按延迟与错误率选择，否则选择第一个账户
+      const selectedAccount =
+        (await accountHealthService.selectAccount(sortedAccounts)) || sortedAccounts[0]
 
       // 如果有会话哈希，建立新的映射
       if (sessionHash) {
@@ -115,7 +151,7 @@ class UnifiedGeminiScheduler {
       )
 
       // 更新账户的最后使用时间
-      await geminiAccountService.markAccountUsed(selectedAccount.accountId)
+      await this._markAccountUsed(selectedAccount.accountId, selectedAccount.accountType)
 
       return {
         accountId: selectedAccount.accountId,
@@ -128,11 +164,11 @@ class UnifiedGeminiScheduler {
   }
 
   // 📋 获取所有可用账户
-  async _getAllAvailableAccounts(apiKeyData, requestedModel = null) {
+  async _getAllAvailableAccounts(apiKeyData, requestedModel = null, options = {}) {
     const availableAccounts = []
 
     // 如果API Key绑定了专属账户，优先返回
-    if (apiKeyData.geminiAccountId) {
+    if (apiKeyData.geminiAccountId && !options.apiAccountsOnly) {
       const boundAccount = await geminiAccountService.getAccount(apiKeyData.geminiAccountId)
       if (boundAccount && boundAccount.isActive === 'true' && boundAccount.status !== 'error') {
         const isRateLimited = await this.isAccountRateLimited(boundAccount.id)
@@ -175,7 +211,9 @@ class UnifiedGeminiScheduler {
     }
 
     // 获取所有Gemini账户（共享池）
-    const geminiAccounts = await geminiAccountService.getAllAccounts()
+    const geminiAccounts = options.apiAccountsOnly
+      ? []
+      : await geminiAccountService.getAllAccounts()
     for (const account of geminiAccounts) {
       if (
         account.isActive === 'true' &&
@@ -223,8 +261,62 @@ class UnifiedGeminiScheduler {
       }
     }
 
+    // 获取 AI Studio API Key 账户（共享池）
+    if (options.allowApiAccounts || options.apiAccountsOnly) {
+      const apiAccountIds = await geminiApiAccountService.getSharedAccountIds()
+      for (const accountId of apiAccountIds) {
+        const account = await geminiApiAccountService.getAccount(accountId)
+        if (!account || !(await this._isApiAccountUsable(account, requestedModel))) {
+          continue
+        }
+        availableAccounts.push({
+          ...account,
+          accountId: account.id,
+          accountType: 'gemini-api',
+          priority: parseInt(account.priority) || 50,
+          lastUsedAt: account.lastUsedAt || '0'
+        })
+      }
+    }
+
     logger.info(`📊 Total available Gemini accounts: ${availableAccounts.length}`)
-    return availableAccounts
+
+    // 排除熔断中的账户
+    return circuitBreakerService.filterAvailable(availableAccounts)
+  }
+
+  // 🔍 检查 API Key 账户是否可调度：状态、模型、上游限流与 RPM/RPD 配额
+  async _isApiAccountUsable(account, requestedModel = null) {
+    if (
+      account.isActive !== 'true' ||
+      account.status === 'error' ||
+      account.status === 'unauthorized' ||
+      !this._isSchedulable(account.schedulable)
+    ) {
+      return false
+    }
+
+    if (!geminiApiAccountService.isModelSupported(account, requestedModel)) {
+      logger.debug(
+        `⏭️ Skipping Gemini-API account ${account.name} - doesn't support model ${requestedModel}`
+      )
+      return false
+    }
+
+    if (await geminiApiAccountService.isAccountRateLimited(account)) {
+      return false
+    }
+
+    return !(await geminiApiAccountService.isQuotaExceeded(account))
+  }
+
+  // 🕒 按账户类型更新最后使用时间
+  async _markAccountUsed(accountId, accountType = 'gemini') {
+    if (accountType === 'gemini-api') {
+      await geminiApiAccountService.markAccountUsed(accountId)
+    } else {
+      await geminiAccountService.markAccountUsed(accountId)
+    }
   }
 
   // 🔢 按优先级和最后使用时间排序账户
@@ -243,9 +335,20 @@ class UnifiedGeminiScheduler {
   }
 
   // 🔍 检查账户是否可用
-  async _isAccountAvailable(accountId, accountType) {
+  async _isAccountAvailable(accountId, accountType, options = {}) {
     try {
-      if (accountType === 'gemini') {
+      // 熔断中的账户不参与调度
+      if (!(await circuitBreakerService.isAvailable(accountId))) {
+        return false
+      }
+      if (accountType === 'gemini-api') {
+        if (!options.allowApiAccounts && !options.apiAccountsOnly) {
+          return false
+        }
+        const account = await geminiApiAccountService.getAccount(accountId)
+        return !!account && (await this._isApiAccountUsable(account))
+      }
+      if (accountType === 'gemini' && !options.apiAccountsOnly) {
         const account = await geminiAccountService.getAccount(accountId)
         if (!account || account.isActive !== 'true' || account.status === 'error') {
           return false
@@ -344,6 +447,8 @@ class UnifiedGeminiScheduler {
     try {
       if (accountType === 'gemini') {
         await geminiAccountService.setAccountRateLimited(accountId, true)
+      } else if (accountType === 'gemini-api') {
+        await geminiApiAccountService.markAccountRateLimited(accountId)
       }
 
       // 删除会话映射
@@ -366,6 +471,8 @@ class UnifiedGeminiScheduler {
     try {
       if (accountType === 'gemini') {
         await geminiAccountService.setAccountRateLimited(accountId, false)
+      } else if (accountType === 'gemini-api') {
+        await geminiApiAccountService.removeAccountRateLimit(accountId)
       }
 
       return { success: true }
@@ -379,8 +486,13 @@ class UnifiedGeminiScheduler {
   }
 
   // 🔍 检查账户是否处于限流状态
-  async isAccountRateLimited(accountId) {
+  async isAccountRateLimited(accountId, accountType = 'gemini') {
     try {
+      if (accountType === 'gemini-api') {
+        const apiAccount = await geminiApiAccountService.getAccount(accountId)
+        return !!apiAccount && (await geminiApiAccountService.isAccountRateLimited(apiAccount))
+      }
+
       const account = await geminiAccountService.getAccount(accountId)
       if (!account) {
         return false
@@ -401,7 +513,7 @@ class UnifiedGeminiScheduler {
   }
 
   // 👥 从分组中选择账户
-  async selectAccountFromGroup(groupId, sessionHash = null, requestedModel = null) {
+  async selectAccountFromGroup(groupId, sessionHash = null, requestedModel = null, options = {}) {
     try {
       // 获取分组信息
       const group = await accountGroupService.getGroup(groupId)
@@ -424,7 +536,8 @@ class UnifiedGeminiScheduler {
           if (memberIds.includes(mappedAccount.accountId)) {
             const isAvailable = await this._isAccountAvailable(
               mappedAccount.accountId,
-              mappedAccount.accountType
+              mappedAccount.accountType,
+              options
             )
             if (isAvailable) {
               // 🚀 智能会话续期（续期 unified 映射键，按配置）
@@ -433,7 +546,7 @@ class UnifiedGeminiScheduler {
                 `🎯 Using sticky session account from group: ${mappedAccount.accountId} (${mappedAccount.accountType}) for session ${sessionHash}`
               )
               // 更新账户的最后使用时间
-              await geminiAccountService.markAccountUsed(mappedAccount.accountId)
+              await this._markAccountUsed(mappedAccount.accountId, mappedAccount.accountType)
               return mappedAccount
             }
           }
@@ -448,14 +561,35 @@ class UnifiedGeminiScheduler {
         throw new Error(`Group ${group.name} has no members`)
       }
 
-      const availableAccounts = []
+      let availableAccounts = []
 
       // 获取所有成员账户的详细信息
       for (const memberId of memberIds) {
-        const account = await geminiAccountService.getAccount(memberId)
+        const account = options.apiAccountsOnly
+          ? null
+          : await geminiAccountService.getAccount(memberId)
 
         if (!account) {
-          logger.warn(`⚠️ Gemini account ${memberId} not found in group ${group.name}`)
+          // 分组成员也可能是 API Key 账户
+          const apiAccount =
+            options.allowApiAccounts || options.apiAccountsOnly
+              ? await geminiApiAccountService.getAccount(memberId)
+              : null
+          if (apiAccount) {
+            if (await this._isApiAccountUsable(apiAccount, requestedModel)) {
+              availableAccounts.push({
+                ...apiAccount,
+                accountId: apiAccount.id,
+                accountType: 'gemini-api',
+                priority: parseInt(apiAccount.priority) || 50,
+                lastUsedAt: apiAccount.lastUsedAt || '0'
+              })
+            }
+            continue
+          }
+          if (!options.apiAccountsOnly) {
+            logger.warn(`⚠️ Gemini account ${memberId} not found in group ${group.name}`)
+          }
           continue
         }
 
@@ -503,6 +637,9 @@ class UnifiedGeminiScheduler {
         }
       }
 
+      // 排除熔断中的账户
+      availableAccounts = await circuitBreakerService.filterAvailable(availableAccounts)
+
       if (availableAccounts.length === 0) {
         throw new Error(`No available accounts in Gemini group ${group.name}`)
       }
@@ -510,8 +647,10 @@ class UnifiedGeminiScheduler {
       // 使用现有的优先级排序逻辑
       const sortedAccounts = this._sortAccountsByPriority(availableAccounts)
 
-      // 选择第一个账户
-      const selectedAccount = sortedAccounts[0]
+      // 分组可单独配置调度策略
+      const selectedAccount =
+        (await accountHealthService.selectAccount(sortedAccounts, group.schedulingStrategy)) ||
+        sortedAccounts[0]
 
       // 如果有会话哈希，建立新的映射
       if (sessionHash) {
@@ -530,7 +669,7 @@ class UnifiedGeminiScheduler {
       )
 
       // 更新账户的最后使用时间
-      await geminiAccountService.markAccountUsed(selectedAccount.accountId)
+      await this._markAccountUsed(selectedAccount.accountId, selectedAccount.accountType)
 
       return {
         accountId: selectedAccount.accountId,
@@ -1,8 +1,11 @@
 const openaiAccountService = require('./openaiAccountService')
 const openaiResponsesAccountService = require('./openaiResponsesAccountService')
 const accountGroupService = require('./accountGroupService')
+const accountHealthService = require('./accountHealthService')
+const circuitBreakerService = require('./circuitBreakerService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
+const requestLogService = require('./requestLogService')
 
 class UnifiedOpenAIScheduler {
   constructor() {
@@ -129,6 +132,17 @@ class UnifiedOpenAIScheduler {
 
   // 🎯 统一调度OpenAI账号
   async selectAccountForApiKey(apiKeyData, sessionHash = null, requestedModel = null) {
+    // 🔌 熔断器冷却结束时由本次请求进行探测，探测名额已满时重新调度
+    const selection = await circuitBreakerService.selectAccount(
+      () => this._selectAccountForApiKey(apiKeyData, sessionHash, requestedModel),
+      { apiKeyData }
+    )
+    // 🧾 记录到当前请求的审计日志上下文
+    requestLogService.attachAccount(selection?.accountId, selection?.accountType)
+    return selection
+  }
+
+  async _selectAccountForApiKey(apiKeyData, sessionHash = null, requestedModel = null) {
     try {
       // 如果API Key绑定了专属账户或分组，优先使用
       if (apiKeyData.openaiAccountId) {
@@ -328,8 +342,9 @@ class UnifiedOpenAIScheduler {
         return aLastUsed - bLastUsed // 最久未使用的优先
       })
 
-      // 选择第一个账户
-      const selectedAccount = sortedAccounts[0]
+      // 配置了健康度策略时按延迟与错误率选择，否则选择第一个账户
+      const selectedAccount =
+        (await accountHealthService.selectAccount(sortedAccounts)) || sortedAccounts[0]
 
       // 如果有会话哈希，建立新的映射
       if (sessionHash) {
@@ -491,7 +506,8 @@ class UnifiedOpenAIScheduler {
       }
     }
 
-    return availableAccounts
+    // 排除熔断中的账户
+    return circuitBreakerService.filterAvailable(availableAccounts)
   }
 
   // 🔢 按优先级和最后使用时间排序账户（已废弃，改为与 Claude 保持一致，只按最后使用时间排序）
@@ -512,6 +528,10 @@ class UnifiedOpenAIScheduler {
   // 🔍 检查账户是否可用
   async _isAccountAvailable(accountId, accountType) {
     try {
+      // 熔断中的账户不参与调度
+      if (!(await circuitBreakerService.isAvailable(accountId))) {
+        return false
+      }
       if (accountType === 'openai') {
         const account = await openaiAccountService.getAccount(accountId)
         if (
@@ -835,7 +855,7 @@ class UnifiedOpenAIScheduler {
       }
 
       // 获取可用的分组成员账户
-      const availableAccounts = []
+      let availableAccounts = []
       for (const memberId of memberIds) {
         const account = await openaiAccountService.getAccount(memberId)
         if (account && account.isActive && account.status !== 'error') {
@@ -888,6 +908,9 @@ class UnifiedOpenAIScheduler {
         }
       }
 
+      // 排除熔断中的账户
+      availableAccounts = await circuitBreakerService.filterAvailable(availableAccounts)
+
       if (availableAccounts.length === 0) {
         const error = new Error(`No available accounts in group ${group.name}`)
         error.statusCode = 402 // Payment Required - 资源耗尽
@@ -901,8 +924,10 @@ class UnifiedOpenAIScheduler {
         return aLastUsed - bLastUsed // 最久未使用的优先
       })
 
-      // 选择第一个账户
-      const selectedAccount = sortedAccounts[0]
+      // 分组可单独配置调度策略
+      const selectedAccount =
+        (await accountHealthService.selectAccount(sortedAccounts, group.schedulingStrategy)) ||
+        sortedAccounts[0]
 
       // 如果有会话哈希，建立新的映射
       if (sessionHash) {
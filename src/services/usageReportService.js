@@ -0,0 +1,673 @@
+const { v4: uuidv4 } = require('uuid')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const CostCalculator = require('../utils/costCalculator')
+const webhookService = require('./webhookService')
+const webhookConfigService = require('./webhookConfigService')
+
+const JOBS_KEY = 'usage_report_config:jobs'
+const RUN_PREFIX = 'usage_report:run:'
+const RUN_HISTORY_PREFIX = 'usage_report:runs:'
+const LOCK_PREFIX = 'usage_report:lock:'
+const MAX_HISTORY_PER_JOB = 20
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const REPORT_FREQUENCIES = ['daily', 'weekly', 'monthly']
+const REPORT_DIMENSIONS = ['key', 'tag', 'user', 'model', 'account']
+
+const DIMENSION_LABELS = {
+  key: 'API Key',
+  tag: '标签',
+  user: '用户',
+  model: '模型',
+  account: '账户'
+}
+
+// 账户ID → 名称查找（storage 表示 Redis 中的存储方式）
+const ACCOUNT_NAME_SOURCES = [
+  { key: 'claude:account:', storage: 'hash' },
+  { key: 'claude_console_account:', storage: 'hash' },
+  { key: 'ccr_account:', storage: 'hash' },
+  { key: 'gemini_account:', storage: 'hash' },
+  { key: 'gemini_api_account:', storage: 'hash' },
+  { key: 'openai:account:', storage: 'hash' },
+  { key: 'openai_responses_account:', storage: 'hash' },
+  { key: 'azure_openai:account:', storage: 'hash' },
+  { key: 'openai_compatible_account:', storage: 'hash' },
+  { key: 'droid:account:', storage: 'hash' },
+  { key: 'bedrock_account:', storage: 'json' },
+  { key: 'vertex_account:', storage: 'json' }
+]
+
+const formatDay = (ms) => new Date(ms).toISOString().slice(0, 10)
+
+/**
+ * 定时用量报表服务
+ *
+ * 按日/周/月汇总上一个完整周期内的费用，按 API Key、标签、用户、模型、账户分组，
+ * 生成摘要与 CSV 后通过已配置的 Webhook 平台发送（SMTP 附带 CSV 附件）。
+ * 每个任务按「周期」去重，服务重启或多实例部署时不会重复发送。
+ */
+class UsageReportService {
+  constructor() {
+    this.interval = null
+    this.isChecking = false
+    this.frequencies = REPORT_FREQUENCIES
+    this.dimensions = REPORT_DIMENSIONS
+  }
+
+  isEnabled() {
+    return config.usageReports?.enabled !== false
+  }
+
+  start() {
+    if (!this.isEnabled()) {
+      logger.info('📈 Usage report scheduler is disabled')
+      return
+    }
+
+    const minutes = parseInt(config.usageReports?.checkIntervalMinutes) || 5
+    this.interval = setInterval(
+      () => {
+        this.runDueJobs().catch((error) => {
+          logger.error('❌ Usage report check failed:', error)
+        })
+      },
+      Math.max(1, minutes) * 60 * 1000
+    )
+
+    logger.info(`📈 Usage report scheduler started (checking every ${minutes} minutes)`)
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval)
+      this.interval = null
+    }
+  }
+
+  // 📋 获取所有报表任务
+  async listJobs() {
+    const data = await redis.get(JOBS_KEY)
+    return data ? JSON.parse(data) : []
+  }
+
+  async getJob(jobId) {
+    const jobs = await this.listJobs()
+    return jobs.find((job) => job.id === jobId) || null
+  }
+
+  // ➕ 创建报表任务
+  async createJob(input) {
+    const jobs = await this.listJobs()
+    const now = new Date().toISOString()
+    const job = {
+      id: uuidv4(),
+      ...this._normalizeJob(input),
+      lastPeriod: null,
+      lastRunAt: null,
+      createdAt: now,
+      updatedAt: now
+    }
+
+    jobs.push(job)
+    await this._saveJobs(jobs)
+    logger.info(`📈 Created usage report job: ${job.name} (${job.frequency})`)
+    return job
+  }
+
+  // ✏️ 更新报表任务
+  async updateJob(jobId, updates) {
+    const jobs = await this.listJobs()
+    const index = jobs.findIndex((job) => job.id === jobId)
+    if (index === -1) {
+      throw this._error('Report job not found', 404)
+    }
+
+    jobs[index] = {
+      ...jobs[index],
+      ...this._normalizeJob({ ...jobs[index], ...updates }),
+      updatedAt: new Date().toISOString()
+    }
+    await this._saveJobs(jobs)
+    logger.info(`📈 Updated usage report job: ${jobs[index].name}`)
+    return jobs[index]
+  }
+
+  // 🗑️ 删除报表任务（历史记录随 TTL 自然过期）
+  async deleteJob(jobId) {
+    const jobs = await this.listJobs()
+    const job = jobs.find((item) => item.id === jobId)
+    if (!job) {
+      throw this._error('Report job not found', 404)
+    }
+
+    await this._saveJobs(jobs.filter((item) => item.id !== jobId))
+    await redis.del(`${RUN_HISTORY_PREFIX}${jobId}`)
+    logger.info(`🗑️ Deleted usage report job: ${job.name}`)
+    return job
+  }
+
+  // 📜 获取任务的历史报表（不含 CSV 内容）
+  async getRunHistory(jobId) {
+    const runIds = await redis.client.lrange(`${RUN_HISTORY_PREFIX}${jobId}`, 0, -1)
+    if (runIds.length === 0) {
+      return []
+    }
+
+    const values = await redis.client.mget(runIds.map((id) => `${RUN_PREFIX}${id}`))
+    return values
+      .filter(Boolean)
+      .map((value) => JSON.parse(value))
+      .map(({ csv: _csv, ...run }) => run)
+  }
+
+  async getRun(runId) {
+    const data = await redis.get(`${RUN_PREFIX}${runId}`)
+    return data ? JSON.parse(data) : null
+  }
+
+  // ⏰ 检查并执行到期的报表任务
+  async runDueJobs(now = new Date()) {
+    if (this.isChecking) {
+      return
+    }
+
+    this.isChecking = true
+    try {
+      const jobs = await this.listJobs()
+      for (const job of jobs) {
+        if (!job.enabled) {
+          continue
+        }
+
+        const period = this.resolvePeriod(job.frequency, now)
+        const hour = redis.getHourInTimezone(now)
+        if (job.lastPeriod === period.key || hour < job.sendHour) {
+          continue
+        }
+
+        // 多实例部署时只允许一个实例发送同一周期的报表
+        const lockKey = `${LOCK_PREFIX}${job.id}:${period.key}`
+        const acquired = await redis.client.set(lockKey, '1', 'EX', 3600, 'NX')
+        if (!acquired) {
+          continue
+        }
+
+        try {
+          await this.runJob(job, { period })
+        } catch (error) {
+          logger.error(`❌ Failed to run usage report job ${job.name}:`, error)
+        }
+      }
+    } finally {
+      this.isChecking = false
+    }
+  }
+
+  // 🚀 生成并发送报表（手动执行时 period 默认为上一个完整周期）
+  async runJob(job, { period = null, manual = false } = {}) {
+    const targetPeriod = period || this.resolvePeriod(job.frequency)
+    const report = await this.buildReport(job, targetPeriod)
+    const delivery = await this.deliver(job, report)
+
+    const run = {
+      id: uuidv4(),
+      jobId: job.id,
+      jobName: job.name,
+      period: targetPeriod.key,
+      manual,
+      generatedAt: new Date().toISOString(),
+      totals: report.totals,
+      summary: report.summary,
+      delivery,
+      csv: report.csv
+    }
+    await this._saveRun(run)
+
+    // 全部平台发送失败时不标记周期，锁过期后会重试
+    if (!manual && (delivery.failed === 0 || delivery.succeeded > 0)) {
+      await this.updateJob(job.id, {
+        lastPeriod: targetPeriod.key,
+        lastRunAt: run.generatedAt
+      })
+    }
+
+    logger.info(
+      `📈 Usage report ${job.name} (${targetPeriod.key}) delivered: ${delivery.succeeded} succeeded, ${delivery.failed} failed`
+    )
+    const { csv: _csv, ...result } = run
+    return result
+  }
+
+  // 📅 计算上一个完整周期（基于配置时区）
+  resolvePeriod(frequency, now = new Date()) {
+    const tzNow = redis.getDateInTimezone(now)
+    const today = Date.UTC(tzNow.getUTCFullYear(), tzNow.getUTCMonth(), tzNow.getUTCDate())
+
+    if (frequency === 'monthly') {
+      const start = new Date(Date.UTC(tzNow.getUTCFullYear(), tzNow.getUTCMonth() - 1, 1))
+      const month = `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`
+      return { key: month, label: month, scope: 'monthly', buckets: [month] }
+    }
+
+    if (frequency === 'weekly') {
+      const dayOfWeek = (tzNow.getUTCDay() + 6) % 7 // 周一为 0
+      const start = today - (dayOfWeek + 7) * DAY_MS
+      const buckets = Array.from({ length: 7 }, (_, index) => formatDay(start + index * DAY_MS))
+      const key = `${buckets[0]}~${buckets[6]}`
+      return { key, label: key, scope: 'daily', buckets }
+    }
+
+    const day = formatDay(today - DAY_MS)
+    return { key: day, label: day, scope: 'daily', buckets: [day] }
+  }
+
+  // 📊 汇总周期内的用量数据并渲染摘要与 CSV
+  async buildReport(job, period) {
+    const apiKeys = await redis.getAllApiKeys()
+    const keyRows = await this._collectKeyUsage(apiKeys, period)
+
+    const sections = {}
+    if (job.dimensions.includes('key')) {
+      sections.key = keyRows
+    }
+    if (job.dimensions.includes('tag')) {
+      sections.tag = this._groupKeyRows(keyRows, (row) =>
+        row.tags.length > 0 ? row.tags : ['(无标签)']
+      )
+    }
+    if (job.dimensions.includes('user')) {
+      sections.user = this._groupKeyRows(keyRows, (row) => [row.owner || '(未绑定用户)'])
+    }
+    if (job.dimensions.includes('model')) {
+      sections.model = await this._collectModelUsage(period)
+    }
+    if (job.dimensions.includes('account')) {
+      sections.account = await this._collectAccountUsage(period, job.topN)
+    }
+
+    for (const rows of Object.values(sections)) {
+      rows.sort((a, b) => b.cost - a.cost || b.requests - a.requests)
+    }
+
+    const totals = keyRows.reduce(
+      (sum, row) => ({
+        requests: sum.requests + row.requests,
+        allTokens: sum.allTokens + row.allTokens,
+        cost: sum.cost + row.cost
+      }),
+      { requests: 0, allTokens: 0, cost: 0 }
+    )
+
+    return {
+      period,
+      totals,
+      sections,
+      summary: this.renderSummary(job, period, totals, sections),
+      csv: this.toCsv(sections)
+    }
+  }
+
+  // 📝 渲染纯文本摘要（各平台通用）
+  renderSummary(job, period, totals, sections) {
+    const lines = [
+      `${job.name}（${period.label}）`,
+      `总费用: $${totals.cost.toFixed(2)} | 请求数: ${totals.requests.toLocaleString()} | Tokens: ${totals.allTokens.toLocaleString()}`
+    ]
+
+    for (const [dimension, rows] of Object.entries(sections)) {
+      const topRows = rows.filter((row) => row.requests > 0 || row.cost > 0).slice(0, job.topN)
+      lines.push('', `按${DIMENSION_LABELS[dimension]}（Top ${job.topN}）:`)
+      if (topRows.length === 0) {
+        lines.push('  无数据')
+        continue
+      }
+      topRows.forEach((row, index) => {
+        lines.push(
+          `  ${index + 1}. ${row.name} - $${row.cost.toFixed(2)} (${row.requests.toLocaleString()} 次请求)`
+        )
+      })
+    }
+
+    return lines.join('\n')
+  }
+
+  // 📤 导出为 CSV（包含全部维度的完整数据）
+  toCsv(sections) {
+    const header = [
+      'dimension',
+      'name',
+      'id',
+      'requests',
+      'inputTokens',
+      'outputTokens',
+      'cacheCreateTokens',
+      'cacheReadTokens',
+      'totalTokens',
+      'cost'
+    ]
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value)
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+
+    const rows = []
+    for (const [dimension, items] of Object.entries(sections)) {
+      for (const row of items) {
+        rows.push(
+          [
+            dimension,
+            row.name,
+            row.id,
+            row.requests,
+            row.inputTokens,
+            row.outputTokens,
+            row.cacheCreateTokens,
+            row.cacheReadTokens,
+            row.allTokens,
+            row.cost.toFixed(6)
+          ]
+            .map(escape)
+            .join(',')
+        )
+      }
+    }
+    return [header.join(','), ...rows].join('\n')
+  }
+
+  // 📢 发送到任务配置的平台（未指定平台时发送到所有启用的平台）
+  async deliver(job, report) {
+    const webhookConfig = await webhookConfigService.getConfig()
+    const platforms = (webhookConfig.platforms || []).filter(
+      (platform) =>
+        platform.enabled && (job.platformIds.length === 0 || job.platformIds.includes(platform.id))
+    )
+
+    if (platforms.length === 0) {
+      logger.warn(`⚠️ Usage report ${job.name} has no enabled webhook platforms`)
+      return { succeeded: 0, failed: 0, platforms: [] }
+    }
+
+    const filename = `usage-report-${job.frequency}-${report.period.key.replace('~', '_')}.csv`
+    const data = {
+      reportName: job.name,
+      period: report.period.key,
+      summary: report.summary,
+      totals: report.totals,
+      attachments: [{ filename, content: report.csv, contentType: 'text/csv; charset=utf-8' }]
+    }
+
+    const results = await Promise.allSettled(
+      platforms.map((platform) =>
+        webhookService.sendToPlatform(platform, 'usageReport', data, webhookConfig.retrySettings)
+      )
+    )
+
+    return {
+      succeeded: results.filter((result) => result.status === 'fulfilled').length,
+      failed: results.filter((result) => result.status === 'rejected').length,
+      platforms: platforms.map((platform, index) => ({
+        id: platform.id,
+        name: platform.name || platform.type,
+        status: results[index].status === 'fulfilled' ? 'sent' : 'failed',
+        error: results[index].reason?.message
+      }))
+    }
+  }
+
+  // 🔑 按 API Key 汇总周期内的请求、Token 与实际计费
+  async _collectKeyUsage(apiKeys, period) {
+    const pipeline = redis.client.pipeline()
+    for (const apiKey of apiKeys) {
+      for (const bucket of period.buckets) {
+        pipeline.hgetall(`usage:${period.scope}:${apiKey.id}:${bucket}`)
+        pipeline.get(`usage:cost:${period.scope}:${apiKey.id}:${bucket}`)
+      }
+    }
+    const results = apiKeys.length > 0 ? await pipeline.exec() : []
+
+    let cursor = 0
+    return apiKeys.map((apiKey) => {
+      const row = this._emptyRow(apiKey.id, apiKey.name || apiKey.id)
+      row.tags = this._parseTags(apiKey.tags)
+      row.owner = apiKey.userUsername || apiKey.userId || ''
+
+      for (let index = 0; index < period.buckets.length; index++) {
+        const [, usage] = results[cursor++]
+        const [, cost] = results[cursor++]
+        this._addUsage(row, usage)
+        row.requests += parseInt(usage?.requests || 0)
+        row.cost += parseFloat(cost || 0)
+      }
+      return row
+    })
+  }
+
+  // 🏷️ 按标签/用户聚合 API Key 数据（一个 Key 可属于多个标签）
+  _groupKeyRows(keyRows, getGroups) {
+    const groups = new Map()
+    for (const row of keyRows) {
+      if (row.requests === 0 && row.cost === 0) {
+        continue
+      }
+      for (const group of getGroups(row)) {
+        const target = groups.get(group) || this._emptyRow(group, group)
+        for (const field of [
+          'requests',
+          'inputTokens',
+          'outputTokens',
+          'cacheCreateTokens',
+          'cacheReadTokens',
+          'allTokens',
+          'cost'
+        ]) {
+          target[field] += row[field]
+        }
+        groups.set(group, target)
+      }
+    }
+    return Array.from(groups.values())
+  }
+
+  // 🤖 按模型汇总（费用按模型定价估算）
+  async _collectModelUsage(period) {
+    const models = new Map()
+    for (const bucket of period.buckets) {
+      const prefix = `usage:model:${period.scope}:`
+      const keys = await redis.keys(`${prefix}*:${bucket}`)
+      const usages = await this._hgetallMany(keys)
+
+      keys.forEach((key, index) => {
+        const model = key.slice(prefix.length, -(bucket.length + 1))
+        const row = models.get(model) || this._emptyRow(model, model)
+        this._addUsage(row, usages[index])
+        row.requests += parseInt(usages[index]?.requests || 0)
+        row.cost += this._estimateCost(usages[index], model)
+        models.set(model, row)
+      })
+    }
+    return Array.from(models.values())
+  }
+
+  // 🏢 按上游账户汇总（费用按模型定价估算）
+  async _collectAccountUsage(period, topN) {
+    const accounts = new Map()
+    for (const bucket of period.buckets) {
+      const prefix = `account_usage:model:${period.scope}:`
+      const keys = await redis.keys(`${prefix}*:${bucket}`)
+      const usages = await this._hgetallMany(keys)
+
+      keys.forEach((key, index) => {
+        const rest = key.slice(prefix.length, -(bucket.length + 1))
+        const separator = rest.indexOf(':')
+        if (separator === -1) {
+          return
+        }
+        const accountId = rest.slice(0, separator)
+        const model = rest.slice(separator + 1)
+        const row = accounts.get(accountId) || this._emptyRow(accountId, accountId)
+        this._addUsage(row, usages[index])
+        row.requests += parseInt(usages[index]?.requests || 0)
+        row.cost += this._estimateCost(usages[index], model)
+        accounts.set(accountId, row)
+      })
+    }
+
+    const rows = Array.from(accounts.values()).sort((a, b) => b.cost - a.cost)
+    await this._resolveAccountNames(rows.slice(0, topN))
+    return rows
+  }
+
+  // 🔍 为排名靠前的账户补充名称（未找到时保留ID）
+  async _resolveAccountNames(rows) {
+    if (rows.length === 0) {
+      return
+    }
+
+    const pipeline = redis.client.pipeline()
+    for (const row of rows) {
+      for (const source of ACCOUNT_NAME_SOURCES) {
+        if (source.storage === 'hash') {
+          pipeline.hget(`${source.key}${row.id}`, 'name')
+        } else {
+          pipeline.get(`${source.key}${row.id}`)
+        }
+      }
+    }
+    const results = await pipeline.exec()
+
+    rows.forEach((row, rowIndex) => {
+      for (let index = 0; index < ACCOUNT_NAME_SOURCES.length; index++) {
+        const [error, value] = results[rowIndex * ACCOUNT_NAME_SOURCES.length + index]
+        if (error || !value) {
+          continue
+        }
+        try {
+          row.name =
+            ACCOUNT_NAME_SOURCES[index].storage === 'json'
+              ? JSON.parse(value).name || row.id
+              : value
+        } catch (parseError) {
+          continue
+        }
+        break
+      }
+    })
+  }
+
+  async _hgetallMany(keys) {
+    if (keys.length === 0) {
+      return []
+    }
+    const pipeline = redis.client.pipeline()
+    keys.forEach((key) => pipeline.hgetall(key))
+    const results = await pipeline.exec()
+    return results.map(([, value]) => value || {})
+  }
+
+  _estimateCost(usage, model) {
+    if (!usage || (!usage.inputTokens && !usage.outputTokens)) {
+      return 0
+    }
+    const result = CostCalculator.calculateCost(
+      {
+        input_tokens: parseInt(usage.inputTokens || 0),
+        output_tokens: parseInt(usage.outputTokens || 0),
+        cache_creation_input_tokens: parseInt(usage.cacheCreateTokens || 0),
+        cache_read_input_tokens: parseInt(usage.cacheReadTokens || 0)
+      },
+      model
+    )
+    return result.costs.total
+  }
+
+  _emptyRow(id, name) {
+    return {
+      id,
+      name,
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreateTokens: 0,
+      cacheReadTokens: 0,
+      allTokens: 0,
+      cost: 0
+    }
+  }
+
+  _addUsage(row, usage) {
+    if (!usage) {
+      return
+    }
+    row.inputTokens += parseInt(usage.inputTokens || 0)
+    row.outputTokens += parseInt(usage.outputTokens || 0)
+    row.cacheCreateTokens += parseInt(usage.cacheCreateTokens || 0)
+    row.cacheReadTokens += parseInt(usage.cacheReadTokens || 0)
+    row.allTokens += parseInt(usage.allTokens || 0)
+  }
+
+  _parseTags(tags) {
+    if (!tags) {
+      return []
+    }
+    try {
+      const parsed = JSON.parse(tags)
+      return Array.isArray(parsed) ? parsed.filter(Boolean) : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  _normalizeJob(input = {}) {
+    const name = String(input.name || '').trim()
+    if (!name) {
+      throw this._error('Report name is required', 400)
+    }
+    if (!REPORT_FREQUENCIES.includes(input.frequency)) {
+      throw this._error(`Frequency must be one of: ${REPORT_FREQUENCIES.join(', ')}`, 400)
+    }
+
+    const dimensions = Array.isArray(input.dimensions)
+      ? input.dimensions.filter((dimension) => REPORT_DIMENSIONS.includes(dimension))
+      : REPORT_DIMENSIONS
+    if (dimensions.length === 0) {
+      throw this._error('At least one report dimension is required', 400)
+    }
+
+    const sendHour = parseInt(input.sendHour)
+    const topN = parseInt(input.topN)
+
+    return {
+      name,
+      frequency: input.frequency,
+      sendHour: sendHour >= 0 && sendHour <= 23 ? sendHour : 9,
+      dimensions,
+      topN: topN > 0 ? Math.min(topN, 50) : 10,
+      platformIds: Array.isArray(input.platformIds) ? input.platformIds.map(String) : [],
+      enabled: input.enabled !== false,
+      lastPeriod: input.lastPeriod || null,
+      lastRunAt: input.lastRunAt || null
+    }
+  }
+
+  async _saveJobs(jobs) {
+    await redis.set(JOBS_KEY, JSON.stringify(jobs))
+  }
+
+  async _saveRun(run) {
+    const retentionDays = parseInt(config.usageReports?.historyRetentionDays) || 30
+    const historyKey = `${RUN_HISTORY_PREFIX}${run.jobId}`
+
+    await redis.setex(`${RUN_PREFIX}${run.id}`, retentionDays * 86400, JSON.stringify(run))
+    await redis.client.lpush(historyKey, run.id)
+    await redis.client.ltrim(historyKey, 0, MAX_HISTORY_PER_JOB - 1)
+  }
+
+  _error(message, httpStatus) {
+    return Object.assign(new Error(message), { httpStatus })
+  }
+}
+
+module.exports = new UsageReportService()
@@ -3,11 +3,19 @@ const crypto = require('crypto')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
 
+// 用户级服务权限可选值（与 API Key 的 permissions 取值一致）
+const USER_PERMISSION_OPTIONS = ['all', 'claude', 'gemini', 'openai', 'droid']
+
 class UserService {
   constructor() {
     this.userPrefix = 'user:'
     this.usernamePrefix = 'username:'
     this.userSessionPrefix = 'user_session:'
+    this.permissionOptions = USER_PERMISSION_OPTIONS
+
+    // 用户费用聚合的短时缓存，避免每次请求都遍历所有 API Key
+    this.costSummaryCache = new Map()
+    this.costSummaryCacheTtl = 10 * 1000
   }
 
   // 🔑 生成用户ID
@@ -210,6 +218,8 @@ class UserService {
             continue
           }
 
+          user.limits = this.normalizeUserLimits(user.limits)
+
           // Calculate dynamic usage stats for each user
           try {
             const usageStats = await this.calculateUserUsageStats(user.id)
@@ -306,6 +316,119 @@ class UserService {
     }
   }
 
+  // 📏 规范化用户级配额（费用/数量/并发为 0 表示不限制，权限默认 all）
+  normalizeUserLimits(limits = {}) {
+    const toLimit = (value) => {
+      const number = Number(value)
+      return Number.isFinite(number) && number > 0 ? number : 0
+    }
+
+    return {
+      dailyCostLimit: toLimit(limits?.dailyCostLimit),
+      totalCostLimit: toLimit(limits?.totalCostLimit),
+      maxApiKeys: Math.floor(toLimit(limits?.maxApiKeys)),
+      concurrencyLimit: Math.floor(toLimit(limits?.concurrencyLimit)),
+      permissions: USER_PERMISSION_OPTIONS.includes(limits?.permissions)
+        ? limits.permissions
+        : 'all'
+    }
+  }
+
+  // 🔢 用户可创建的 API Key 上限：用户自身配置优先，否则使用全局配置
+  getMaxApiKeys(user) {
+    const limits = this.normalizeUserLimits(user?.limits)
+    return limits.maxApiKeys || config.userManagement.maxApiKeysPerUser
+  }
+
+  // 🔐 计算 API Key 在用户权限约束下的实际权限，冲突时返回 null
+  resolveKeyPermissions(keyPermissions, userPermissions) {
+    const keyScope = keyPermissions || 'all'
+    const userScope = userPermissions || 'all'
+
+    if (userScope === 'all') {
+      return keyScope
+    }
+    if (keyScope === 'all' || keyScope === userScope) {
+      return userScope
+    }
+    return null
+  }
+
+  // 📏 更新用户级配额
+  async updateUserLimits(userId, limits) {
+    try {
+      const user = await this.getUserById(userId, false) // Skip usage calculation
+      if (!user) {
+        throw new Error('User not found')
+      }
+
+      // 未传入的字段保持原值，传入 null/空字符串表示取消该项限制
+      const updates = Object.fromEntries(
+        Object.entries(limits).filter(([, value]) => value !== undefined)
+      )
+      user.limits = this.normalizeUserLimits({ ...(user.limits || {}), ...updates })
+      user.updatedAt = new Date().toISOString()
+
+      await redis.set(`${this.userPrefix}${userId}`, JSON.stringify(user))
+      this.costSummaryCache.delete(userId)
+      logger.info(`📏 Updated user limits: ${user.username} -> ${JSON.stringify(user.limits)}`)
+
+      return user
+    } catch (error) {
+      logger.error('❌ Error updating user limits:', error)
+      throw error
+    }
+  }
+
+  // 💰 聚合用户名下所有 API Key（含已删除）的当日与累计费用
+  async getUserCostSummary(userId, { useCache = true } = {}) {
+    const cached = this.costSummaryCache.get(userId)
+    if (useCache && cached && cached.expiresAt > Date.now()) {
+      return cached.summary
+    }
+
+    const userKeys = await redis.getApiKeysByUser(userId)
+
+    const costs = await Promise.all(
+      userKeys.map(async (key) => {
+        const [dailyCost, costStats] = await Promise.all([
+          redis.getDailyCost(key.id),
+          redis.getCostStats(key.id)
+        ])
+        return { dailyCost: dailyCost || 0, totalCost: costStats?.total || 0 }
+      })
+    )
+
+    const summary = {
+      dailyCost: costs.reduce((sum, item) => sum + item.dailyCost, 0),
+      totalCost: costs.reduce((sum, item) => sum + item.totalCost, 0),
+      apiKeyCount: userKeys.filter((key) => key.isDeleted !== 'true').length
+    }
+
+    this.costSummaryCache.set(userId, {
+      summary,
+      expiresAt: Date.now() + this.costSummaryCacheTtl
+    })
+    return summary
+  }
+
+  // 📊 获取用户配额使用情况（供用户面板与管理界面展示剩余额度）
+  async getUserQuotaStatus(user) {
+    const limits = this.normalizeUserLimits(user.limits)
+    const summary = await this.getUserCostSummary(user.id, { useCache: false })
+    const remaining = (limit, used) => (limit > 0 ? Math.max(limit - used, 0) : null)
+
+    return {
+      limits,
+      maxApiKeys: this.getMaxApiKeys(user),
+      apiKeyCount: summary.apiKeyCount,
+      dailyCost: summary.dailyCost,
+      totalCost: summary.totalCost,
+      remainingDailyCost: remaining(limits.dailyCostLimit, summary.dailyCost),
+      remainingTotalCost: remaining(limits.totalCostLimit, summary.totalCost)
+    }
+  }
+
   // 📊 更新用户API Key数量 (已废弃，现在通过聚合计算)
   async updateUserApiKeyCount(userId, _count) {
     // This method is deprecated since apiKeyCount is now calculated dynamically
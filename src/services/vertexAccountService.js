@@ -0,0 +1,527 @@
+const { v4: uuidv4 } = require('uuid')
+const crypto = require('crypto')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const LRUCache = require('../utils/lruCache')
+
+const ACCOUNT_KEY_PREFIX = 'vertex_account:'
+
+class VertexAccountService {
+  constructor() {
+    // 加密相关常量
+    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
+    this.ENCRYPTION_SALT = 'vertex-salt'
+
+    // 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
+    this._encryptionKeyCache = null
+
+    // 🔄 解密结果缓存，提高解密性能
+    this._decryptCache = new LRUCache(500)
+
+    // 🧹 定期清理缓存（每10分钟）
+    setInterval(
+      () => {
+        this._decryptCache.cleanup()
+        logger.info('🧹 Vertex decrypt cache cleanup completed', this._decryptCache.getStats())
+      },
+      10 * 60 * 1000
+    )
+  }
+
+  // 🏢 创建Vertex账户
+  async createAccount(options = {}) {
+    const {
+      name = 'Unnamed Vertex Account',
+      description = '',
+      serviceAccountJson = null, // 服务账号 JSON（字符串或对象）
+      projectId = '',
+      region = config.vertex?.defaultRegion || 'us-east5',
+      modelMapping = {}, // { 'claude-sonnet-4-5-20250929': 'claude-sonnet-4-5@20250929' }
+      proxy = null,
+      isActive = true,
+      accountType = 'shared', // 'shared' or 'group'
+      priority = 50, // 调度优先级 (1-100，数字越小优先级越高)
+      schedulable = true, // 是否可被调度
+      rateLimitDuration = 60 // 限流时间（分钟）
+    } = options
+
+    const credentials = this._parseServiceAccount(serviceAccountJson)
+    const resolvedProjectId = projectId || credentials.project_id
+    if (!resolvedProjectId) {
+      throw Object.assign(new Error('Project ID is required'), { httpStatus: 400 })
+    }
+
+    const accountId = uuidv4()
+    const now = new Date().toISOString()
+
+    const accountData = {
+      id: accountId,
+      name,
+      description,
+      projectId: resolvedProjectId,
+      region: region || 'us-east5',
+      clientEmail: credentials.client_email,
+      serviceAccount: this._encryptServiceAccount(credentials),
+      modelMapping: this._normalizeModelMapping(modelMapping),
+      proxy: proxy || null,
+      isActive,
+      accountType,
+      priority,
+      schedulable,
+      rateLimitDuration,
+      status: 'active',
+      errorMessage: '',
+      subscriptionExpiresAt: options.subscriptionExpiresAt || null,
+      createdAt: now,
+      updatedAt: now,
+      lastUsedAt: '',
+      type: 'vertex' // 标识这是Vertex账户
+    }
+
+    const client = redis.getClientSafe()
+    await client.set(`${ACCOUNT_KEY_PREFIX}${accountId}`, JSON.stringify(accountData))
+
+    logger.info(
+      `✅ 创建Vertex账户成功 - ID: ${accountId}, 名称: ${name}, 项目: ${resolvedProjectId}, 区域: ${accountData.region}`
+    )
+
+    return { success: true, data: this._toPublicAccount(accountData) }
+  }
+
+  // 🔍 获取账户信息（包含解密后的服务账号凭证，仅供内部使用）
+  async getAccount(accountId) {
+    try {
+      const account = await this._loadRawAccount(accountId)
+      if (!account) {
+        return { success: false, error: 'Account not found' }
+      }
+
+      if (account.serviceAccount) {
+        account.serviceAccount = this._decryptServiceAccount(account.serviceAccount)
+      }
+
+      return { success: true, data: account }
+    } catch (error) {
+      logger.error(`❌ 获取Vertex账户失败 - ID: ${accountId}`, error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // 📋 获取所有账户列表（不包含凭证）
+  async getAllAccounts() {
+    try {
+      const client = redis.getClientSafe()
+      const keys = await client.keys(`${ACCOUNT_KEY_PREFIX}*`)
+      const accounts = []
+
+      for (const key of keys) {
+        const accountData = await client.get(key)
+        if (accountData) {
+          const account = JSON.parse(accountData)
+          accounts.push({
+            ...this._toPublicAccount(account),
+            rateLimitStatus: this._getRateLimitInfo(account)
+          })
+        }
+      }
+
+      // 按优先级和名称排序
+      accounts.sort((a, b) => {
+        if (a.priority !== b.priority) {
+          return a.priority - b.priority
+        }
+        return a.name.localeCompare(b.name)
+      })
+
+      return { success: true, data: accounts }
+    } catch (error) {
+      logger.error('❌ 获取Vertex账户列表失败', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // ✏️ 更新账户信息
+  async updateAccount(accountId, updates = {}) {
+    try {
+      const account = await this._loadRawAccount(accountId)
+      if (!account) {
+        return { success: false, error: 'Account not found' }
+      }
+
+      const simpleFields = [
+        'name',
+        'description',
+        'region',
+        'proxy',
+        'isActive',
+        'accountType',
+        'priority',
+        'schedulable',
+        'rateLimitDuration',
+        'subscriptionExpiresAt'
+      ]
+      for (const field of simpleFields) {
+        if (updates[field] !== undefined) {
+          account[field] = updates[field]
+        }
+      }
+
+      if (updates.modelMapping !== undefined) {
+        account.modelMapping = this._normalizeModelMapping(updates.modelMapping)
+      }
+
+      // 服务账号 JSON 留空时保留原凭证
+      if (updates.serviceAccountJson) {
+        const credentials = this._parseServiceAccount(updates.serviceAccountJson)
+        account.serviceAccount = this._encryptServiceAccount(credentials)
+        account.clientEmail = credentials.client_email
+        if (!updates.projectId && credentials.project_id) {
+          account.projectId = credentials.project_id
+        }
+      }
+
+      if (updates.projectId) {
+        account.projectId = updates.projectId
+      }
+
+      account.updatedAt = new Date().toISOString()
+      await this._saveRawAccount(account)
+
+      logger.info(`✅ 更新Vertex账户成功 - ID: ${accountId}, 名称: ${account.name}`)
+
+      return { success: true, data: this._toPublicAccount(account) }
+    } catch (error) {
+      logger.error(`❌ 更新Vertex账户失败 - ID: ${accountId}`, error)
+      if (error.httpStatus) {
+        throw error
+      }
+      return { success: false, error: error.message }
+    }
+  }
+
+  // 🗑️ 删除账户
+  async deleteAccount(accountId) {
+    try {
+      const account = await this._loadRawAccount(accountId)
+      if (!account) {
+        return { success: false, error: 'Account not found' }
+      }
+
+      const client = redis.getClientSafe()
+      await client.del(`${ACCOUNT_KEY_PREFIX}${accountId}`)
+
+      logger.info(`✅ 删除Vertex账户成功 - ID: ${accountId}`)
+      return { success: true }
+    } catch (error) {
+      logger.error(`❌ 删除Vertex账户失败 - ID: ${accountId}`, error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // 🚫 标记账户为限流状态
+  async markAccountRateLimited(accountId) {
+    await this._patchAccount(accountId, (account) => {
+      account.rateLimitStatus = 'limited'
+      account.rateLimitedAt = new Date().toISOString()
+    })
+    logger.warn(`🚫 Vertex account marked as rate limited: ${accountId}`)
+  }
+
+  // ✅ 移除账户的限流状态
+  async removeAccountRateLimit(accountId) {
+    await this._patchAccount(accountId, (account) => {
+      delete account.rateLimitStatus
+      delete account.rateLimitedAt
+    })
+    logger.success(`✅ Rate limit removed for Vertex account: ${accountId}`)
+  }
+
+  // 🔍 检查账户是否处于限流状态，过期后自动恢复
+  async isAccountRateLimited(accountId) {
+    const account = await this._loadRawAccount(accountId)
+    if (!account || account.rateLimitStatus !== 'limited') {
+      return false
+    }
+
+    if (this._getRateLimitInfo(account).isRateLimited) {
+      return true
+    }
+
+    await this.removeAccountRateLimit(accountId)
+    return false
+  }
+
+  // 🚫 标记账户为未授权状态（服务账号失效或缺少权限）
+  async markAccountUnauthorized(accountId, reason = 'Vertex AI 认证失败（401/403）') {
+    const account = await this._patchAccount(accountId, (target) => {
+      target.status = 'unauthorized'
+      target.schedulable = false
+      target.errorMessage = reason
+    })
+    if (!account) {
+      return
+    }
+
+    logger.warn(`🚫 Vertex account marked as unauthorized: ${account.name} (${accountId})`)
+
+    try {
+      const webhookNotifier = require('../utils/webhookNotifier')
+      await webhookNotifier.sendAccountAnomalyNotification({
+        accountId,
+        accountName: account.name || accountId,
+        platform: 'vertex',
+        status: 'unauthorized',
+        errorCode: 'VERTEX_UNAUTHORIZED',
+        reason,
+        timestamp: new Date().toISOString()
+      })
+    } catch (webhookError) {
+      logger.error('Failed to send unauthorized webhook notification:', webhookError)
+    }
+  }
+
+  // 🔄 重置账户所有异常状态
+  async resetAccountStatus(accountId) {
+    const account = await this._patchAccount(accountId, (target) => {
+      target.status = 'active'
+      target.schedulable = true
+      target.errorMessage = ''
+      delete target.rateLimitStatus
+      delete target.rateLimitedAt
+    })
+    if (!account) {
+      throw new Error('Account not found')
+    }
+
+    logger.success(`✅ Reset all error status for Vertex account ${accountId}`)
+    return { success: true, accountId }
+  }
+
+  // ⏰ 更新账户最后使用时间
+  async updateLastUsedAt(accountId) {
+    try {
+      await this._patchAccount(accountId, (account) => {
+        account.lastUsedAt = new Date().toISOString()
+      })
+    } catch (error) {
+      logger.error(`❌ Failed to update last used time for Vertex account ${accountId}:`, error)
+    }
+  }
+
+  /**
+   * 检查账户订阅是否过期
+   * @param {Object} account - 账户对象
+   * @returns {boolean} - true: 已过期, false: 未过期
+   */
+  isSubscriptionExpired(account) {
+    if (!account.subscriptionExpiresAt) {
+      return false // 未设置视为永不过期
+    }
+    return new Date(account.subscriptionExpiresAt) <= new Date()
+  }
+
+  // 🔍 检查模型是否支持（未配置映射表时支持所有模型）
+  isModelSupported(modelMapping, requestedModel) {
+    if (!modelMapping || Object.keys(modelMapping).length === 0) {
+      return true
+    }
+    if (Object.prototype.hasOwnProperty.call(modelMapping, requestedModel)) {
+      return true
+    }
+    const requestedModelLower = requestedModel.toLowerCase()
+    return Object.keys(modelMapping).some((key) => key.toLowerCase() === requestedModelLower)
+  }
+
+  // 🔄 获取 Vertex 模型 ID：优先账户映射表，否则将日期后缀转为 Vertex 的 @ 格式
+  getMappedModel(modelMapping, requestedModel) {
+    if (modelMapping && Object.keys(modelMapping).length > 0) {
+      if (modelMapping[requestedModel]) {
+        return modelMapping[requestedModel]
+      }
+      const requestedModelLower = requestedModel.toLowerCase()
+      for (const [key, value] of Object.entries(modelMapping)) {
+        if (key.toLowerCase() === requestedModelLower) {
+          return value
+        }
+      }
+    }
+
+    // claude-sonnet-4-5-20250929 -> claude-sonnet-4-5@20250929
+    if (requestedModel.includes('@')) {
+      return requestedModel
+    }
+    return requestedModel.replace(/-(\d{8})$/, '@$1')
+  }
+
+  _getRateLimitInfo(account) {
+    if (account.rateLimitStatus !== 'limited' || !account.rateLimitedAt) {
+      return { isRateLimited: false, rateLimitedAt: null, minutesRemaining: 0 }
+    }
+
+    const durationMinutes = parseInt(account.rateLimitDuration) || 60
+    const resetAt = new Date(account.rateLimitedAt).getTime() + durationMinutes * 60 * 1000
+    const minutesRemaining = Math.max(0, Math.ceil((resetAt - Date.now()) / 60000))
+
+    return {
+      isRateLimited: minutesRemaining > 0,
+      rateLimitedAt: account.rateLimitedAt,
+      minutesRemaining
+    }
+  }
+
+  // 前端展示用的账户信息，不包含凭证
+  _toPublicAccount(account) {
+    return {
+      id: account.id,
+      name: account.name,
+      description: account.description,
+      projectId: account.projectId,
+      region: account.region,
+      clientEmail: account.clientEmail || '',
+      modelMapping: account.modelMapping || {},
+      proxy: account.proxy || null,
+      isActive: account.isActive,
+      accountType: account.accountType,
+      priority: account.priority,
+      schedulable: account.schedulable,
+      rateLimitDuration: account.rateLimitDuration,
+      status: account.status || 'active',
+      errorMessage: account.errorMessage || '',
+
+      // ✅ 前端显示订阅过期时间（业务字段）
+      expiresAt: account.subscriptionExpiresAt || null,
+
+      createdAt: account.createdAt,
+      updatedAt: account.updatedAt,
+      lastUsedAt: account.lastUsedAt || '',
+      type: 'vertex',
+      platform: 'vertex',
+      hasCredentials: !!account.serviceAccount
+    }
+  }
+
+  async _loadRawAccount(accountId) {
+    const client = redis.getClientSafe()
+    const accountData = await client.get(`${ACCOUNT_KEY_PREFIX}${accountId}`)
+    return accountData ? JSON.parse(accountData) : null
+  }
+
+  async _saveRawAccount(account) {
+    const client = redis.getClientSafe()
+    await client.set(`${ACCOUNT_KEY_PREFIX}${account.id}`, JSON.stringify(account))
+  }
+
+  // 读取-修改-写回账户数据，返回修改后的账户；账户不存在时返回 null
+  async _patchAccount(accountId, mutate) {
+    const account = await this._loadRawAccount(accountId)
+    if (!account) {
+      return null
+    }
+    mutate(account)
+    await this._saveRawAccount(account)
+    return account
+  }
+
+  // 解析并校验服务账号 JSON
+  _parseServiceAccount(serviceAccountJson) {
+    let credentials = serviceAccountJson
+    if (typeof credentials === 'string') {
+      try {
+        credentials = JSON.parse(credentials)
+      } catch (error) {
+        throw Object.assign(new Error('Service account JSON is not valid JSON'), {
+          httpStatus: 400
+        })
+      }
+    }
+
+    if (!credentials || !credentials.client_email || !credentials.private_key) {
+      throw Object.assign(
+        new Error('Service account JSON must contain client_email and private_key'),
+        { httpStatus: 400 }
+      )
+    }
+
+    return credentials
+  }
+
+  // 模型映射表只保留非空的字符串键值
+  _normalizeModelMapping(modelMapping) {
+    if (!modelMapping || typeof modelMapping !== 'object' || Array.isArray(modelMapping)) {
+      return {}
+    }
+    const normalized = {}
+    for (const [from, to] of Object.entries(modelMapping)) {
+      const source = String(from).trim()
+      const target = String(to || '').trim()
+      if (source && target) {
+        normalized[source] = target
+      }
+    }
+    return normalized
+  }
+
+  // 🔑 生成加密密钥（缓存优化）
+  _generateEncryptionKey() {
+    if (!this._encryptionKeyCache) {
+      this._encryptionKeyCache = crypto.scryptSync(
+        config.security.encryptionKey,
+        this.ENCRYPTION_SALT,
+        32
+      )
+      logger.info('🔑 Vertex encryption key derived and cached for performance optimization')
+    }
+    return this._encryptionKeyCache
+  }
+
+  // 🔐 加密服务账号凭证
+  _encryptServiceAccount(credentials) {
+    try {
+      const key = this._generateEncryptionKey()
+      const iv = crypto.randomBytes(16)
+      const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
+
+      let encrypted = cipher.update(JSON.stringify(credentials), 'utf8', 'hex')
+      encrypted += cipher.final('hex')
+
+      return { encrypted, iv: iv.toString('hex') }
+    } catch (error) {
+      logger.error('❌ Vertex服务账号凭证加密失败', error)
+      throw new Error('Credentials encryption failed')
+    }
+  }
+
+  // 🔓 解密服务账号凭证
+  _decryptServiceAccount(encryptedData) {
+    if (!encryptedData || !encryptedData.encrypted || !encryptedData.iv) {
+      throw new Error('Invalid encrypted service account data')
+    }
+
+    const cacheKey = crypto.createHash('sha256').update(encryptedData.encrypted).digest('hex')
+    const cached = this._decryptCache.get(cacheKey)
+    if (cached !== undefined) {
+      return cached
+    }
+
+    try {
+      const key = this._generateEncryptionKey()
+      const iv = Buffer.from(encryptedData.iv, 'hex')
+      const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
+
+      let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8')
+      decrypted += decipher.final('utf8')
+
+      const result = JSON.parse(decrypted)
+
+      // 💾 存入缓存（5分钟过期）
+      this._decryptCache.set(cacheKey, result, 5 * 60 * 1000)
+      return result
+    } catch (error) {
+      logger.error('❌ Vertex服务账号凭证解密失败', error)
+      throw new Error('Credentials decryption failed')
+    }
+  }
+}
+
+module.exports = new VertexAccountService()
@@ -0,0 +1,401 @@
+const axios = require('axios')
+const crypto = require('crypto')
+const { JWT } = require('google-auth-library')
+const vertexAccountService = require('./vertexAccountService')
+const ProxyHelper = require('../utils/proxyHelper')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const circuitBreakerService = require('./circuitBreakerService')
+
+const VERTEX_ANTHROPIC_VERSION = 'vertex-2023-10-16'
+const CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform'
+
+class VertexRelayService {
+  constructor() {
+    // 按账户缓存 JWT 客户端，google-auth-library 会在 token 过期前自动刷新
+    this.authClients = new Map()
+  }
+
+  // 🚀 转发非流式请求到 Vertex AI rawPredict
+  async relayRequest(
+    requestBody,
+    apiKeyData,
+    clientRequest,
+    clientResponse,
+    clientHeaders,
+    accountId
+  ) {
+    const abortController = new AbortController()
+    let account = null
+
+    const handleClientDisconnect = () => {
+      if (!abortController.signal.aborted) {
+        logger.info('🔌 Client disconnected, aborting Vertex request')
+        abortController.abort()
+      }
+    }
+
+    try {
+      account = await this._loadAccount(accountId)
+      const modelId = vertexAccountService.getMappedModel(account.modelMapping, requestBody.model)
+
+      logger.info(
+        `📤 Processing Vertex request for key: ${apiKeyData.name || apiKeyData.id}, account: ${account.name} (${accountId}), model: ${requestBody.model} → ${modelId}`
+      )
+
+      if (clientRequest) {
+        clientRequest.once('close', handleClientDisconnect)
+      }
+      if (clientResponse) {
+        clientResponse.once('close', handleClientDisconnect)
+      }
+
+      const requestConfig = await this._buildRequestConfig(
+        account,
+        modelId,
+        requestBody,
+        clientHeaders,
+        false
+      )
+      requestConfig.signal = abortController.signal
+
+      const request = axios(requestConfig)
+      circuitBreakerService.trackRequest(request, accountId, 'vertex')
+      const response = await request
+      await this._handleResponseStatus(account, response.status)
+      await vertexAccountService.updateLastUsedAt(accountId)
+
+      // Vertex 返回的 model 为 Vertex 模型 ID，改回客户端请求的模型名以便统计与计费
+      let responseData = response.data
+      if (responseData && typeof responseData === 'object' && responseData.model) {
+        responseData = { ...responseData, model: requestBody.model }
+      }
+
+      return {
+        statusCode: response.status,
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof responseData === 'string' ? responseData : JSON.stringify(responseData),
+        accountId
+      }
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info('Request aborted due to client disconnect')
+        throw new Error('Client disconnected')
+      }
+
+      logger.error(
+        `❌ Vertex relay request failed (Account: ${account?.name || accountId}):`,
+        error.message
+      )
+      throw error
+    } finally {
+      if (clientRequest) {
+        clientRequest.removeListener('close', handleClientDisconnect)
+      }
+      if (clientResponse) {
+        clientResponse.removeListener('close', handleClientDisconnect)
+      }
+    }
+  }
+
+  // 🌊 转发流式请求到 Vertex AI streamRawPredict，并从 SSE 中收集 usage（含缓存 token）
+  async relayStreamRequestWithUsageCapture(
+    requestBody,
+    apiKeyData,
+    responseStream,
+    clientHeaders,
+    usageCallback,
+    accountId
+  ) {
+    const account = await this._loadAccount(accountId)
+    const modelId = vertexAccountService.getMappedModel(account.modelMapping, requestBody.model)
+
+    logger.info(
+      `📡 Processing streaming Vertex request for key: ${apiKeyData.name || apiKeyData.id}, account: ${account.name} (${accountId}), model: ${requestBody.model} → ${modelId}`
+    )
+
+    const requestConfig = await this._buildRequestConfig(
+      account,
+      modelId,
+      requestBody,
+      clientHeaders,
+      true
+    )
+
+    let response
+    let recordOutcome
+    try {
+      const request = axios(requestConfig)
+      recordOutcome = circuitBreakerService.trackRequest(request, accountId, 'vertex', {
+        stream: true
+      })
+      response = await request
+    } catch (error) {
+      logger.error(`❌ Vertex stream request failed (Account: ${account.name}):`, error.message)
+      this._writeStreamError(responseStream, 502, 'Vertex AI request failed')
+      throw error
+    }
+
+    await this._handleResponseStatus(account, response.status)
+
+    if (response.status !== 200) {
+      const errorBody = await this._readStreamBody(response.data)
+      logger.error(
+        `❌ Vertex API returned error status: ${response.status} | Account: ${account.name}`
+      )
+      if (!responseStream.headersSent) {
+        responseStream.writeHead(response.status, { 'Content-Type': 'application/json' })
+      }
+      if (!responseStream.destroyed) {
+        responseStream.end(errorBody)
+      }
+      return
+    }
+
+    await this._pipeStream(
+      response.data,
+      responseStream,
+      requestBody.model,
+      (usage) => {
+        if (usageCallback) {
+          usageCallback({ ...usage, accountId, model: requestBody.model })
+        }
+      },
+      recordOutcome
+    )
+    await vertexAccountService.updateLastUsedAt(accountId)
+  }
+
+  async _loadAccount(accountId) {
+    const accountResult = await vertexAccountService.getAccount(accountId)
+    if (!accountResult.success) {
+      throw new Error('Vertex account not found')
+    }
+    return accountResult.data
+  }
+
+  // 构建 rawPredict / streamRawPredict 请求
+  async _buildRequestConfig(account, modelId, requestBody, clientHeaders, isStream) {
+    const region = account.region || config.vertex?.defaultRegion || 'us-east5'
+    const host =
+      region === 'global' ? 'aiplatform.googleapis.com' : `${region}-aiplatform.googleapis.com`
+    const method = isStream ? 'streamRawPredict' : 'rawPredict'
+    const url = `https://${host}/v1/projects/${account.projectId}/locations/${region}/publishers/anthropic/models/${modelId}:${method}`
+
+    // Vertex 通过 URL 指定模型，请求体中不能包含 model 字段
+    const { model: _model, ...payload } = requestBody
+    const data = { ...payload, anthropic_version: VERTEX_ANTHROPIC_VERSION }
+    if (isStream) {
+      data.stream = true
+    }
+
+    const proxyAgent = ProxyHelper.createProxyAgent(account.proxy)
+    const accessToken = await this._getAccessToken(account, proxyAgent)
+
+    const headers = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`
+    }
+    const betaHeader = clientHeaders?.['anthropic-beta'] || clientHeaders?.['Anthropic-Beta']
+    if (betaHeader) {
+      headers['anthropic-beta'] = betaHeader
+    }
+
+    const requestConfig = {
+      method: 'POST',
+      url,
+      data,
+      headers,
+      timeout: config.requestTimeout || 600000,
+      responseType: isStream ? 'stream' : 'json',
+      validateStatus: () => true // 接受所有状态码
+    }
+
+    if (proxyAgent) {
+      requestConfig.httpAgent = proxyAgent
+      requestConfig.httpsAgent = proxyAgent
+      requestConfig.proxy = false
+    }
+
+    logger.debug(`🎯 Vertex endpoint: ${url}`)
+    return requestConfig
+  }
+
+  // 🔑 使用服务账号获取访问令牌
+  async _getAccessToken(account, proxyAgent) {
+    const credentials = account.serviceAccount
+    if (!credentials?.client_email || !credentials?.private_key) {
+      throw new Error(`Vertex account ${account.id} has no service account credentials`)
+    }
+
+    // 凭证或代理变化时重建客户端
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(
+        `${credentials.private_key_id || credentials.private_key}:${JSON.stringify(account.proxy || null)}`
+      )
+      .digest('hex')
+    let cached = this.authClients.get(account.id)
+    if (!cached || cached.fingerprint !== fingerprint) {
+      const clientOptions = {
+        email: credentials.client_email,
+        key: credentials.private_key,
+        scopes: [CLOUD_PLATFORM_SCOPE]
+      }
+      if (proxyAgent) {
+        clientOptions.transporterOptions = { agent: proxyAgent }
+      }
+      cached = { fingerprint, client: new JWT(clientOptions) }
+      this.authClients.set(account.id, cached)
+    }
+
+    const { token } = await cached.client.getAccessToken()
+    if (!token) {
+      throw new Error('Failed to obtain Vertex AI access token')
+    }
+    return token
+  }
+
+  // 根据上游状态码更新账户状态
+  async _handleResponseStatus(account, status) {
+    try {
+      if (status === 429) {
+        logger.warn(`🚫 Rate limit detected for Vertex account ${account.id}`)
+        await vertexAccountService.markAccountRateLimited(account.id)
+      } else if (status === 401 || status === 403) {
+        logger.warn(`🚫 Unauthorized error detected for Vertex account ${account.id}`)
+        await vertexAccountService.markAccountUnauthorized(account.id)
+      } else if (status >= 200 && status < 300 && account.rateLimitStatus === 'limited') {
+        await vertexAccountService.removeAccountRateLimit(account.id)
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to update Vertex account status (${account.id}):`, error)
+    }
+  }
+
+  // 透传 Anthropic SSE，并把 message_start 中的 Vertex 模型 ID 改回请求模型名
+  _pipeStream(upstream, responseStream, requestedModel, onUsage, recordOutcome) {
+    return new Promise((resolve, reject) => {
+      if (!responseStream.headersSent) {
+        responseStream.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive',
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Cache-Control'
+        })
+      }
+
+      let buffer = ''
+      const usage = {}
+
+      const handleLine = (line) => {
+        let outputLine = line
+        if (line.startsWith('data:')) {
+          try {
+            const data = JSON.parse(line.slice(5).trim())
+            this._collectUsage(data, usage)
+            if (data.type === 'error') {
+              recordOutcome('stream_error')
+            }
+            if (data.type === 'message_start' && data.message?.model) {
+              data.message.model = requestedModel
+              outputLine = `data: ${JSON.stringify(data)}`
+            }
+          } catch (error) {
+            // 忽略解析错误，不是所有行都包含 JSON
+          }
+        }
+        if (!responseStream.destroyed) {
+          responseStream.write(`${outputLine}\n`)
+        }
+      }
+
+      const handleClientClose = () => {
+        if (!responseStream.writableEnded) {
+          logger.info('🔌 Client disconnected from Vertex stream')
+          recordOutcome.cancel()
+          upstream.destroy()
+          resolve()
+        }
+      }
+      responseStream.once('close', handleClientClose)
+
+      upstream.on('data', (chunk) => {
+        buffer += chunk.toString('utf8')
+        const lines = buffer.split('\n')
+        buffer = lines.pop()
+        lines.forEach(handleLine)
+      })
+
+      upstream.on('end', () => {
+        responseStream.removeListener('close', handleClientClose)
+        if (buffer) {
+          handleLine(buffer)
+        }
+        if (!responseStream.destroyed) {
+          responseStream.end()
+        }
+        if (usage.input_tokens !== undefined && usage.output_tokens !== undefined) {
+          try {
+            onUsage(usage)
+          } catch (error) {
+            logger.error('❌ Error in Vertex usage callback:', error)
+          }
+        }
+        resolve()
+      })
+
+      upstream.on('error', (error) => {
+        responseStream.removeListener('close', handleClientClose)
+        logger.error('❌ Vertex stream data error:', error)
+        if (!responseStream.destroyed) {
+          responseStream.end()
+        }
+        reject(error)
+      })
+    })
+  }
+
+  // 📊 message_start 携带输入与缓存 token，message_delta 携带累计输出 token
+  _collectUsage(data, usage) {
+    if (data.type === 'message_start' && data.message?.usage) {
+      const startUsage = data.message.usage
+      usage.input_tokens = startUsage.input_tokens || 0
+      usage.output_tokens = startUsage.output_tokens || 0
+      usage.cache_creation_input_tokens = startUsage.cache_creation_input_tokens || 0
+      usage.cache_read_input_tokens = startUsage.cache_read_input_tokens || 0
+      if (startUsage.cache_creation && typeof startUsage.cache_creation === 'object') {
+        usage.cache_creation = { ...startUsage.cache_creation }
+      }
+    } else if (data.type === 'message_delta' && data.usage) {
+      usage.output_tokens = data.usage.output_tokens || usage.output_tokens || 0
+      if (data.usage.input_tokens) {
+        usage.input_tokens = data.usage.input_tokens
+      }
+    }
+  }
+
+  async _readStreamBody(stream) {
+    let raw = ''
+    try {
+      for await (const chunk of stream) {
+        raw += chunk.toString()
+      }
+    } catch (error) {
+      logger.debug('⚠️ Failed to read Vertex error body:', error.message)
+    }
+    return raw
+  }
+
+  _writeStreamError(responseStream, status, message) {
+    if (!responseStream.headersSent) {
+      responseStream.writeHead(status, { 'Content-Type': 'application/json' })
+    }
+    if (!responseStream.destroyed) {
+      responseStream.end(JSON.stringify({ type: 'error', error: { type: 'api_error', message } }))
+    }
+  }
+}
+
+module.exports = new VertexRelayService()
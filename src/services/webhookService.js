@@ -314,6 +314,11 @@ class WebhookService {
         html: htmlContent
       }
 
+      // 附件（如用量报表 CSV）
+      if (Array.isArray(data.attachments) && data.attachments.length > 0) {
+        mailOptions.attachments = data.attachments
+      }
+
       // 发送邮件
       const info = await transporter.sendMail(mailOptions)
       logger.info(`✅ 邮件发送成功: ${info.messageId}`)
@@ -539,6 +544,7 @@ class WebhookService {
       systemError: '❌ 系统错误',
       securityAlert: '🔒 安全警报',
       rateLimitRecovery: '🎉 限流恢复通知',
+      usageReport: '📈 用量报表',
       test: '🧪 测试通知'
     }
 
@@ -555,6 +561,7 @@ class WebhookService {
       systemError: 'critical',
       securityAlert: 'critical',
       rateLimitRecovery: 'active',
+      usageReport: 'passive',
       test: 'passive'
     }
 
@@ -571,6 +578,7 @@ class WebhookService {
       systemError: 'alert',
       securityAlert: 'alarm',
       rateLimitRecovery: 'success',
+      usageReport: 'default',
       test: 'default'
     }
 
@@ -615,6 +623,10 @@ class WebhookService {
       lines.push(`使用率: ${data.usage}%`)
     }
 
+    if (data.summary) {
+      lines.push(data.summary)
+    }
+
     // 添加服务标识和时间戳
     lines.push(`\n服务: Claude Relay Service`)
     lines.push(`时间: ${new Date().toLocaleString('zh-CN', { timeZone: this.timezone })}`)
@@ -652,6 +664,9 @@ class WebhookService {
     if (data.usage) {
       details.push({ label: '使用率', value: `${data.usage}%` })
     }
+    if (data.summary) {
+      details.push({ label: '摘要', value: data.summary, isPreformatted: true })
+    }
 
     return details
   }
@@ -676,7 +691,9 @@ class WebhookService {
 
     // 使用统一的详情数据渲染
     details.forEach((detail) => {
-      if (detail.isCode) {
+      if (detail.isPreformatted) {
+        content += `<p><strong>${detail.label}:</strong></p><pre style="background: #f1f3f4; padding: 12px; border-radius: 4px; white-space: pre-wrap;">${detail.value.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</pre>`
+      } else if (detail.isCode) {
         content += `<p><strong>${detail.label}:</strong> <code style="background: #f1f3f4; padding: 2px 6px; border-radius: 4px;">${detail.value}</code></p>`
       } else if (detail.color) {
         content += `<p><strong>${detail.label}:</strong> <span style="color: ${detail.color};">${detail.value}</span></p>`
@@ -783,6 +800,10 @@ class WebhookService {
       lines.push(`**使用率**: ${data.usage}%`)
     }
 
+    if (data.summary) {
+      lines.push(data.summary)
+    }
+
     return lines.join('\n')
   }
 
@@ -816,6 +837,11 @@ class WebhookService {
       fields.push({ name: '消息', value: data.message, inline: false })
     }
 
+    if (data.summary) {
+      // Discord 字段值最长 1024 字符
+      fields.push({ name: '摘要', value: data.summary.slice(0, 1024), inline: false })
+    }
+
     return fields
   }
 
@@ -829,6 +855,7 @@ class WebhookService {
       systemError: 'red',
       securityAlert: 'red',
       rateLimitRecovery: 'green',
+      usageReport: 'blue',
       test: 'blue'
     }
 
@@ -845,6 +872,7 @@ class WebhookService {
       systemError: ':x:',
       securityAlert: ':lock:',
       rateLimitRecovery: ':tada:',
+      usageReport: ':bar_chart:',
       test: ':test_tube:'
     }
 
@@ -861,6 +889,7 @@ class WebhookService {
       systemError: 0xf44336, // 红色
       securityAlert: 0xf44336, // 红色
       rateLimitRecovery: 0x4caf50, // 绿色
+      usageReport: 0x2196f3, // 蓝色
       test: 0x2196f3 // 蓝色
     }
 
@@ -0,0 +1,59 @@
+// Gemini Schema 支持的 JSON Schema 字段（其余字段会导致 400 错误）
+const GEMINI_SCHEMA_FIELDS = new Set([
+  'type',
+  'format',
+  'title',
+  'description',
+  'nullable',
+  'enum',
+  'items',
+  'properties',
+  'required',
+  'anyOf',
+  'minItems',
+  'maxItems',
+  'minProperties',
+  'maxProperties',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'default'
+])
+
+// 将 JSON Schema（OpenAI parameters / Claude input_schema）清理为 Gemini 可接受的 Schema
+function sanitizeSchemaForGemini(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map((item) => sanitizeSchemaForGemini(item))
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema
+  }
+
+  const result = {}
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'const') {
+      result.enum = [value]
+    } else if (key === 'type' && Array.isArray(value)) {
+      // ["string", "null"] → type: string + nullable
+      const types = value.filter((type) => type !== 'null')
+      result.type = types[0] || 'string'
+      if (types.length < value.length) {
+        result.nullable = true
+      }
+    } else if (key === 'properties' && value && typeof value === 'object') {
+      result.properties = {}
+      for (const [propName, propSchema] of Object.entries(value)) {
+        result.properties[propName] = sanitizeSchemaForGemini(propSchema)
+      }
+    } else if (key === 'oneOf') {
+      result.anyOf = sanitizeSchemaForGemini(value)
+    } else if (GEMINI_SCHEMA_FIELDS.has(key)) {
+      result[key] = sanitizeSchemaForGemini(value)
+    }
+  }
+  return result
+}
+
+module.exports = { GEMINI_SCHEMA_FIELDS, sanitizeSchemaForGemini }
@@ -6,6 +6,8 @@ const config = require('../../config/config')
 /**
  * 统一的代理创建工具
  * 支持 SOCKS5 和 HTTP/HTTPS 代理，可配置 IPv4/IPv6
+ * 代理配置也可以是代理池引用 { poolId }，创建时解析为池内当前健康的代理；
+ * 代理池无法解析时抛出错误，不会回退为直连，避免暴露服务器 IP
  */
 class ProxyHelper {
   /**
@@ -14,6 +16,7 @@ class ProxyHelper {
    * @param {object} options - 额外选项
    * @param {boolean|number} options.useIPv4 - 是否使用 IPv4 (true=IPv4, false=IPv6, undefined=auto)
    * @returns {Agent|null} 代理 Agent 实例或 null
+   * @throws {Error} 代理池引用无法解析时抛出（code: PROXY_POOL_UNAVAILABLE）
    */
   static createProxyAgent(proxyConfig, options = {}) {
     if (!proxyConfig) {
@@ -21,8 +24,19 @@ class ProxyHelper {
     }
 
     try {
-      // 解析代理配置
-      const proxy = typeof proxyConfig === 'string' ? JSON.parse(proxyConfig) : proxyConfig
+      // 解析代理配置（代理池引用解析为池内当前使用的代理）
+      const parsed = typeof proxyConfig === 'string' ? JSON.parse(proxyConfig) : proxyConfig
+      const proxy = ProxyHelper._resolvePoolReference(parsed)
+      if (!proxy) {
+        if (parsed?.poolId) {
+          const error = new Error(
+            `Proxy pool ${parsed.poolId} is unavailable, refusing direct connection`
+          )
+          error.code = 'PROXY_POOL_UNAVAILABLE'
+          throw error
+        }
+        return null
+      }
 
       // 验证必要字段
       if (!proxy.type || !proxy.host || !proxy.port) {
@@ -62,11 +76,39 @@ class ProxyHelper {
         return null
       }
     } catch (error) {
+      if (error.code === 'PROXY_POOL_UNAVAILABLE') {
+        logger.error(`❌ ${error.message}`)
+        throw error
+      }
       logger.warn('⚠️ Failed to create proxy agent:', error.message)
       return null
     }
   }
 
+  /**
+   * 解析代理池引用
+   * @param {object|null} proxy - 已解析的代理配置
+   * @returns {object|null} 普通代理配置原样返回；代理池引用返回池内当前代理，池不可用时返回 null
+   * @private
+   */
+  static _resolvePoolReference(proxy) {
+    if (!proxy?.poolId) {
+      return proxy
+    }
+
+    // 延迟加载，避免与 proxyPoolService 循环依赖
+    const proxyPoolService = require('../services/proxyPoolService')
+    const resolved = proxyPoolService.resolveProxy(proxy.poolId)
+    if (!resolved) {
+      logger.warn(`⚠️ Proxy pool ${proxy.poolId} not found or has no proxies`)
+    }
+    return resolved
+  }
+
+  static _getPoolName(poolId) {
+    return require('../services/proxyPoolService').getPoolName(poolId) || poolId
+  }
+
   /**
    * 获取 IP 协议族偏好设置
    * @param {boolean|number|string} preference - 用户偏好设置
@@ -122,6 +164,11 @@ class ProxyHelper {
     try {
       const proxy = typeof proxyConfig === 'string' ? JSON.parse(proxyConfig) : proxyConfig
 
+      // 代理池引用只要求代理池存在
+      if (proxy.poolId) {
+        return !!ProxyHelper._resolvePoolReference(proxy)
+      }
+
       // 检查必要字段
       if (!proxy.type || !proxy.host || !proxy.port) {
         return false
@@ -155,9 +202,16 @@ class ProxyHelper {
     }
 
     try {
-      const proxy = typeof proxyConfig === 'string' ? JSON.parse(proxyConfig) : proxyConfig
+      const parsed = typeof proxyConfig === 'string' ? JSON.parse(proxyConfig) : proxyConfig
+      const proxy = ProxyHelper._resolvePoolReference(parsed)
+      if (!proxy) {
+        return `Proxy pool ${parsed.poolId} (unavailable)`
+      }
       const hasAuth = proxy.username && proxy.password
-      return `${proxy.type}://${proxy.host}:${proxy.port}${hasAuth ? ' (with auth)' : ''}`
+      const description = `${proxy.type}://${proxy.host}:${proxy.port}${hasAuth ? ' (with auth)' : ''}`
+      return parsed.poolId
+        ? `${description} via pool ${ProxyHelper._getPoolName(parsed.poolId)}`
+        : description
     } catch (error) {
       return 'Invalid proxy config'
     }
@@ -174,7 +228,11 @@ class ProxyHelper {
     }
 
     try {
-      const proxy = typeof proxyConfig === 'string' ? JSON.parse(proxyConfig) : proxyConfig
+      const parsed = typeof proxyConfig === 'string' ? JSON.parse(proxyConfig) : proxyConfig
+      const proxy = ProxyHelper._resolvePoolReference(parsed)
+      if (!proxy) {
+        return `Proxy pool ${parsed.poolId} (unavailable)`
+      }
 
       let proxyDesc = `${proxy.type}://${proxy.host}:${proxy.port}`
 
@@ -190,6 +248,10 @@ class ProxyHelper {
         proxyDesc += ` (auth: ${maskedUsername}:${maskedPassword})`
       }
 
+      if (parsed.poolId) {
+        proxyDesc += ` via pool ${ProxyHelper._getPoolName(parsed.poolId)}`
+      }
+
       return proxyDesc
     } catch (error) {
       return 'Invalid proxy config'
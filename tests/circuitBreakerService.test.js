@@ -0,0 +1,321 @@
+const { EventEmitter } = require('events')
+
+const REDIS_TEST_URL = process.env.REDIS_TEST_URL
+
+jest.mock('../config/config', () => ({ circuitBreaker: {} }), { virtual: true })
+jest.mock('../src/models/redis', () => ({ getClientSafe: jest.fn() }))
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  success: jest.fn()
+}))
+jest.mock('../src/utils/webhookNotifier', () => ({ sendAccountAnomalyNotification: jest.fn() }))
+
+const config = require('../config/config')
+const redis = require('../src/models/redis')
+const webhookNotifier = require('../src/utils/webhookNotifier')
+const circuitBreakerService = require('../src/services/circuitBreakerService')
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve))
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  config.circuitBreaker = {
+    enabled: true,
+    failureThreshold: 3,
+    cooldownSeconds: 60,
+    halfOpenMaxProbes: 1,
+    successThreshold: 1
+  }
+})
+
+describe('circuitBreakerService result recording', () => {
+  let client
+
+  beforeEach(() => {
+    client = { eval: jest.fn().mockResolvedValue(['closed', '']) }
+    redis.getClientSafe.mockReturnValue(client)
+  })
+
+  const recordedFailureFlag = () => client.eval.mock.calls[0][5]
+
+  it.each([
+    [200, 0],
+    [429, 0],
+    [500, 1],
+    [529, 1],
+    ['error', 1],
+    ['timeout', 1],
+    ['stream_error', 1]
+  ])('records outcome %p with failure flag %p', async (outcome, isFailure) => {
+    await circuitBreakerService.recordResult('acc-1', 'claude-official', outcome)
+    expect(recordedFailureFlag()).toBe(isFailure)
+  })
+
+  it('notifies on a state transition reported by the script', async () => {
+    client.eval.mockResolvedValue(['open', 'closed'])
+    await circuitBreakerService.recordResult('acc-1', 'claude-official', 502)
+
+    expect(webhookNotifier.sendAccountAnomalyNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        accountId: 'acc-1',
+        platform: 'claude-official',
+        status: 'circuit_open',
+        errorCode: 'CIRCUIT_BREAKER_OPEN'
+      })
+    )
+  })
+
+  it('does nothing when the breaker is disabled', async () => {
+    config.circuitBreaker.enabled = false
+    await circuitBreakerService.recordResult('acc-1', 'claude-official', 500)
+    expect(client.eval).not.toHaveBeenCalled()
+  })
+
+  it('records only the first outcome of a recorder', async () => {
+    const record = circuitBreakerService.createRecorder('acc-1', 'claude-console')
+    record(500)
+    record(200)
+    await flushPromises()
+
+    expect(client.eval).toHaveBeenCalledTimes(1)
+    expect(recordedFailureFlag()).toBe(1)
+  })
+
+  it('does not record after cancel', async () => {
+    const record = circuitBreakerService.createRecorder('acc-1', 'claude-console')
+    record.cancel()
+    record(500)
+    await flushPromises()
+
+    expect(client.eval).not.toHaveBeenCalled()
+  })
+
+  it.each([
+    [{ code: 'ECONNABORTED' }, 'timeout'],
+    [{ code: 'ECONNRESET' }, 'error'],
+    [{ response: { status: 503 } }, 'HTTP 503']
+  ])('records rejected request %p as %p', async (error, lastError) => {
+    circuitBreakerService.trackRequest(Promise.reject(error), 'acc-1', 'openai')
+    await flushPromises()
+
+    expect(client.eval).toHaveBeenCalledTimes(1)
+    expect(client.eval.mock.calls[0][10]).toBe(lastError)
+  })
+
+  it('ignores requests canceled by a client disconnect', async () => {
+    circuitBreakerService.trackRequest(Promise.reject({ code: 'ERR_CANCELED' }), 'acc-1', 'openai')
+    await flushPromises()
+
+    expect(client.eval).not.toHaveBeenCalled()
+  })
+
+  it('records a streamed response when the stream ends', async () => {
+    const stream = new EventEmitter()
+    const response = Promise.resolve({ status: 200, data: stream })
+    circuitBreakerService.trackRequest(response, 'acc-1', 'openai', { stream: true })
+    await flushPromises()
+    expect(client.eval).not.toHaveBeenCalled()
+
+    stream.readableEnded = true
+    stream.emit('end')
+    stream.emit('close')
+    await flushPromises()
+
+    expect(client.eval).toHaveBeenCalledTimes(1)
+    expect(recordedFailureFlag()).toBe(0)
+  })
+
+  it('records a stream closed before its end as a failure', async () => {
+    const stream = new EventEmitter()
+    circuitBreakerService.trackStream(stream, circuitBreakerService.createRecorder('acc-1', 'ccr'))
+    stream.emit('close')
+    await flushPromises()
+
+    expect(client.eval).toHaveBeenCalledTimes(1)
+    expect(client.eval.mock.calls[0][10]).toBe('stream_error')
+  })
+
+  it('ignores a stream aborted by a client disconnect', async () => {
+    const stream = new EventEmitter()
+    circuitBreakerService.trackStream(stream, circuitBreakerService.createRecorder('acc-1', 'ccr'))
+    stream.emit('error', { code: 'ERR_CANCELED' })
+    stream.emit('close')
+    await flushPromises()
+
+    expect(client.eval).not.toHaveBeenCalled()
+  })
+})
+
+describe('circuitBreakerService account selection', () => {
+  let client
+
+  beforeEach(() => {
+    client = {
+      eval: jest.fn(),
+      hgetall: jest.fn().mockResolvedValue({}),
+      pipeline: jest.fn()
+    }
+    redis.getClientSafe.mockReturnValue(client)
+  })
+
+  it('reselects when the probe slots of the selected account are in use', async () => {
+    client.eval.mockResolvedValueOnce(['half_open', '', 0]).mockResolvedValueOnce(['closed', '', 1])
+    const select = jest.fn(async () => {
+      const candidates = [{ accountId: 'acc-1' }, { accountId: 'acc-2' }]
+      const available = []
+      for (const account of candidates) {
+        if (await circuitBreakerService.isAvailable(account.accountId)) {
+          available.push(account)
+        }
+      }
+      return available[0]
+    })
+
+    const selection = await circuitBreakerService.selectAccount(select, {
+      accountType: 'claude-official'
+    })
+
+    expect(selection).toEqual({ accountId: 'acc-2' })
+    expect(select).toHaveBeenCalledTimes(2)
+  })
+
+  it('keeps a dedicated account even when its probe slots are in use', async () => {
+    client.eval.mockResolvedValue(['half_open', '', 0])
+    const select = jest.fn().mockResolvedValue({ accountId: 'acc-1', accountType: 'claude' })
+
+    const selection = await circuitBreakerService.selectAccount(select, {
+      apiKeyData: { claudeAccountId: 'acc-1' }
+    })
+
+    expect(selection.accountId).toBe('acc-1')
+    expect(select).toHaveBeenCalledTimes(1)
+  })
+
+  it('fails with 503 when every selection is denied', async () => {
+    client.eval.mockResolvedValue(['half_open', '', 0])
+    const select = jest.fn().mockResolvedValue({ accountId: 'acc-1' })
+
+    await expect(circuitBreakerService.selectAccount(select)).rejects.toMatchObject({
+      statusCode: 503
+    })
+  })
+
+  it('filters open breakers until the cooldown has passed', async () => {
+    const now = Date.now()
+    const replies = [
+      [null, {}],
+      [null, { state: 'open', openedAt: String(now - 1000) }],
+      [null, { state: 'open', openedAt: String(now - 61000) }],
+      [null, { state: 'half_open', probes: '1', halfOpenAt: String(now - 1000) }]
+    ]
+    client.pipeline.mockReturnValue({
+      hgetall: jest.fn(),
+      exec: jest.fn().mockResolvedValue(replies)
+    })
+
+    const available = await circuitBreakerService.filterAvailable([
+      { id: 'closed' },
+      { id: 'cooling' },
+      { id: 'cooled' },
+      { id: 'probing' }
+    ])
+
+    expect(available.map((account) => account.id)).toEqual(['closed', 'cooled'])
+  })
+})
+
+// 状态转换由 Lua 脚本完成，需要真实的 Redis（如 REDIS_TEST_URL=redis://localhost:6379/15）
+const describeWithRedis = REDIS_TEST_URL ? describe : describe.skip
+
+describeWithRedis('circuitBreakerService state transitions (Redis)', () => {
+  const Redis = require('ioredis')
+  const accountId = `test-${process.pid}-${Date.now()}`
+  let client
+
+  beforeAll(() => {
+    client = new Redis(REDIS_TEST_URL)
+  })
+
+  afterAll(async () => {
+    await client.del(`circuit_breaker:${accountId}`)
+    await client.srem('circuit_breakers', accountId)
+    await client.quit()
+  })
+
+  beforeEach(async () => {
+    redis.getClientSafe.mockReturnValue(client)
+    await client.del(`circuit_breaker:${accountId}`)
+  })
+
+  const getState = () => circuitBreakerService.getState(accountId)
+  const expireCooldown = () =>
+    client.hset(`circuit_breaker:${accountId}`, 'openedAt', Date.now() - 61000)
+
+  it('opens after consecutive failures reach the threshold', async () => {
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 500)
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 'timeout')
+    expect(await getState()).toMatchObject({ state: 'closed', failures: 2 })
+
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 502)
+    expect(await getState()).toMatchObject({ state: 'open', lastError: 'HTTP 502' })
+    expect(await circuitBreakerService.markSelected(accountId, 'claude-official')).toBe(false)
+  })
+
+  it('resets the failure count on a success while closed', async () => {
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 500)
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 500)
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 200)
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 500)
+
+    expect(await getState()).toMatchObject({ state: 'closed', failures: 1 })
+  })
+
+  it('half-opens after the cooldown and closes on a successful probe', async () => {
+    config.circuitBreaker.failureThreshold = 1
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 500)
+    await expireCooldown()
+
+    expect(await circuitBreakerService.markSelected(accountId, 'claude-official')).toBe(true)
+    expect(await getState()).toMatchObject({ state: 'half_open', probes: 1 })
+    expect(await circuitBreakerService.markSelected(accountId, 'claude-official')).toBe(false)
+
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 200)
+    expect(await getState()).toMatchObject({ state: 'closed', failures: 0 })
+  })
+
+  it('reopens when a probe fails', async () => {
+    config.circuitBreaker.failureThreshold = 1
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 500)
+    await expireCooldown()
+    await circuitBreakerService.markSelected(accountId, 'claude-official')
+
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 'stream_error')
+    expect(await getState()).toMatchObject({ state: 'open', probes: 0 })
+  })
+
+  it('keeps probing until the success threshold is reached', async () => {
+    config.circuitBreaker.failureThreshold = 1
+    config.circuitBreaker.successThreshold = 2
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 500)
+    await expireCooldown()
+
+    await circuitBreakerService.markSelected(accountId, 'claude-official')
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 200)
+    expect(await getState()).toMatchObject({ state: 'half_open', probes: 0, probeSuccesses: 1 })
+
+    expect(await circuitBreakerService.markSelected(accountId, 'claude-official')).toBe(true)
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 200)
+    expect((await getState()).state).toBe('closed')
+  })
+
+  it('does not close an open breaker on a success', async () => {
+    config.circuitBreaker.failureThreshold = 1
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 500)
+    await circuitBreakerService.recordResult(accountId, 'claude-official', 200)
+
+    expect((await getState()).state).toBe('open')
+  })
+})
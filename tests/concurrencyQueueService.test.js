@@ -0,0 +1,282 @@
+const { EventEmitter } = require('events')
+
+const REDIS_TEST_URL = process.env.REDIS_TEST_URL
+
+jest.mock('../config/config', () => ({ concurrencyQueue: {} }), { virtual: true })
+jest.mock('../src/models/redis', () => ({
+  CONCURRENCY_RELEASED_CHANNEL: 'concurrency_released',
+  getClientSafe: jest.fn(),
+  acquireConcurrencyOrEnqueue: jest.fn(),
+  tryAcquireQueuedConcurrency: jest.fn(),
+  decrConcurrency: jest.fn(),
+  removeConcurrencyWaiter: jest.fn()
+}))
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  api: jest.fn(),
+  database: jest.fn()
+}))
+jest.mock('../src/services/metricsService', () => ({ recordConcurrencyQueueOutcome: jest.fn() }))
+
+const config = require('../config/config')
+const redis = require('../src/models/redis')
+const metricsService = require('../src/services/metricsService')
+const concurrencyQueueService = require('../src/services/concurrencyQueueService')
+
+const QUEUE_OPTIONS = { limit: 1, leaseSeconds: 60, maxSize: 2, timeoutMs: 1000 }
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// 内存中的并发名额与 FIFO 队列，语义与 redis.js 中的排队脚本一致
+function createQueueStore(subscriber) {
+  const active = new Set()
+  const queue = []
+  return {
+    active,
+    queue,
+    acquireConcurrencyOrEnqueue: async (apiKeyId, requestId, limit, maxSize) => {
+      if (queue.length === 0 && active.size < limit) {
+        active.add(requestId)
+        return { status: 'acquired', count: active.size }
+      }
+      if (queue.length >= maxSize) {
+        return { status: 'full', count: queue.length }
+      }
+      queue.push(requestId)
+      return { status: 'queued', count: queue.length }
+    },
+    tryAcquireQueuedConcurrency: async (apiKeyId, requestId, limit) => {
+      const rank = queue.indexOf(requestId)
+      if (rank === -1) {
+        return { status: 'missing', count: 0 }
+      }
+      if (active.size + rank < limit) {
+        queue.splice(rank, 1)
+        active.add(requestId)
+        return { status: 'acquired', count: active.size }
+      }
+      return { status: 'waiting', count: rank + 1 }
+    },
+    removeConcurrencyWaiter: async (apiKeyId, requestId) => {
+      const rank = queue.indexOf(requestId)
+      if (rank !== -1) {
+        queue.splice(rank, 1)
+      }
+    },
+    release: (apiKeyId, requestId) => {
+      active.delete(requestId)
+      subscriber.emit('message', redis.CONCURRENCY_RELEASED_CHANNEL, apiKeyId)
+    }
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  config.concurrencyQueue = { enabled: true, pollIntervalMs: 100 }
+})
+
+afterAll(() => {
+  concurrencyQueueService.stop()
+})
+
+describe('concurrencyQueueService options', () => {
+  it('is disabled for keys without queueing', () => {
+    expect(concurrencyQueueService.resolveOptions({ concurrencyQueueEnabled: false })).toBeNull()
+  })
+
+  it('is disabled globally', () => {
+    config.concurrencyQueue.enabled = false
+    expect(concurrencyQueueService.resolveOptions({ concurrencyQueueEnabled: true })).toBeNull()
+  })
+
+  it('falls back to the configured defaults', () => {
+    config.concurrencyQueue.defaultMaxSize = 5
+    expect(concurrencyQueueService.resolveOptions({ concurrencyQueueEnabled: true })).toEqual({
+      maxSize: 5,
+      timeoutMs: 60000
+    })
+  })
+
+  it('uses the key settings', () => {
+    const keyData = {
+      concurrencyQueueEnabled: true,
+      concurrencyQueueMaxSize: '3',
+      concurrencyQueueTimeoutSeconds: '10'
+    }
+    expect(concurrencyQueueService.resolveOptions(keyData)).toEqual({
+      maxSize: 3,
+      timeoutMs: 10000
+    })
+  })
+})
+
+describe('concurrencyQueueService queue ordering', () => {
+  const subscriber = new EventEmitter()
+  subscriber.subscribe = jest.fn().mockResolvedValue(1)
+  subscriber.disconnect = jest.fn()
+  let store
+
+  beforeEach(() => {
+    store = createQueueStore(subscriber)
+    redis.getClientSafe.mockReturnValue({ duplicate: () => subscriber })
+    for (const name of [
+      'acquireConcurrencyOrEnqueue',
+      'tryAcquireQueuedConcurrency',
+      'removeConcurrencyWaiter'
+    ]) {
+      redis[name].mockImplementation(store[name])
+    }
+  })
+
+  const acquire = (requestId, res = new EventEmitter()) =>
+    concurrencyQueueService.acquire('key-1', requestId, { ...QUEUE_OPTIONS, res })
+
+  it('acquires a free slot without queueing', async () => {
+    await expect(acquire('req-1')).resolves.toMatchObject({ status: 'acquired', waitedMs: 0 })
+    expect(redis.tryAcquireQueuedConcurrency).not.toHaveBeenCalled()
+  })
+
+  it('rejects requests when the queue is full', async () => {
+    store.active.add('req-0')
+    store.queue.push('req-1', 'req-2')
+
+    await expect(acquire('req-3')).resolves.toMatchObject({ status: 'full', count: 2 })
+    expect(metricsService.recordConcurrencyQueueOutcome).toHaveBeenCalledWith('rejected')
+  })
+
+  it('hands released slots to queued requests in arrival order', async () => {
+    store.active.add('req-0')
+    const acquired = []
+    const track = (requestId) =>
+      acquire(requestId).then((result) => {
+        acquired.push(requestId)
+        return result
+      })
+
+    const first = track('req-1')
+    const second = track('req-2')
+    await delay(10)
+    expect(store.queue).toEqual(['req-1', 'req-2'])
+
+    store.release('key-1', 'req-0')
+    await expect(first).resolves.toMatchObject({ status: 'acquired' })
+    await delay(10)
+    expect(acquired).toEqual(['req-1'])
+
+    store.release('key-1', 'req-1')
+    await expect(second).resolves.toMatchObject({ status: 'acquired' })
+    expect(acquired).toEqual(['req-1', 'req-2'])
+    expect(metricsService.recordConcurrencyQueueOutcome).toHaveBeenCalledWith(
+      'acquired',
+      expect.any(Number)
+    )
+  })
+
+  it('leaves the queue when the client disconnects', async () => {
+    store.active.add('req-0')
+    const res = new EventEmitter()
+    const pending = acquire('req-1', res)
+    await delay(10)
+
+    res.emit('close')
+    await expect(pending).resolves.toMatchObject({ status: 'aborted', count: 0 })
+    expect(store.queue).toEqual([])
+    expect(res.listenerCount('close')).toBe(0)
+  })
+
+  it('times out when no slot is released', async () => {
+    store.active.add('req-0')
+
+    await expect(acquire('req-1')).resolves.toMatchObject({ status: 'timeout', count: 0 })
+    expect(store.queue).toEqual([])
+    expect(metricsService.recordConcurrencyQueueOutcome).toHaveBeenCalledWith(
+      'timeout',
+      expect.any(Number)
+    )
+  })
+})
+
+// 排队脚本与释放通知需要真实的 Redis（如 REDIS_TEST_URL=redis://localhost:6379/15）
+const describeWithRedis = REDIS_TEST_URL ? describe : describe.skip
+
+describeWithRedis('concurrencyQueueService queue ordering (Redis)', () => {
+  const Redis = require('ioredis')
+  const actualRedis = jest.requireActual('../src/models/redis')
+  const apiKeyId = `test-${process.pid}-${Date.now()}`
+
+  beforeAll(() => {
+    actualRedis.client = new Redis(REDIS_TEST_URL)
+    actualRedis.isConnected = true
+    // 单元测试中的订阅连接是模拟的，改为订阅真实 Redis
+    concurrencyQueueService.stop()
+  })
+
+  afterAll(async () => {
+    concurrencyQueueService.stop()
+    await actualRedis.client.del(`concurrency:${apiKeyId}`, `concurrency_queue:${apiKeyId}`)
+    await actualRedis.client.quit()
+  })
+
+  beforeEach(async () => {
+    redis.getClientSafe.mockReturnValue(actualRedis.client)
+    for (const name of [
+      'acquireConcurrencyOrEnqueue',
+      'tryAcquireQueuedConcurrency',
+      'decrConcurrency',
+      'removeConcurrencyWaiter'
+    ]) {
+      redis[name].mockImplementation((...args) => actualRedis[name](...args))
+    }
+    await actualRedis.client.del(`concurrency:${apiKeyId}`, `concurrency_queue:${apiKeyId}`)
+  })
+
+  const acquire = (requestId) =>
+    concurrencyQueueService.acquire(apiKeyId, requestId, {
+      ...QUEUE_OPTIONS,
+      res: new EventEmitter()
+    })
+
+  it('does not let a new request take a slot ahead of queued requests', async () => {
+    const enqueue = (requestId, limit) =>
+      actualRedis.acquireConcurrencyOrEnqueue(apiKeyId, requestId, limit, 10, { leaseSeconds: 60 })
+
+    expect((await enqueue('req-1', 0)).status).toBe('queued')
+    await delay(5)
+    expect((await enqueue('req-2', 1)).status).toBe('queued')
+
+    const tryAcquire = (requestId) =>
+      actualRedis.tryAcquireQueuedConcurrency(apiKeyId, requestId, 1, { leaseSeconds: 60 })
+    expect(await tryAcquire('req-2')).toEqual({ status: 'waiting', count: 2 })
+    expect(await tryAcquire('req-1')).toEqual({ status: 'acquired', count: 1 })
+    expect(await tryAcquire('req-1')).toEqual({ status: 'missing', count: 0 })
+    expect(await tryAcquire('req-2')).toEqual({ status: 'waiting', count: 1 })
+  })
+
+  it('wakes queued requests in arrival order when slots are released', async () => {
+    expect((await acquire('req-1')).status).toBe('acquired')
+
+    const acquired = []
+    const track = (requestId) =>
+      acquire(requestId).then((result) => {
+        acquired.push(requestId)
+        return result
+      })
+    const second = track('req-2')
+    await delay(5)
+    const third = track('req-3')
+    await delay(20)
+    expect(await actualRedis.getConcurrencyQueueLength(apiKeyId)).toBe(2)
+
+    await actualRedis.decrConcurrency(apiKeyId, 'req-1')
+    await expect(second).resolves.toMatchObject({ status: 'acquired' })
+    await delay(20)
+    expect(acquired).toEqual(['req-2'])
+
+    await actualRedis.decrConcurrency(apiKeyId, 'req-2')
+    await expect(third).resolves.toMatchObject({ status: 'acquired' })
+    expect(acquired).toEqual(['req-2', 'req-3'])
+  })
+})
@@ -0,0 +1,217 @@
+const REDIS_TEST_URL = process.env.REDIS_TEST_URL
+
+jest.mock('../config/config', () => ({ rateLimitRules: {} }), { virtual: true })
+jest.mock('../src/models/redis', () => ({ getClientSafe: jest.fn() }))
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}))
+
+const redis = require('../src/models/redis')
+const rateLimitRuleService = require('../src/services/rateLimitRuleService')
+
+const opusHourly = { metric: 'requests', limit: 2, windowMinutes: 60, model: 'opus' }
+const dailyCost = { metric: 'cost', limit: 1.5, windowMinutes: 1440 }
+const outputTokens = { metric: 'output_tokens', limit: 100, windowMinutes: 10 }
+
+beforeEach(() => {
+  jest.clearAllMocks()
+})
+
+describe('rateLimitRuleService rule validation', () => {
+  it('accepts valid rules', () => {
+    expect(rateLimitRuleService.validateRules([opusHourly, dailyCost, outputTokens])).toBeNull()
+  })
+
+  it.each([
+    [[{ metric: 'calls', limit: 1, windowMinutes: 1 }], /metric must be one of/],
+    [[{ metric: 'requests', limit: 0, windowMinutes: 1 }], /limit must be a positive number/],
+    [[{ metric: 'requests', limit: 1.5, windowMinutes: 1 }], /limit must be an integer/],
+    [[{ metric: 'requests', limit: 1, windowMinutes: 0.5 }], /windowMinutes must be/],
+    [[opusHourly, { ...opusHourly, limit: 10, model: ' OPUS ' }], /duplicates another rule/]
+  ])('rejects %j', (rules, message) => {
+    expect(rateLimitRuleService.validateRules(rules)).toMatch(message)
+  })
+
+  it('drops invalid stored rules and normalizes the rest', () => {
+    const stored = JSON.stringify([{ ...opusHourly, limit: '2' }, { metric: 'calls' }])
+    expect(rateLimitRuleService.parseRules(stored)).toEqual([opusHourly])
+    expect(rateLimitRuleService.parseRules('not json')).toEqual([])
+  })
+})
+
+describe('rateLimitRuleService rule windows', () => {
+  let client
+
+  beforeEach(() => {
+    client = { eval: jest.fn().mockResolvedValue([0]) }
+    redis.getClientSafe.mockReturnValue(client)
+  })
+
+  const evalArgs = () => client.eval.mock.calls[0].slice(1)
+
+  it('checks matching rules only, counting requests and checking token and cost rules', async () => {
+    const rules = [opusHourly, dailyCost, { ...outputTokens, model: 'haiku' }]
+    const result = await rateLimitRuleService.checkRequest('key-1', rules, 'claude-opus-4-1', 3)
+
+    expect(result).toEqual({ allowed: true })
+    expect(evalArgs()).toEqual([
+      2,
+      'rate_limit_rule:key-1:requests:60:opus',
+      'rate_limit_rule:key-1:cost:1440:*',
+      '2',
+      String(60 * 60 * 1000),
+      '3',
+      '1.5',
+      String(1440 * 60 * 1000),
+      '0'
+    ])
+  })
+
+  it('skips Redis when no rule matches the model', async () => {
+    const result = await rateLimitRuleService.checkRequest('key-1', [opusHourly], 'claude-haiku')
+
+    expect(result).toEqual({ allowed: true })
+    expect(client.eval).not.toHaveBeenCalled()
+  })
+
+  it('reports the exceeded rule with its reset time', async () => {
+    client.eval.mockResolvedValue([2, '1.75', 90 * 1000])
+    const result = await rateLimitRuleService.checkRequest('key-1', [opusHourly, dailyCost], 'opus')
+
+    expect(result).toMatchObject({ allowed: false, rule: dailyCost, current: 1.75 })
+    expect(result.remainingSeconds).toBe(90)
+    expect(rateLimitRuleService.formatExceededMessage(result)).toBe(
+      '已达到费用限制 (1440 分钟内 $1.5)，将在 2 分钟后重置'
+    )
+  })
+
+  it('falls back to the full window when the counter has no expiry', async () => {
+    client.eval.mockResolvedValue([1, '2', -1])
+    const result = await rateLimitRuleService.checkRequest('key-1', [opusHourly], 'opus')
+
+    expect(result.remainingSeconds).toBe(60 * 60)
+  })
+
+  it('aggregates batch request counts per model rule', async () => {
+    const rules = [opusHourly, { ...outputTokens, model: 'sonnet' }, dailyCost]
+    const modelCounts = new Map([
+      ['claude-opus-4-1', 2],
+      ['claude-opus-4', 1],
+      ['claude-sonnet-4', 4]
+    ])
+    await rateLimitRuleService.checkModelRequests('key-1', rules, modelCounts)
+
+    expect(evalArgs()).toEqual([
+      2,
+      'rate_limit_rule:key-1:requests:60:opus',
+      'rate_limit_rule:key-1:output_tokens:10:sonnet',
+      '2',
+      String(60 * 60 * 1000),
+      '3',
+      '100',
+      String(10 * 60 * 1000),
+      '0'
+    ])
+  })
+
+  it('records token and cost usage for matching rules', async () => {
+    await rateLimitRuleService.recordUsage('key-1', [opusHourly, dailyCost, outputTokens], 'opus', {
+      inputTokens: 10,
+      outputTokens: 20,
+      cost: 0.25
+    })
+
+    expect(evalArgs()).toEqual([
+      2,
+      'rate_limit_rule:key-1:cost:1440:*',
+      'rate_limit_rule:key-1:output_tokens:10:*',
+      '0.25',
+      String(1440 * 60 * 1000),
+      '20',
+      String(10 * 60 * 1000)
+    ])
+  })
+})
+
+// 窗口计数由 Lua 脚本完成，需要真实的 Redis（如 REDIS_TEST_URL=redis://localhost:6379/15）
+const describeWithRedis = REDIS_TEST_URL ? describe : describe.skip
+
+describeWithRedis('rateLimitRuleService rule windows (Redis)', () => {
+  const Redis = require('ioredis')
+  const keyId = `test-${process.pid}-${Date.now()}`
+  let client
+
+  beforeAll(() => {
+    client = new Redis(REDIS_TEST_URL)
+  })
+
+  afterAll(async () => {
+    await client.quit()
+  })
+
+  beforeEach(async () => {
+    redis.getClientSafe.mockReturnValue(client)
+    const keys = await client.keys(`rate_limit_rule:${keyId}:*`)
+    if (keys.length > 0) {
+      await client.del(...keys)
+    }
+  })
+
+  it('counts requests until the limit and reports the remaining window', async () => {
+    expect((await rateLimitRuleService.checkRequest(keyId, [opusHourly], 'opus')).allowed).toBe(
+      true
+    )
+    expect((await rateLimitRuleService.checkRequest(keyId, [opusHourly], 'opus')).allowed).toBe(
+      true
+    )
+
+    const result = await rateLimitRuleService.checkRequest(keyId, [opusHourly], 'opus')
+    expect(result).toMatchObject({ allowed: false, current: 2 })
+    expect(result.remainingSeconds).toBeGreaterThan(59 * 60)
+    expect(result.remainingSeconds).toBeLessThanOrEqual(60 * 60)
+  })
+
+  it('rejects a multi-call request that would overshoot the limit without counting it', async () => {
+    await rateLimitRuleService.checkRequest(keyId, [opusHourly], 'opus')
+
+    const result = await rateLimitRuleService.checkRequest(keyId, [opusHourly], 'opus', 2)
+    expect(result.allowed).toBe(false)
+
+    const [status] = await rateLimitRuleService.getStatus(keyId, [opusHourly])
+    expect(status).toMatchObject({ current: 1, remaining: 1 })
+  })
+
+  it('does not count requests when another rule rejects them', async () => {
+    const rules = [opusHourly, dailyCost]
+    await rateLimitRuleService.recordUsage(keyId, rules, 'opus', { cost: 2 })
+
+    expect((await rateLimitRuleService.checkRequest(keyId, rules, 'opus')).rule).toEqual(dailyCost)
+    const [requests] = await rateLimitRuleService.getStatus(keyId, rules)
+    expect(requests.current).toBe(0)
+  })
+
+  it('accumulates usage within the window started by the first record', async () => {
+    await rateLimitRuleService.recordUsage(keyId, [outputTokens], 'opus', { outputTokens: 60 })
+    await rateLimitRuleService.recordUsage(keyId, [outputTokens], 'opus', { outputTokens: 50 })
+
+    const [status] = await rateLimitRuleService.getStatus(keyId, [outputTokens])
+    expect(status).toMatchObject({ current: 110, remaining: 0 })
+    expect(new Date(status.resetAt).getTime()).toBeLessThanOrEqual(Date.now() + 10 * 60 * 1000)
+
+    const result = await rateLimitRuleService.checkRequest(keyId, [outputTokens], 'opus')
+    expect(result).toMatchObject({ allowed: false, current: 110 })
+  })
+
+  it('starts a new window once the counter expires', async () => {
+    await rateLimitRuleService.checkRequest(keyId, [opusHourly], 'opus', 2)
+    await client.pexpire(`rate_limit_rule:${keyId}:requests:60:opus`, 1)
+    await new Promise((resolve) => setTimeout(resolve, 20))
+
+    expect((await rateLimitRuleService.checkRequest(keyId, [opusHourly], 'opus')).allowed).toBe(
+      true
+    )
+  })
+})
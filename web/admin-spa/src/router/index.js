@@ -15,6 +15,7 @@ const AccountsView = () => import('@/views/AccountsView.vue')
 const TutorialView = () => import('@/views/TutorialView.vue')
 const SettingsView = () => import('@/views/SettingsView.vue')
 const ApiStatsView = () => import('@/views/ApiStatsView.vue')
+const RequestLogsView = () => import('@/views/RequestLogsView.vue')
 
 const routes = [
   {
@@ -97,6 +98,18 @@ const routes = [
       }
     ]
   },
+  {
+    path: '/request-logs',
+    component: MainLayout,
+    meta: { requiresAuth: true },
+    children: [
+      {
+        path: '',
+        name: 'RequestLogs',
+        component: RequestLogsView
+      }
+    ]
+  },
   {
     path: '/tutorial',
     component: MainLayout,
@@ -7,10 +7,13 @@ export const useAccountsStore = defineStore('accounts', () => {
   const claudeAccounts = ref([])
   const claudeConsoleAccounts = ref([])
   const bedrockAccounts = ref([])
+  const vertexAccounts = ref([])
+  const geminiApiAccounts = ref([])
   const geminiAccounts = ref([])
   const openaiAccounts = ref([])
   const azureOpenaiAccounts = ref([])
   const openaiResponsesAccounts = ref([])
+  const openaiCompatibleAccounts = ref([])
   const droidAccounts = ref([])
   const loading = ref(false)
   const error = ref(null)
@@ -57,6 +60,44 @@ export const useAccountsStore = defineStore('accounts', () => {
     }
   }
 
+  // 获取Vertex AI账户列表
+  const fetchVertexAccounts = async () => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.get('/admin/vertex-accounts')
+      if (response.success) {
+        vertexAccounts.value = response.data || []
+      } else {
+        throw new Error(response.message || '获取Vertex AI账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  // 获取Gemini API Key账户列表
+  const fetchGeminiApiAccounts = async () => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.get('/admin/gemini-api-accounts')
+      if (response.success) {
+        geminiApiAccounts.value = response.data || []
+      } else {
+        throw new Error(response.message || '获取Gemini API Key账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
   // 获取Bedrock账户列表
   const fetchBedrockAccounts = async () => {
     loading.value = true
@@ -152,6 +193,25 @@ export const useAccountsStore = defineStore('accounts', () => {
     }
   }
 
+  // 获取OpenAI兼容账户列表
+  const fetchOpenAICompatibleAccounts = async () => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.get('/admin/openai-compatible-accounts')
+      if (response.success) {
+        openaiCompatibleAccounts.value = response.data || []
+      } else {
+        throw new Error(response.message || '获取OpenAI兼容账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
   // 获取Droid账户列表
   const fetchDroidAccounts = async () => {
     loading.value = true
@@ -180,10 +240,13 @@ export const useAccountsStore = defineStore('accounts', () => {
         fetchClaudeAccounts(),
         fetchClaudeConsoleAccounts(),
         fetchBedrockAccounts(),
+        fetchVertexAccounts(),
         fetchGeminiAccounts(),
+        fetchGeminiApiAccounts(),
         fetchOpenAIAccounts(),
         fetchAzureOpenAIAccounts(),
         fetchOpenAIResponsesAccounts(),
+        fetchOpenAICompatibleAccounts(),
         fetchDroidAccounts()
       ])
     } catch (err) {
@@ -234,6 +297,46 @@ export const useAccountsStore = defineStore('accounts', () => {
     }
   }
 
+  // 创建Vertex AI账户
+  const createVertexAccount = async (data) => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.post('/admin/vertex-accounts', data)
+      if (response.success) {
+        await fetchVertexAccounts()
+        return response.data
+      } else {
+        throw new Error(response.message || '创建Vertex AI账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  // 创建Gemini API Key账户
+  const createGeminiApiAccount = async (data) => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.post('/admin/gemini-api-accounts', data)
+      if (response.success) {
+        await fetchGeminiApiAccounts()
+        return response.data
+      } else {
+        throw new Error(response.message || '创建Gemini API Key账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
   // 创建Bedrock账户
   const createBedrockAccount = async (data) => {
     loading.value = true
@@ -374,6 +477,26 @@ export const useAccountsStore = defineStore('accounts', () => {
     }
   }
 
+  // 创建OpenAI兼容账户
+  const createOpenAICompatibleAccount = async (data) => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.post('/admin/openai-compatible-accounts', data)
+      if (response.success) {
+        await fetchOpenAICompatibleAccounts()
+        return response.data
+      } else {
+        throw new Error(response.message || '创建OpenAI兼容账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
   // 更新Claude账户
   const updateClaudeAccount = async (id, data) => {
     loading.value = true
@@ -414,6 +537,46 @@ export const useAccountsStore = defineStore('accounts', () => {
     }
   }
 
+  // 更新Vertex AI账户
+  const updateVertexAccount = async (id, data) => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.put(`/admin/vertex-accounts/${id}`, data)
+      if (response.success) {
+        await fetchVertexAccounts()
+        return response
+      } else {
+        throw new Error(response.message || '更新Vertex AI账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  // 更新Gemini API Key账户
+  const updateGeminiApiAccount = async (id, data) => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.put(`/admin/gemini-api-accounts/${id}`, data)
+      if (response.success) {
+        await fetchGeminiApiAccounts()
+        return response
+      } else {
+        throw new Error(response.message || '更新Gemini API Key账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
   // 更新Bedrock账户
   const updateBedrockAccount = async (id, data) => {
     loading.value = true
@@ -514,6 +677,26 @@ export const useAccountsStore = defineStore('accounts', () => {
     }
   }
 
+  // 更新OpenAI兼容账户
+  const updateOpenAICompatibleAccount = async (id, data) => {
+    loading.value = true
+    error.value = null
+    try {
+      const response = await apiClient.put(`/admin/openai-compatible-accounts/${id}`, data)
+      if (response.success) {
+        await fetchOpenAICompatibleAccounts()
+        return response
+      } else {
+        throw new Error(response.message || '更新OpenAI兼容账户失败')
+      }
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
   // 切换账户状态
   const toggleAccount = async (platform, id) => {
     loading.value = true
@@ -526,14 +709,20 @@ export const useAccountsStore = defineStore('accounts', () => {
         endpoint = `/admin/claude-console-accounts/${id}/toggle`
       } else if (platform === 'bedrock') {
         endpoint = `/admin/bedrock-accounts/${id}/toggle`
+      } else if (platform === 'vertex') {
+        endpoint = `/admin/vertex-accounts/${id}/toggle`
       } else if (platform === 'gemini') {
         endpoint = `/admin/gemini-accounts/${id}/toggle`
+      } else if (platform === 'gemini-api') {
+        endpoint = `/admin/gemini-api-accounts/${id}/toggle`
       } else if (platform === 'openai') {
         endpoint = `/admin/openai-accounts/${id}/toggle`
       } else if (platform === 'azure_openai') {
         endpoint = `/admin/azure-openai-accounts/${id}/toggle`
       } else if (platform === 'openai-responses') {
         endpoint = `/admin/openai-responses-accounts/${id}/toggle`
+      } else if (platform === 'openai-compatible') {
+        endpoint = `/admin/openai-compatible-accounts/${id}/toggle`
       } else {
         endpoint = `/admin/openai-accounts/${id}/toggle`
       }
@@ -546,14 +735,20 @@ export const useAccountsStore = defineStore('accounts', () => {
           await fetchClaudeConsoleAccounts()
         } else if (platform === 'bedrock') {
           await fetchBedrockAccounts()
+        } else if (platform === 'vertex') {
+          await fetchVertexAccounts()
         } else if (platform === 'gemini') {
           await fetchGeminiAccounts()
+        } else if (platform === 'gemini-api') {
+          await fetchGeminiApiAccounts()
         } else if (platform === 'openai') {
           await fetchOpenAIAccounts()
         } else if (platform === 'azure_openai') {
           await fetchAzureOpenAIAccounts()
         } else if (platform === 'openai-responses') {
           await fetchOpenAIResponsesAccounts()
+        } else if (platform === 'openai-compatible') {
+          await fetchOpenAICompatibleAccounts()
         } else {
           await fetchOpenAIAccounts()
         }
@@ -581,14 +776,20 @@ export const useAccountsStore = defineStore('accounts', () => {
         endpoint = `/admin/claude-console-accounts/${id}`
       } else if (platform === 'bedrock') {
         endpoint = `/admin/bedrock-accounts/${id}`
+      } else if (platform === 'vertex') {
+        endpoint = `/admin/vertex-accounts/${id}`
       } else if (platform === 'gemini') {
         endpoint = `/admin/gemini-accounts/${id}`
+      } else if (platform === 'gemini-api') {
+        endpoint = `/admin/gemini-api-accounts/${id}`
       } else if (platform === 'openai') {
         endpoint = `/admin/openai-accounts/${id}`
       } else if (platform === 'azure_openai') {
         endpoint = `/admin/azure-openai-accounts/${id}`
       } else if (platform === 'openai-responses') {
         endpoint = `/admin/openai-responses-accounts/${id}`
+      } else if (platform === 'openai-compatible') {
+        endpoint = `/admin/openai-compatible-accounts/${id}`
       } else {
         endpoint = `/admin/openai-accounts/${id}`
       }
@@ -601,14 +802,20 @@ export const useAccountsStore = defineStore('accounts', () => {
           await fetchClaudeConsoleAccounts()
         } else if (platform === 'bedrock') {
           await fetchBedrockAccounts()
+        } else if (platform === 'vertex') {
+          await fetchVertexAccounts()
         } else if (platform === 'gemini') {
           await fetchGeminiAccounts()
+        } else if (platform === 'gemini-api') {
+          await fetchGeminiApiAccounts()
         } else if (platform === 'openai') {
           await fetchOpenAIAccounts()
         } else if (platform === 'azure_openai') {
           await fetchAzureOpenAIAccounts()
         } else if (platform === 'openai-responses') {
           await fetchOpenAIResponsesAccounts()
+        } else if (platform === 'openai-compatible') {
+          await fetchOpenAICompatibleAccounts()
         } else {
           await fetchOpenAIAccounts()
         }
@@ -813,10 +1020,13 @@ export const useAccountsStore = defineStore('accounts', () => {
     claudeAccounts.value = []
     claudeConsoleAccounts.value = []
     bedrockAccounts.value = []
+    vertexAccounts.value = []
+    geminiApiAccounts.value = []
     geminiAccounts.value = []
     openaiAccounts.value = []
     azureOpenaiAccounts.value = []
     openaiResponsesAccounts.value = []
+    openaiCompatibleAccounts.value = []
     droidAccounts.value = []
     loading.value = false
     error.value = null
@@ -829,10 +1039,13 @@ export const useAccountsStore = defineStore('accounts', () => {
     claudeAccounts,
     claudeConsoleAccounts,
     bedrockAccounts,
+    vertexAccounts,
+    geminiApiAccounts,
     geminiAccounts,
     openaiAccounts,
     azureOpenaiAccounts,
     openaiResponsesAccounts,
+    openaiCompatibleAccounts,
     droidAccounts,
     loading,
     error,
@@ -843,28 +1056,37 @@ export const useAccountsStore = defineStore('accounts', () => {
     fetchClaudeAccounts,
     fetchClaudeConsoleAccounts,
     fetchBedrockAccounts,
+    fetchVertexAccounts,
+    fetchGeminiApiAccounts,
     fetchGeminiAccounts,
     fetchOpenAIAccounts,
     fetchAzureOpenAIAccounts,
     fetchOpenAIResponsesAccounts,
+    fetchOpenAICompatibleAccounts,
     fetchDroidAccounts,
     fetchAllAccounts,
     createClaudeAccount,
     createClaudeConsoleAccount,
     createBedrockAccount,
+    createVertexAccount,
+    createGeminiApiAccount,
     createGeminiAccount,
     createOpenAIAccount,
     createDroidAccount,
     updateDroidAccount,
     createAzureOpenAIAccount,
     createOpenAIResponsesAccount,
+    createOpenAICompatibleAccount,
     updateClaudeAccount,
     updateClaudeConsoleAccount,
     updateBedrockAccount,
+    updateVertexAccount,
+    updateGeminiApiAccount,
     updateGeminiAccount,
     updateOpenAIAccount,
     updateAzureOpenAIAccount,
     updateOpenAIResponsesAccount,
+    updateOpenAICompatibleAccount,
     toggleAccount,
     deleteAccount,
     refreshClaudeToken,
@@ -8,6 +8,7 @@ export const useAuthStore = defineStore('auth', () => {
   const isLoggedIn = ref(false)
   const authToken = ref(localStorage.getItem('authToken') || '')
   const username = ref('')
+  const role = ref('')
   const loginError = ref('')
   const loginLoading = ref(false)
   const oemSettings = ref({
@@ -21,7 +22,8 @@ export const useAuthStore = defineStore('auth', () => {
   // 计算属性
   const isAuthenticated = computed(() => !!authToken.value && isLoggedIn.value)
   const token = computed(() => authToken.value)
-  const user = computed(() => ({ username: username.value }))
+  const user = computed(() => ({ username: username.value, role: role.value }))
+  const isOwner = computed(() => role.value === 'owner')
 
   // 方法
   async function login(credentials) {
@@ -34,6 +36,7 @@ export const useAuthStore = defineStore('auth', () => {
       if (result.success) {
         authToken.value = result.token
         username.value = result.username || credentials.username
+        role.value = result.role || ''
         isLoggedIn.value = true
         localStorage.setItem('authToken', result.token)
 
@@ -52,6 +55,7 @@ export const useAuthStore = defineStore('auth', () => {
     isLoggedIn.value = false
     authToken.value = ''
     username.value = ''
+    role.value = ''
     localStorage.removeItem('authToken')
     router.push('/login')
   }
@@ -70,6 +74,7 @@ export const useAuthStore = defineStore('auth', () => {
       const userResult = await apiClient.get('/web/auth/user')
       if (userResult.success && userResult.user) {
         username.value = userResult.user.username
+        role.value = userResult.user.role || ''
       }
 
       // 使用 dashboard 端点来验证 token
@@ -117,6 +122,7 @@ export const useAuthStore = defineStore('auth', () => {
     isLoggedIn,
     authToken,
     username,
+    role,
     loginError,
     loginLoading,
     oemSettings,
@@ -126,6 +132,7 @@ export const useAuthStore = defineStore('auth', () => {
     isAuthenticated,
     token,
     user,
+    isOwner,
 
     // 方法
     login,
@@ -41,6 +41,10 @@ export const useDashboardStore = defineStore('dashboard', () => {
     realtimeTPM: 0,
     metricsWindow: 5,
     isHistoricalMetrics: false,
+    responseCacheHitsToday: 0,
+    responseCacheLookupsToday: 0,
+    responseCacheHitRateToday: 0,
+    responseCacheHitRateTotal: 0,
     systemStatus: '正常',
     uptime: 0,
     systemTimezone: 8 // 默认 UTC+8
@@ -66,6 +70,8 @@ export const useDashboardStore = defineStore('dashboard', () => {
     group: 'claude',
     groupLabel: 'Claude账户'
   })
+  // 代理池健康状态及依赖账户
+  const proxyPools = ref([])
 
   // 日期筛选
   const dateFilter = ref({
@@ -167,6 +173,7 @@ export const useDashboardStore = defineStore('dashboard', () => {
         const systemAverages = dashboardResponse.data.systemAverages || {}
         const realtimeMetrics = dashboardResponse.data.realtimeMetrics || {}
         const systemHealth = dashboardResponse.data.systemHealth || {}
+        const responseCache = dashboardResponse.data.responseCache || {}
 
         dashboardData.value = {
           totalApiKeys: overview.totalApiKeys || 0,
@@ -206,6 +213,10 @@ export const useDashboardStore = defineStore('dashboard', () => {
           realtimeTPM: realtimeMetrics.tpm || 0,
           metricsWindow: realtimeMetrics.windowMinutes || 5,
           isHistoricalMetrics: realtimeMetrics.isHistorical || false,
+          responseCacheHitsToday: responseCache.today?.hits || 0,
+          responseCacheLookupsToday: responseCache.today?.lookups || 0,
+          responseCacheHitRateToday: responseCache.today?.hitRate || 0,
+          responseCacheHitRateTotal: responseCache.total?.hitRate || 0,
           systemStatus: systemHealth.redisConnected ? '正常' : '异常',
           uptime: systemHealth.uptime || 0,
           systemTimezone: dashboardResponse.data.systemTimezone || 8
@@ -511,6 +522,17 @@ export const useDashboardStore = defineStore('dashboard', () => {
     }
   }
 
+  async function loadProxyPools() {
+    try {
+      const response = await apiClient.get('/admin/proxy-pools')
+      if (response.success) {
+        proxyPools.value = response.data || []
+      }
+    } catch (error) {
+      console.error('加载代理池状态失败:', error)
+    }
+  }
+
   async function loadAccountUsageTrend(group = accountUsageGroup.value) {
     try {
       let url = '/admin/account-usage-trend?'
@@ -880,6 +902,7 @@ export const useDashboardStore = defineStore('dashboard', () => {
     dashboardModelStats,
     apiKeysTrendData,
     accountUsageTrendData,
+    proxyPools,
     dateFilter,
     trendGranularity,
     apiKeysTrendMetric,
@@ -895,6 +918,7 @@ export const useDashboardStore = defineStore('dashboard', () => {
     loadModelStats,
     loadApiKeysTrend,
     loadAccountUsageTrend,
+    loadProxyPools,
     setDateFilterPreset,
     onCustomDateRangeChange,
     setTrendGranularity,
@@ -11,7 +11,8 @@ export const useUserStore = defineStore('user', {
     isAuthenticated: false,
     sessionToken: null,
     loading: false,
-    config: null
+    config: null,
+    quota: null
   }),
 
   getters: {
@@ -106,6 +107,7 @@ export const useUserStore = defineStore('user', {
         if (response.data.success) {
           this.user = response.data.user
           this.config = response.data.config
+          this.quota = response.data.quota || null
           localStorage.setItem('userData', JSON.stringify(this.user))
           localStorage.setItem('userConfig', JSON.stringify(this.config))
           return response.data.user